@@ -1,6 +1,9 @@
 import React, { useState } from 'react';
 import { ethers } from 'krnl-sdk';
 import { contractAbi } from './abi';
+import { describeReason } from './reasonCodes';
+import { CREDIT_SCORE_KERNEL_ID, decodeKernelScore } from './kernelResponses';
+import ScoreTrend from './ScoreTrend';
 import logo from './assets/KRNL_Logo.svg';
 import {WalletMinimal} from 'lucide-react';
 
@@ -14,14 +17,28 @@ const TransactionCreditScoreApp = () => {
   const [error, setError] = useState('');
   const [transactionHash, setTransactionHash] = useState('');
   const [loadingStep, setLoadingStep] = useState('');
+  const [reasonCodes, setReasonCodes] = useState([]);
+  const [resolvedName, setResolvedName] = useState(null);
+  const [scoreHistory, setScoreHistory] = useState(null);
+  // Reasons and history are extras next to the score, so failing to load them isn't an error
+  const [detailsError, setDetailsError] = useState('');
+  // The score is shown as soon as the kernel answers; verifying it on-chain is a separate step
+  const [isVerified, setIsVerified] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [kernelResult, setKernelResult] = useState(null);
 
   // Constants for KRNL integration
   const contractAddress = import.meta.env.VITE_CONTRACT_ADDRESS;
   const entryId = import.meta.env.VITE_ENTRY_ID;
   const accessToken = import.meta.env.VITE_ACCESS_TOKEN;
   const provider = new ethers.JsonRpcProvider(import.meta.env.VITE_PROVIDER_URL);
+  const kernelUrl = import.meta.env.VITE_KERNEL_URL || 'https://credit-score-kernal.onrender.com';
+  // No API key is sent: anything bundled here is public. Kernels with API keys on serve this app
+  // through a keyless entry for its origin (see kernel/auth/keyStore.js)
+  const textInput = "Check wallet score";
     
-  const connectWallet = async () => {
+  // Returns the connected address, or null if the wallet could not be connected
+  const connectWallet = async ({ fillInput = true } = {}) => {
     setIsConnecting(true);
     setError('');
     
@@ -58,12 +75,12 @@ const TransactionCreditScoreApp = () => {
               } catch (addError) {
                 setError('Failed to add Sepolia network to your wallet');
                 setIsConnecting(false);
-                return;
+                return null;
               }
             } else {
               setError('Please switch to Sepolia network in your wallet');
               setIsConnecting(false);
-              return;
+              return null;
             }
           }
         }
@@ -74,7 +91,8 @@ const TransactionCreditScoreApp = () => {
         
         setConnectedAddress(address);
         setIsConnected(true);
-        setWalletAddress(address); // Auto-fill the input field with connected wallet
+        if (fillInput) setWalletAddress(address); // Auto-fill the input field with connected wallet
+        return address;
       } else {
         setError('Please install MetaMask to connect your wallet');
       }
@@ -83,97 +101,88 @@ const TransactionCreditScoreApp = () => {
     } finally {
       setIsConnecting(false);
     }
+    return null;
+  };
+
+  // Reason codes come from the kernel's report endpoint; the on-chain result only carries the score
+  const fetchReasonCodes = async (addressToCheck) => {
+    try {
+      const response = await fetch(`${kernelUrl}/wallet-score/${addressToCheck}/report`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const report = await response.json();
+      setReasonCodes(report.reasonCodes || []);
+    } catch (err) {
+      setDetailsError('Score reasons are unavailable: ' + err.message);
+    }
+  };
+
+  // Score history for the trend chart; recorded by the kernel each time it computes a score
+  const fetchScoreHistory = async (addressToCheck) => {
+    try {
+      const response = await fetch(`${kernelUrl}/wallet-score/${addressToCheck}/history?limit=30`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      setScoreHistory(await response.json());
+    } catch (err) {
+      setDetailsError('Score history is unavailable: ' + err.message);
+    }
+  };
+
+  // The KRNL node signs its responses for one sender, so a payload can only be sent on-chain
+  // from the wallet it was requested for
+  const requestKernelResponses = async (addressToCheck, senderAddress) => {
+    // Format the parameters for the credit score kernel
+    const kernelRequestData = {
+      senderAddress: senderAddress,
+      kernelPayload: {
+        [CREDIT_SCORE_KERNEL_ID]: {
+          "parameters": {
+            "header": {},
+            "body": {},
+            "query": {},
+            "path": {
+              "wallet_address": addressToCheck
+            }
+          }
+        }
+      }
+    };
+
+    const abiCoder = new ethers.AbiCoder();
+    const functionParams = abiCoder.encode(["string"], [textInput]);
+
+    // Execute the kernel call
+    setLoadingStep('Contacting KRNL node');
+    const krnlPayload = await provider.executeKernels(
+      entryId,
+      accessToken,
+      kernelRequestData,
+      functionParams
+    );
+    return krnlPayload;
   };
 
   const executeKrnl = async (addressToCheck) => {
     setIsLoading(true);
     setError('');
     setScoreFromEvent(null);
+    setIsVerified(false);
+    setKernelResult(null);
+    setTransactionHash('');
+    setReasonCodes([]);
+    setScoreHistory(null);
+    setDetailsError('');
     setLoadingStep('Initializing kernel request');
     
     try {
-      // Use the connected wallet address for the sender
+      // Use the connected wallet address for the sender, so the result can be verified as is
       const senderAddress = connectedAddress || ethers.ZeroAddress;
-      
-      // Format the parameters for the credit score kernel
-      const kernelRequestData = {
-        senderAddress: senderAddress,
-        kernelPayload: {
-          "1346": { // Transaction Credit Score Kernel ID
-            "parameters": {
-              "header": {},
-              "body": {},
-              "query": {},
-              "path": {
-                "wallet_address": addressToCheck
-              }
-            }
-          }
-        }
-      };
-
-      const textInput = "Check wallet score";
-      const abiCoder = new ethers.AbiCoder();
-      const functionParams = abiCoder.encode(["string"], [textInput]);
-
-      // Execute the kernel call
-      setLoadingStep('Contacting KRNL node');
-      const krnlPayload = await provider.executeKernels(
-        entryId,
-        accessToken,
-        kernelRequestData,
-        functionParams
-      );
+      const krnlPayload = await requestKernelResponses(addressToCheck, senderAddress);
 
       setLoadingStep('Kernel response received');
-      console.log("krnlPayload", krnlPayload.kernel_responses);
-      
-      // If connected to wallet, execute the transaction and listen for event
-      if (isConnected && window.ethereum) {
-        try {
-          setLoadingStep('Preparing smart contract transaction');
-          const web3Provider = new ethers.BrowserProvider(window.ethereum);
-          const signer = await web3Provider.getSigner();
-          
-          const contract = new ethers.Contract(contractAddress, contractAbi, signer);
-          
-          const krnlPayloadForContract = {
-            auth: krnlPayload.auth,
-            kernelResponses: krnlPayload.kernel_responses,
-            kernelParams: krnlPayload.kernel_params
-          };
-          
-          // Set up event listener before sending transaction
-          contract.on('Broadcast', (sender, score, message, event) => {
-            console.log("Broadcast event received:", sender, score, message);
-            // Convert BigNumber to Number (assuming it's in wei with 18 decimals)
-            const scoreNumber = Number(ethers.formatUnits(score, 18));
-            setScoreFromEvent(scoreNumber);
-            setLoadingStep('Score verified on-chain');
-            
-            // Clean up listener after receiving event
-            contract.removeAllListeners();
-          });
-          
-          setLoadingStep('Sending transaction');
-          const tx = await contract.protectedFunction(krnlPayloadForContract, textInput);
-          setTransactionHash(tx.hash);
-          
-          // Wait for transaction to be mined to ensure event is captured
-          setLoadingStep('Waiting for transaction confirmation');
-          await tx.wait();
-          setLoadingStep('Transaction confirmed');
-          
-          // If after waiting for transaction, we still don't have event data
-          // set a timeout to remove listeners after reasonable time
-          setTimeout(() => {
-            contract.removeAllListeners();
-          }, 10000);
-        } catch (txError) {
-          console.error("Transaction error:", txError);
-          setError('Transaction error: ' + txError.message);
-        }
-      } 
+      setScoreFromEvent(decodeKernelScore(krnlPayload.kernel_responses));
+      setKernelResult({ address: addressToCheck, senderAddress, krnlPayload });
+      fetchReasonCodes(addressToCheck);
+      fetchScoreHistory(addressToCheck);
     } catch (err) {
       setError('Error executing kernel: ' + err.message);
     } finally {
@@ -182,15 +191,103 @@ const TransactionCreditScoreApp = () => {
     }
   };
 
-  const handleSubmit = (e) => {
+  // Optional: send the kernel result to the contract, which checks the KRNL signatures and
+  // emits the score it decoded. Costs Sepolia gas, so it's only done when asked for.
+  const verifyOnChain = async () => {
+    if (!kernelResult) return;
+    setError('');
+
+    const senderAddress = isConnected ? connectedAddress : await connectWallet({ fillInput: false });
+    if (!senderAddress) return;
+
+    setIsVerifying(true);
+    try {
+      // A result requested before the wallet was connected was signed for another sender
+      let krnlPayload = kernelResult.krnlPayload;
+      if (kernelResult.senderAddress.toLowerCase() !== senderAddress.toLowerCase()) {
+        krnlPayload = await requestKernelResponses(kernelResult.address, senderAddress);
+        setKernelResult({ ...kernelResult, senderAddress, krnlPayload });
+      }
+
+      setLoadingStep('Preparing smart contract transaction');
+      const web3Provider = new ethers.BrowserProvider(window.ethereum);
+      const signer = await web3Provider.getSigner();
+      
+      const contract = new ethers.Contract(contractAddress, contractAbi, signer);
+      
+      const krnlPayloadForContract = {
+        auth: krnlPayload.auth,
+        kernelResponses: krnlPayload.kernel_responses,
+        kernelParams: krnlPayload.kernel_params
+      };
+      
+      // Set up event listener before sending transaction
+      contract.on('Broadcast', (sender, score, message, event) => {
+        // The contract decodes the kernel's bare score, in whole points (no decimals)
+        const scoreNumber = Number(score);
+        setScoreFromEvent(scoreNumber);
+        setIsVerified(true);
+        setLoadingStep('Score verified on-chain');
+        
+        // Clean up listener after receiving event
+        contract.removeAllListeners();
+      });
+      
+      setLoadingStep('Sending transaction');
+      const tx = await contract.protectedFunction(krnlPayloadForContract, textInput);
+      setTransactionHash(tx.hash);
+      
+      // Wait for transaction to be mined to ensure event is captured
+      setLoadingStep('Waiting for transaction confirmation');
+      await tx.wait();
+      setLoadingStep('Transaction confirmed');
+      
+      // If after waiting for transaction, we still don't have event data
+      // set a timeout to remove listeners after reasonable time
+      setTimeout(() => {
+        contract.removeAllListeners();
+      }, 10000);
+    } catch (txError) {
+      console.error("Transaction error:", txError);
+      setError('Transaction error: ' + txError.message);
+    } finally {
+      setIsVerifying(false);
+      setLoadingStep('');
+    }
+  };
+
+  // ENS names (and DNS names imported into ENS) are resolved by the kernel
+  const resolveName = async (name) => {
+    const response = await fetch(`${kernelUrl}/resolve/${encodeURIComponent(name)}`);
+    if (response.status === 404) throw new Error(`${name} does not resolve to an address`);
+    if (!response.ok) throw new Error(`Could not resolve ${name} (HTTP ${response.status})`);
+    return (await response.json()).address;
+  };
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!walletAddress || !walletAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
-      setError('Please enter a valid wallet address');
+    const input = walletAddress.trim();
+    setResolvedName(null);
+    
+    if (input.match(/^0x[a-fA-F0-9]{40}$/)) {
+      executeKrnl(input);
+      return;
+    }
+    
+    if (!input.match(/^[^\s.]+(\.[^\s.]+)+$/)) {
+      setError('Please enter a valid wallet address or ENS name');
       return;
     }
     
-    executeKrnl(walletAddress);
+    try {
+      setError('');
+      const address = await resolveName(input);
+      setResolvedName({ name: input, address });
+      executeKrnl(address);
+    } catch (err) {
+      setError(err.message);
+    }
   };
 
   // Function to determine color based on score value
@@ -225,7 +322,7 @@ const TransactionCreditScoreApp = () => {
             <h2 className="text-2xl font-semibold">Wallet Evaluation</h2>
             {!isConnected ? (
               <button 
-                onClick={connectWallet}
+                onClick={() => connectWallet()}
                 disabled={isConnecting}
                 className="px-5 py-2.5 rounded-lg font-medium transition-all disabled:opacity-50 flex items-center"
                 style={{ backgroundColor: 'oklch(0.464198 0.303088 264.197)' }}
@@ -262,14 +359,14 @@ const TransactionCreditScoreApp = () => {
                   type="text"
                   value={walletAddress}
                   onChange={(e) => setWalletAddress(e.target.value)}
-                  placeholder="Enter wallet address (0x...)"
+                  placeholder="Enter wallet address (0x...) or ENS name"
                   className="w-full pl-10 pr-4 py-3 rounded-lg bg-gray-900 bg-opacity-70 border border-gray-700 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-opacity-50"
                   style={{ focusRing: 'oklch(0.464198 0.303088 264.197)' }}
                 />
               </div>
               <button
                 type="submit"
-                disabled={isLoading}
+                disabled={isLoading || isVerifying}
                 className="px-6 py-3 rounded-lg font-semibold transition-all disabled:opacity-50 flex items-center justify-center"
                 style={{ backgroundColor: 'oklch(0.464198 0.303088 264.197)' }}
               >
@@ -332,7 +429,12 @@ const TransactionCreditScoreApp = () => {
           <div className="bg-black bg-opacity-40 rounded-2xl shadow-2xl backdrop-blur-sm border border-gray-800 border-opacity-70 overflow-hidden">
             <div className="p-6 md:p-8">
               <div className="text-center mb-8">
-                <h2 className="text-xl font-semibold mb-6">Credit Score Result</h2>
+                <h2 className={`text-xl font-semibold ${resolvedName ? 'mb-1' : 'mb-6'}`}>Credit Score Result</h2>
+                {resolvedName && (
+                  <p className="text-xs text-gray-400 mb-6 break-all">
+                    {resolvedName.name} → {resolvedName.address}
+                  </p>
+                )}
                 <div className="flex flex-col items-center">
                   <div className="relative">
                     <svg className="w-48 h-48" viewBox="0 0 100 100">
@@ -373,8 +475,57 @@ const TransactionCreditScoreApp = () => {
                   }}>
                   {scoreFromEvent >= 600 ? 'PASS' : 'FAIL'} (Threshold: 600)
                 </div>
+                <div className="mt-3 text-xs">
+                  {isVerified ? (
+                    <span className="text-green-400">Verified on-chain</span>
+                  ) : isVerifying ? (
+                    <span className="inline-flex items-center text-gray-400">
+                      <div className="animate-spin h-3 w-3 border-2 border-white border-t-transparent rounded-full mr-2"></div>
+                      {loadingStep || 'Verifying on-chain'}
+                    </span>
+                  ) : (
+                    <span className="text-gray-400">
+                      Read from the KRNL kernel response, not yet verified on-chain.{' '}
+                      <button
+                        onClick={verifyOnChain}
+                        className="underline hover:text-white transition-colors"
+                      >
+                        Verify on-chain
+                      </button>{' '}
+                      (Sepolia transaction)
+                    </span>
+                  )}
+                </div>
+                <ScoreTrend history={scoreHistory} />
               </div>
 
+              {reasonCodes.length > 0 && (
+                <div className="mb-6 p-4 bg-gray-800 bg-opacity-30 rounded-lg border border-gray-700">
+                  <h3 className="text-sm font-medium mb-3">
+                    {scoreFromEvent >= 600 ? 'What is holding this score back' : 'What to improve'}
+                  </h3>
+                  <ul className="space-y-2">
+                    {reasonCodes.filter((reason) => reason.type !== 'data').slice(0, 4).map((reason) => (
+                      <li key={reason.code} className="flex items-center justify-between text-sm">
+                        <span className={reason.type === 'risk' ? 'text-red-400' : 'text-gray-300'}>
+                          {describeReason(reason.code)}
+                        </span>
+                        <span className="text-xs text-gray-500 ml-4">-{reason.pointsLost} pts</span>
+                      </li>
+                    ))}
+                  </ul>
+                  {reasonCodes.filter((reason) => reason.type === 'data').map((reason) => (
+                    <p key={reason.code} className="mt-3 text-xs text-yellow-500">
+                      {describeReason(reason.code)}
+                    </p>
+                  ))}
+                </div>
+              )}
+
+              {detailsError && (
+                <p className="mb-6 text-xs text-yellow-500">{detailsError}</p>
+              )}
+
               {transactionHash && (
                 <div className="mb-6 p-4 bg-gray-800 bg-opacity-30 rounded-lg border border-gray-700">
                   <h3 className="text-green-400 text-sm font-medium mb-2 flex items-center">
@@ -0,0 +1,48 @@
+import React from 'react';
+
+// Score trend from the kernel's /wallet-score/:address/history endpoint, drawn under the gauge
+const WIDTH = 240;
+const HEIGHT = 64;
+const PADDING = 6;
+
+const trendText = {
+  improving: { label: 'Improving', color: '#10B981' },
+  declining: { label: 'Declining', color: '#EF4444' },
+  stable: { label: 'Stable', color: '#9CA3AF' }
+};
+
+const ScoreTrend = ({ history }) => {
+  if (!history || history.points.length < 2) return null;
+
+  const scores = history.points.map((point) => point.score);
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  // A flat series still needs some vertical range to draw
+  const range = Math.max(max - min, 10);
+
+  const coordinates = scores.map((score, i) => [
+    PADDING + (i / (scores.length - 1)) * (WIDTH - 2 * PADDING),
+    HEIGHT - PADDING - ((score - min) / range) * (HEIGHT - 2 * PADDING)
+  ]);
+  const line = coordinates.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+  const [lastX, lastY] = coordinates[coordinates.length - 1];
+
+  const { change, trend, from } = history.summary;
+  const style = trendText[trend] || trendText.stable;
+
+  return (
+    <div className="mt-6 flex flex-col items-center">
+      <svg width={WIDTH} height={HEIGHT} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} aria-label="Score trend">
+        <polyline points={line} fill="none" stroke={style.color} strokeWidth="2" strokeLinejoin="round" />
+        <circle cx={lastX} cy={lastY} r="3" fill={style.color} />
+      </svg>
+      <div className="mt-2 text-xs text-gray-400">
+        <span style={{ color: style.color }}>{style.label}</span>
+        {' '}({change > 0 ? '+' : ''}{change} pts since {new Date(from).toLocaleDateString()},
+        {' '}{history.points.length} scores)
+      </div>
+    </div>
+  );
+};
+
+export default ScoreTrend;
@@ -0,0 +1,19 @@
+import { ethers } from 'krnl-sdk';
+
+// Transaction Credit Score Kernel ID
+export const CREDIT_SCORE_KERNEL_ID = 1346;
+
+// krnlPayload.kernel_responses is the ABI-encoded KernelResponse[] the contract decodes
+// (see hardhat/contracts/KRNL.sol); decoding it here shows the score without a transaction
+const KERNEL_RESPONSES = ['tuple(uint256 kernelId, bytes result, string err)[]'];
+
+export const decodeKernelScore = (kernelResponses, kernelId = CREDIT_SCORE_KERNEL_ID) => {
+  const abiCoder = new ethers.AbiCoder();
+  const [responses] = abiCoder.decode(KERNEL_RESPONSES, kernelResponses);
+  const response = responses.find((entry) => entry.kernelId === BigInt(kernelId));
+  if (!response) throw new Error(`No response from kernel ${kernelId}`);
+  if (response.err) throw new Error(response.err);
+  // The kernel's bare score, in whole points (no decimals), as CreditScore.sol decodes it
+  const [score] = abiCoder.decode(['uint256'], response.result);
+  return Number(score);
+};
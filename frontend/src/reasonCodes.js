@@ -0,0 +1,22 @@
+// Human-readable text for the kernel's score reason codes
+export const reasonText = {
+  LOW_TRANSACTION_COUNT: 'Few transactions across the networks we check',
+  SHORT_HISTORY: 'Wallet has only a short on-chain history',
+  LOW_CROSS_CHAIN_ACTIVITY: 'Active on few networks',
+  LOW_TRANSFER_VOLUME: 'Low total transfer volume',
+  FEW_COUNTERPARTIES: 'Transacts with only a few addresses',
+  IRREGULAR_ACTIVITY: 'Activity is spread over few months',
+  NO_RECENT_ACTIVITY: 'No recent on-chain activity',
+  LONG_DORMANCY: 'Long periods without any activity',
+  WEAK_REPAYMENT_HISTORY: 'Borrowed funds have not been fully repaid',
+  LIQUIDATION_HISTORY: 'Lending positions have been liquidated',
+  RISK_SELF_TRANSFERS: 'Repeated transfers to itself',
+  RISK_PING_PONG: 'Funds bounce back and forth with a small group of addresses',
+  RISK_TX_BURST: 'Bursts of near-identical transfers',
+  NO_PRIMARY_NAME: 'No verified primary name (such as ENS) set for this wallet',
+  NO_ONCHAIN_ACTIVITY: 'No on-chain activity found',
+  AGE_ESTIMATED_NOT_OBSERVED: 'Account age was estimated, not observed',
+  NETWORK_DATA_UNAVAILABLE: 'Some networks could not be checked'
+};
+
+export const describeReason = (code) => reasonText[code] || code;
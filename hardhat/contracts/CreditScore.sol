@@ -29,6 +29,8 @@ contract CreditScore is KRNL {
             // Change the line below to match with your selected kernel(s)
             if (kernelResponses[i].kernelId == 1346) {
                 // Change the code below to match with the return data type from this kernel
+                // The default response is the bare score in whole points (no decimals); with the
+                // kernel's ABI response format use CreditScoreResult.decode(kernelResponses[i].result)
                 score = abi.decode(kernelResponses[i].result, (uint256));
             }
         }
@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.24;
+
+// Decodes the kernel's ABI score response (?format=abi, see kernel/lib/scoreAbi.js) from a
+// KernelResponse result. score, minScore and maxScore share `decimals` fixed-point decimals.
+library CreditScoreResult {
+    struct Score {
+        uint256 score;
+        uint256 minScore;
+        uint256 maxScore;
+        uint8 decimals;
+        uint8 status;
+        string modelVersion;
+        uint64 timestamp;
+        uint8 activeNetworks;
+    }
+
+    uint8 internal constant STATUS_FAIL = 0;
+    uint8 internal constant STATUS_PASS = 1;
+
+    function decode(bytes memory result) internal pure returns (Score memory) {
+        return abi.decode(result, (Score));
+    }
+
+    // True if the score is at or above the kernel's pass threshold
+    function passed(Score memory result) internal pure returns (bool) {
+        return result.status == STATUS_PASS;
+    }
+
+    // Score in whole points, dropping the decimals
+    function points(Score memory result) internal pure returns (uint256) {
+        return result.score / (10 ** result.decimals);
+    }
+}
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.24;
+
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+// Checks score attestations signed by the credit score kernel (kernel/lib/attestations.js).
+// Run the kernel with ATTESTATION_CHAIN_ID and ATTESTATION_VERIFYING_CONTRACT set to this
+// chain and this contract's address, so its EIP-712 domain matches the one below.
+// Provisional scores (some networks could not be fetched) are signed as such; check
+// `provisional` and `confidence` before relying on one. Identity scores (several linked
+// wallets scored as one) are a separate type and never verify as a single wallet's score.
+contract ScoreAttestationVerifier is EIP712 {
+    struct ScoreAttestation {
+        address wallet;
+        uint16 score;
+        string modelVersion;
+        string confidence;
+        bool provisional;
+        uint64 issuedAt;
+        uint64 expiresAt;
+    }
+
+    struct IdentityScoreAttestation {
+        address[] wallets;
+        uint16 score;
+        string modelVersion;
+        string confidence;
+        bool provisional;
+        uint64 issuedAt;
+        uint64 expiresAt;
+    }
+
+    bytes32 public constant SCORE_ATTESTATION_TYPEHASH = keccak256(
+        "ScoreAttestation(address wallet,uint16 score,string modelVersion,string confidence,bool provisional,uint64 issuedAt,uint64 expiresAt)"
+    );
+
+    bytes32 public constant IDENTITY_SCORE_ATTESTATION_TYPEHASH = keccak256(
+        "IdentityScoreAttestation(address[] wallets,uint16 score,string modelVersion,string confidence,bool provisional,uint64 issuedAt,uint64 expiresAt)"
+    );
+
+    // Address of the kernel's attestation key (GET /attestation/signer)
+    address public immutable kernelSigner;
+
+    constructor(address _kernelSigner) EIP712("Credit Score Kernel", "2") {
+        kernelSigner = _kernelSigner;
+    }
+
+    // EIP-712 digest the kernel signed
+    function hashAttestation(ScoreAttestation calldata attestation) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            SCORE_ATTESTATION_TYPEHASH,
+            attestation.wallet,
+            attestation.score,
+            keccak256(bytes(attestation.modelVersion)),
+            keccak256(bytes(attestation.confidence)),
+            attestation.provisional,
+            attestation.issuedAt,
+            attestation.expiresAt
+        )));
+    }
+
+    // EIP-712 digest the kernel signed for an identity score
+    function hashIdentityAttestation(IdentityScoreAttestation calldata attestation) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            IDENTITY_SCORE_ATTESTATION_TYPEHASH,
+            keccak256(abi.encodePacked(attestation.wallets)),
+            attestation.score,
+            keccak256(bytes(attestation.modelVersion)),
+            keccak256(bytes(attestation.confidence)),
+            attestation.provisional,
+            attestation.issuedAt,
+            attestation.expiresAt
+        )));
+    }
+
+    // True if the kernel signed this attestation and it hasn't expired
+    function verify(ScoreAttestation calldata attestation, bytes calldata signature) public view returns (bool) {
+        if (block.timestamp >= attestation.expiresAt) {
+            return false;
+        }
+        return _signedByKernel(hashAttestation(attestation), signature);
+    }
+
+    // True if the kernel signed this identity attestation and it hasn't expired
+    function verifyIdentity(IdentityScoreAttestation calldata attestation, bytes calldata signature) public view returns (bool) {
+        if (block.timestamp >= attestation.expiresAt) {
+            return false;
+        }
+        return _signedByKernel(hashIdentityAttestation(attestation), signature);
+    }
+
+    // Score of a wallet from a valid attestation; reverts otherwise
+    function verifiedScore(ScoreAttestation calldata attestation, bytes calldata signature) external view returns (uint16) {
+        require(verify(attestation, signature), "Invalid score attestation");
+        return attestation.score;
+    }
+
+    // Score of an identity from a valid identity attestation; reverts otherwise
+    function verifiedIdentityScore(IdentityScoreAttestation calldata attestation, bytes calldata signature) external view returns (uint16) {
+        require(verifyIdentity(attestation, signature), "Invalid identity score attestation");
+        return attestation.score;
+    }
+
+    function _signedByKernel(bytes32 digest, bytes calldata signature) private view returns (bool) {
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(digest, signature);
+        return error == ECDSA.RecoverError.NoError && signer == kernelSigner;
+    }
+}
@@ -0,0 +1,270 @@
+// DeFi lending history
+// Matches a wallet's event logs and transfers against a local registry of lending
+// protocol contracts (lending-registry.json) to find borrows, repayments and
+// liquidations, and summarises them into repayment and open-debt figures.
+//
+// Registry notes:
+// - `events` names an event set; protocols without one (Compound V2, whose events
+//   don't index the borrower) are only detected through transfers.
+// - Compound V3 reports every base-asset withdrawal as Withdraw and every deposit as
+//   Supply, lenders included. The part of a Withdraw that only draws down a supplied
+//   balance comes with a Transfer burning it in the same transaction, and the part of a
+//   Supply that adds to one with a Transfer minting it. An event's `offset` names such a
+//   paired event: its amount is taken off, and only the rest counts as borrow or repay.
+// - Amounts are raw token units, so positions are tracked per protocol and asset.
+
+const fs = require('fs');
+const path = require('path');
+const { Utils } = require('alchemy-sdk');
+
+const EVENT_TYPES = ['borrow', 'repay', 'liquidation'];
+
+/**
+ * Load the protocol registry and compute each event's topic hash
+ * @param {String} file - Registry JSON file
+ * @returns {Object} - { protocols } with compiled events
+ */
+function loadLendingRegistry(file = path.join(__dirname, 'lending-registry.json')) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const protocols = raw.protocols.map((protocol) => {
+    const eventSet = protocol.events ? raw.eventSets[protocol.events] : null;
+    if (protocol.events && !eventSet) {
+      throw new Error(`Lending registry: protocol ${protocol.id} uses unknown event set ${protocol.events}`);
+    }
+
+    const events = eventSet ? EVENT_TYPES.filter((type) => eventSet[type]).map((type) => {
+      const event = { type, ...eventSet[type], topic: Utils.id(eventSet[type].signature) };
+      if (event.offset) {
+        event.offset = { ...event.offset, topic: Utils.id(event.offset.signature) };
+      }
+      return event;
+    }) : [];
+
+    const contracts = {};
+    for (const [network, addresses] of Object.entries(protocol.contracts)) {
+      contracts[network] = addresses.map((address) => address.toLowerCase());
+    }
+
+    return { id: protocol.id, name: protocol.name, events, contracts };
+  });
+
+  return { protocols };
+}
+
+/**
+ * Left-pad an address into a 32-byte log topic
+ * @param {String} address - 0x address
+ * @returns {String} - Topic
+ */
+function addressTopic(address) {
+  return '0x' + address.toLowerCase().replace(/^0x/, '').padStart(64, '0');
+}
+
+/**
+ * Read one 32-byte word of log data as a BigInt
+ * @param {String} data - Log data hex
+ * @param {Number} index - Word index
+ * @returns {BigInt}
+ */
+function dataWord(data, index) {
+  const hex = (data || '0x').replace(/^0x/, '').slice(index * 64, (index + 1) * 64);
+  return hex ? BigInt('0x' + hex) : 0n;
+}
+
+const ZERO_TOPIC = '0x' + '0'.repeat(64);
+
+/**
+ * Take paired offset amounts off the events they belong to
+ * @param {Array} events - Matched events, each with an `offsetKey` when its type has an offset
+ * @param {Map} offsets - Offset key -> total offset amount
+ * @returns {Array} - Events with a remaining amount, without `offsetKey`
+ */
+function applyOffsets(events, offsets) {
+  const result = [];
+
+  for (const { offsetKey, ...event } of events) {
+    if (offsetKey) {
+      const available = offsets.get(offsetKey) || 0n;
+      const taken = available < event.amount ? available : event.amount;
+      offsets.set(offsetKey, available - taken);
+      event.amount -= taken;
+      if (event.amount === 0n) continue;
+    }
+    result.push(event);
+  }
+
+  return result;
+}
+
+/**
+ * Fetch borrow, repay and liquidation events for a wallet on one network
+ * @param {Object} provider - Chain data provider with getLogs
+ * @param {String} network - Network name
+ * @param {String} walletAddress - Wallet address
+ * @param {Object} registry - Loaded lending registry
+ * @returns {Promise<Array>} - [{ network, protocol, type, asset, amount, blockNumber, transactionHash }]
+ */
+async function fetchLendingEvents(provider, network, walletAddress, registry) {
+  const walletTopic = addressTopic(walletAddress);
+  const events = [];
+
+  for (const protocol of registry.protocols) {
+    const contracts = protocol.contracts[network];
+    if (!contracts || protocol.events.length === 0) continue;
+
+    // Events (and offset events) that index the wallet at the same position can share one query
+    const byUserTopic = new Map();
+    const addTopic = (userTopic, topic) => {
+      if (!byUserTopic.has(userTopic)) byUserTopic.set(userTopic, new Set());
+      byUserTopic.get(userTopic).add(topic);
+    };
+    for (const event of protocol.events) {
+      addTopic(event.userTopic, event.topic);
+      if (event.offset) addTopic(event.offset.userTopic, event.offset.topic);
+    }
+
+    const matched = [];
+    const offsets = new Map();
+
+    for (const [userTopic, topicSet] of byUserTopic) {
+      const topics = [Array.from(topicSet)];
+      for (let i = 1; i < userTopic; i++) topics.push(null);
+      topics.push(walletTopic);
+
+      const logs = await provider.getLogs({ address: contracts, topics, fromBlock: '0x0', toBlock: 'latest' });
+
+      for (const log of logs) {
+        const contract = log.address.toLowerCase();
+
+        for (const event of protocol.events) {
+          const offset = event.offset;
+          if (offset && offset.topic === log.topics[0] && offset.userTopic === userTopic &&
+              log.topics[offset.zeroTopic] === ZERO_TOPIC) {
+            const key = `${log.transactionHash}:${contract}:${event.type}`;
+            offsets.set(key, (offsets.get(key) || 0n) + dataWord(log.data, offset.amountWord));
+          }
+        }
+
+        const event = protocol.events.find((candidate) =>
+          candidate.topic === log.topics[0] && candidate.userTopic === userTopic);
+        if (!event) continue;
+
+        matched.push({
+          network,
+          protocol: protocol.id,
+          type: event.type,
+          // Events without an asset topic are denominated in the contract's base asset
+          asset: event.assetTopic ? '0x' + log.topics[event.assetTopic].slice(-40) : contract,
+          amount: dataWord(log.data, event.amountWord),
+          blockNumber: typeof log.blockNumber === 'string' ? parseInt(log.blockNumber, 16) : log.blockNumber,
+          transactionHash: log.transactionHash,
+          offsetKey: event.offset ? `${log.transactionHash}:${contract}:${event.type}` : undefined
+        });
+      }
+    }
+
+    events.push(...applyOffsets(matched, offsets));
+  }
+
+  return events;
+}
+
+/**
+ * Count transfers between the wallet and registered lending contracts
+ * @param {Array} transfers - Transfers on one network
+ * @param {String} network - Network name
+ * @param {Object} registry - Loaded lending registry
+ * @returns {Object} - Protocol id -> number of transfers
+ */
+function findLendingInteractions(transfers, network, registry) {
+  const interactions = {};
+
+  for (const protocol of registry.protocols) {
+    const contracts = protocol.contracts[network];
+    if (!contracts) continue;
+
+    const count = transfers.filter((transfer) =>
+      contracts.includes((transfer.to || '').toLowerCase()) ||
+      contracts.includes((transfer.from || '').toLowerCase())
+    ).length;
+
+    if (count > 0) interactions[protocol.id] = count;
+  }
+
+  return interactions;
+}
+
+/**
+ * Summarise lending events into positions, repayment ratio and liquidations
+ * @param {Array} events - Output of fetchLendingEvents across networks
+ * @param {Object} interactions - Network -> protocol id -> transfer count
+ * @returns {Object} - Lending summary (amounts as decimal strings)
+ */
+function analyzeLending(events, interactions = {}) {
+  const positions = new Map();
+  const counts = { borrow: 0, repay: 0, liquidation: 0 };
+  const protocols = new Set();
+
+  for (const event of events) {
+    counts[event.type]++;
+    protocols.add(event.protocol);
+
+    const key = `${event.network}:${event.protocol}:${event.asset}`;
+    if (!positions.has(key)) {
+      positions.set(key, {
+        network: event.network,
+        protocol: event.protocol,
+        asset: event.asset,
+        borrowed: 0n,
+        repaid: 0n,
+        liquidated: 0n
+      });
+    }
+    const position = positions.get(key);
+    if (event.type === 'borrow') position.borrowed += event.amount;
+    if (event.type === 'repay') position.repaid += event.amount;
+    if (event.type === 'liquidation') position.liquidated += event.amount;
+  }
+
+  for (const networkInteractions of Object.values(interactions)) {
+    Object.keys(networkInteractions).forEach((protocol) => protocols.add(protocol));
+  }
+
+  // Repayment share per borrowed position; interest can push repaid above borrowed
+  const borrowedPositions = Array.from(positions.values()).filter((position) => position.borrowed > 0n);
+  const repayShares = borrowedPositions.map((position) => {
+    const share = Number(position.repaid * 10000n / position.borrowed) / 10000;
+    return Math.min(share, 1);
+  });
+
+  const summary = Array.from(positions.values()).map((position) => {
+    const outstanding = position.borrowed - position.repaid - position.liquidated;
+    return {
+      ...position,
+      borrowed: position.borrowed.toString(),
+      repaid: position.repaid.toString(),
+      liquidated: position.liquidated.toString(),
+      outstanding: (outstanding > 0n ? outstanding : 0n).toString()
+    };
+  });
+
+  return {
+    protocols: Array.from(protocols).sort(),
+    borrowCount: counts.borrow,
+    repayCount: counts.repay,
+    liquidationCount: counts.liquidation,
+    repayRatio: repayShares.length > 0 ? repayShares.reduce((sum, share) => sum + share, 0) / repayShares.length : null,
+    openPositions: summary.filter((position) => position.outstanding !== '0').length,
+    positions: summary,
+    interactions
+  };
+}
+
+module.exports = {
+  loadLendingRegistry,
+  fetchLendingEvents,
+  findLendingInteractions,
+  analyzeLending,
+  addressTopic
+};
@@ -0,0 +1,177 @@
+// Sybil and wash-activity detection
+// Flags farming patterns in a wallet's transfer history: transfers to itself,
+// ping-pong transfers with a small cluster of addresses, and bursts of
+// near-identical transfers in a short window. Each flag carries the score
+// penalty configured for it in the scoring model.
+
+const MINUTE_MS = 60 * 1000;
+
+// Default detector parameters; a model's `riskFlags` entry overrides them per flag
+const DEFAULT_RULES = {
+  SELF_TRANSFERS: {
+    penalty: 30,
+    minCount: 3,
+    minRatio: 0.1
+  },
+  PING_PONG: {
+    penalty: 50,
+    minRoundTrips: 3,
+    maxClusterSize: 3,
+    minShare: 0.5
+  },
+  TX_BURST: {
+    penalty: 40,
+    windowMinutes: 60,
+    minCount: 10
+  }
+};
+
+const DESCRIPTIONS = {
+  SELF_TRANSFERS: 'Wallet repeatedly transfers to itself',
+  PING_PONG: 'Most activity bounces back and forth with a small cluster of addresses',
+  TX_BURST: 'Burst of near-identical transfers in a short window'
+};
+
+const lower = (address) => (address || '').toLowerCase();
+
+/**
+ * Detect transfers from the wallet to itself
+ * @param {Array} transfers - Transfers
+ * @param {String} wallet - Lower-cased wallet address
+ * @param {Object} rule - { minCount, minRatio }
+ * @returns {Object|null} - Evidence, or null if not flagged
+ */
+function detectSelfTransfers(transfers, wallet, rule) {
+  const selfCount = transfers.filter((t) => lower(t.from) === wallet && lower(t.to) === wallet).length;
+  const ratio = transfers.length > 0 ? selfCount / transfers.length : 0;
+
+  if (selfCount >= rule.minCount && ratio >= rule.minRatio) {
+    return { count: selfCount, ratio };
+  }
+  return null;
+}
+
+/**
+ * Detect round trips concentrated on a small cluster of counterparties
+ * @param {Array} transfers - Transfers
+ * @param {String} wallet - Lower-cased wallet address
+ * @param {Object} rule - { minRoundTrips, maxClusterSize, minShare }
+ * @returns {Object|null} - Evidence, or null if not flagged
+ */
+function detectPingPong(transfers, wallet, rule) {
+  const flows = new Map();
+  let counterpartyTransfers = 0;
+
+  for (const transfer of transfers) {
+    const from = lower(transfer.from);
+    const to = lower(transfer.to);
+    if (from === to) continue;
+
+    const counterparty = from === wallet ? to : from;
+    if (!counterparty) continue;
+
+    const flow = flows.get(counterparty) || { sent: 0, received: 0 };
+    if (from === wallet) flow.sent++;
+    else flow.received++;
+    flows.set(counterparty, flow);
+    counterpartyTransfers++;
+  }
+
+  const cluster = [];
+  let clusterTransfers = 0;
+  for (const [counterparty, flow] of flows) {
+    if (Math.min(flow.sent, flow.received) >= rule.minRoundTrips) {
+      cluster.push(counterparty);
+      clusterTransfers += flow.sent + flow.received;
+    }
+  }
+
+  const share = counterpartyTransfers > 0 ? clusterTransfers / counterpartyTransfers : 0;
+  if (cluster.length > 0 && cluster.length <= rule.maxClusterSize && share >= rule.minShare) {
+    return { cluster, share };
+  }
+  return null;
+}
+
+/**
+ * Detect many near-identical outgoing transfers inside a short window
+ * @param {Array} transfers - Transfers
+ * @param {String} wallet - Lower-cased wallet address
+ * @param {Object} rule - { windowMinutes, minCount }
+ * @returns {Object|null} - Evidence for the largest burst, or null if not flagged
+ */
+function detectBursts(transfers, wallet, rule) {
+  const groups = new Map();
+
+  for (const transfer of transfers) {
+    if (lower(transfer.from) !== wallet) continue;
+    const blockTimestamp = transfer.metadata && transfer.metadata.blockTimestamp;
+    if (!blockTimestamp) continue;
+
+    // Same recipient, asset and (roughly) the same amount
+    const value = typeof transfer.value === 'number' ? transfer.value.toPrecision(3) : 'n/a';
+    const key = `${lower(transfer.to)}|${transfer.asset || transfer.category}|${value}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(new Date(blockTimestamp).getTime());
+  }
+
+  const windowMs = rule.windowMinutes * MINUTE_MS;
+  let largest = null;
+
+  for (const [key, times] of groups) {
+    times.sort((a, b) => a - b);
+    let start = 0;
+    for (let end = 0; end < times.length; end++) {
+      while (times[end] - times[start] > windowMs) start++;
+      const count = end - start + 1;
+      if (!largest || count > largest.count) {
+        const [counterparty, asset] = key.split('|');
+        largest = { count, counterparty, asset, startedAt: new Date(times[start]).toISOString() };
+      }
+    }
+  }
+
+  if (largest && largest.count >= rule.minCount) {
+    return { ...largest, windowMinutes: rule.windowMinutes };
+  }
+  return null;
+}
+
+const DETECTORS = {
+  SELF_TRANSFERS: detectSelfTransfers,
+  PING_PONG: detectPingPong,
+  TX_BURST: detectBursts
+};
+
+/**
+ * Run the detectors a model enables and return the raised risk flags
+ * @param {Array} transfers - Transfers across all networks
+ * @param {String} walletAddress - Wallet the transfers belong to
+ * @param {Object} config - Model `riskFlags` ({ FLAG_CODE: { penalty, ...params } })
+ * @returns {Array} - [{ code, description, penalty, evidence }]
+ */
+function detectRiskFlags(transfers, walletAddress, config) {
+  const wallet = lower(walletAddress);
+  const flags = [];
+
+  for (const [code, overrides] of Object.entries(config || {})) {
+    const rule = { ...DEFAULT_RULES[code], ...overrides };
+    if (rule.enabled === false) continue;
+
+    const evidence = DETECTORS[code](transfers, wallet, rule);
+    if (evidence) {
+      flags.push({ code, description: DESCRIPTIONS[code], penalty: rule.penalty, evidence });
+    }
+  }
+
+  // Largest penalty first
+  return flags.sort((a, b) => b.penalty - a.penalty);
+}
+
+module.exports = {
+  detectRiskFlags,
+  detectSelfTransfers,
+  detectPingPong,
+  detectBursts,
+  RISK_FLAG_CODES: Object.keys(DETECTORS)
+};
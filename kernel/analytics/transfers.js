@@ -0,0 +1,170 @@
+// Transfer history analytics
+// Pages through a wallet's asset transfers in both directions and derives
+// volume, counterparties, active months, recency and dormancy from them.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Categories whose `value` is denominated in the chain's native asset
+const NATIVE_CATEGORIES = ['external', 'internal'];
+
+/**
+ * Identity of a transfer, for deduplicating transfers seen from both sides
+ * @param {Object} transfer - Alchemy-style transfer
+ * @returns {String}
+ */
+function transferKey(transfer) {
+  return `${transfer.uniqueId || transfer.hash}:${transfer.category}:${transfer.from}:${transfer.to}`;
+}
+
+/**
+ * Page through transfers sent from or received by a wallet on one network
+ * @param {Object} provider - Chain data provider
+ * @param {String} network - Network name
+ * @param {String} walletAddress - Wallet address
+ * @param {Object} options - { categories, maxPages, pageSize }
+ * @returns {Promise<Object>} - { transfers, truncated }
+ */
+async function fetchTransferHistory(provider, network, walletAddress, options) {
+  const transfers = [];
+  const seen = new Set();
+  let truncated = false;
+
+  for (const direction of ['fromAddress', 'toAddress']) {
+    let pageKey;
+    let pages = 0;
+
+    do {
+      const page = await provider.getAssetTransfers({
+        [direction]: walletAddress,
+        category: options.categories,
+        maxCount: options.pageSize,
+        // Newest first, so a capped history still reflects recent activity
+        order: 'desc',
+        pageKey
+      });
+
+      for (const transfer of page.transfers || []) {
+        // Self-transfers come back in both directions; keep one copy
+        const key = transferKey(transfer);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        transfers.push(transfer);
+      }
+
+      pageKey = page.pageKey;
+      pages++;
+    } while (pageKey && pages < options.maxPages);
+
+    if (pageKey) truncated = true;
+  }
+
+  return { transfers, truncated };
+}
+
+/**
+ * Derive activity metrics from a list of transfers
+ * @param {Array} transfers - Alchemy-style transfers
+ * @param {String} walletAddress - Wallet the transfers belong to
+ * @param {Number} now - Reference time in milliseconds
+ * @returns {Object} - History metrics
+ */
+function analyzeTransfers(transfers, walletAddress, now = Date.now()) {
+  const wallet = walletAddress.toLowerCase();
+  const counterparties = new Set();
+  const months = new Set();
+  const timestamps = [];
+  let nativeVolume = 0;
+  let outgoing = 0;
+  let incoming = 0;
+
+  for (const transfer of transfers) {
+    const from = (transfer.from || '').toLowerCase();
+    const to = (transfer.to || '').toLowerCase();
+
+    if (from === wallet) outgoing++;
+    if (to === wallet) incoming++;
+
+    const counterparty = from === wallet ? to : from;
+    if (counterparty && counterparty !== wallet) {
+      counterparties.add(counterparty);
+    }
+
+    if (NATIVE_CATEGORIES.includes(transfer.category) && typeof transfer.value === 'number') {
+      nativeVolume += transfer.value;
+    }
+
+    const blockTimestamp = transfer.metadata && transfer.metadata.blockTimestamp;
+    if (blockTimestamp) {
+      const time = new Date(blockTimestamp).getTime();
+      if (!Number.isNaN(time)) {
+        timestamps.push(time);
+        months.add(new Date(time).toISOString().slice(0, 7));
+      }
+    }
+  }
+
+  timestamps.sort((a, b) => a - b);
+
+  // Longest gap between consecutive transfers; time since the last one is reported separately
+  let longestDormancyDays = 0;
+  for (let i = 1; i < timestamps.length; i++) {
+    longestDormancyDays = Math.max(longestDormancyDays, (timestamps[i] - timestamps[i - 1]) / DAY_MS);
+  }
+  const lastActivityAt = timestamps.length > 0 ? timestamps[timestamps.length - 1] : null;
+  const daysSinceLastActivity = lastActivityAt ? (now - lastActivityAt) / DAY_MS : null;
+
+  return {
+    transferCount: transfers.length,
+    outgoing,
+    incoming,
+    nativeVolume,
+    uniqueCounterparties: counterparties.size,
+    activeMonths: months.size,
+    firstTransferAt: timestamps.length > 0 ? timestamps[0] : null,
+    lastActivityAt,
+    daysSinceLastActivity: daysSinceLastActivity === null ? null : Math.floor(daysSinceLastActivity),
+    longestDormancyDays: Math.floor(longestDormancyDays)
+  };
+}
+
+/**
+ * Combine per-network metrics into one cross-chain summary
+ * @param {Object} perNetwork - Network name -> { metrics, transfers }
+ * @param {String} walletAddress - Wallet the transfers belong to
+ * @param {Number} now - Reference time in milliseconds
+ * @returns {Object} - Aggregate metrics plus per-network native volume
+ */
+function aggregateHistory(perNetwork, walletAddress, now = Date.now()) {
+  const allTransfers = [];
+  const nativeVolumeByNetwork = {};
+
+  for (const [network, entry] of Object.entries(perNetwork)) {
+    allTransfers.push(...entry.transfers);
+    nativeVolumeByNetwork[network] = entry.metrics.nativeVolume;
+  }
+
+  const combined = analyzeTransfers(allTransfers, walletAddress, now);
+  return { ...combined, nativeVolumeByNetwork };
+}
+
+/**
+ * Format metric timestamps as ISO strings for API output
+ * @param {Object} metrics - Output of analyzeTransfers or aggregateHistory
+ * @returns {Object} - Metrics with ISO timestamps
+ */
+function serializeHistory(metrics) {
+  if (!metrics) return null;
+  return {
+    ...metrics,
+    firstTransferAt: metrics.firstTransferAt ? new Date(metrics.firstTransferAt).toISOString() : null,
+    lastActivityAt: metrics.lastActivityAt ? new Date(metrics.lastActivityAt).toISOString() : null
+  };
+}
+
+module.exports = {
+  fetchTransferHistory,
+  analyzeTransfers,
+  aggregateHistory,
+  serializeHistory,
+  transferKey
+};
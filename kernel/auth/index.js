@@ -0,0 +1,14 @@
+// API key authentication
+// Off unless API_KEYS_FILE points at a key store (see keyStore.js for the format). With
+// keys, every scoring route needs an X-API-Key header (or Authorization: Bearer <key>), or a
+// browser Origin listed by a keyless entry, and is held to that entry's rate limit, daily quota,
+// pass threshold, networks and CORS origins.
+
+const { createKeyStore, hashKey } = require('./keyStore');
+const { createUsageLimiter } = require('./usage');
+
+module.exports = {
+  createKeyStore,
+  createUsageLimiter,
+  hashKey
+};
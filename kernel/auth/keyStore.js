@@ -0,0 +1,213 @@
+// API key store
+// Keys live in a JSON or YAML file (API_KEYS_FILE) so several partner teams can share one
+// deployment, each with its own limits and policies:
+//
+//   defaults:                       (applied to every key that doesn't set its own)
+//     rateLimit: { requests: 60, windowSeconds: 60 }
+//     dailyQuota: 10000             (scored wallets per UTC day; a batch counts each address)
+//   keys:
+//     - id: partner-a               (reported in logs and metrics; never the key itself)
+//       keyHash: <sha256 hex>       (or `key: <plain key>` for local setups)
+//       rateLimit: { requests: 120, windowSeconds: 60 }
+//       dailyQuota: 50000
+//       passThreshold: 650          (overrides PASS_THRESHOLD for this client's scores)
+//       networks: [ethereum, base]  (networks this client may score on; all when omitted)
+//       corsOrigins: [https://app.partner-a.xyz]
+//       disabled: false
+//     - id: website
+//       keyless: true               (no key: serves key-less requests from its corsOrigins, for a
+//       corsOrigins: [https://app.example]   public frontend that can't keep a key secret)
+//       rateLimit: { requests: 30, windowSeconds: 60 }
+//       dailyQuota: 2000
+//
+// A keyless entry's limits are shared by everyone calling without a key from its origins. Only
+// browsers are held to the Origin header, so keep those limits tight; such clients can't register
+// webhooks either.
+//
+// Send SIGHUP to pick up an edited key file without a restart.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { logger } = require('../lib/logger');
+
+/**
+ * SHA-256 of an API key, as stored in keyHash
+ * @param {String} key - Plain API key
+ * @returns {String} - Hex digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Check one key entry and fill in the defaults
+ * @param {Object} entry - Parsed key entry
+ * @param {Object} defaults - { rateLimit, dailyQuota }
+ * @param {Array} networks - Known network names
+ * @param {String} file - Source file, for error messages
+ * @returns {Object} - Client policy ({ id, keyHash, keyless, rateLimit, dailyQuota, passThreshold, networks,
+ *   corsOrigins, disabled })
+ */
+function validateKey(entry, defaults, networks, file) {
+  if (!entry || typeof entry.id !== 'string' || !entry.id) {
+    throw new Error(`${file}: every key needs a string "id"`);
+  }
+  const where = `${file}: key "${entry.id}"`;
+
+  const keyless = entry.keyless === true;
+  if (keyless && (entry.key || entry.keyHash)) {
+    throw new Error(`${where} is keyless and can't have a "key" or "keyHash"`);
+  }
+  if (keyless && (!Array.isArray(entry.corsOrigins) || entry.corsOrigins.length === 0)) {
+    throw new Error(`${where} is keyless and needs the "corsOrigins" it serves`);
+  }
+  if (!keyless && !entry.key && !/^[0-9a-f]{64}$/i.test(entry.keyHash || '')) {
+    throw new Error(`${where} needs a "key" or a SHA-256 "keyHash"`);
+  }
+
+  const rateLimit = entry.rateLimit || defaults.rateLimit || null;
+  if (rateLimit && (!isPositiveInteger(rateLimit.requests) || !isPositiveInteger(rateLimit.windowSeconds))) {
+    throw new Error(`${where}: rateLimit needs positive integer "requests" and "windowSeconds"`);
+  }
+
+  const dailyQuota = entry.dailyQuota ?? defaults.dailyQuota ?? null;
+  if (dailyQuota !== null && !isPositiveInteger(dailyQuota)) {
+    throw new Error(`${where}: dailyQuota must be a positive integer`);
+  }
+
+  if (entry.passThreshold !== undefined && (typeof entry.passThreshold !== 'number' || entry.passThreshold < 0)) {
+    throw new Error(`${where}: passThreshold must be a non-negative number`);
+  }
+
+  if (entry.networks !== undefined) {
+    if (!Array.isArray(entry.networks) || entry.networks.length === 0) {
+      throw new Error(`${where}: networks must be a non-empty list`);
+    }
+    const unknown = entry.networks.filter((network) => !networks.includes(network));
+    if (unknown.length > 0) {
+      throw new Error(`${where}: unknown networks ${unknown.join(', ')}`);
+    }
+  }
+
+  if (entry.corsOrigins !== undefined && !Array.isArray(entry.corsOrigins)) {
+    throw new Error(`${where}: corsOrigins must be a list`);
+  }
+
+  return {
+    id: entry.id,
+    keyHash: keyless ? null : (entry.keyHash || hashKey(entry.key)).toLowerCase(),
+    keyless,
+    rateLimit,
+    dailyQuota,
+    passThreshold: entry.passThreshold ?? null,
+    networks: entry.networks || null,
+    corsOrigins: entry.corsOrigins || [],
+    disabled: entry.disabled === true
+  };
+}
+
+/**
+ * Read and validate a key store file
+ * @param {String} file - JSON or YAML file
+ * @param {Array} networks - Known network names
+ * @returns {Map} - Key hash (`keyless:<id>` for keyless entries) -> client policy
+ */
+function loadKeys(file, networks) {
+  const parsed = yaml.load(fs.readFileSync(file, 'utf8'));
+  if (!parsed || !Array.isArray(parsed.keys)) {
+    throw new Error(`${file}: expected a "keys" list`);
+  }
+
+  const keys = new Map();
+  const ids = new Set();
+  for (const entry of parsed.keys) {
+    const client = validateKey(entry, parsed.defaults || {}, networks, file);
+    if (ids.has(client.id)) {
+      throw new Error(`${file}: duplicate key id "${client.id}"`);
+    }
+    if (client.keyHash && keys.has(client.keyHash)) {
+      throw new Error(`${file}: key "${client.id}" reuses another key`);
+    }
+    ids.add(client.id);
+    keys.set(client.keyless ? `keyless:${client.id}` : client.keyHash, client);
+  }
+  return keys;
+}
+
+/**
+ * Create the API key store
+ * @param {Object} options - { file (key store file), networks (known network names) }
+ * @returns {Object} - { authenticate(key), forOrigin(origin), client(id), origins(), size, reload() }
+ */
+function createKeyStore(options) {
+  let keys = loadKeys(options.file, options.networks);
+
+  return {
+    get size() {
+      return keys.size;
+    },
+
+    /**
+     * Client policy of an API key
+     * @param {String} key - Key sent by the caller
+     * @returns {Object|null} - Client policy, or null for unknown and disabled keys
+     */
+    authenticate(key) {
+      if (!key) return null;
+      const client = keys.get(hashKey(key));
+      return client && !client.disabled ? client : null;
+    },
+
+    /**
+     * Keyless client serving requests from an origin
+     * @param {String} origin - Origin header of a request without an API key
+     * @returns {Object|null} - Client policy, or null if no enabled keyless entry lists the origin
+     */
+    forOrigin(origin) {
+      if (!origin) return null;
+      return Array.from(keys.values())
+        .find((client) => client.keyless && !client.disabled && client.corsOrigins.includes(origin)) || null;
+    },
+
+    /**
+     * Client policy of a key id, for work done on a client's behalf outside a request
+     * @param {String} id - Key id
+     * @returns {Object|null} - Client policy, or null for unknown and disabled keys
+     */
+    client(id) {
+      const client = Array.from(keys.values()).find((entry) => entry.id === id);
+      return client && !client.disabled ? client : null;
+    },
+
+    /**
+     * CORS origins of every enabled key (preflight requests carry no API key)
+     * @returns {Array}
+     */
+    origins() {
+      return Array.from(keys.values()).filter((client) => !client.disabled).flatMap((client) => client.corsOrigins);
+    },
+
+    /**
+     * Re-read the key file; keeps the current keys if the new file is invalid
+     * @returns {Boolean} - True if the reload succeeded
+     */
+    reload() {
+      try {
+        keys = loadKeys(options.file, options.networks);
+        logger.info('Reloaded API keys', { count: keys.size });
+        return true;
+      } catch (error) {
+        logger.error('Failed to reload API keys, keeping the previous set', { error });
+        return false;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createKeyStore,
+  hashKey
+};
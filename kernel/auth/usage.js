@@ -0,0 +1,83 @@
+// Per-client rate limits and daily quotas
+// Each API key gets a fixed-window request rate limit and a quota of scored wallets per
+// UTC day. A request is checked against both before anything is counted, so a refused
+// request doesn't use up the client's allowance. Counters are kept in memory, per
+// kernel instance.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create the usage limiter
+ * @param {Object} options - { now (clock, for tests) }
+ * @returns {Object} - { consume(client, cost) }
+ */
+function createUsageLimiter(options = {}) {
+  const now = options.now || Date.now;
+  // Client id -> { windowStart, requests, day, used }
+  const usage = new Map();
+
+  const usageFor = (client, time) => {
+    const windowMs = client.rateLimit ? client.rateLimit.windowSeconds * 1000 : 0;
+    const windowStart = windowMs ? Math.floor(time / windowMs) * windowMs : 0;
+    const day = Math.floor(time / DAY_MS) * DAY_MS;
+
+    const entry = usage.get(client.id) || { windowStart, requests: 0, day, used: 0 };
+    if (entry.windowStart !== windowStart) {
+      entry.windowStart = windowStart;
+      entry.requests = 0;
+    }
+    if (entry.day !== day) {
+      entry.day = day;
+      entry.used = 0;
+    }
+    usage.set(client.id, entry);
+    return { entry, windowEnd: windowStart + windowMs, dayEnd: day + DAY_MS };
+  };
+
+  return {
+    /**
+     * Count one request against a client's rate limit and `cost` wallets against its daily quota
+     * @param {Object} client - Client policy from the key store
+     * @param {Number} cost - Wallets the request scores (1, or the size of a batch)
+     * @returns {Object} - { allowed, reason ('rate-limit' | 'daily-quota' | null), retryAfterSeconds,
+     *   rateLimit: { limit, remaining, resetAt } | null, quota: { limit, remaining, resetAt } | null }
+     */
+    consume(client, cost = 1) {
+      const time = now();
+      const { entry, windowEnd, dayEnd } = usageFor(client, time);
+
+      let reason = null;
+      let retryAt = null;
+      if (client.rateLimit && entry.requests + 1 > client.rateLimit.requests) {
+        reason = 'rate-limit';
+        retryAt = windowEnd;
+      } else if (client.dailyQuota !== null && entry.used + cost > client.dailyQuota) {
+        reason = 'daily-quota';
+        retryAt = dayEnd;
+      }
+
+      if (!reason) {
+        entry.requests += 1;
+        entry.used += cost;
+      }
+
+      return {
+        allowed: !reason,
+        reason,
+        retryAfterSeconds: retryAt ? Math.max(Math.ceil((retryAt - time) / 1000), 1) : null,
+        rateLimit: client.rateLimit ? {
+          limit: client.rateLimit.requests,
+          remaining: Math.max(client.rateLimit.requests - entry.requests, 0),
+          resetAt: windowEnd
+        } : null,
+        quota: client.dailyQuota !== null ? {
+          limit: client.dailyQuota,
+          remaining: Math.max(client.dailyQuota - entry.used, 0),
+          resetAt: dayEnd
+        } : null
+      };
+    }
+  };
+}
+
+module.exports = { createUsageLimiter };
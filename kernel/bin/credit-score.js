@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+// credit-score: score wallets from the command line with the kernel's scoring pipeline
+// (see cli/index.js; `credit-score --help` for usage)
+
+require('dotenv').config();
+// Info log lines go to stdout, where they would mix with the scores; LOG_LEVEL still overrides
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+// Scores computed here aren't recorded in the server's score history unless asked to
+process.env.SCORE_HISTORY_BACKEND = process.env.SCORE_HISTORY_BACKEND || 'off';
+
+const { run } = require('../cli');
+
+run({ argv: process.argv.slice(2) }).then((code) => {
+  // Provider clients may keep sockets open; flush stdout and exit once everything is written
+  process.stdout.write('', () => process.exit(code));
+});
@@ -0,0 +1,134 @@
+// Score cache
+// Caches wallet scores for a TTL and keeps serving them for a further stale window
+// while a single background refresh runs (stale-while-revalidate). Concurrent
+// requests for the same key share one upstream computation. Values the caller doesn't
+// want kept (shouldStore) are returned but never written, so they can't replace a good
+// entry or be served as a hit later.
+
+const { createMemoryStore } = require('./memory');
+const { createRedisStore } = require('./redis');
+const { logger } = require('../lib/logger');
+
+/**
+ * Create a score cache on top of a cache store
+ * @param {Object} options - { store, ttlMs, staleMs }
+ * @returns {Object} - Score cache
+ */
+function createScoreCache(options) {
+  const store = options.store;
+  const ttlMs = options.ttlMs;
+  const staleMs = options.staleMs || 0;
+  const inFlight = new Map();
+
+  // Compute once per key, even if several requests arrive together
+  const compute = (key, producer, shouldStore) => {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const promise = (async () => {
+      try {
+        const value = await producer();
+        if (store && (!shouldStore || shouldStore(value))) {
+          try {
+            await store.set(key, { value, storedAt: Date.now() }, ttlMs + staleMs);
+          } catch (error) {
+            logger.error('Failed to write cache entry', { key, error: error.message });
+          }
+        }
+        return value;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+
+    inFlight.set(key, promise);
+    return promise;
+  };
+
+  return {
+    enabled: Boolean(store),
+    ttlMs,
+    staleMs,
+
+    /**
+     * Return the cached value for a key, computing it when missing or bypassed
+     * @param {String} key - Cache key
+     * @param {Function} producer - Async function computing a fresh value
+     * @param {Object} options - { bypass, shouldStore (called with a computed value; return false
+     *   to leave it out of the cache) }
+     * @returns {Promise<Object>} - { value, cache: 'hit' | 'stale' | 'miss' | 'bypass', storedAt }
+     */
+    async getOrCompute(key, producer, { bypass = false, shouldStore = null } = {}) {
+      if (!store) {
+        return { value: await producer(), cache: 'bypass', storedAt: Date.now() };
+      }
+
+      if (bypass) {
+        return { value: await compute(key, producer, shouldStore), cache: 'bypass', storedAt: Date.now() };
+      }
+
+      let entry = null;
+      try {
+        entry = await store.get(key);
+      } catch (error) {
+        logger.error('Failed to read cache entry', { key, error: error.message });
+      }
+
+      if (entry) {
+        const age = Date.now() - entry.storedAt;
+        if (age < ttlMs) {
+          return { value: entry.value, cache: 'hit', storedAt: entry.storedAt };
+        }
+        if (age < ttlMs + staleMs) {
+          // Serve the stale value and refresh in the background
+          compute(key, producer, shouldStore).catch((error) => {
+            logger.error('Background refresh failed', { key, error: error.message });
+          });
+          return { value: entry.value, cache: 'stale', storedAt: entry.storedAt };
+        }
+      }
+
+      return { value: await compute(key, producer, shouldStore), cache: 'miss', storedAt: Date.now() };
+    },
+
+    async invalidate(key) {
+      if (store) await store.delete(key);
+    }
+  };
+}
+
+/**
+ * Create the cache store selected by CACHE_BACKEND (memory, redis or off)
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - Cache store, or null when caching is off
+ */
+function createStoreFromEnv(env) {
+  const backend = (env.CACHE_BACKEND || 'memory').toLowerCase();
+
+  if (backend === 'off' || backend === 'none') {
+    return null;
+  }
+
+  if (backend === 'redis') {
+    if (!env.CACHE_REDIS_URL) {
+      throw new Error('CACHE_BACKEND=redis requires CACHE_REDIS_URL');
+    }
+    // ioredis is optional and only needed for this backend
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') throw error;
+      throw new Error('CACHE_BACKEND=redis needs the ioredis package: run `npm install ioredis`');
+    }
+    return createRedisStore(new Redis(env.CACHE_REDIS_URL), { prefix: env.CACHE_REDIS_PREFIX });
+  }
+
+  return createMemoryStore({ maxEntries: parseInt(env.CACHE_MAX_ENTRIES || '10000') });
+}
+
+module.exports = {
+  createScoreCache,
+  createStoreFromEnv,
+  createMemoryStore,
+  createRedisStore
+};
@@ -0,0 +1,47 @@
+// In-memory cache store
+// Default store for a single kernel instance. Entries expire after their TTL and
+// the oldest entries are evicted once the store is full.
+
+/**
+ * Create an in-memory cache store
+ * @param {Object} options - { maxEntries }
+ * @returns {Object} - Cache store ({ get, set, delete, clear })
+ */
+function createMemoryStore(options = {}) {
+  const maxEntries = options.maxEntries || 10000;
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      // Re-inserting moves the key to the end of the Map's insertion order
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
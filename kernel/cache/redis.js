@@ -0,0 +1,47 @@
+// Redis-compatible cache store
+// Wraps any client exposing get/set/del (ioredis, node-redis v4 or a compatible
+// server such as Valkey or KeyDB) so several kernel instances can share one cache.
+
+/**
+ * Create a cache store backed by a Redis-compatible client
+ * @param {Object} client - Connected client with get(key), set(key, value, ...) and del(key)
+ * @param {Object} options - { prefix }
+ * @returns {Object} - Cache store ({ get, set, delete, clear })
+ */
+function createRedisStore(client, options = {}) {
+  if (!client || typeof client.get !== 'function' || typeof client.set !== 'function') {
+    throw new Error('Redis cache store needs a client with get() and set()');
+  }
+
+  const prefix = options.prefix || 'credit-score:';
+  // node-redis v4 takes an options object, ioredis takes positional arguments
+  const usesOptionsObject = typeof client.setEx === 'function';
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async set(key, value, ttlMs) {
+      const raw = JSON.stringify(value);
+      if (usesOptionsObject) {
+        await client.set(prefix + key, raw, { PX: ttlMs });
+      } else {
+        await client.set(prefix + key, raw, 'PX', ttlMs);
+      }
+    },
+
+    async delete(key) {
+      await client.del(prefix + key);
+    },
+
+    async clear() {
+      // Shared servers are never flushed; entries simply expire
+    }
+  };
+}
+
+module.exports = { createRedisStore };
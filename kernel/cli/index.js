@@ -0,0 +1,387 @@
+// Command-line scoring
+// `credit-score` scores wallets through the same pipeline as the HTTP API (config/kernel.js)
+// without starting the server: one address with a readable or JSON breakdown, or a list of
+// addresses (CSV with an address column, or one address per line) written out as CSV or JSONL.
+//
+// Long runs can be resumed: each wallet whose row has been written is appended to a checkpoint
+// file (<output>.checkpoint by default), and --resume skips the wallets listed there. That
+// includes provisional scores (some networks unavailable, flagged in the provisional column)
+// and rows for invalid addresses. Wallets whose scoring failed outright for a transient reason
+// (deadline, upstream errors) get no row and are not checkpointed, so a resumed run retries
+// them. The checkpoint is removed once every wallet is done.
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { createKernelFromEnv } = require('../config/kernel');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { isValidWalletAddress } = require('../scoring/service');
+const { isWalletName } = require('../lib/names');
+
+const USAGE = `Usage:
+  credit-score <address|name> [--json] [--model <id>] [--networks <a,b>]
+  credit-score --input <file|-> [--output <file>] [--format csv|jsonl] [--concurrency <n>]
+               [--resume] [--checkpoint <file>] [--model <id>] [--networks <a,b>]
+
+Options:
+  -i, --input        CSV file with an address column (address, wallet_address or wallet; the
+                     first column otherwise), or one address per line; - reads stdin
+  -o, --output       File to write results to (stdout if omitted)
+  -f, --format       Single address: pretty (default) or json. List: csv (default) or jsonl;
+                     defaults to jsonl for .jsonl/.ndjson output files
+      --json         Same as --format json
+  -c, --concurrency  Wallets scored at once (default 5)
+      --resume       Skip the wallets listed in the checkpoint and append to the output
+      --checkpoint   Checkpoint file (default <output>.checkpoint)
+  -m, --model        Scoring model id (default SCORING_MODEL)
+  -n, --networks     Comma separated networks to score on (default all)
+  -h, --help         Show this help
+
+Configuration (providers, API keys, timeouts, ...) comes from the same environment variables
+and .env file as the kernel server.
+`;
+
+// Columns of CSV output, also the fields of each JSONL line
+const COLUMNS = [
+  'address', 'score', 'status', 'confidence', 'provisional', 'modelVersion', 'txCount',
+  'activeNetworks', 'accountAgeDays', 'failedNetworks', 'reasonCodes', 'error'
+];
+
+// Column names the address is read from in CSV input, in order of preference
+const ADDRESS_COLUMNS = ['address', 'wallet_address', 'wallet', 'walletaddress'];
+
+/**
+ * Error for bad command-line usage, which exits with code 2 rather than the 1 of a scoring failure
+ * @param {String} message - Error message
+ * @returns {Error} - Error with exitCode 2
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = 2;
+  return error;
+}
+
+/**
+ * Split one CSV line into fields (double-quoted fields may contain commas and "" escapes)
+ * @param {String} line - CSV line
+ * @returns {Array} - Field values
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map((value) => value.trim());
+}
+
+/**
+ * Addresses listed in a CSV file or a newline-delimited list, in order and without duplicates
+ * Blank lines and lines starting with # are skipped. A first line that names an address column
+ * is read as a CSV header; otherwise the first column holds the addresses.
+ * @param {String} content - File content
+ * @returns {Array} - Addresses (or names) to score
+ */
+function parseAddressList(content) {
+  const rows = content.split(/\r?\n/)
+    .filter((line) => line.trim() && !line.trim().startsWith('#'))
+    .map(splitCsvLine);
+  if (rows.length === 0) return [];
+
+  let column = 0;
+  const header = rows[0].map((name) => name.toLowerCase());
+  const named = ADDRESS_COLUMNS.find((name) => header.includes(name));
+  if (named) {
+    column = header.indexOf(named);
+    rows.shift();
+  } else if (!isValidWalletAddress(rows[0][0]) && !isWalletName(rows[0][0])) {
+    // A header without a known address column
+    rows.shift();
+  }
+
+  return Array.from(new Set(rows.map((row) => row[column]).filter(Boolean)));
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {String}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flat output row for a scored wallet, or for one that couldn't be scored
+ * @param {String} address - Address (or name) as listed in the input
+ * @param {Object} report - Score report (summary detail), or null
+ * @param {Error} error - Scoring error, if the wallet couldn't be scored
+ * @returns {Object} - One value per COLUMNS entry
+ */
+function resultRow(address, report, error = null) {
+  if (!report) {
+    return Object.fromEntries(COLUMNS.map((column) => [column, null]).concat([['address', address], ['error', error.message]]));
+  }
+  return {
+    address,
+    score: report.score,
+    status: report.status,
+    confidence: report.confidence,
+    provisional: report.provisional,
+    modelVersion: report.modelVersion,
+    txCount: report.txCount,
+    activeNetworks: report.activeNetworks,
+    accountAgeDays: report.accountAge ? report.accountAge.days : null,
+    failedNetworks: [...report.failedNetworks, ...report.timedOutNetworks].join(';'),
+    reasonCodes: (report.reasonCodes || []).map((reason) => reason.code).join(';'),
+    error: null
+  };
+}
+
+/**
+ * Readable breakdown of a full score report
+ * @param {Object} report - Score report (full detail)
+ * @returns {String}
+ */
+function formatReport(report) {
+  const lines = [];
+  const row = (label, value) => lines.push(`${label.padEnd(14)}${value}`);
+  const age = report.accountAge;
+
+  row('Wallet', report.name ? `${report.name} (${report.walletAddress})` : report.walletAddress);
+  row('Score', `${report.score} ${report.status} (pass threshold ${report.passThreshold})`);
+  row('Model', report.modelVersion);
+  row('Confidence', report.provisional ? `${report.confidence} (provisional)` : report.confidence);
+  row('Transactions', `${report.txCount} on ${report.activeNetworks} network${report.activeNetworks === 1 ? '' : 's'}`);
+  row('Account age', age && age.days !== null ? `${age.days} days (${age.source}${age.network ? `, ${age.network}` : ''})` : 'unknown');
+  if (report.riskPenalty) row('Risk penalty', `-${report.riskPenalty}`);
+
+  lines.push('', 'Components');
+  for (const [name, value] of Object.entries(report.components)) {
+    if (value !== null && value !== undefined) lines.push(`  ${name.padEnd(16)}${value.toFixed(2)}`);
+  }
+
+  lines.push('', 'Networks');
+  for (const [network, details] of Object.entries(report.networks)) {
+    const count = details.status === 'ok' ? `${details.count} tx` : '-';
+    lines.push(`  ${network.padEnd(12)}${details.status.padEnd(14)}${count.padEnd(10)}${details.provider || ''}`);
+  }
+
+  if (report.reasonCodes && report.reasonCodes.length > 0) {
+    lines.push('', 'Reasons');
+    for (const reason of report.reasonCodes) {
+      lines.push(`  ${reason.code.padEnd(28)}${reason.pointsLost ? `-${reason.pointsLost}` : ''}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse the command line
+ * @param {Array} argv - Arguments, without node and the script
+ * @returns {Object} - { address, input, output, format, concurrency, resume, checkpoint, model, networks, help }
+ */
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        input: { type: 'string', short: 'i' },
+        output: { type: 'string', short: 'o' },
+        format: { type: 'string', short: 'f' },
+        json: { type: 'boolean' },
+        concurrency: { type: 'string', short: 'c' },
+        resume: { type: 'boolean' },
+        checkpoint: { type: 'string' },
+        model: { type: 'string', short: 'm' },
+        networks: { type: 'string', short: 'n' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  if (positionals.length > 1) throw usageError('Score one address, or a list with --input');
+  if (positionals.length === 1 && values.input) throw usageError('Give an address or --input, not both');
+  if (positionals.length === 0 && !values.input) throw usageError('Nothing to score');
+
+  const single = positionals.length === 1;
+  const output = values.output || null;
+  const format = values.json ? 'json' :
+    values.format || (single ? 'pretty' : (output && /\.(jsonl|ndjson)$/i.test(output) ? 'jsonl' : 'csv'));
+  const formats = single ? ['pretty', 'json'] : ['csv', 'jsonl'];
+  if (!formats.includes(format)) {
+    throw usageError(`--format must be ${formats.join(' or ')} ${single ? 'for one address' : 'for a list'}`);
+  }
+
+  const concurrency = values.concurrency !== undefined ? Number(values.concurrency) : 5;
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw usageError('--concurrency must be a positive integer');
+  if ((values.resume || values.checkpoint) && !output) throw usageError('--resume and --checkpoint need --output');
+
+  return {
+    address: single ? positionals[0] : null,
+    input: values.input || null,
+    output,
+    format,
+    concurrency,
+    resume: Boolean(values.resume),
+    checkpoint: values.checkpoint || (output ? `${output}.checkpoint` : null),
+    model: values.model,
+    networks: values.networks ? values.networks.split(',').map((network) => network.trim().toLowerCase()).filter(Boolean) : undefined
+  };
+}
+
+/**
+ * Wallets already done according to a checkpoint file
+ * @param {String} file - Checkpoint file
+ * @returns {Set}
+ */
+function readCheckpoint(file) {
+  if (!fs.existsSync(file)) return new Set();
+  return new Set(fs.readFileSync(file, 'utf8').split('\n').map((line) => line.trim()).filter(Boolean));
+}
+
+/**
+ * Score a list of wallets and write a row per wallet as each finishes
+ * @param {Object} scoringService - Scoring service
+ * @param {Object} options - Parsed command line
+ * @param {Object} io - { stdout, stderr }
+ * @returns {Promise<Number>} - Exit code
+ */
+async function scoreList(scoringService, options, io) {
+  let content;
+  try {
+    content = options.input === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(options.input, 'utf8');
+  } catch (error) {
+    throw usageError(`Cannot read ${options.input}: ${error.message}`);
+  }
+  const addresses = parseAddressList(content);
+
+  const done = options.resume ? readCheckpoint(options.checkpoint) : new Set();
+  const pending = addresses.filter((address) => !done.has(address));
+  const appending = options.resume && options.output && fs.existsSync(options.output) && fs.statSync(options.output).size > 0;
+
+  const write = (text) => {
+    if (options.output) fs.appendFileSync(options.output, text);
+    else io.stdout.write(text);
+  };
+  if (options.output && !appending) fs.writeFileSync(options.output, '');
+  if (options.checkpoint && !options.resume) fs.writeFileSync(options.checkpoint, '');
+  if (options.format === 'csv' && !appending) write(COLUMNS.join(',') + '\n');
+
+  if (done.size > 0) {
+    io.stderr.write(`Resuming: ${addresses.length - pending.length} of ${addresses.length} wallets already done\n`);
+  }
+
+  let scored = 0;
+  let retryable = 0;
+  const outcomes = await mapWithConcurrency(pending, options.concurrency, (address) => scoringService.scoreWallet(address, {
+    model: options.model,
+    networks: options.networks,
+    detail: 'summary'
+  }), (outcome, index) => {
+    const address = pending[index];
+    // Errors without a client status (timeouts, unavailable networks) may pass on a retry
+    if (outcome.error && (!outcome.error.statusCode || outcome.error.statusCode >= 500)) {
+      retryable++;
+      io.stderr.write(`${address}: ${outcome.error.message}\n`);
+    } else {
+      const row = resultRow(address, outcome.value || null, outcome.error);
+      write(options.format === 'csv' ?
+        COLUMNS.map((column) => csvField(row[column])).join(',') + '\n' :
+        JSON.stringify(row) + '\n');
+      if (options.checkpoint) fs.appendFileSync(options.checkpoint, `${address}\n`);
+    }
+    scored++;
+    if (io.stderr.isTTY) io.stderr.write(`\rScored ${scored}/${pending.length}`);
+  });
+  if (io.stderr.isTTY && pending.length > 0) io.stderr.write('\n');
+
+  const failed = outcomes.filter((outcome) => outcome.error).length;
+  io.stderr.write(`Scored ${pending.length - failed} of ${pending.length} wallets` +
+    `${failed > 0 ? ` (${failed} failed)` : ''}${options.output ? ` into ${options.output}` : ''}\n`);
+
+  if (retryable > 0) {
+    io.stderr.write(options.checkpoint ?
+      `${retryable} wallets can be retried with --resume\n` : `${retryable} wallets could not be scored\n`);
+    return 1;
+  }
+  if (options.checkpoint && fs.existsSync(options.checkpoint)) fs.unlinkSync(options.checkpoint);
+  return 0;
+}
+
+/**
+ * Run the command-line tool
+ * @param {Object} options - { argv (arguments without node and the script), env (environment
+ *   variables), stdout, stderr }
+ * @returns {Promise<Number>} - Exit code: 0 on success, 1 when wallets couldn't be scored, 2 on bad usage
+ *   (or an input file that can't be read)
+ */
+async function run({ argv, env = process.env, stdout = process.stdout, stderr = process.stderr }) {
+  let options;
+  try {
+    options = parseCommandLine(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  const kernel = createKernelFromEnv(env);
+  try {
+    if (options.input) {
+      return await scoreList(kernel.scoringService, options, { stdout, stderr });
+    }
+
+    const report = await kernel.scoringService.scoreWallet(options.address, {
+      model: options.model,
+      networks: options.networks,
+      detail: 'full'
+    });
+    stdout.write(options.format === 'json' ? JSON.stringify(report, null, 2) + '\n' : formatReport(report));
+    return 0;
+  } catch (error) {
+    stderr.write(`${error.message}${error.details && Object.keys(error.details).length > 0 ? ` ${JSON.stringify(error.details)}` : ''}\n`);
+    // Usage errors (an unreadable input file) exit with 2; anything else means wallets couldn't be scored
+    return error.exitCode || 1;
+  } finally {
+    kernel.scoreHistory.close();
+  }
+}
+
+module.exports = {
+  run,
+  parseCommandLine,
+  parseAddressList,
+  resultRow,
+  formatReport,
+  COLUMNS
+};
@@ -0,0 +1,138 @@
+// Kernel wiring
+// Builds the scoring pipeline (networks, models, cache, score history, upstream resilience,
+// name resolution, attestations and metrics around the scoring service) from environment
+// variables. The HTTP server (index.js) and the command-line tool (bin/credit-score.js)
+// both score through it, so they fetch and calculate scores the same way.
+
+const path = require('path');
+const { loadNetworkConfig } = require('./networks');
+const { createScoreCache, createStoreFromEnv } = require('../cache');
+const { createScoreHistory, createHistoryStoreFromEnv } = require('../history');
+const { createModelRegistry } = require('../scoring/models');
+const { createScoringService } = require('../scoring/service');
+const { loadLendingRegistry } = require('../analytics/lending');
+const { createResilience } = require('../lib/resilience');
+const { createNameResolver } = require('../lib/names');
+const { createAttester } = require('../lib/attestations');
+const { createKernelMetrics } = require('../lib/metrics');
+
+/**
+ * Create the scoring pipeline from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { networks, modelRegistry, scoreCache, scoreHistory, resilience, nameResolver,
+ *   attester, metrics, scoringService, settings: { requestDeadlineMs, deadlinePolicy, degradedPolicy, identity } }
+ */
+function createKernelFromEnv(env = process.env) {
+  // Networks to score and the chain data providers for each (see config/networks.js)
+  const networks = loadNetworkConfig(env);
+
+  // Request latency, upstream call latency and errors, score distribution and timestamp path
+  // counters, served in Prometheus format at GET /metrics
+  const metrics = createKernelMetrics({ maxScore: parseInt(env.MAX_SCORE || '850') });
+
+  // Scoring models (weights and thresholds) live in MODELS_DIR; SCORING_MODEL picks the default
+  // (v1, so existing callers keep their scores; newer models are opt-in per request or here)
+  const modelRegistry = createModelRegistry({
+    dir: env.MODELS_DIR || path.join(__dirname, '..', 'models'),
+    defaultModelId: env.SCORING_MODEL || 'v1'
+  });
+
+  // Cache scores per wallet and scoring model; KRNL nodes often retry the same call
+  const scoreCache = createScoreCache({
+    store: createStoreFromEnv(env),
+    ttlMs: parseInt(env.CACHE_TTL_SECONDS || '300') * 1000,
+    staleMs: parseInt(env.CACHE_STALE_SECONDS || '3600') * 1000
+  });
+
+  // Every computed full, complete score is recorded for GET /wallet-score/:wallet_address/history;
+  // SCORE_HISTORY_BACKEND picks sqlite (default, SCORE_HISTORY_PATH), memory or off
+  const scoreHistory = createScoreHistory({
+    store: createHistoryStoreFromEnv(env),
+    stableBand: parseInt(env.SCORE_HISTORY_STABLE_POINTS || '5')
+  });
+
+  // Lending protocol contracts and event signatures; LENDING_REGISTRY points at a custom file
+  const lendingRegistry = loadLendingRegistry(env.LENDING_REGISTRY || undefined);
+
+  // Upstream calls: per-call timeout, retries with jittered backoff and a circuit breaker per network
+  const resilience = createResilience({
+    timeoutMs: parseInt(env.NETWORK_TIMEOUT_MS || '10000'),
+    retries: parseInt(env.RETRY_ATTEMPTS || '2'),
+    baseDelayMs: parseInt(env.RETRY_BASE_DELAY_MS || '200'),
+    maxDelayMs: parseInt(env.RETRY_MAX_DELAY_MS || '2000'),
+    failureThreshold: parseInt(env.CIRCUIT_FAILURE_THRESHOLD || '5'),
+    resetTimeoutMs: parseInt(env.CIRCUIT_RESET_SECONDS || '30') * 1000,
+    metrics
+  });
+
+  const settings = {
+    // Overall time budget per scoring request. With DEADLINE_POLICY=partial (default) networks that
+    // haven't answered in time are reported as timed out and the rest are scored; "fail" answers 503.
+    requestDeadlineMs: parseInt(env.REQUEST_DEADLINE_MS || '20000'),
+    deadlinePolicy: env.DEADLINE_POLICY || 'partial',
+    // What to do when some networks couldn't be fetched: "provisional" (default) scores the rest and
+    // marks the score provisional, "refuse" answers 503, "exclude" leaves them out of the denominators
+    degradedPolicy: env.DEGRADED_POLICY || 'provisional',
+    // Linked-wallet identities: how many wallets one identity may link and how long a signed
+    // link message stays valid
+    identity: {
+      maxWallets: parseInt(env.IDENTITY_MAX_WALLETS || '10'),
+      proofMaxAgeMs: parseInt(env.IDENTITY_PROOF_MAX_AGE_SECONDS || '600') * 1000
+    }
+  };
+
+  // ENS names (and DNS names imported into ENS) are resolved on Ethereum mainnet;
+  // ENS_RPC_URL overrides the Ethereum RPC endpoint used for it
+  const nameResolver = createNameResolver({
+    rpcUrl: env.ENS_RPC_URL || networks.ethereum.rpc.url,
+    ttlMs: parseInt(env.NAME_CACHE_SECONDS || '300') * 1000,
+    maxEntries: parseInt(env.NAME_CACHE_MAX_ENTRIES || '1000')
+  });
+
+  // EIP-712 score attestations, signed with ATTESTATION_PRIVATE_KEY (off when unset). Set
+  // ATTESTATION_CHAIN_ID and ATTESTATION_VERIFYING_CONTRACT to verify them on-chain with
+  // hardhat/contracts/ScoreAttestationVerifier.sol
+  const attester = env.ATTESTATION_PRIVATE_KEY ? createAttester({
+    privateKey: env.ATTESTATION_PRIVATE_KEY,
+    ttlMs: parseInt(env.ATTESTATION_TTL_SECONDS || '86400') * 1000,
+    chainId: env.ATTESTATION_CHAIN_ID,
+    verifyingContract: env.ATTESTATION_VERIFYING_CONTRACT
+  }) : null;
+
+  // Fetching, analytics and score calculation live in the scoring service
+  const scoringService = createScoringService({
+    networks,
+    modelRegistry,
+    scoreCache,
+    lendingRegistry,
+    // Transfer history paging limits (per direction, per network)
+    history: {
+      maxPages: parseInt(env.HISTORY_MAX_PAGES || '3'),
+      pageSize: parseInt(env.HISTORY_PAGE_SIZE || '1000')
+    },
+    resilience,
+    deadlineMs: settings.requestDeadlineMs,
+    deadlinePolicy: settings.deadlinePolicy,
+    degradedPolicy: settings.degradedPolicy,
+    identity: settings.identity,
+    nameResolver,
+    attester,
+    scoreHistory,
+    metrics
+  });
+
+  return {
+    networks,
+    modelRegistry,
+    scoreCache,
+    scoreHistory,
+    resilience,
+    nameResolver,
+    attester,
+    metrics,
+    scoringService,
+    settings
+  };
+}
+
+module.exports = { createKernelFromEnv };
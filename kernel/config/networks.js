@@ -0,0 +1,195 @@
+// Network configuration
+// Which networks are scored, their Alchemy SDK settings and the chain data providers
+// (with public RPC and explorer endpoints) used for each, with environment overrides.
+// Networks are EVM chains unless their `chain` says otherwise ('solana', 'bitcoin');
+// the chain family decides which address format the network is looked up with.
+
+const { Network } = require('alchemy-sdk');
+const { parseProviderList } = require('../providers');
+
+// Networks to score
+// Set to false to skip a network entirely
+const ENABLED_NETWORKS = {
+  ethereum: true,   // Ethereum Mainnet
+  polygon: true,    // Polygon Mainnet
+  arbitrum: true,   // Arbitrum
+  optimism: true,   // Optimism
+  base: true,       // Base
+  avalanche: true,  // Avalanche C-Chain
+  bsc: true,        // Binance Smart Chain
+  fantom: true,     // Fantom
+  zksync: true,     // zkSync Era
+  solana: true,     // Solana Mainnet Beta
+  bitcoin: true     // Bitcoin Mainnet
+};
+
+/**
+ * Build the provider settings for a network, applying environment overrides
+ * @param {String} network - Network name
+ * @param {Object} defaults - { rpcUrl, explorerUrl, esploraUrl } public endpoints for the chain
+ * @param {Object} env - Environment variables
+ * @param {Array} defaultProviders - Providers used when PROVIDERS_<NETWORK> is unset
+ * @returns {Object} - { providers, rpc, explorer, esplora, fixture }
+ */
+function providerSettings(network, defaults, env, defaultProviders) {
+  const key = network.toUpperCase();
+  return {
+    providers: parseProviderList(env[`PROVIDERS_${key}`], defaultProviders),
+    rpc: {
+      url: env[`RPC_URL_${key}`] || defaults.rpcUrl
+    },
+    explorer: {
+      url: env[`EXPLORER_API_URL_${key}`] || defaults.explorerUrl,
+      apiKey: env[`EXPLORER_API_KEY_${key}`] || env.ETHERSCAN_API_KEY
+    },
+    esplora: {
+      url: env[`ESPLORA_API_URL_${key}`] || defaults.esploraUrl
+    },
+    // Recorded chain data for offline runs (PROVIDERS_<NETWORK>=fixture)
+    fixture: {
+      dir: env.FIXTURE_DIR
+    }
+  };
+}
+
+/**
+ * Build the network configurations from the environment
+ * `config` holds the Alchemy SDK settings; `providers` lists the data sources in order of preference
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Network name -> configuration
+ */
+function loadNetworkConfig(env = process.env) {
+  // Providers tried for every EVM network unless PROVIDERS_<NETWORK> overrides it,
+  // e.g. PROVIDERS_ETHEREUM=explorer,jsonrpc
+  const defaultProviders = parseProviderList(env.DEFAULT_PROVIDERS, ['alchemy', 'jsonrpc']);
+
+  return {
+    ethereum: {
+      config: {
+        apiKey: env.ALCHEMY_API_KEY,
+        network: Network.ETH_MAINNET,
+      },
+      ...providerSettings('ethereum', {
+        rpcUrl: 'https://eth.llamarpc.com',
+        explorerUrl: 'https://api.etherscan.io/api'
+      }, env, defaultProviders),
+      enabled: ENABLED_NETWORKS.ethereum,
+      // Flag to indicate which networks support internal transactions
+      supportsInternalTx: true
+    },
+    polygon: {
+      config: {
+        apiKey: env.ALCHEMY_API_KEY_POLYGON || env.ALCHEMY_API_KEY,
+        network: Network.MATIC_MAINNET,
+      },
+      ...providerSettings('polygon', {
+        rpcUrl: 'https://polygon-rpc.com',
+        explorerUrl: 'https://api.polygonscan.com/api'
+      }, env, defaultProviders),
+      enabled: ENABLED_NETWORKS.polygon,
+      supportsInternalTx: true
+    },
+    arbitrum: {
+      config: {
+        apiKey: env.ALCHEMY_API_KEY_ARBITRUM || env.ALCHEMY_API_KEY,
+        network: Network.ARB_MAINNET,
+      },
+      ...providerSettings('arbitrum', {
+        rpcUrl: 'https://arb1.arbitrum.io/rpc',
+        explorerUrl: 'https://api.arbiscan.io/api'
+      }, env, defaultProviders),
+      enabled: ENABLED_NETWORKS.arbitrum,
+      supportsInternalTx: false
+    },
+    optimism: {
+      config: {
+        apiKey: env.ALCHEMY_API_KEY_OPTIMISM || env.ALCHEMY_API_KEY,
+        network: Network.OPT_MAINNET,
+      },
+      ...providerSettings('optimism', {
+        rpcUrl: 'https://mainnet.optimism.io',
+        explorerUrl: 'https://api-optimistic.etherscan.io/api'
+      }, env, defaultProviders),
+      enabled: ENABLED_NETWORKS.optimism,
+      supportsInternalTx: true
+    },
+    base: {
+      config: {
+        apiKey: env.ALCHEMY_API_KEY_BASE || env.ALCHEMY_API_KEY,
+        network: Network.BASE_MAINNET,
+      },
+      ...providerSettings('base', {
+        rpcUrl: 'https://mainnet.base.org',
+        explorerUrl: 'https://api.basescan.org/api'
+      }, env, defaultProviders),
+      enabled: ENABLED_NETWORKS.base,
+      supportsInternalTx: false
+    },
+    avalanche: {
+      config: {
+        apiKey: env.ALCHEMY_API_KEY_AVALANCHE || env.ALCHEMY_API_KEY,
+        network: Network.AVALANCHE_MAINNET, // Check if this is supported in your Alchemy SDK version
+      },
+      ...providerSettings('avalanche', {
+        rpcUrl: 'https://api.avax.network/ext/bc/C/rpc',
+        explorerUrl: 'https://api.snowtrace.io/api'
+      }, env, defaultProviders),
+      enabled: ENABLED_NETWORKS.avalanche,
+      supportsInternalTx: false
+    },
+    bsc: {
+      config: {
+        apiKey: env.ALCHEMY_API_KEY_BSC || env.ALCHEMY_API_KEY,
+        network: Network.BSC_MAINNET, // Check if this is supported in your Alchemy SDK version
+      },
+      ...providerSettings('bsc', {
+        rpcUrl: 'https://bsc-dataseed.binance.org',
+        explorerUrl: 'https://api.bscscan.com/api'
+      }, env, defaultProviders),
+      enabled: ENABLED_NETWORKS.bsc,
+      supportsInternalTx: false
+    },
+    fantom: {
+      config: {
+        apiKey: env.ALCHEMY_API_KEY_FANTOM || env.ALCHEMY_API_KEY,
+        network: Network.FANTOM_MAINNET, // Check if this is supported in your Alchemy SDK version
+      },
+      ...providerSettings('fantom', {
+        rpcUrl: 'https://rpc.ftm.tools',
+        explorerUrl: 'https://api.ftmscan.com/api'
+      }, env, defaultProviders),
+      enabled: ENABLED_NETWORKS.fantom,
+      supportsInternalTx: false
+    },
+    zksync: {
+      config: {
+        apiKey: env.ALCHEMY_API_KEY_ZKSYNC || env.ALCHEMY_API_KEY,
+        network: Network.ZKSYNC_MAINNET, // Check if this is supported in your Alchemy SDK version
+      },
+      ...providerSettings('zksync', {
+        rpcUrl: 'https://mainnet.era.zksync.io',
+        explorerUrl: 'https://block-explorer-api.mainnet.zksync.io/api'
+      }, env, defaultProviders),
+      enabled: ENABLED_NETWORKS.zksync,
+      supportsInternalTx: false
+    },
+    solana: {
+      chain: 'solana',
+      ...providerSettings('solana', {
+        rpcUrl: 'https://api.mainnet-beta.solana.com'
+      }, env, ['solana']),
+      enabled: ENABLED_NETWORKS.solana,
+      supportsInternalTx: false
+    },
+    bitcoin: {
+      chain: 'bitcoin',
+      ...providerSettings('bitcoin', {
+        esploraUrl: 'https://blockstream.info/api'
+      }, env, ['esplora']),
+      enabled: ENABLED_NETWORKS.bitcoin,
+      supportsInternalTx: false
+    }
+  };
+}
+
+module.exports = { loadNetworkConfig, ENABLED_NETWORKS };
@@ -0,0 +1,130 @@
+// Score history
+// Records every freshly computed, complete score (address, score, components, model version
+// and time) so callers can see whether a wallet is improving or getting worse, not just a
+// snapshot. Partial and provisional scores are left out so gaps in upstream data don't
+// show up as trend changes. Stores implement record(entry) and list(address, { modelVersion, since,
+// limit }); SQLite is the default.
+
+const path = require('path');
+const { createMemoryHistoryStore } = require('./memory');
+const { createSqliteHistoryStore } = require('./sqlite');
+const { logger } = require('../lib/logger');
+
+/**
+ * Create the score history on top of a history store
+ * @param {Object} options - { store, stableBand (score change in points still reported as stable) }
+ * @returns {Object} - Score history
+ */
+function createScoreHistory(options) {
+  const store = options.store;
+  const stableBand = options.stableBand ?? 5;
+
+  return {
+    enabled: Boolean(store),
+
+    /**
+     * Record a computed score; failures are logged, never raised, so scoring goes on
+     * @param {String} address - Normalized address (or key of its linked addresses) the score belongs to
+     * @param {Object} result - Score computation result
+     * @param {Number} recordedAt - Time of the score in milliseconds
+     */
+    async record(address, result, recordedAt = Date.now()) {
+      if (!store) return;
+      try {
+        await store.record({
+          address,
+          modelVersion: result.modelVersion,
+          score: result.score,
+          status: result.status,
+          confidence: result.confidence,
+          provisional: Boolean(result.provisional),
+          components: {
+            transactions: result.txComponent,
+            age: result.ageComponent,
+            activity: result.activityComponent,
+            ...result.historyComponents,
+            lending: result.lendingComponent
+          },
+          recordedAt
+        });
+      } catch (error) {
+        logger.error('Failed to record score history', { address, error: error.message });
+      }
+    },
+
+    /**
+     * Close the store (the SQLite database), on shutdown
+     */
+    close() {
+      if (store && typeof store.close === 'function') store.close();
+    },
+
+    /**
+     * Score time series of an address with the change between consecutive scores
+     * @param {String} address - Normalized address (or key of its linked addresses)
+     * @param {Object} query - { modelVersion, since (ms), limit }
+     * @returns {Promise<Object>} - { points: [{ ..., delta }], summary }
+     */
+    async timeline(address, query = {}) {
+      const entries = store ? await store.list(address, query) : [];
+
+      const points = entries.map((entry, i) => ({
+        recordedAt: new Date(entry.recordedAt).toISOString(),
+        score: entry.score,
+        delta: i > 0 ? entry.score - entries[i - 1].score : null,
+        status: entry.status,
+        confidence: entry.confidence,
+        provisional: entry.provisional,
+        modelVersion: entry.modelVersion,
+        components: entry.components
+      }));
+
+      const first = points[0];
+      const latest = points[points.length - 1];
+      const change = points.length > 1 ? latest.score - first.score : null;
+      let trend = 'insufficient-data';
+      if (change !== null) {
+        trend = change > stableBand ? 'improving' : change < -stableBand ? 'declining' : 'stable';
+      }
+
+      return {
+        points,
+        summary: {
+          count: points.length,
+          firstScore: first ? first.score : null,
+          latestScore: latest ? latest.score : null,
+          change,
+          trend,
+          from: first ? first.recordedAt : null,
+          to: latest ? latest.recordedAt : null
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Create the score history store selected by SCORE_HISTORY_BACKEND (sqlite, memory or off)
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - Score history store, or null when history is off
+ */
+function createHistoryStoreFromEnv(env) {
+  const backend = (env.SCORE_HISTORY_BACKEND || 'sqlite').toLowerCase();
+
+  if (backend === 'off' || backend === 'none') {
+    return null;
+  }
+
+  if (backend === 'memory') {
+    return createMemoryHistoryStore();
+  }
+
+  return createSqliteHistoryStore(env.SCORE_HISTORY_PATH || path.join(__dirname, '..', 'data', 'score-history.db'));
+}
+
+module.exports = {
+  createScoreHistory,
+  createHistoryStoreFromEnv,
+  createMemoryHistoryStore,
+  createSqliteHistoryStore
+};
@@ -0,0 +1,36 @@
+// In-memory score history store
+// Keeps the history of the running instance only; for tests and CLI runs. Each
+// address keeps its newest maxEntriesPerAddress entries.
+
+/**
+ * Create an in-memory score history store
+ * @param {Object} options - { maxEntriesPerAddress }
+ * @returns {Object} - Score history store ({ record, list, clear })
+ */
+function createMemoryHistoryStore(options = {}) {
+  const maxEntriesPerAddress = options.maxEntriesPerAddress || 1000;
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async record(entry) {
+      const list = entries.get(entry.address) || [];
+      list.push(entry);
+      if (list.length > maxEntriesPerAddress) list.shift();
+      entries.set(entry.address, list);
+    },
+
+    async list(address, { modelVersion, since = 0, limit = 100 } = {}) {
+      return (entries.get(address) || [])
+        .filter((entry) => (!modelVersion || entry.modelVersion === modelVersion) && entry.recordedAt >= since)
+        .slice(-limit);
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+module.exports = { createMemoryHistoryStore };
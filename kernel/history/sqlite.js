@@ -0,0 +1,92 @@
+// SQLite score history store
+// Default store: one table in a local database file, so history survives restarts
+// without running a database server.
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS score_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    address TEXT NOT NULL,
+    model_version TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    confidence TEXT,
+    provisional INTEGER NOT NULL DEFAULT 0,
+    components TEXT NOT NULL,
+    recorded_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS score_history_lookup ON score_history (address, model_version, recorded_at);
+`;
+
+/**
+ * Create a score history store in a SQLite database
+ * @param {String|Object} database - Database file path (':memory:' for a throwaway database),
+ *   or an open better-sqlite3 database
+ * @returns {Object} - Score history store ({ record, list, clear, close })
+ */
+function createSqliteHistoryStore(database) {
+  let db = database;
+  if (typeof database === 'string') {
+    if (database !== ':memory:') {
+      fs.mkdirSync(path.dirname(database), { recursive: true });
+    }
+    // better-sqlite3 is only loaded when this store is used
+    const Database = require('better-sqlite3');
+    db = new Database(database);
+    // Readers don't block the writer
+    db.pragma('journal_mode = WAL');
+  }
+  db.exec(SCHEMA);
+
+  const insert = db.prepare(`
+    INSERT INTO score_history (address, model_version, score, status, confidence, provisional, components, recorded_at)
+    VALUES (@address, @modelVersion, @score, @status, @confidence, @provisional, @components, @recordedAt)
+  `);
+  // Newest entries first, so the limit keeps the most recent ones
+  const select = db.prepare(`
+    SELECT model_version, score, status, confidence, provisional, components, recorded_at
+    FROM score_history
+    WHERE address = @address AND (@modelVersion IS NULL OR model_version = @modelVersion) AND recorded_at >= @since
+    ORDER BY recorded_at DESC, id DESC
+    LIMIT @limit
+  `);
+
+  return {
+    name: 'sqlite',
+
+    async record(entry) {
+      insert.run({
+        ...entry,
+        confidence: entry.confidence || null,
+        provisional: entry.provisional ? 1 : 0,
+        components: JSON.stringify(entry.components || {})
+      });
+    },
+
+    async list(address, { modelVersion, since = 0, limit = 100 } = {}) {
+      const rows = select.all({ address, modelVersion: modelVersion || null, since, limit });
+      return rows.reverse().map((row) => ({
+        address,
+        modelVersion: row.model_version,
+        score: row.score,
+        status: row.status,
+        confidence: row.confidence,
+        provisional: row.provisional === 1,
+        components: JSON.parse(row.components),
+        recordedAt: row.recorded_at
+      }));
+    },
+
+    async clear() {
+      db.exec('DELETE FROM score_history');
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteHistoryStore };
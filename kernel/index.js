@@ -1,21 +1,32 @@
 // Off-Chain Transaction Credit Score Kernel
-// This kernel fetches transaction counts from multiple chains using Alchemy API
-// and assigns a credit score based on user activity
+// This kernel fetches transaction counts from multiple chains through pluggable
+// chain data providers (Alchemy, JSON-RPC, block explorers) and assigns a credit
+// score based on user activity
 
+require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
-const { Alchemy, Network } = require('alchemy-sdk');
 const cors = require('cors');
-require('dotenv').config();
-
-// Enable debug messages for testing
-const DEBUG = process.env.DEBUG === 'true';
+const { createKernelFromEnv } = require('./config/kernel');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { linkMessage } = require('./lib/walletProofs');
+const { ATTESTATION_TYPES, PRIMARY_TYPE, IDENTITY_PRIMARY_TYPE } = require('./lib/attestations');
+const { encodeScoreReport, SCORE_TUPLE, MAX_DECIMALS } = require('./lib/scoreAbi');
+const { logger, runWithRequestId, annotateRequest } = require('./lib/logger');
+const { createKeyStore, createUsageLimiter } = require('./auth');
+const { createWebhookService, createWebhookStoreFromEnv } = require('./webhooks');
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: '1mb' }));
 
 // CORS middleware specifically configured for requests from platform.lat
 app.use((req, res, next) => {
-    const allowedOrigins = ['https://app.platform.lat', 'http://localhost:3000'];
+    // CORS_ORIGINS adds origins such as the score frontend (comma separated). API keys can add
+    // their own origins: preflights (which carry no key) accept any key's origins, and the
+    // request itself is checked against its key's origins once the key is known (see below)
+    const allowedOrigins = ['https://app.platform.lat', 'http://localhost:3000']
+      .concat((process.env.CORS_ORIGINS || '').split(',').map((o) => o.trim()).filter(Boolean))
+      .concat(req.method === 'OPTIONS' && keyStore ? keyStore.origins() : []);
     const origin = req.headers.origin;
     
     if (allowedOrigins.includes(origin)) {
@@ -23,7 +34,12 @@ app.use((req, res, next) => {
     }
     
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, PATCH, DELETE');
-    res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With,content-type');
+    res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With,content-type,cache-control,x-request-id,x-api-key,authorization');
+    res.setHeader('Access-Control-Expose-Headers', [
+      'X-Cache', 'X-Score-Model', 'X-Score-Confidence', 'X-Score-Provisional', 'X-Resolved-Name',
+      'X-Resolved-Address', 'X-Request-Id', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Quota-Limit', 'X-Quota-Remaining',
+      'X-Quota-Reset', 'Retry-After', 'X-Score-Abi-Type', 'X-Score-Decimals'
+    ].join(', '));
     res.setHeader('Access-Control-Allow-Credentials', true);
     
     // Handle preflight requests
@@ -34,499 +50,718 @@ app.use((req, res, next) => {
     next();
   });
 
-// Configure Alchemy for different networks
-// Set to true for networks that are enabled in your Alchemy account
-const ENABLED_NETWORKS = {
-  ethereum: true,   // Ethereum Mainnet
-  polygon: true,    // Polygon Mainnet
-  arbitrum: true,   // Arbitrum
-  optimism: true,   // Optimism
-  base: true,       // Base
-  avalanche: true,  // Avalanche C-Chain
-  bsc: true,        // Binance Smart Chain
-  fantom: true,     // Fantom
-  zksync: true      // zkSync Era
-};
-
-// Network configurations
-const networks = {
-  ethereum: {
-    config: {
-      apiKey: process.env.ALCHEMY_API_KEY,
-      network: Network.ETH_MAINNET,
-    },
-    weight: 1.0, // Base weight for Ethereum transactions
-    enabled: ENABLED_NETWORKS.ethereum,
-    // Flag to indicate which networks support internal transactions
-    supportsInternalTx: true
-  },
-  polygon: {
-    config: {
-      apiKey: process.env.ALCHEMY_API_KEY_POLYGON || process.env.ALCHEMY_API_KEY,
-      network: Network.MATIC_MAINNET,
-    },
-    weight: 0.8, // Weight for Polygon transactions
-    enabled: ENABLED_NETWORKS.polygon,
-    supportsInternalTx: true
-  },
-  arbitrum: {
-    config: {
-      apiKey: process.env.ALCHEMY_API_KEY_ARBITRUM || process.env.ALCHEMY_API_KEY,
-      network: Network.ARB_MAINNET,
-    },
-    weight: 0.7, // Weight for Arbitrum transactions
-    enabled: ENABLED_NETWORKS.arbitrum,
-    supportsInternalTx: false
-  },
-  optimism: {
-    config: {
-      apiKey: process.env.ALCHEMY_API_KEY_OPTIMISM || process.env.ALCHEMY_API_KEY,
-      network: Network.OPT_MAINNET,
-    },
-    weight: 0.7, // Weight for Optimism transactions
-    enabled: ENABLED_NETWORKS.optimism,
-    supportsInternalTx: true
-  },
-  base: {
-    config: {
-      apiKey: process.env.ALCHEMY_API_KEY_BASE || process.env.ALCHEMY_API_KEY,
-      network: Network.BASE_MAINNET,
-    },
-    weight: 0.7, // Weight for Base transactions
-    enabled: ENABLED_NETWORKS.base,
-    supportsInternalTx: false
-  },
-  avalanche: {
-    config: {
-      apiKey: process.env.ALCHEMY_API_KEY_AVALANCHE || process.env.ALCHEMY_API_KEY,
-      network: Network.AVALANCHE_MAINNET, // Check if this is supported in your Alchemy SDK version
-    },
-    weight: 0.7, // Weight for Avalanche transactions
-    enabled: ENABLED_NETWORKS.avalanche && Network.AVALANCHE_MAINNET !== undefined,
-    supportsInternalTx: false
-  },
-  bsc: {
-    config: {
-      apiKey: process.env.ALCHEMY_API_KEY_BSC || process.env.ALCHEMY_API_KEY,
-      network: Network.BSC_MAINNET, // Check if this is supported in your Alchemy SDK version
-    },
-    weight: 0.6, // Weight for BSC transactions
-    enabled: ENABLED_NETWORKS.bsc && Network.BSC_MAINNET !== undefined,
-    supportsInternalTx: false
-  },
-  fantom: {
-    config: {
-      apiKey: process.env.ALCHEMY_API_KEY_FANTOM || process.env.ALCHEMY_API_KEY,
-      network: Network.FANTOM_MAINNET, // Check if this is supported in your Alchemy SDK version
-    },
-    weight: 0.6, // Weight for Fantom transactions
-    enabled: ENABLED_NETWORKS.fantom && Network.FANTOM_MAINNET !== undefined,
-    supportsInternalTx: false
-  },
-  zksync: {
-    config: {
-      apiKey: process.env.ALCHEMY_API_KEY_ZKSYNC || process.env.ALCHEMY_API_KEY,
-      network: Network.ZKSYNC_MAINNET, // Check if this is supported in your Alchemy SDK version
-    },
-    weight: 0.7, // Weight for zkSync transactions
-    enabled: ENABLED_NETWORKS.zksync && Network.ZKSYNC_MAINNET !== undefined,
-    supportsInternalTx: false
-  }
-};
-
-// Create Alchemy instances for each enabled network
-const alchemyInstances = {};
-for (const [network, config] of Object.entries(networks)) {
-  if (config.enabled) {
-    try {
-      console.log(`Initializing Alchemy for ${network}...`);
-      
-      // Check if the network is actually defined in the Alchemy SDK
-      if (config.config.network !== undefined) {
-        alchemyInstances[network] = new Alchemy(config.config);
-      } else {
-        console.log(`Network ${network} is not supported in your Alchemy SDK version.`);
-      }
-    } catch (error) {
-      console.error(`Failed to initialize Alchemy for ${network}:`, error);
-      // Don't add this network to alchemyInstances
-    }
-  } else {
-    console.log(`Network ${network} is disabled in configuration.`);
-  }
+// Networks, scoring models, cache, score history, upstream resilience, name resolution,
+// attestations and metrics around the scoring service (see config/kernel.js)
+const {
+  networks,
+  modelRegistry,
+  scoreHistory,
+  nameResolver,
+  attester,
+  metrics,
+  scoringService,
+  settings
+} = createKernelFromEnv(process.env);
+const REQUEST_DEADLINE_MS = settings.requestDeadlineMs;
+const DEADLINE_POLICY = settings.deadlinePolicy;
+const DEGRADED_POLICY = settings.degradedPolicy;
+
+// Every request gets an id (the caller's X-Request-Id if it sent a sane one), echoed back in the
+// X-Request-Id header and attached to every log line written while serving it
+app.use((req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  const requestId = typeof incoming === 'string' && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', requestId);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    // Label by route pattern, not by path, so wallet addresses don't each get a series
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    metrics.httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, durationMs / 1000);
+    runWithRequestId(requestId, () => logger.info('Request completed', {
+      client: req.client ? req.client.id : undefined,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs)
+    }));
+  });
+
+  runWithRequestId(requestId, next);
+});
+
+// API keys (auth/keyStore.js) with per-key rate limits, daily quotas, pass thresholds, networks
+// and CORS origins. Off, and the kernel open to anyone, unless API_KEYS_FILE is set.
+// Send SIGHUP to reload the key file.
+const keyStore = process.env.API_KEYS_FILE ?
+  createKeyStore({ file: process.env.API_KEYS_FILE, networks: Object.keys(networks) }) : null;
+const usageLimiter = createUsageLimiter();
+if (keyStore) process.on('SIGHUP', () => keyStore.reload());
+
+// Routes that stay open with API keys on: probes, metrics scraping and public information
+const PUBLIC_PATHS = ['/healthz', '/readyz', '/health', '/metrics', '/models', '/attestation/signer'];
+
+/**
+ * API key sent with a request, in X-API-Key or as an Authorization bearer token
+ * @param {Object} req - Express request
+ * @returns {String|null}
+ */
+function requestApiKey(req) {
+  if (req.headers['x-api-key']) return String(req.headers['x-api-key']);
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1].trim() : null;
 }
 
 /**
- * Calculate credit score based on transaction data
- * @param {Object} txData - Transaction data from multiple chains
- * @param {Number} accountAgeInDays - Age of the wallet in days
- * @returns {Number} - Credit score between 300-850
+ * Wallets a request scores, counted against the daily quota (a new webhook is charged for the
+ * wallets it watches, and each of its rescores again)
+ * @param {Object} req - Express request
+ * @returns {Number}
  */
-function calculateCreditScore(txData, accountAgeInDays) {
-  // Credit score calculation parameters
-  const MAX_SCORE = parseInt(process.env.MAX_SCORE || '850');
-  const MIN_SCORE = parseInt(process.env.MIN_SCORE || '300');
-  
-  // Updated weights for different components
-  const TX_COUNT_WEIGHT = 0.5;
-  const AGE_WEIGHT = 0.3;
-  const ACTIVITY_WEIGHT = 0.2; // New component for cross-chain activity
-  
-  // Thresholds for maximum scores
-  const MAX_TX_COUNT = 500; // Reduced from 1000 for more realistic scoring
-  const MAX_ACCOUNT_AGE_DAYS = 730; // 2 years
-  const MAX_NETWORKS = 5; // Maximum number of networks to consider for activity score
-  
-  // Calculate weighted transaction count
-  let totalWeightedTxCount = 0;
-  let totalTransactions = 0;
-  let activeNetworks = 0;
-  
-  for (const [network, data] of Object.entries(txData)) {
-    // Get the network weight or default to 0.5 if not found
-    const networkWeight = networks[network]?.weight || 0.5;
-    
-    // Add the weighted transaction count
-    totalWeightedTxCount += data.count * networkWeight;
-    totalTransactions += data.count;
-    
-    // Count active networks (with at least 3 transactions)
-    if (data.count >= 3) {
-      activeNetworks++;
-    }
+function requestCost(req) {
+  const body = req.body || {};
+  if (req.path === '/wallet-scores/batch' && Array.isArray(body.addresses)) return Math.max(body.addresses.length, 1);
+  if (req.path === '/identity-score' && Array.isArray(body.wallets)) return Math.max(body.wallets.length, 1);
+  if (req.method === 'POST' && req.path === '/webhooks' && Array.isArray(body.wallets)) return Math.max(body.wallets.length, 1);
+  return 1;
+}
+
+// API key check, rate limit and daily quota; the client's policy is left on req.client
+app.use((req, res, next) => {
+  if (!keyStore || PUBLIC_PATHS.includes(req.path)) return next();
+
+  // Requests without a key are served under a keyless entry for their origin, if there is one
+  const apiKey = requestApiKey(req);
+  const client = apiKey ? keyStore.authenticate(apiKey) : keyStore.forOrigin(req.headers.origin);
+  if (!client) {
+    return res.status(401).json({ error: apiKey ? 'Invalid API key' : 'API key required' });
+  }
+  req.client = client;
+  annotateRequest({ client: client.id });
+
+  if (client.corsOrigins.includes(req.headers.origin)) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+  }
+
+  const usage = usageLimiter.consume(client, requestCost(req));
+  if (usage.rateLimit) {
+    res.setHeader('X-RateLimit-Limit', usage.rateLimit.limit);
+    res.setHeader('X-RateLimit-Remaining', usage.rateLimit.remaining);
+    res.setHeader('X-RateLimit-Reset', Math.ceil(usage.rateLimit.resetAt / 1000));
   }
-  
-  // Calculate transaction component (0-1)
-  // Using a logarithmic scale to reward early transactions more heavily
-  const txComponent = totalWeightedTxCount > 0 ? 
-    Math.min(Math.log(totalWeightedTxCount + 1) / Math.log(MAX_TX_COUNT + 1), 1) : 0;
-  
-  // Calculate age component (0-1) - again with diminishing returns
-  // Add a small bonus for new wallets with transactions to avoid penalizing them too heavily
-  const ageBonus = totalTransactions > 0 && accountAgeInDays < 30 ? 0.1 : 0;
-  const ageComponent = Math.min(
-    Math.sqrt(accountAgeInDays / MAX_ACCOUNT_AGE_DAYS) + ageBonus,
-    1
-  );
-  
-  // Calculate activity component (0-1) - rewards using multiple chains
-  const activityComponent = Math.min(activeNetworks / MAX_NETWORKS, 1);
-  
-  // Calculate final score with all three components
-  const weightedScore = 
-    (txComponent * TX_COUNT_WEIGHT) + 
-    (ageComponent * AGE_WEIGHT) + 
-    (activityComponent * ACTIVITY_WEIGHT);
-  
-  const finalScore = MIN_SCORE + weightedScore * (MAX_SCORE - MIN_SCORE);
-  
-  if (DEBUG) {
-    console.log('Credit Score Components:');
-    console.log(`- Transaction Component: ${(txComponent * 100).toFixed(2)}% (weight: ${TX_COUNT_WEIGHT})`);
-    console.log(`- Age Component: ${(ageComponent * 100).toFixed(2)}% (weight: ${AGE_WEIGHT})`);
-    console.log(`- Activity Component: ${(activityComponent * 100).toFixed(2)}% (weight: ${ACTIVITY_WEIGHT})`);
-    console.log(`- Total Weighted Score: ${(weightedScore * 100).toFixed(2)}%`);
-    console.log(`- Final Score: ${Math.round(finalScore)}`);
+  if (usage.quota) {
+    res.setHeader('X-Quota-Limit', usage.quota.limit);
+    res.setHeader('X-Quota-Remaining', usage.quota.remaining);
+    res.setHeader('X-Quota-Reset', Math.ceil(usage.quota.resetAt / 1000));
   }
-  
+
+  if (!usage.allowed) {
+    const rateLimited = usage.reason === 'rate-limit';
+    metrics.clientRequests.inc({ client: client.id, outcome: rateLimited ? 'rate_limited' : 'quota_exceeded' });
+    logger.warn(rateLimited ? 'Rate limit exceeded' : 'Daily quota exceeded', { cost: requestCost(req) });
+    res.setHeader('Retry-After', usage.retryAfterSeconds);
+    return res.status(429).json({
+      error: rateLimited ? 'Rate limit exceeded' : 'Daily quota exceeded',
+      retryAfterSeconds: usage.retryAfterSeconds
+    });
+  }
+
+  metrics.clientRequests.inc({ client: client.id, outcome: 'accepted' });
+  next();
+});
+
+/**
+ * Scoring options set by the API client's policy
+ * @param {Object} req - Express request
+ * @returns {Object} - { passThreshold, allowedNetworks } (both null without API keys)
+ */
+function clientPolicy(req) {
   return {
-    score: Math.round(finalScore),
-    txCount: totalTransactions,
-    weightedTxCount: totalWeightedTxCount,
-    txComponent,
-    ageComponent,
-    activityComponent,
-    activeNetworks,
-    details: txData,
-    accountAgeInDays,
-    status: Math.round(finalScore) >= (parseInt(process.env.PASS_THRESHOLD || '600')) ? "pass" : "fail"
+    passThreshold: req.client ? req.client.passThreshold : null,
+    allowedNetworks: req.client ? req.client.networks : null
   };
 }
 
+// Send SIGHUP to pick up edited scoring model files without a restart
+process.on('SIGHUP', () => modelRegistry.reload());
+
+/**
+ * Whether the caller asked to skip the cache (?fresh=true or Cache-Control: no-cache)
+ * @param {Object} req - Express request
+ * @returns {Boolean}
+ */
+function wantsFreshScore(req) {
+  const cacheControl = req.headers['cache-control'] || '';
+  return req.query.fresh === 'true' || cacheControl.includes('no-cache');
+}
+
+/**
+ * Parse a comma separated ?networks= list
+ * @param {String} value - Raw query value
+ * @returns {Array|undefined} - Network names, or undefined for all networks
+ */
+function parseNetworkList(value) {
+  if (!value) return undefined;
+  return String(value).split(',').map((network) => network.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Send a scoring error: the service's status and details for request errors, 500 otherwise
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the scoring service
+ */
+function sendError(res, error) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message, ...error.details });
+  }
+  logger.error('Error processing request', { error });
+  res.status(500).json({
+    error: 'Internal server error',
+    message: error.message,
+    requestId: res.getHeader('X-Request-Id'),
+    stack: logger.isLevelEnabled('debug') ? error.stack : undefined
+  });
+}
+
+/**
+ * Set the cache, model and confidence headers for a scored wallet
+ * (the bare-number endpoints have no other way to say a score is degraded)
+ * @param {Object} res - Express response
+ * @param {Object} report - scoreWallet result
+ */
+function setScoreHeaders(res, report) {
+  res.setHeader('X-Cache', report.cache.toUpperCase());
+  res.setHeader('X-Score-Model', report.modelVersion);
+  res.setHeader('X-Score-Confidence', report.confidence);
+  res.setHeader('X-Score-Provisional', String(report.provisional));
+  if (report.name) {
+    res.setHeader('X-Resolved-Name', report.name);
+    res.setHeader('X-Resolved-Address', report.walletAddress);
+  }
+}
+
+// Media type of ABI-encoded score responses (lib/scoreAbi.js); the body is the 0x-prefixed hex
+const ABI_MEDIA_TYPE = 'application/vnd.credit-score.abi';
+
+/**
+ * Response format of a score request: "format" (?format= or the POST body) if given, otherwise
+ * the Accept header, with JSON preferred unless only ABI is acceptable
+ * @param {Object} req - Express request
+ * @param {String} requested - Explicit format, if any
+ * @returns {String|null} - 'json' or 'abi', or null for an unknown format
+ */
+function scoreFormat(req, requested) {
+  if (requested !== undefined) {
+    return ['json', 'abi'].includes(requested) ? requested : null;
+  }
+  return req.accepts(['application/json', ABI_MEDIA_TYPE]) === ABI_MEDIA_TYPE ? 'abi' : 'json';
+}
+
+/**
+ * Parse the fixed-point decimals of an ABI response
+ * @param {*} value - Raw ?decimals= (or body) value
+ * @returns {Number|null} - Decimals (0 if not given), or null if invalid
+ */
+function parseDecimals(value) {
+  if (value === undefined) return 0;
+  const decimals = Number(value);
+  return Number.isInteger(decimals) && decimals >= 0 && decimals <= MAX_DECIMALS ? decimals : null;
+}
+
+/**
+ * Send a score as the ABI-encoded score tuple
+ * @param {Object} res - Express response
+ * @param {Object} report - scoreWallet result (summary detail)
+ * @param {Number} decimals - Fixed-point decimals of the score
+ */
+function sendAbiScore(res, report, decimals) {
+  res.setHeader('Content-Type', ABI_MEDIA_TYPE);
+  res.setHeader('X-Score-Abi-Type', SCORE_TUPLE);
+  res.setHeader('X-Score-Decimals', decimals);
+  res.send(encodeScoreReport(report, { decimals }));
+}
+
 // GET endpoint for wallet scoring
+// The wallet address may be an EVM, Solana or Bitcoin address, or an ENS name; the same wallet's
+// addresses on the other chain families can be added as ?addresses[solana]=...&addresses[bitcoin]=...
+// For names, the resolved address is in the X-Resolved-Address header.
+// ?format=abi (or Accept: application/vnd.credit-score.abi) answers with the ABI-encoded score
+// tuple instead of the bare score (lib/scoreAbi.js), with ?decimals= fixed-point decimals.
 app.get('/wallet-score/:wallet_address', async (req, res) => {
   try {
-    const walletAddress = req.params.wallet_address;
-    
-    if (!walletAddress || !walletAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
-      return res.status(400).json({ error: 'Invalid wallet address' });
+    res.vary('Accept');
+    const format = scoreFormat(req, req.query.format);
+    const decimals = parseDecimals(req.query.decimals);
+    if (!format) {
+      return res.status(400).json({ error: 'Unknown response format', formats: ['json', 'abi'] });
     }
-    
-    console.log(`Processing request for wallet: ${walletAddress}`);
-    
-    // Fetch transaction counts from multiple chains
-    const txData = {};
-    const fetchPromises = [];
-    
-    // Initialize txData for all networks (even disabled ones) to ensure consistent response structure
-    for (const network of Object.keys(networks)) {
-      txData[network] = { count: 0, firstTxTimestamp: null };
+    if (decimals === null) {
+      return res.status(400).json({ error: `"decimals" must be an integer between 0 and ${MAX_DECIMALS}` });
     }
-    
-    // Only fetch data for enabled networks
-    for (const [network, alchemy] of Object.entries(alchemyInstances)) {
-      fetchPromises.push(
-        (async () => {
-          try {
-            if (DEBUG) console.log(`Fetching data from ${network}...`);
-            
-            // Get transaction count with timeout to prevent hanging
-            const txCountPromise = alchemy.core.getTransactionCount(walletAddress);
-            const txCount = await Promise.race([
-              txCountPromise,
-              new Promise((_, reject) => 
-                setTimeout(() => reject(new Error(`Timeout fetching transaction count for ${network}`)), 10000)
-              )
-            ]);
-            
-            if (DEBUG) console.log(`${network} transaction count: ${txCount}`);
-            
-            // Get first transaction (to estimate account age)
-            let firstTxTimestamp = null;
-            
-            // If we have transactions, try to get the timestamp of the first one
-            if (txCount > 0) {
-              if (DEBUG) console.log(`Fetching first transaction data from ${network}...`);
-              
-              try {
-                // First try getting transfer history
-                // Customize transfer categories based on network
-                // Some networks don't support all categories - FIX FOR THE ERROR
-                let categories = ["external", "erc20", "erc721", "erc1155"];
-                
-                // Only add "internal" category for networks that support it
-                if (networks[network].supportsInternalTx) {
-                  categories.push("internal");
-                }
-                
-                const historyPromise = alchemy.core.getAssetTransfers({
-                  fromAddress: walletAddress,
-                  category: categories,
-                  maxCount: 1,
-                  order: "asc"
-                });
-                
-                const history = await Promise.race([
-                  historyPromise,
-                  new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error(`Timeout fetching transfer history for ${network}`)), 10000)
-                  )
-                ]);
-                
-                if (history.transfers && history.transfers.length > 0 && 
-                    history.transfers[0].metadata && 
-                    history.transfers[0].metadata.blockTimestamp) {
-                  firstTxTimestamp = new Date(history.transfers[0].metadata.blockTimestamp).getTime();
-                  if (DEBUG) console.log(`First transaction on ${network}: ${new Date(firstTxTimestamp).toISOString()}`);
-                } else {
-                  if (DEBUG) console.log(`No valid transaction history found for ${network}`);
-                }
-                
-                // If we couldn't get the timestamp from transfer history, try a different approach
-                if (!firstTxTimestamp && txCount > 0) {
-                  try {
-                    if (DEBUG) console.log(`Attempting alternate method for ${network}...`);
-                    
-                    // Since getHistory isn't available, we'll use another approach
-                    // Try to get more transfers to find one with a timestamp
-                    const moreTransfersPromise = alchemy.core.getAssetTransfers({
-                      fromAddress: walletAddress,
-                      category: categories,
-                      maxCount: 10, // Try getting more transfers
-                      order: "asc"
-                    });
-                    
-                    const moreTransfers = await Promise.race([
-                      moreTransfersPromise,
-                      new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error(`Timeout fetching more transfers for ${network}`)), 10000)
-                      )
-                    ]);
-                    
-                    // Look through all transfers for a valid timestamp
-                    if (moreTransfers && moreTransfers.transfers) {
-                      for (const transfer of moreTransfers.transfers) {
-                        if (transfer.metadata && transfer.metadata.blockTimestamp) {
-                          firstTxTimestamp = new Date(transfer.metadata.blockTimestamp).getTime();
-                          if (DEBUG) console.log(`Found timestamp in additional transfers: ${new Date(firstTxTimestamp).toISOString()}`);
-                          break;
-                        }
-                      }
-                    }
-                  } catch (alternateError) {
-                    console.error(`Error with alternate method for ${network}:`, alternateError);
-                    // Continue with null firstTxTimestamp
-                  }
-                  
-                  // If we still don't have a timestamp, try just ERC20 transfers
-                  if (!firstTxTimestamp) {
-                    try {
-                      if (DEBUG) console.log(`Trying ERC20-only method for ${network}...`);
-                      
-                      const erc20TransfersPromise = alchemy.core.getAssetTransfers({
-                        fromAddress: walletAddress,
-                        category: ["erc20"], // Only ERC20 transfers
-                        maxCount: 5,
-                        order: "asc"
-                      });
-                      
-                      const erc20Transfers = await Promise.race([
-                        erc20TransfersPromise,
-                        new Promise((_, reject) => 
-                          setTimeout(() => reject(new Error(`Timeout fetching ERC20 transfers for ${network}`)), 10000)
-                        )
-                      ]);
-                      
-                      if (erc20Transfers && erc20Transfers.transfers && erc20Transfers.transfers.length > 0) {
-                        const transfer = erc20Transfers.transfers[0];
-                        if (transfer.metadata && transfer.metadata.blockTimestamp) {
-                          firstTxTimestamp = new Date(transfer.metadata.blockTimestamp).getTime();
-                          if (DEBUG) console.log(`Found timestamp in ERC20 transfer: ${new Date(firstTxTimestamp).toISOString()}`);
-                        }
-                      }
-                    } catch (erc20Error) {
-                      console.error(`Error with ERC20 method for ${network}:`, erc20Error);
-                    }
-                  }
-                  
-                  // If we still don't have a timestamp, try NFT ownership as a last resort
-                  // FIX for NFT query error - Remove excludeFilters parameter
-                  if (!firstTxTimestamp && network === "ethereum") { // Only try this on Ethereum for now
-                    try {
-                      if (DEBUG) console.log(`Trying NFT ownership method for ${network}...`);
-                      
-                      // Get NFTs owned by the address - REMOVED excludeFilters parameter
-                      const nftsPromise = alchemy.nft.getNftsForOwner(walletAddress, {
-                        pageSize: 5
-                        // Removed excludeFilters parameter which requires a paid plan
-                      });
-                      
-                      const nfts = await Promise.race([
-                        nftsPromise,
-                        new Promise((_, reject) => 
-                          setTimeout(() => reject(new Error(`Timeout fetching NFTs for ${network}`)), 10000)
-                        )
-                      ]);
-                      
-                      if (nfts && nfts.ownedNfts && nfts.ownedNfts.length > 0) {
-                        if (DEBUG) console.log(`Found ${nfts.ownedNfts.length} NFTs owned by this address`);
-                        
-                        // Check mint dates if available
-                        for (const nft of nfts.ownedNfts) {
-                          if (nft.acquiredAt) {
-                            const mintTimestamp = new Date(nft.acquiredAt).getTime();
-                            if (DEBUG) console.log(`Found NFT mint date: ${new Date(mintTimestamp).toISOString()}`);
-                            
-                            // Only use this if we don't have a better timestamp
-                            if (!firstTxTimestamp || mintTimestamp < firstTxTimestamp) {
-                              firstTxTimestamp = mintTimestamp;
-                            }
-                            break;
-                          }
-                        }
-                      }
-                    } catch (nftError) {
-                      console.error(`Error with NFT method for ${network}:`, nftError);
-                    }
-                  }
-                }
-              } catch (historyError) {
-                console.error(`Error fetching transaction history for ${network}:`, historyError);
-                // Continue with null firstTxTimestamp
-              }
-            }
-            
-            txData[network] = {
-              count: txCount,
-              firstTxTimestamp
-            };
-          } catch (error) {
-            console.error(`Error fetching data for ${network}:`, error);
-            // txData[network] already initialized with zeros
-          }
-        })()
-      );
+
+    logger.info('Scoring wallet', { wallet: req.params.wallet_address });
+
+    const report = await scoringService.scoreWallet(req.params.wallet_address, {
+      model: req.query.model,
+      networks: parseNetworkList(req.query.networks),
+      addresses: req.query.addresses,
+      detail: format === 'abi' ? 'summary' : 'score',
+      fresh: wantsFreshScore(req),
+      ...clientPolicy(req)
+    });
+    setScoreHeaders(res, report);
+
+    if (format === 'abi') {
+      return sendAbiScore(res, report, decimals);
     }
-    
-    console.log('Waiting for all blockchain queries to complete...');
-    await Promise.allSettled(fetchPromises); // Changed to Promise.allSettled to continue even if some fail
-    
-    // Calculate account age (using the oldest first transaction across chains)
-    let oldestTxTimestamp = null;
-    let hasTxButNoTimestamp = false;
-    
-    for (const [network, data] of Object.entries(txData)) {
-      // Track if we have transactions but no timestamp
-      if (data.count > 0 && !data.firstTxTimestamp) {
-        hasTxButNoTimestamp = true;
-      }
-      
-      if (data.firstTxTimestamp && (!oldestTxTimestamp || data.firstTxTimestamp < oldestTxTimestamp)) {
-        oldestTxTimestamp = data.firstTxTimestamp;
-        if (DEBUG) console.log(`Oldest transaction found on ${network}`);
-      }
+    // Return just the score
+    res.json(report.score);
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// GET endpoint for the full score breakdown
+// Add ?attest=true for an EIP-712 attestation of the score signed by the kernel
+app.get('/wallet-score/:wallet_address/report', async (req, res) => {
+  try {
+    logger.info('Building wallet report', { wallet: req.params.wallet_address });
+
+    const report = await scoringService.scoreWallet(req.params.wallet_address, {
+      model: req.query.model,
+      networks: parseNetworkList(req.query.networks),
+      addresses: req.query.addresses,
+      detail: req.query.detail || 'full',
+      fresh: wantsFreshScore(req),
+      attest: req.query.attest === 'true',
+      ...clientPolicy(req)
+    });
+    setScoreHeaders(res, report);
+    res.json(report);
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// GET endpoint for a wallet's score history: recorded scores under one model (?model=, default
+// model otherwise), oldest first, with the change from the previous score and the overall trend.
+// ?since=<ISO timestamp> and ?limit= (default 100) narrow the window.
+app.get('/wallet-score/:wallet_address/history', async (req, res) => {
+  try {
+    res.json(await scoringService.getScoreHistory(req.params.wallet_address, {
+      addresses: req.query.addresses,
+      model: req.query.model,
+      since: req.query.since,
+      limit: req.query.limit,
+      passThreshold: clientPolicy(req).passThreshold
+    }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// POST endpoint for wallet scoring (alternative method)
+// Body: { wallet_address, addresses?, model?, networks?, detail?, fresh?, attest?, format?, decimals? }.
+// With the default detail ("score") the response is the bare score, like the GET endpoint; "summary"
+// and "full" return the report. With attest: true the response is always the report, with its
+// attestation. format: "abi" (or Accept: application/vnd.credit-score.abi) answers with the
+// ABI-encoded score tuple instead, whatever the detail.
+app.post('/wallet-score', async (req, res) => {
+  try {
+    const { wallet_address, addresses, model, networks: networkSubset, detail = 'score', fresh, attest } = req.body || {};
+
+    res.vary('Accept');
+    const format = scoreFormat(req, (req.body || {}).format ?? req.query.format);
+    const decimals = parseDecimals((req.body || {}).decimals ?? req.query.decimals);
+    if (!format) {
+      return res.status(400).json({ error: 'Unknown response format', formats: ['json', 'abi'] });
+    }
+    if (decimals === null) {
+      return res.status(400).json({ error: `"decimals" must be an integer between 0 and ${MAX_DECIMALS}` });
     }
+    if (format === 'abi' && attest === true) {
+      return res.status(400).json({ error: 'Attestations are not part of the ABI response format' });
+    }
+    if (networkSubset !== undefined && !Array.isArray(networkSubset)) {
+      return res.status(400).json({ error: '"networks" must be an array of network names' });
+    }
+
+    logger.info('Scoring wallet', { wallet: wallet_address });
+
+    const report = await scoringService.scoreWallet(wallet_address, {
+      model,
+      networks: networkSubset,
+      addresses,
+      detail: format === 'abi' ? 'summary' : detail,
+      fresh: fresh === true || wantsFreshScore(req),
+      attest: attest === true,
+      ...clientPolicy(req)
+    });
+    setScoreHeaders(res, report);
+    if (format === 'abi') {
+      return sendAbiScore(res, report, decimals);
+    }
+    res.json(detail === 'score' && attest !== true ? report.score : report);
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// GET endpoint returning the message each wallet of an identity signs
+// ?addresses=0xA,0xB; sign it with personal_sign and send the signatures to POST /identity-score
+app.get('/identity-score/message', (req, res) => {
+  const addresses = String(req.query.addresses || '').split(',').map((address) => address.trim()).filter(Boolean);
+  if (addresses.length < 2) {
+    return res.status(400).json({ error: '"addresses" must list at least two wallets (comma separated)' });
+  }
+
+  const issuedAt = new Date().toISOString();
+  res.json({
+    message: linkMessage(addresses, issuedAt),
+    issuedAt,
+    expiresAt: new Date(Date.parse(issuedAt) + settings.identity.proofMaxAgeMs).toISOString()
+  });
+});
+
+// POST endpoint scoring several linked wallets as one identity
+// Body: { wallets: [{ address, signature, type?, network? }], issuedAt, model?, networks?, detail?, fresh?,
+// attest? }.
+// Every wallet signs the message from GET /identity-score/message; contract wallets set
+// type "erc1271" (and the network they live on, ethereum by default). Returns the report.
+app.post('/identity-score', async (req, res) => {
+  try {
+    const { wallets, issuedAt, model, networks: networkSubset, detail = 'full', fresh, attest } = req.body || {};
+
+    if (networkSubset !== undefined && !Array.isArray(networkSubset)) {
+      return res.status(400).json({ error: '"networks" must be an array of network names' });
+    }
+
+    logger.info('Scoring identity', { wallets: Array.isArray(wallets) ? wallets.length : 0 });
+
+    const report = await scoringService.scoreIdentity(wallets, {
+      issuedAt,
+      model,
+      networks: networkSubset,
+      detail,
+      fresh: fresh === true || wantsFreshScore(req),
+      attest: attest === true,
+      ...clientPolicy(req)
+    });
+    setScoreHeaders(res, report);
+    res.json(detail === 'score' && attest !== true ? report.score : report);
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// GET endpoint publishing the attestation signer: its address, public key and EIP-712 domain
+app.get('/attestation/signer', (req, res) => {
+  if (!attester) {
+    return res.status(501).json({ error: 'Attestations are not enabled on this kernel' });
+  }
+  res.json({
+    address: attester.address,
+    publicKey: attester.publicKey,
+    domain: attester.domain,
+    types: ATTESTATION_TYPES,
+    primaryType: PRIMARY_TYPE,
+    identityPrimaryType: IDENTITY_PRIMARY_TYPE
+  });
+});
+
+// POST endpoint checking an attestation issued by this kernel
+// Body: the attestation as returned with a score ({ domain, message, signature, ... })
+app.post('/attestation/verify', (req, res) => {
+  try {
+    res.json(scoringService.verifyAttestation(req.body));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Batch scoring limits
+const BATCH_MAX_ADDRESSES = parseInt(process.env.BATCH_MAX_ADDRESSES || '1000');
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '5');
+
+/**
+ * Score one address of a batch, reporting failures per address instead of failing the batch
+ * @param {String} address - Wallet address
+ * @param {Object} options - scoreWallet options ({ model, fresh, passThreshold, allowedNetworks })
+ * @returns {Promise<Object>} - Batch result entry
+ */
+async function scoreBatchEntry(address, options) {
+  try {
+    const report = await scoringService.scoreWallet(address, { ...options, detail: 'summary' });
+    return {
+      address,
+      ...(report.name ? { resolvedAddress: report.walletAddress } : {}),
+      score: report.score,
+      status: report.status,
+      confidence: report.confidence,
+      provisional: report.provisional,
+      modelVersion: report.modelVersion,
+      reasonCodes: report.reasonCodes.map((reason) => reason.code),
+      cache: report.cache
+    };
+  } catch (error) {
+    if (!error.statusCode || error.statusCode >= 500) {
+      logger.error('Error scoring batch entry', { address, error });
+    }
+    return { address, error: error.message };
+  }
+}
+
+// POST endpoint for scoring many wallets at once
+// Body: { addresses: [...], model?, fresh? }. Add ?stream=ndjson (or Accept: application/x-ndjson)
+// to receive one JSON line per address as soon as it is scored.
+app.post('/wallet-scores/batch', async (req, res) => {
+  try {
+    const { addresses, model: modelId, fresh } = req.body || {};
     
-    // Calculate account age in days
-    let accountAgeInDays = 0;
+    if (!Array.isArray(addresses) || addresses.length === 0) {
+      return res.status(400).json({ error: 'Body must contain a non-empty "addresses" array' });
+    }
+    if (addresses.length > BATCH_MAX_ADDRESSES) {
+      return res.status(400).json({
+        error: `Too many addresses (maximum ${BATCH_MAX_ADDRESSES} per batch)`,
+        count: addresses.length
+      });
+    }
     
-    if (oldestTxTimestamp) {
-      accountAgeInDays = Math.floor((Date.now() - oldestTxTimestamp) / (1000 * 60 * 60 * 24));
-      if (DEBUG) console.log(`Account age in days (from timestamp): ${accountAgeInDays}`);
-    } 
-    // If we have transactions but couldn't find any timestamp, use a conservative estimate
-    else if (hasTxButNoTimestamp) {
-      // Estimate based on total transaction count across all chains
-      const totalTxCount = Object.values(txData).reduce((sum, data) => sum + data.count, 0);
-      
-      // Rough estimate: 5 days per transaction, capped at 365 days
-      accountAgeInDays = Math.min(totalTxCount * 5, 365);
-      if (DEBUG) console.log(`Couldn't determine first transaction date. Estimated age: ${accountAgeInDays} days`);
+    const model = modelRegistry.get(modelId);
+    if (!model) {
+      return res.status(400).json({ error: 'Unknown scoring model', model: modelId });
     }
     
-    // Calculate credit score
-    console.log('Calculating credit score...');
-    const scoreResult = calculateCreditScore(txData, accountAgeInDays);
+    const options = { model: model.id, fresh: fresh === true || wantsFreshScore(req), ...clientPolicy(req) };
+    const stream = req.query.stream === 'ndjson' || (req.headers.accept || '').includes('application/x-ndjson');
     
-    // Get pass threshold from env or default to 600
-    const passThreshold = parseInt(process.env.PASS_THRESHOLD || '600');
+    logger.info('Scoring batch', { count: addresses.length, concurrency: BATCH_CONCURRENCY, modelVersion: model.id, stream });
     
-    console.log(`Final score calculated: ${scoreResult.score} (${scoreResult.score > passThreshold ? "pass" : "fail"})`);
+    if (stream) {
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.setHeader('X-Score-Model', model.id);
+      await mapWithConcurrency(addresses, BATCH_CONCURRENCY, (address) => scoreBatchEntry(address, options),
+        (outcome) => res.write(JSON.stringify(outcome.value) + '\n'));
+      return res.end();
+    }
     
-    // Return just the score
-    res.json(scoreResult.score);
+    const outcomes = await mapWithConcurrency(addresses, BATCH_CONCURRENCY,
+      (address) => scoreBatchEntry(address, options));
+    const results = outcomes.map((outcome) => outcome.value);
+    
+    res.setHeader('X-Score-Model', model.id);
+    res.json({
+      modelVersion: model.id,
+      total: results.length,
+      succeeded: results.filter((result) => !result.error).length,
+      failed: results.filter((result) => result.error).length,
+      results
+    });
     
   } catch (error) {
-    console.error('Error processing request:', error);
-    res.status(500).json({ 
+    logger.error('Error processing batch request', { error });
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
       error: 'Internal server error',
       message: error.message,
-      stack: DEBUG ? error.stack : undefined
+      requestId: res.getHeader('X-Request-Id'),
+      stack: logger.isLevelEnabled('debug') ? error.stack : undefined
     });
   }
 });
 
-// POST endpoint for wallet scoring (alternative method)
-app.post('/wallet-score', async (req, res) => {
+// GET endpoint resolving a name (e.g. vitalik.eth) to its address, for clients that
+// want to show the address before scoring it
+app.get('/resolve/:name', async (req, res) => {
   try {
-    const { wallet_address } = req.body;
-    
-    if (!wallet_address || !wallet_address.match(/^0x[a-fA-F0-9]{40}$/)) {
-      return res.status(400).json({ error: 'Invalid wallet address' });
-    }
-    
-    // Redirect to GET handler to avoid code duplication
-    req.params.wallet_address = wallet_address;
-    app.handle(req, res);
-    
+    res.json(await scoringService.resolveName(req.params.name));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Webhooks notifying clients when a watched wallet's score moves by more than minChange points or
+// crosses the pass/fail threshold. WEBHOOK_BACKEND picks sqlite (default, WEBHOOK_DB_PATH),
+// memory or off; watched wallets are rescored every WEBHOOK_RESCORE_INTERVAL_SECONDS. Webhooks
+// belong to the API key that registered them, so they stay off while API keys are. Each rescore
+// counts against the key's rate limit and daily quota like a batch of the webhook's wallets, and
+// a key can have at most WEBHOOK_MAX_SUBSCRIPTIONS webhooks.
+const webhookStore = keyStore ? createWebhookStoreFromEnv(process.env) : null;
+const webhooks = webhookStore ? createWebhookService({
+  store: webhookStore,
+  scoringService,
+  modelRegistry,
+  metrics,
+  rescoreIntervalMs: parseInt(process.env.WEBHOOK_RESCORE_INTERVAL_SECONDS || '3600') * 1000,
+  retryPollMs: parseInt(process.env.WEBHOOK_RETRY_POLL_SECONDS || '15') * 1000,
+  concurrency: parseInt(process.env.WEBHOOK_RESCORE_CONCURRENCY || '5'),
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6'),
+  baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30') * 1000,
+  maxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS || '3600') * 1000,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000'),
+  maxWallets: parseInt(process.env.WEBHOOK_MAX_WALLETS || '100'),
+  maxSubscriptions: parseInt(process.env.WEBHOOK_MAX_SUBSCRIPTIONS || '20'),
+  chargeUsage: (clientId, cost) => {
+    const client = keyStore.client(clientId);
+    return Boolean(client) && usageLimiter.consume(client, cost).allowed;
+  },
+  allowInsecureUrls: process.env.WEBHOOK_ALLOW_INSECURE_URLS === 'true',
+  allowPrivateHosts: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true'
+}) : null;
+
+// Webhook routes answer 501 while webhooks are off
+app.use('/webhooks', (req, res, next) => {
+  if (!webhooks) {
+    const error = keyStore ? 'Webhooks are not enabled on this kernel' : 'Webhooks need API keys (API_KEYS_FILE)';
+    return res.status(501).json({ error });
+  }
+  next();
+});
+
+// POST endpoint registering a webhook
+// Body: { url, wallets (or wallet_address), minChange?, thresholdCrossing? (default true), model? }.
+// The response carries the secret deliveries are signed with; it is not shown again.
+app.post('/webhooks', async (req, res) => {
+  try {
+    res.status(201).json(await webhooks.subscribe(req.body, req.client));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// GET endpoint listing the caller's webhooks
+app.get('/webhooks', async (req, res) => {
+  try {
+    res.json(await webhooks.list(req.client));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/webhooks/:id', async (req, res) => {
+  try {
+    res.json(await webhooks.get(req.params.id, req.client));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/webhooks/:id', async (req, res) => {
+  try {
+    await webhooks.remove(req.params.id, req.client);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// GET endpoint for a webhook's delivery log, newest first (?limit=, default 100)
+app.get('/webhooks/:id/deliveries', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '100') || 100, 1), 1000);
+    res.json(await webhooks.deliveries(req.params.id, req.client, limit));
   } catch (error) {
-    console.error('Error processing request:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error);
   }
 });
 
-// Start the server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Transaction Credit Score Kernel running on port ${PORT}`);
-});
\ No newline at end of file
+// GET endpoint reporting the upstream circuit breakers
+app.get('/health', (req, res) => {
+  const circuits = scoringService.circuitState();
+  const open = Object.keys(circuits).filter((network) => circuits[network].state === 'open');
+
+  res.json({
+    status: open.length === 0 ? 'ok' : 'degraded',
+    openCircuits: open,
+    networks: circuits,
+    requestDeadlineMs: REQUEST_DEADLINE_MS,
+    deadlinePolicy: DEADLINE_POLICY,
+    degradedPolicy: DEGRADED_POLICY
+  });
+});
+
+// Readiness fails while fewer networks than this are usable (enabled, with a provider and a
+// closed circuit)
+const MIN_USABLE_NETWORKS = parseInt(process.env.MIN_USABLE_NETWORKS || '1');
+
+// Set once SIGTERM is received; readiness fails from then on so no new traffic is routed here
+let shuttingDown = false;
+
+// GET endpoint for liveness checks: answers as long as the process serves requests
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// GET endpoint for readiness checks: per-network provider status (initialized, Alchemy SDK network
+// support, API key, circuit, last successful call and its latency). 503 while fewer than
+// MIN_USABLE_NETWORKS networks are usable, or while shutting down.
+app.get('/readyz', (req, res) => {
+  const providerStatus = scoringService.providerStatus();
+  const usable = Object.keys(providerStatus).filter((network) => providerStatus[network].usable);
+  const ready = !shuttingDown && usable.length >= MIN_USABLE_NETWORKS;
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not-ready',
+    shuttingDown,
+    usableNetworks: usable,
+    minUsableNetworks: MIN_USABLE_NETWORKS,
+    networks: providerStatus
+  });
+});
+
+// GET endpoint exposing the kernel's metrics in the Prometheus text format
+app.get('/metrics', (req, res) => {
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.registry.render());
+});
+
+// GET endpoint listing the available scoring models
+app.get('/models', (req, res) => {
+  res.json(modelRegistry.list());
+});
+
+// Start the server when run directly; tests and tools require the app instead
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  const server = app.listen(PORT, () => {
+    logger.info('Transaction Credit Score Kernel running', { port: Number(PORT) });
+  });
+  if (webhooks) webhooks.start();
+
+  // Graceful shutdown: fail readiness, stop accepting connections, let in-flight requests
+  // finish (up to SHUTDOWN_TIMEOUT_SECONDS), then close the score history and webhook databases
+  const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS || '10') * 1000;
+  const shutdown = (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Shutting down', { signal, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+    setTimeout(() => {
+      logger.error('In-flight requests did not finish in time; exiting', { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+      process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    server.close((error) => {
+      scoreHistory.close();
+      if (webhooks) webhooks.stop();
+      if (error) logger.error('Error closing the server', { error });
+      logger.info('Shutdown complete');
+      process.exit(error ? 1 : 0);
+    });
+    // Idle keep-alive connections would otherwise hold server.close() open (Node 18.2+)
+    if (server.closeIdleConnections) server.closeIdleConnections();
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = { app, scoringService, nameResolver, metrics, webhooks };
\ No newline at end of file
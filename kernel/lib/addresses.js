@@ -0,0 +1,164 @@
+// Wallet address formats
+// Every network belongs to a chain family with its own address format. The scoring
+// service uses these to validate the scored address, work out which networks it can be
+// looked up on, and normalize it for cache keys.
+//   evm     - 0x-prefixed 20-byte hex (case-insensitive)
+//   solana  - base58 ed25519 public key (32 bytes, case-sensitive)
+//   bitcoin - mainnet base58check P2PKH/P2SH, or bech32/bech32m segwit (bc1...)
+
+const crypto = require('crypto');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+// Checksum constants: bech32 for witness version 0, bech32m for later versions (BIP-350)
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+// Base58check version bytes of mainnet P2PKH and P2SH addresses
+const BITCOIN_BASE58_VERSIONS = [0x00, 0x05];
+
+/**
+ * Decode a base58 string
+ * @param {String} value - Base58 text
+ * @returns {Buffer|null} - Decoded bytes, or null if the text isn't base58
+ */
+function base58Decode(value) {
+  let number = 0n;
+  for (const char of value) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit < 0) return null;
+    number = number * 58n + BigInt(digit);
+  }
+
+  const bytes = [];
+  while (number > 0n) {
+    bytes.unshift(Number(number % 256n));
+    number /= 256n;
+  }
+  // Every leading '1' stands for a zero byte
+  const zeros = value.length - value.replace(/^1+/, '').length;
+  return Buffer.from([...new Array(zeros).fill(0), ...bytes]);
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Check a base58check-encoded mainnet Bitcoin address (P2PKH or P2SH)
+ * @param {String} address - Address text
+ * @returns {Boolean}
+ */
+function isBase58BitcoinAddress(address) {
+  if (!/^[13][1-9A-HJ-NP-Za-km-z]{24,33}$/.test(address)) return false;
+
+  const bytes = base58Decode(address);
+  if (!bytes || bytes.length !== 25 || !BITCOIN_BASE58_VERSIONS.includes(bytes[0])) return false;
+
+  const checksum = sha256(sha256(bytes.subarray(0, 21))).subarray(0, 4);
+  return checksum.equals(bytes.subarray(21));
+}
+
+/**
+ * BCH checksum over bech32 values
+ * @param {Array} values - 5-bit values
+ * @returns {Number}
+ */
+function bech32Polymod(values) {
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) checksum ^= BECH32_GENERATOR[i];
+    }
+  }
+  return checksum;
+}
+
+/**
+ * Check a bech32 (witness v0) or bech32m (v1+) mainnet segwit address
+ * @param {String} address - Address text
+ * @returns {Boolean}
+ */
+function isSegwitBitcoinAddress(address) {
+  // Mixed case is invalid; either case alone is fine
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) return false;
+  const lowered = address.toLowerCase();
+  if (!/^bc1[qpzry9x8gf2tvdw0s3jn54khce6mua7l]{8,87}$/.test(lowered)) return false;
+
+  const hrp = 'bc';
+  const data = Array.from(lowered.slice(hrp.length + 1), (char) => BECH32_CHARSET.indexOf(char));
+  const expandedHrp = [
+    ...Array.from(hrp, (char) => char.charCodeAt(0) >> 5),
+    0,
+    ...Array.from(hrp, (char) => char.charCodeAt(0) & 31)
+  ];
+
+  const version = data[0];
+  const expected = version === 0 ? BECH32_CONST : BECH32M_CONST;
+  if (version > 16 || bech32Polymod([...expandedHrp, ...data]) !== expected) return false;
+
+  // Witness program length in bytes (5-bit groups between the version and the checksum)
+  const programLength = Math.floor((data.length - 7) * 5 / 8);
+  if (version === 0) return programLength === 20 || programLength === 32;
+  return programLength >= 2 && programLength <= 40;
+}
+
+// Chain family -> address validation and normalization
+const CHAINS = {
+  evm: {
+    isValid: (address) => /^0x[a-fA-F0-9]{40}$/.test(address),
+    normalize: (address) => address.toLowerCase()
+  },
+  bitcoin: {
+    isValid: (address) => isBase58BitcoinAddress(address) || isSegwitBitcoinAddress(address),
+    // Segwit addresses are case-insensitive; base58 ones are not
+    normalize: (address) => (/^bc1/i.test(address) ? address.toLowerCase() : address)
+  },
+  solana: {
+    isValid: (address) => {
+      if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) return false;
+      const bytes = base58Decode(address);
+      return Boolean(bytes) && bytes.length === 32;
+    },
+    normalize: (address) => address
+  }
+};
+
+/**
+ * Check an address against a chain family's format
+ * @param {String} chain - Chain family ('evm', 'solana' or 'bitcoin')
+ * @param {String} address - Address text
+ * @returns {Boolean}
+ */
+function isValidAddress(chain, address) {
+  return typeof address === 'string' && Boolean(CHAINS[chain]) && CHAINS[chain].isValid(address);
+}
+
+/**
+ * Work out which chain family an address belongs to
+ * @param {String} address - Address text
+ * @returns {String|null} - Chain family, or null if no format matches
+ */
+function addressChain(address) {
+  if (typeof address !== 'string') return null;
+  return Object.keys(CHAINS).find((chain) => CHAINS[chain].isValid(address)) || null;
+}
+
+/**
+ * Canonical form of an address, for comparisons and cache keys
+ * @param {String} chain - Chain family
+ * @param {String} address - Valid address
+ * @returns {String}
+ */
+function normalizeAddress(chain, address) {
+  return CHAINS[chain].normalize(address);
+}
+
+module.exports = {
+  isValidAddress,
+  addressChain,
+  normalizeAddress,
+  base58Decode,
+  CHAINS: Object.keys(CHAINS)
+};
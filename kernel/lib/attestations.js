@@ -0,0 +1,128 @@
+// Signed score attestations
+// A score attestation is EIP-712 typed data (wallet, score, model version, confidence,
+// whether the score is provisional, issue and expiry time) signed with the kernel's
+// attestation key, so partners outside the KRNL
+// protectedFunction flow can check that a score came from this kernel and hasn't been
+// altered. Off-chain, POST /attestation/verify (or any EIP-712 library) recovers the signer;
+// on-chain, hardhat/contracts/ScoreAttestationVerifier.sol does the same. On-chain
+// verification needs the domain to name the chain and the verifier contract.
+// Identity scores (several linked wallets scored as one) are signed as a separate type that
+// lists every linked wallet, so they can't pass for the score of the first wallet alone.
+
+const { Wallet, SigningKey, verifyTypedData, getAddress } = require('ethers');
+
+const DOMAIN_NAME = 'Credit Score Kernel';
+// Version 2 added confidence, provisional and identity attestations
+const DOMAIN_VERSION = '2';
+
+// Fields every attestation carries after the subject
+const SCORE_FIELDS = [
+  { name: 'score', type: 'uint16' },
+  { name: 'modelVersion', type: 'string' },
+  { name: 'confidence', type: 'string' },
+  { name: 'provisional', type: 'bool' },
+  { name: 'issuedAt', type: 'uint64' },
+  { name: 'expiresAt', type: 'uint64' }
+];
+
+const ATTESTATION_TYPES = {
+  ScoreAttestation: [{ name: 'wallet', type: 'address' }, ...SCORE_FIELDS],
+  IdentityScoreAttestation: [{ name: 'wallets', type: 'address[]' }, ...SCORE_FIELDS]
+};
+const PRIMARY_TYPE = 'ScoreAttestation';
+const IDENTITY_PRIMARY_TYPE = 'IdentityScoreAttestation';
+
+// EIP-712 types for one attestation type, as signed and verified
+const typesFor = (primaryType) => ({ [primaryType]: ATTESTATION_TYPES[primaryType] });
+
+/**
+ * Create the kernel's attester
+ * @param {Object} settings - { privateKey, ttlMs (how long an attestation stays valid),
+ *   chainId and verifyingContract (both needed for on-chain verification) }
+ * @returns {Object} - Attester
+ */
+function createAttester(settings) {
+  const wallet = new Wallet(settings.privateKey);
+  const ttlMs = settings.ttlMs ?? 24 * 60 * 60 * 1000;
+  const domain = {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    ...(settings.chainId ? { chainId: Number(settings.chainId) } : {}),
+    ...(settings.verifyingContract ? { verifyingContract: getAddress(settings.verifyingContract) } : {})
+  };
+
+  return {
+    address: wallet.address,
+    publicKey: SigningKey.computePublicKey(wallet.signingKey.publicKey, true),
+    domain,
+
+    /**
+     * Sign an attestation for a scored wallet, or for an identity's linked wallets
+     * @param {Object} report - Score report (walletAddress, identity, score, modelVersion,
+     *   confidence, provisional)
+     * @param {Number} now - Issue time in milliseconds
+     * @returns {Promise<Object>} - { domain, types, primaryType, message, signature, signer }
+     */
+    async attest(report, now = Date.now()) {
+      const issuedAt = Math.floor(now / 1000);
+      const identity = report.identity && report.identity.wallets;
+      const primaryType = identity ? IDENTITY_PRIMARY_TYPE : PRIMARY_TYPE;
+      const message = {
+        ...(identity
+          ? { wallets: identity.map((linked) => getAddress(linked.address)) }
+          : { wallet: getAddress(report.walletAddress) }),
+        score: report.score,
+        modelVersion: report.modelVersion,
+        confidence: report.confidence,
+        provisional: Boolean(report.provisional),
+        issuedAt,
+        expiresAt: issuedAt + Math.floor(ttlMs / 1000)
+      };
+      const types = typesFor(primaryType);
+      return {
+        domain,
+        types,
+        primaryType,
+        message,
+        signature: await wallet.signTypedData(domain, types, message),
+        signer: wallet.address
+      };
+    },
+
+    /**
+     * Check an attestation against this kernel's key and domain
+     * @param {Object} attestation - { domain, primaryType, message, signature } as returned by attest
+     * @param {Number} now - Reference time in milliseconds
+     * @returns {Object} - { valid, signer, expired, reason }
+     */
+    verify(attestation, now = Date.now()) {
+      const { message, signature } = attestation || {};
+      if (!message || typeof signature !== 'string') {
+        return { valid: false, signer: null, expired: false, reason: 'Attestation needs a message and a signature' };
+      }
+      const primaryType = attestation.primaryType || PRIMARY_TYPE;
+      if (!Object.prototype.hasOwnProperty.call(ATTESTATION_TYPES, primaryType)) {
+        return { valid: false, signer: null, expired: false, reason: 'Unknown attestation type' };
+      }
+
+      let signer;
+      try {
+        // Always checked against our own domain, so an attestation for another domain fails
+        signer = verifyTypedData(domain, typesFor(primaryType), message, signature);
+      } catch (error) {
+        return { valid: false, signer: null, expired: false, reason: 'Malformed attestation' };
+      }
+
+      const expired = Number(message.expiresAt) * 1000 <= now;
+      if (signer !== wallet.address) {
+        return { valid: false, signer, expired, reason: 'Not signed by this kernel' };
+      }
+      if (expired) {
+        return { valid: false, signer, expired, reason: 'Attestation expired' };
+      }
+      return { valid: true, signer, expired, reason: null };
+    }
+  };
+}
+
+module.exports = { createAttester, ATTESTATION_TYPES, PRIMARY_TYPE, IDENTITY_PRIMARY_TYPE };
@@ -0,0 +1,37 @@
+// Bounded concurrency helper
+
+/**
+ * Run an async function over a list with at most `limit` calls in flight
+ * @param {Array} items - Inputs
+ * @param {Number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function (item, index) => result
+ * @param {Function} onSettled - Optional callback (outcome, index) as each item finishes,
+ *   where outcome is { value } or { error }
+ * @returns {Promise<Array>} - Outcomes in input order
+ */
+async function mapWithConcurrency(items, limit, fn, onSettled) {
+  const outcomes = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        outcomes[index] = { value: await fn(items[index], index) };
+      } catch (error) {
+        outcomes[index] = { error };
+      }
+      if (onSettled) onSettled(outcomes[index], index);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(Math.max(limit, 1), items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return outcomes;
+}
+
+module.exports = { mapWithConcurrency };
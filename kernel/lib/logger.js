@@ -0,0 +1,126 @@
+// Structured logging
+// One JSON object per line: { time, level, msg, requestId, ...fields }. The request id of
+// the HTTP request being served (and its API client, once known) is kept in async context
+// (runWithRequestId, annotateRequest), so every line
+// logged while serving it - down to each upstream network call - carries it without
+// threading it through every function. LOG_LEVEL picks the lowest level written
+// (debug, info, warn, error; default info); DEBUG=true is shorthand for debug.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request id attached to everything it logs
+ * @param {String} requestId - Request id
+ * @param {Function} fn - Function to run
+ * @returns {*} - fn's return value
+ */
+function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+/**
+ * Request id of the request being served, if any
+ * @returns {String|null}
+ */
+function currentRequestId() {
+  const context = requestContext.getStore();
+  return context ? context.requestId : null;
+}
+
+/**
+ * Add fields (e.g. the API client) to every line logged for the rest of the current request
+ * @param {Object} fields - Fields to add
+ */
+function annotateRequest(fields) {
+  const context = requestContext.getStore();
+  if (context) Object.assign(context, fields);
+}
+
+/**
+ * Turn errors into plain objects so they survive JSON.stringify
+ * @param {*} value - Field value
+ * @returns {*}
+ */
+function serializeField(value) {
+  if (value instanceof Error) {
+    return {
+      message: value.message,
+      ...(value.code ? { code: value.code } : {}),
+      ...(value.statusCode ? { statusCode: value.statusCode } : {}),
+      stack: value.stack
+    };
+  }
+  return value;
+}
+
+/**
+ * Create a logger
+ * @param {Object} options - { level (lowest level written, default info), fields (added to every
+ *   line), write (function(level, line); default console.log for debug/info, console.error above) }
+ * @returns {Object} - { debug, info, warn, error, child(fields), isLevelEnabled(level) }
+ */
+function createLogger(options = {}) {
+  const threshold = LEVELS[options.level] || LEVELS.info;
+  const baseFields = options.fields || {};
+  const write = options.write || ((level, line) => {
+    if (LEVELS[level] >= LEVELS.warn) console.error(line);
+    else console.log(line);
+  });
+
+  const log = (level) => (msg, fields = {}) => {
+    if (LEVELS[level] < threshold) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...requestContext.getStore() };
+    for (const [key, value] of Object.entries({ ...baseFields, ...fields })) {
+      if (value !== undefined) entry[key] = serializeField(value);
+    }
+    write(level, JSON.stringify(entry));
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+
+    /**
+     * Logger adding fixed fields (e.g. { component: 'cache' }) to every line
+     * @param {Object} fields - Fields to add
+     * @returns {Object} - Logger
+     */
+    child(fields) {
+      return createLogger({ ...options, fields: { ...baseFields, ...fields } });
+    },
+
+    isLevelEnabled(level) {
+      return LEVELS[level] >= threshold;
+    }
+  };
+}
+
+/**
+ * Log level from the environment
+ * @param {Object} env - Environment variables
+ * @returns {String} - debug, info, warn or error
+ */
+function levelFromEnv(env) {
+  const level = (env.LOG_LEVEL || '').toLowerCase();
+  if (LEVELS[level]) return level;
+  return env.DEBUG === 'true' ? 'debug' : 'info';
+}
+
+// Shared kernel logger
+const logger = createLogger({ level: levelFromEnv(process.env) });
+
+module.exports = {
+  logger,
+  createLogger,
+  levelFromEnv,
+  runWithRequestId,
+  currentRequestId,
+  annotateRequest,
+  LEVELS
+};
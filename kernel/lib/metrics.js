@@ -0,0 +1,169 @@
+// Prometheus metrics
+// A small registry of counters and histograms rendered in the Prometheus text
+// exposition format for GET /metrics, plus the kernel's own metrics:
+//   - HTTP request latency per route and status, and requests per API client;
+//   - upstream call latency and errors per network and provider method;
+//   - the distribution of computed scores per model;
+//   - which first-transaction timestamp path (transfers, extended transfers, ERC20,
+//     NFTs, ...) each network lookup went down, and how it ended;
+//   - webhook delivery attempts and how they ended.
+
+// Default histogram buckets, in seconds
+const LATENCY_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20];
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {String}
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set, e.g. {network="ethereum",method="logs"}
+ * @param {Array} names - Label names
+ * @param {Array} values - Label values, in the same order
+ * @returns {String}
+ */
+function renderLabels(names, values) {
+  if (names.length === 0) return '';
+  return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(',')}}`;
+}
+
+/**
+ * Create a metrics registry
+ * @returns {Object} - { counter, histogram, render }
+ */
+function createRegistry() {
+  const metrics = [];
+
+  // Series are keyed by their label values, in label-name order
+  const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+
+  return {
+    /**
+     * Register a counter
+     * @param {String} name - Metric name
+     * @param {String} help - Description
+     * @param {Array} labelNames - Label names
+     * @returns {Object} - { inc(labels, value), get(labels) }
+     */
+    counter(name, help, labelNames = []) {
+      const series = new Map();
+      metrics.push({
+        name,
+        help,
+        type: 'counter',
+        lines: () => Array.from(series, ([key, value]) => `${name}${renderLabels(labelNames, JSON.parse(key))} ${value}`)
+      });
+
+      return {
+        inc(labels = {}, value = 1) {
+          const key = seriesKey(labelNames, labels);
+          series.set(key, (series.get(key) || 0) + value);
+        },
+        get(labels = {}) {
+          return series.get(seriesKey(labelNames, labels)) || 0;
+        }
+      };
+    },
+
+    /**
+     * Register a histogram
+     * @param {String} name - Metric name
+     * @param {String} help - Description
+     * @param {Array} labelNames - Label names
+     * @param {Array} buckets - Upper bounds, ascending
+     * @returns {Object} - { observe(labels, value), get(labels) }
+     */
+    histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+      const series = new Map();
+      metrics.push({
+        name,
+        help,
+        type: 'histogram',
+        lines: () => Array.from(series).flatMap(([key, entry]) => {
+          const values = JSON.parse(key);
+          const withLe = (le) => renderLabels([...labelNames, 'le'], [...values, le]);
+          return [
+            ...buckets.map((bound, i) => `${name}_bucket${withLe(bound)} ${entry.counts[i]}`),
+            `${name}_bucket${withLe('+Inf')} ${entry.count}`,
+            `${name}_sum${renderLabels(labelNames, values)} ${entry.sum}`,
+            `${name}_count${renderLabels(labelNames, values)} ${entry.count}`
+          ];
+        })
+      });
+
+      return {
+        observe(labels, value) {
+          const key = seriesKey(labelNames, labels);
+          if (!series.has(key)) {
+            series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+          }
+          const entry = series.get(key);
+          // Buckets are cumulative
+          buckets.forEach((bound, i) => {
+            if (value <= bound) entry.counts[i]++;
+          });
+          entry.sum += value;
+          entry.count++;
+        },
+        get(labels = {}) {
+          const entry = series.get(seriesKey(labelNames, labels));
+          return entry ? { count: entry.count, sum: entry.sum } : { count: 0, sum: 0 };
+        }
+      };
+    },
+
+    /**
+     * Every metric in the Prometheus text exposition format
+     * @returns {String}
+     */
+    render() {
+      return metrics.map((metric) => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.lines()
+      ].join('\n')).join('\n') + '\n';
+    }
+  };
+}
+
+/**
+ * Create the kernel's metrics
+ * @param {Object} options - { maxScore (top of the score histogram, default 850) }
+ * @returns {Object} - { registry, httpRequestDuration, clientRequests, upstreamDuration, upstreamErrors,
+ *   scoreDistribution, timestampLookups, webhookDeliveries }
+ */
+function createKernelMetrics(options = {}) {
+  const registry = createRegistry();
+  const maxScore = options.maxScore || 850;
+  const scoreBuckets = [];
+  for (let bound = 50; bound < maxScore; bound += 50) scoreBuckets.push(bound);
+  scoreBuckets.push(maxScore);
+
+  return {
+    registry,
+    httpRequestDuration: registry.histogram('credit_score_http_request_duration_seconds',
+      'HTTP request latency', ['method', 'route', 'status']),
+    clientRequests: registry.counter('credit_score_client_requests_total',
+      'Requests per API client (accepted, rate_limited or quota_exceeded)', ['client', 'outcome']),
+    upstreamDuration: registry.histogram('credit_score_upstream_request_duration_seconds',
+      'Latency of each upstream chain data call attempt', ['network', 'method', 'outcome']),
+    upstreamErrors: registry.counter('credit_score_upstream_errors_total',
+      'Failed upstream chain data calls (timeout, deadline, circuit_open or error)', ['network', 'method', 'reason']),
+    scoreDistribution: registry.histogram('credit_score_score',
+      'Computed credit scores', ['model'], scoreBuckets),
+    timestampLookups: registry.counter('credit_score_timestamp_lookups_total',
+      'First-transaction timestamp lookups per path and outcome (found, empty or error)', ['network', 'path', 'outcome']),
+    webhookDeliveries: registry.counter('credit_score_webhook_deliveries_total',
+      'Webhook delivery attempts per event and outcome (delivered, retry or failed)', ['event', 'outcome'])
+  };
+}
+
+module.exports = {
+  createRegistry,
+  createKernelMetrics,
+  LATENCY_BUCKETS
+};
@@ -0,0 +1,80 @@
+// Name-service resolution
+// Wallet input may be a name instead of an address. ENS names (vitalik.eth) and the DNS
+// names imported into ENS (e.g. .xyz, .com) resolve through the ENS registry on Ethereum
+// mainnet; ethers follows offchain (CCIP-read) resolvers such as cb.id and uni.eth too.
+// A primary name is the reverse record of an address, and only counts once it resolves
+// back to the same address.
+
+const { JsonRpcProvider, ensNormalize } = require('ethers');
+const { addressChain } = require('./addresses');
+
+/**
+ * Check whether wallet input looks like a name rather than an address
+ * @param {String} value - Raw wallet input
+ * @returns {Boolean}
+ */
+function isWalletName(value) {
+  if (typeof value !== 'string' || !value.includes('.') || addressChain(value) !== null) return false;
+  try {
+    ensNormalize(value);
+    return true;
+  } catch (error) {
+    // Not a valid ENS name (empty label, disallowed characters)
+    return false;
+  }
+}
+
+/**
+ * Create a name resolver backed by the ENS contracts on Ethereum mainnet
+ * Answers are memoized for ttlMs, so a name looked up by the UI and then scored is
+ * resolved once. At most maxEntries answers are kept, least recently used dropped first.
+ * @param {Object} settings - { rpcUrl (Ethereum mainnet JSON-RPC endpoint), ttlMs, maxEntries }
+ * @returns {Object} - { network, name, resolveName(name), lookupAddress(address) }
+ */
+function createNameResolver(settings) {
+  const provider = new JsonRpcProvider(settings.rpcUrl, 'mainnet', { staticNetwork: true });
+  const ttlMs = settings.ttlMs ?? 5 * 60 * 1000;
+  const maxEntries = settings.maxEntries || 1000;
+  const memo = new Map();
+
+  const memoized = (key, lookup) => {
+    const entry = memo.get(key);
+    if (entry) {
+      memo.delete(key);
+      // Re-inserting moves the key to the end of the Map's insertion order
+      if (entry.expiresAt > Date.now()) {
+        memo.set(key, entry);
+        return entry.promise;
+      }
+    }
+
+    const promise = lookup();
+    memo.set(key, { promise, expiresAt: Date.now() + ttlMs });
+    while (memo.size > maxEntries) {
+      memo.delete(memo.keys().next().value);
+    }
+    // Failures are not remembered; a newer lookup of the same key may have replaced this one
+    promise.catch(() => {
+      if (memo.has(key) && memo.get(key).promise === promise) memo.delete(key);
+    });
+    return promise;
+  };
+
+  return {
+    // Guarded by lib/resilience.js like a chain data provider, with its own circuit breaker
+    network: 'ens',
+    name: 'ens',
+
+    resolveName(name) {
+      const normalized = ensNormalize(name);
+      return memoized(`name:${normalized}`, () => provider.resolveName(normalized));
+    },
+
+    lookupAddress(address) {
+      // ethers checks that the reverse record resolves back to the address
+      return memoized(`address:${address.toLowerCase()}`, () => provider.lookupAddress(address));
+    }
+  };
+}
+
+module.exports = { isWalletName, createNameResolver };
@@ -0,0 +1,49 @@
+// Public host checks for URLs the kernel calls on a client's say (webhook callbacks)
+// A host is public when every address it resolves to is outside the loopback, private,
+// link-local (cloud metadata at 169.254.169.254), shared, documentation, multicast and other
+// reserved ranges. IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry.
+
+const dns = require('dns');
+const net = require('net');
+
+const RESERVED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => RESERVED.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 23],
+  ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => RESERVED.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * Whether an IP address is publicly routable
+ * @param {String} address - IPv4 or IPv6 address
+ * @returns {Boolean}
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !RESERVED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Whether a host name (or IP literal) only resolves to public addresses
+ * @param {String} hostname - Host as in URL#hostname (IPv6 literals in brackets)
+ * @param {Function} lookup - dns.promises.lookup compatible resolver, for tests
+ * @returns {Promise<Boolean>} - Rejects if the host doesn't resolve
+ */
+async function isPublicHost(hostname, lookup = dns.promises.lookup) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return false;
+  if (net.isIP(host)) return isPublicAddress(host);
+
+  const addresses = await lookup(host, { all: true, verbatim: true });
+  return addresses.length > 0 && addresses.every(({ address }) => isPublicAddress(address));
+}
+
+module.exports = {
+  isPublicAddress,
+  isPublicHost
+};
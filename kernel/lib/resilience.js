@@ -0,0 +1,312 @@
+// Upstream call resilience
+// Every chain data call goes through a guard that applies, from the outside in:
+//   - a circuit breaker per network, which stops calling a chain after repeated
+//     failures and lets one trial call through once its reset period has passed;
+//   - retries with jittered exponential backoff;
+//   - a per-call timeout, shortened to whatever is left of the request deadline.
+// A request deadline is shared by all calls made for one scoring request, so a slow
+// chain can't hold the response past it. Each attempt is logged at debug level and, when
+// metrics are given, timed per network and method; the last successful call of each
+// network is kept for readiness reporting.
+
+const { logger } = require('./logger');
+
+// Error codes attached to errors raised here
+const TIMEOUT = 'TIMEOUT';
+const CIRCUIT_OPEN = 'CIRCUIT_OPEN';
+const DEADLINE_EXCEEDED = 'DEADLINE_EXCEEDED';
+
+// Human-readable names for provider methods, used in error messages
+const CALL_LABELS = {
+  getTransactionCount: 'transaction count',
+  getAssetTransfers: 'transfers',
+  getNftsForOwner: 'NFTs',
+  getLogs: 'logs',
+  getFirstTransactionTimestamp: 'first transaction',
+  resolveName: 'name',
+  lookupAddress: 'primary name',
+  isValidSignature: 'contract wallet signature'
+};
+
+/**
+ * Create an error carrying one of the codes above
+ * @param {String} code - Error code
+ * @param {String} message - Error message
+ * @returns {Error}
+ */
+function resilienceError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Reject if a promise doesn't settle in time; the timer is always cleared
+ * @param {Promise} promise - Promise to wait for
+ * @param {Number} ms - Timeout
+ * @param {Function} onTimeout - Returns the error to reject with
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms, onTimeout) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(onTimeout()), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create a request deadline
+ * @param {Number} ms - Time budget; 0 or missing means no deadline
+ * @returns {Object} - { remaining(), expired(), exceeded }
+ */
+function createDeadline(ms) {
+  const expiresAt = ms > 0 ? Date.now() + ms : Infinity;
+
+  return {
+    expiresAt,
+    // Set once a call has been cut short by this deadline
+    exceeded: false,
+    remaining: () => Math.max(expiresAt - Date.now(), 0),
+    expired: () => Date.now() >= expiresAt
+  };
+}
+
+/**
+ * Backoff before a retry: full jitter over an exponentially growing window
+ * @param {Number} attempt - Retry number, starting at 0
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {Number} - Delay in milliseconds
+ */
+function backoffDelay(attempt, options) {
+  const window = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * window);
+}
+
+/**
+ * Call a function, retrying failures with jittered exponential backoff
+ * @param {Function} fn - Async function to call
+ * @param {Object} options - { retries, baseDelayMs, maxDelayMs, deadline }
+ * @returns {Promise}
+ */
+async function retry(fn, options) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= options.retries || error.code === CIRCUIT_OPEN || error.code === DEADLINE_EXCEEDED) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, options);
+      // No point waiting for a retry the deadline won't allow
+      if (options.deadline && delay >= options.deadline.remaining()) throw error;
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Create a circuit breaker
+ * closed -> open after `failureThreshold` consecutive failures; open -> half-open once
+ * `resetTimeoutMs` has passed; half-open lets one call through, closing on success and
+ * re-opening on failure.
+ * @param {Object} options - { failureThreshold, resetTimeoutMs }
+ * @returns {Object} - Circuit breaker
+ */
+function createCircuitBreaker(options) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastFailure = null;
+
+  const open = () => {
+    state = 'open';
+    openedAt = Date.now();
+  };
+
+  return {
+    /**
+     * Run a call through the breaker
+     * @param {Function} fn - Async function to call
+     * @returns {Promise}
+     */
+    async call(fn) {
+      if (state === 'open' && Date.now() - openedAt >= options.resetTimeoutMs) {
+        state = 'half-open';
+      }
+      if (state === 'open' || (state === 'half-open' && trialInFlight)) {
+        throw resilienceError(CIRCUIT_OPEN, 'Circuit open');
+      }
+
+      const trial = state === 'half-open';
+      if (trial) trialInFlight = true;
+
+      try {
+        const result = await fn();
+        state = 'closed';
+        failures = 0;
+        return result;
+      } catch (error) {
+        // A call cut short by the request deadline says nothing about the chain's health
+        if (error.code !== DEADLINE_EXCEEDED) {
+          failures++;
+          lastFailure = { message: error.message, at: new Date().toISOString() };
+          if (trial || failures >= options.failureThreshold) open();
+        }
+        throw error;
+      } finally {
+        if (trial) trialInFlight = false;
+      }
+    },
+
+    /**
+     * Current state, for health reporting
+     * @returns {Object} - { state, failures, openedAt, retryAt, lastFailure }
+     */
+    snapshot() {
+      return {
+        state,
+        failures,
+        openedAt: openedAt && state !== 'closed' ? new Date(openedAt).toISOString() : null,
+        retryAt: state === 'open' ? new Date(openedAt + options.resetTimeoutMs).toISOString() : null,
+        lastFailure
+      };
+    }
+  };
+}
+
+/**
+ * Metrics label for a failed call
+ * @param {Error} error - Call error
+ * @returns {String} - 'timeout', 'deadline', 'circuit_open' or 'error'
+ */
+function errorReason(error) {
+  if (error.code === TIMEOUT) return 'timeout';
+  if (error.code === DEADLINE_EXCEEDED) return 'deadline';
+  if (error.code === CIRCUIT_OPEN) return 'circuit_open';
+  return 'error';
+}
+
+/**
+ * Create the resilience layer shared by all scoring requests
+ * @param {Object} options - { timeoutMs, retries, baseDelayMs, maxDelayMs, failureThreshold, resetTimeoutMs,
+ *   metrics (from lib/metrics.js createKernelMetrics; optional) }
+ * @returns {Object} - { guard(provider, deadline), snapshot() }
+ */
+function createResilience(options) {
+  const breakers = new Map();
+  const metrics = options.metrics || null;
+  // Network -> { at, latencyMs, method } of its last successful call
+  const lastSuccess = new Map();
+
+  const breakerFor = (network) => {
+    if (!breakers.has(network)) {
+      breakers.set(network, createCircuitBreaker(options));
+    }
+    return breakers.get(network);
+  };
+
+  return {
+    /**
+     * Wrap a provider so every call is guarded for one request
+     * @param {Object} provider - Chain data provider
+     * @param {Object} deadline - Request deadline from createDeadline
+     * @returns {Object} - Chain data provider
+     */
+    guard(provider, deadline) {
+      const breaker = breakerFor(provider.network);
+
+      // Time and log one attempt
+      const observe = (method, outcome, startedAt, error) => {
+        const durationMs = Date.now() - startedAt;
+        const labels = { network: provider.network, method };
+        if (!error) {
+          lastSuccess.set(provider.network, { at: new Date().toISOString(), latencyMs: durationMs, method });
+        }
+        if (metrics) {
+          metrics.upstreamDuration.observe({ ...labels, outcome }, durationMs / 1000);
+          if (error) metrics.upstreamErrors.inc({ ...labels, reason: outcome });
+        }
+        logger.debug('Upstream call', {
+          ...labels,
+          provider: provider.name,
+          outcome,
+          durationMs,
+          error: error ? error.message : undefined
+        });
+      };
+
+      const guarded = (method) => (...args) => {
+        const label = CALL_LABELS[method] || method;
+
+        const attempt = () => {
+          if (deadline.expired()) {
+            deadline.exceeded = true;
+            return Promise.reject(resilienceError(DEADLINE_EXCEEDED, 'Request deadline exceeded'));
+          }
+          // Cut the call short at the deadline if that comes first
+          const limitedByDeadline = deadline.remaining() < options.timeoutMs;
+          const startedAt = Date.now();
+          const call = withTimeout(
+            Promise.resolve().then(() => provider[method](...args)),
+            Math.min(options.timeoutMs, deadline.remaining()),
+            () => {
+              if (limitedByDeadline) {
+                deadline.exceeded = true;
+                return resilienceError(DEADLINE_EXCEEDED, 'Request deadline exceeded');
+              }
+              return resilienceError(TIMEOUT, `Timeout fetching ${label} for ${provider.network}`);
+            }
+          );
+          return call.then((result) => {
+            observe(method, 'success', startedAt);
+            return result;
+          }, (error) => {
+            observe(method, errorReason(error), startedAt, error);
+            throw error;
+          });
+        };
+
+        return breaker.call(() => retry(attempt, { ...options, deadline })).catch((error) => {
+          if (error.code === CIRCUIT_OPEN) {
+            if (metrics) metrics.upstreamErrors.inc({ network: provider.network, method, reason: 'circuit_open' });
+            throw resilienceError(CIRCUIT_OPEN, `Circuit open for ${provider.network}; skipped ${label}`);
+          }
+          throw error;
+        });
+      };
+
+      // Every chain data call the provider implements
+      const calls = Object.keys(CALL_LABELS).filter((method) => typeof provider[method] === 'function');
+      return { ...provider, ...Object.fromEntries(calls.map((method) => [method, guarded(method)])) };
+    },
+
+    /**
+     * Circuit breaker state and last successful call per network
+     * @param {Array} networks - Networks to include (default: those called so far)
+     * @returns {Object} - Network name -> { ...breaker snapshot, lastSuccess }
+     */
+    snapshot(networks = Array.from(breakers.keys())) {
+      return Object.fromEntries(networks.map((network) => [
+        network,
+        { ...breakerFor(network).snapshot(), lastSuccess: lastSuccess.get(network) || null }
+      ]));
+    }
+  };
+}
+
+module.exports = {
+  createResilience,
+  createCircuitBreaker,
+  createDeadline,
+  retry,
+  withTimeout,
+  backoffDelay,
+  TIMEOUT,
+  CIRCUIT_OPEN,
+  DEADLINE_EXCEEDED
+};
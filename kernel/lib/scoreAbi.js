@@ -0,0 +1,78 @@
+// ABI-encoded score responses
+// The score endpoints answer with a bare JSON integer by default, which KRNL hands to the
+// contract as a single uint256. Callers that want more than that on-chain can ask for the
+// score as one ABI-encoded tuple (?format=abi or Accept: application/vnd.credit-score.abi):
+//
+//   tuple(uint256 score, uint256 minScore, uint256 maxScore, uint8 decimals, uint8 status,
+//         string modelVersion, uint64 timestamp, uint8 activeNetworks)
+//
+// score, minScore and maxScore are fixed-point numbers with `decimals` decimals (0 unless the
+// caller asks for more, so 632 is 632 points), status is 0 for fail and 1 for pass, and
+// timestamp is when the score was computed, in Unix seconds. Decode it in Solidity with
+// hardhat/contracts/CreditScoreResult.sol.
+
+const { AbiCoder } = require('ethers');
+
+const SCORE_TUPLE = 'tuple(uint256 score, uint256 minScore, uint256 maxScore, uint8 decimals, uint8 status, ' +
+  'string modelVersion, uint64 timestamp, uint8 activeNetworks)';
+
+const STATUS_CODES = { fail: 0, pass: 1 };
+
+// Most decimals a caller may ask for (as many as an ERC-20 token)
+const MAX_DECIMALS = 18;
+
+/**
+ * Encode a score report as the ABI score tuple
+ * @param {Object} report - Score report (summary or full detail)
+ * @param {Object} options - { decimals (fixed-point decimals, default 0), minScore, maxScore
+ *   (the score range, default MIN_SCORE and MAX_SCORE) }
+ * @returns {String} - 0x-prefixed hex
+ */
+function encodeScoreReport(report, options = {}) {
+  const decimals = options.decimals ?? 0;
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_DECIMALS) {
+    throw new Error(`decimals must be an integer between 0 and ${MAX_DECIMALS}`);
+  }
+  const minScore = options.minScore ?? parseInt(process.env.MIN_SCORE || '300');
+  const maxScore = options.maxScore ?? parseInt(process.env.MAX_SCORE || '850');
+  const scale = 10n ** BigInt(decimals);
+
+  return AbiCoder.defaultAbiCoder().encode([SCORE_TUPLE], [[
+    BigInt(Math.round(report.score)) * scale,
+    BigInt(minScore) * scale,
+    BigInt(maxScore) * scale,
+    decimals,
+    STATUS_CODES[report.status],
+    report.modelVersion,
+    Math.floor(Date.parse(report.generatedAt) / 1000),
+    report.activeNetworks
+  ]]);
+}
+
+/**
+ * Decode an ABI score tuple, e.g. to check a response off-chain
+ * @param {String} data - 0x-prefixed hex
+ * @returns {Object} - { score, minScore, maxScore (as decimal strings, scaled), decimals, status
+ *   ('pass' | 'fail'), modelVersion, timestamp, activeNetworks }
+ */
+function decodeScoreResponse(data) {
+  const [tuple] = AbiCoder.defaultAbiCoder().decode([SCORE_TUPLE], data);
+  return {
+    score: tuple.score.toString(),
+    minScore: tuple.minScore.toString(),
+    maxScore: tuple.maxScore.toString(),
+    decimals: Number(tuple.decimals),
+    status: Object.keys(STATUS_CODES).find((status) => STATUS_CODES[status] === Number(tuple.status)),
+    modelVersion: tuple.modelVersion,
+    timestamp: Number(tuple.timestamp),
+    activeNetworks: Number(tuple.activeNetworks)
+  };
+}
+
+module.exports = {
+  encodeScoreReport,
+  decodeScoreResponse,
+  SCORE_TUPLE,
+  STATUS_CODES,
+  MAX_DECIMALS
+};
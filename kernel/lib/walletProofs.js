@@ -0,0 +1,98 @@
+// Proof of wallet control
+// Linking wallets into one identity needs proof that the same person controls each of
+// them: every wallet signs the same link message with personal_sign (EIP-191). Plain
+// accounts are checked by recovering the signer; smart-contract wallets (Safe and the
+// like) are asked through ERC-1271 `isValidSignature` on the network they live on, with
+// a checker that lib/resilience.js guards like a chain data provider.
+// The message names every linked wallet and when it was issued, so a signature can't
+// be reused for a different set of wallets or after it expires.
+
+const { verifyMessage, hashMessage, Interface } = require('ethers');
+const { rpcRequest } = require('../providers/jsonRpc');
+
+// isValidSignature returns this selector for a valid signature
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+const erc1271 = new Interface(['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)']);
+
+// Clocks drift; accept messages issued slightly in the future
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Build the message every linked wallet signs
+ * @param {Array} addresses - Linked wallet addresses
+ * @param {String} issuedAt - ISO timestamp the message was issued at
+ * @returns {String}
+ */
+function linkMessage(addresses, issuedAt) {
+  const wallets = addresses.map((address) => address.toLowerCase()).sort();
+  return [
+    'Link these wallets into one credit score identity:',
+    ...wallets,
+    `Issued at: ${issuedAt}`
+  ].join('\n');
+}
+
+/**
+ * Check that a link message is recent enough to accept
+ * @param {String} issuedAt - ISO timestamp from the request
+ * @param {Number} maxAgeMs - How long a signed message stays valid
+ * @param {Number} now - Reference time in milliseconds
+ * @returns {Boolean}
+ */
+function isFreshIssuedAt(issuedAt, maxAgeMs, now = Date.now()) {
+  const time = typeof issuedAt === 'string' ? Date.parse(issuedAt) : NaN;
+  if (Number.isNaN(time)) return false;
+  return time <= now + MAX_CLOCK_SKEW_MS && now - time <= maxAgeMs;
+}
+
+/**
+ * Create an ERC-1271 signature checker for one network
+ * @param {String} network - Network name
+ * @param {String} rpcUrl - JSON-RPC endpoint of the network
+ * @returns {Object} - { network, name, isValidSignature(address, message, signature) }
+ */
+function createContractWalletChecker(network, rpcUrl) {
+  return {
+    // Guarded by lib/resilience.js, with a circuit breaker apart from the network's chain data
+    network: `erc1271:${network}`,
+    name: 'erc1271',
+
+    async isValidSignature(address, message, signature) {
+      const data = erc1271.encodeFunctionData('isValidSignature', [hashMessage(message), signature]);
+      const result = await rpcRequest(rpcUrl, 'eth_call', [{ to: address, data }, 'latest']);
+      return typeof result === 'string' && result.slice(0, 10).toLowerCase() === ERC1271_MAGIC_VALUE;
+    }
+  };
+}
+
+/**
+ * Verify one wallet's signature of the link message
+ * @param {Object} proof - { address, signature, type: 'eoa' (default) | 'erc1271' }
+ * @param {String} message - Link message the wallet signed
+ * @param {Object} checker - Contract wallet checker for the wallet's network, from
+ *   createContractWalletChecker (erc1271 only)
+ * @returns {Promise<Boolean>}
+ */
+async function verifyWalletProof(proof, message, checker) {
+  if (typeof proof.signature !== 'string' || !proof.signature.startsWith('0x')) return false;
+
+  if (proof.type === 'erc1271') {
+    if (!checker) return false;
+    return checker.isValidSignature(proof.address, message, proof.signature);
+  }
+
+  try {
+    return verifyMessage(message, proof.signature).toLowerCase() === proof.address.toLowerCase();
+  } catch (error) {
+    // Malformed signature
+    return false;
+  }
+}
+
+module.exports = {
+  linkMessage,
+  isFreshIssuedAt,
+  verifyWalletProof,
+  createContractWalletChecker,
+  ERC1271_MAGIC_VALUE
+};
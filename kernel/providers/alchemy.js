@@ -0,0 +1,44 @@
+// Alchemy chain data provider
+// Thin adapter over the Alchemy SDK so it satisfies the common provider interface
+
+const { Alchemy } = require('alchemy-sdk');
+
+/**
+ * Create an Alchemy-backed provider
+ * @param {String} network - Kernel network name (e.g. "ethereum")
+ * @param {Object} settings - Alchemy SDK settings ({ apiKey, network })
+ * @returns {Object} - Chain data provider
+ */
+function createAlchemyProvider(network, settings) {
+  // Check if the network is actually defined in the Alchemy SDK
+  if (!settings || settings.network === undefined) {
+    throw new Error(`Network ${network} is not supported in your Alchemy SDK version`);
+  }
+
+  const alchemy = new Alchemy(settings);
+
+  return {
+    name: 'alchemy',
+    network,
+    capabilities: { transfers: true, nfts: true, logs: true },
+
+    getTransactionCount(address) {
+      return alchemy.core.getTransactionCount(address);
+    },
+
+    getAssetTransfers(params) {
+      // Metadata carries the block timestamp, which callers rely on
+      return alchemy.core.getAssetTransfers({ withMetadata: true, ...params });
+    },
+
+    getNftsForOwner(address, options) {
+      return alchemy.nft.getNftsForOwner(address, options);
+    },
+
+    getLogs(filter) {
+      return alchemy.core.getLogs(filter);
+    }
+  };
+}
+
+module.exports = { createAlchemyProvider };
@@ -0,0 +1,80 @@
+// Esplora chain data provider for Bitcoin
+// Works against any Esplora-compatible API (Blockstream, mempool.space, self-hosted).
+// The confirmed transaction count comes from the address summary; the first transaction
+// from paging through the address's confirmed transactions, which Esplora lists newest
+// first. Past `maxPages` pages the oldest transaction seen is used instead (a lower bound
+// on the account age).
+
+// Confirmed transactions per page of /address/:address/txs/chain
+const TXS_PAGE_SIZE = 25;
+
+/**
+ * Fetch a JSON resource from an Esplora API
+ * @param {Object} settings - { url }
+ * @param {String} path - Resource path
+ * @returns {Promise<any>}
+ */
+async function esploraRequest(settings, path) {
+  const response = await fetch(`${settings.url.replace(/\/$/, '')}${path}`);
+  if (!response.ok) {
+    throw new Error(`Esplora ${path} failed with HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Create an Esplora-backed provider
+ * @param {String} network - Kernel network name
+ * @param {Object} settings - { url, maxPages }
+ * @returns {Object} - Chain data provider
+ */
+function createEsploraProvider(network, settings) {
+  if (!settings || !settings.url) {
+    throw new Error(`No Esplora API URL configured for ${network}`);
+  }
+
+  const maxPages = settings.maxPages || 20;
+
+  return {
+    name: 'esplora',
+    network,
+    capabilities: { transfers: false, nfts: false, logs: false, firstTx: true },
+
+    async getTransactionCount(address) {
+      const summary = await esploraRequest(settings, `/address/${address}`);
+      return summary.chain_stats.tx_count;
+    },
+
+    async getFirstTransactionTimestamp(address) {
+      let oldestBlockTime = null;
+      let lastTxid = null;
+
+      for (let page = 0; page < maxPages; page++) {
+        const path = `/address/${address}/txs/chain${lastTxid ? `/${lastTxid}` : ''}`;
+        const txs = await esploraRequest(settings, path);
+
+        for (const tx of txs) {
+          if (tx.status && tx.status.block_time) oldestBlockTime = tx.status.block_time;
+        }
+        if (txs.length < TXS_PAGE_SIZE) break;
+        lastTxid = txs[txs.length - 1].txid;
+      }
+
+      return oldestBlockTime ? oldestBlockTime * 1000 : null;
+    },
+
+    async getAssetTransfers() {
+      return { transfers: [] };
+    },
+
+    async getNftsForOwner() {
+      return { ownedNfts: [] };
+    },
+
+    async getLogs() {
+      return [];
+    }
+  };
+}
+
+module.exports = { createEsploraProvider };
@@ -0,0 +1,249 @@
+// Etherscan-style explorer chain data provider
+// Covers Etherscan and its clones (Polygonscan, Arbiscan, BscScan, Snowtrace, ...)
+// and maps their account endpoints onto the Alchemy transfer shape.
+
+// Transfer category -> explorer account action
+const CATEGORY_ACTIONS = {
+  external: 'txlist',
+  internal: 'txlistinternal',
+  erc20: 'tokentx',
+  erc721: 'tokennfttx',
+  erc1155: 'token1155tx'
+};
+
+/**
+ * Call an explorer API endpoint
+ * @param {Object} settings - { url, apiKey }
+ * @param {Object} params - Query parameters
+ * @returns {Promise<any>} - The `result` field of the response
+ */
+async function explorerRequest(settings, params) {
+  const query = new URLSearchParams(params);
+  if (settings.apiKey) {
+    query.set('apikey', settings.apiKey);
+  }
+
+  const response = await fetch(`${settings.url}?${query.toString()}`);
+  if (!response.ok) {
+    throw new Error(`Explorer ${params.action} failed with HTTP ${response.status}`);
+  }
+
+  const body = await response.json();
+
+  // Proxy module responses are plain JSON-RPC
+  if (params.module === 'proxy') {
+    if (body.error) {
+      throw new Error(`Explorer ${params.action} failed: ${body.error.message || JSON.stringify(body.error)}`);
+    }
+    return body.result;
+  }
+
+  if (body.status === '1') {
+    return body.result;
+  }
+  // An empty account is reported as a failure by Etherscan
+  if (typeof body.message === 'string' && body.message.startsWith('No transactions found')) {
+    return [];
+  }
+
+  throw new Error(`Explorer ${params.action} failed: ${typeof body.result === 'string' ? body.result : body.message}`);
+}
+
+/**
+ * Convert an explorer transaction row into an Alchemy-style transfer
+ * @param {Object} tx - Explorer row
+ * @param {String} category - Transfer category
+ * @returns {Object} - Transfer
+ */
+function toTransfer(tx, category) {
+  const decimals = category === 'erc20' ? parseInt(tx.tokenDecimal || '18') : 18;
+  let value = null;
+  if (category !== 'erc721' && tx.value !== undefined) {
+    value = Number(tx.value) / Math.pow(10, decimals);
+  }
+
+  return {
+    blockNum: '0x' + parseInt(tx.blockNumber).toString(16),
+    hash: tx.hash,
+    from: tx.from ? tx.from.toLowerCase() : null,
+    to: tx.to ? tx.to.toLowerCase() : null,
+    value,
+    asset: tx.tokenSymbol || null,
+    category,
+    rawContract: { address: tx.contractAddress || null },
+    metadata: {
+      blockTimestamp: new Date(parseInt(tx.timeStamp) * 1000).toISOString()
+    }
+  };
+}
+
+/**
+ * Expand eth_getLogs topic alternatives into every single-valued combination
+ * @param {Array} topics - Topic filter, where a position may be an array of alternatives
+ * @returns {Array} - List of topic filters without alternatives
+ */
+function expandTopics(topics) {
+  const index = topics.findIndex((topic) => Array.isArray(topic));
+  if (index === -1) return [topics];
+
+  return topics[index].flatMap((alternative) =>
+    expandTopics(topics.map((topic, i) => (i === index ? alternative : topic))));
+}
+
+/**
+ * Encode the next page of each transfer category as a page key
+ * @param {Object} pages - Category -> page number
+ * @returns {String} - e.g. "external:3,erc20:2"
+ */
+function formatPageKey(pages) {
+  return Object.entries(pages).map(([category, page]) => `${category}:${page}`).join(',');
+}
+
+/**
+ * Decode a page key made by formatPageKey
+ * @param {String} pageKey - Page key
+ * @returns {Object} - Category -> page number
+ */
+function parsePageKey(pageKey) {
+  const pages = {};
+  for (const entry of String(pageKey).split(',')) {
+    const [category, page] = entry.split(':');
+    const number = parseInt(page);
+    if (CATEGORY_ACTIONS[category] && number > 0) {
+      pages[category] = number;
+    }
+  }
+  return pages;
+}
+
+/**
+ * Create an explorer-backed provider
+ * @param {String} network - Kernel network name
+ * @param {Object} settings - { url, apiKey }
+ * @returns {Object} - Chain data provider
+ */
+function createExplorerProvider(network, settings) {
+  if (!settings || !settings.url) {
+    throw new Error(`No explorer API URL configured for ${network}`);
+  }
+
+  return {
+    name: 'explorer',
+    network,
+    capabilities: { transfers: true, nfts: false, logs: true },
+
+    async getTransactionCount(address) {
+      const result = await explorerRequest(settings, {
+        module: 'proxy',
+        action: 'eth_getTransactionCount',
+        address,
+        tag: 'latest'
+      });
+      return parseInt(result, 16);
+    },
+
+    async getAssetTransfers(params) {
+      const address = (params.fromAddress || params.toAddress).toLowerCase();
+      const order = params.order === 'desc' ? 'desc' : 'asc';
+      const maxCount = Number(params.maxCount || 1000);
+      // Rows for both directions come back together, so over-fetch before filtering
+      const offset = Math.max(maxCount, 100);
+      const categories = params.category || ['external'];
+      // Each category pages on its own; the page key holds the next page of every category
+      // that has more rows, and categories missing from it are exhausted
+      const pages = params.pageKey ? parsePageKey(params.pageKey) : null;
+
+      let transfers = [];
+      const nextPages = {};
+
+      for (const category of categories) {
+        const action = CATEGORY_ACTIONS[category];
+        if (!action) continue;
+        const page = pages ? pages[category] : 1;
+        if (!page) continue;
+
+        const rows = await explorerRequest(settings, {
+          module: 'account',
+          action,
+          address,
+          page,
+          offset,
+          sort: order
+        });
+
+        if (rows.length >= offset) {
+          nextPages[category] = page + 1;
+        }
+        transfers.push(...rows.map((row) => toTransfer(row, category)));
+      }
+
+      // Explorer endpoints return both directions, so filter to the requested one
+      if (params.fromAddress) {
+        transfers = transfers.filter((t) => t.from === address);
+      }
+      if (params.toAddress) {
+        transfers = transfers.filter((t) => t.to === address);
+      }
+
+      transfers.sort((a, b) => {
+        const diff = new Date(a.metadata.blockTimestamp) - new Date(b.metadata.blockTimestamp);
+        return order === 'asc' ? diff : -diff;
+      });
+
+      // The whole merged page is returned (up to `offset` rows per category): cutting it to
+      // maxCount would drop rows that no later page holds
+      return {
+        transfers,
+        pageKey: Object.keys(nextPages).length > 0 ? formatPageKey(nextPages) : undefined
+      };
+    },
+
+    async getNftsForOwner() {
+      return { ownedNfts: [] };
+    },
+
+    async getLogs(filter) {
+      // The logs endpoint takes one contract address and one value per topic position,
+      // so address lists and topic alternatives become separate queries
+      const addresses = Array.isArray(filter.address) ? filter.address : [filter.address];
+      const topicSets = expandTopics(filter.topics || []);
+      const logs = [];
+
+      for (const address of addresses) {
+        for (const topics of topicSets) {
+          const params = {
+            module: 'logs',
+            action: 'getLogs',
+            address,
+            fromBlock: filter.fromBlock === undefined ? 0 : parseInt(filter.fromBlock),
+            toBlock: filter.toBlock === undefined || filter.toBlock === 'latest' ? 'latest' : parseInt(filter.toBlock)
+          };
+
+          const present = [];
+          topics.forEach((topic, index) => {
+            if (topic === null || topic === undefined) return;
+            params[`topic${index}`] = topic;
+            present.push(index);
+          });
+          for (let i = 1; i < present.length; i++) {
+            params[`topic${present[i - 1]}_${present[i]}_opr`] = 'and';
+          }
+
+          const rows = await explorerRequest(settings, params);
+          logs.push(...rows.map((row) => ({
+            address: row.address,
+            topics: row.topics,
+            data: row.data,
+            blockNumber: row.blockNumber,
+            transactionHash: row.transactionHash,
+            timeStamp: row.timeStamp
+          })));
+        }
+      }
+
+      return logs;
+    }
+  };
+}
+
+module.exports = { createExplorerProvider };
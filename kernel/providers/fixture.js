@@ -0,0 +1,170 @@
+// Recorded-fixture chain data provider
+// Replays chain data from JSON files so the kernel runs without network access
+// (tests, local development). Each file in the fixture directory describes one wallet:
+//
+//   {
+//     "address": "0x...",                       (defaults to the file name)
+//     "networks": {
+//       "ethereum": {
+//         "transactionCount": 12,
+//         "transfers": [ ...alchemy_getAssetTransfers entries... ],
+//         "nfts": [ ...getNftsForOwner entries... ],
+//         "logs": [ ...eth_getLogs entries... ],
+//         "firstTransactionAt": "2021-03-01T10:00:00.000Z",   (non-EVM networks)
+//         "calls": [ { "method", "params", "response" | "error", "delayMs" } ]
+//       }
+//     }
+//   }
+//
+// `calls` are recorded responses: the first entry whose method matches and whose
+// `params` are a subset of the call's params is replayed (after `delayMs`). Calls
+// without a recording are answered from `transfers`, `nfts` and `logs`, filtered the
+// way the live APIs filter. Wallets without a file look like fresh wallets.
+
+const fs = require('fs');
+const path = require('path');
+
+const lower = (address) => (address || '').toLowerCase();
+
+/**
+ * Load every wallet fixture in a directory
+ * @param {String} dir - Fixture directory
+ * @returns {Map} - Lower-cased address -> fixture
+ */
+function loadFixtures(dir) {
+  const fixtures = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    if (path.extname(file) !== '.json') continue;
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const address = fixture.address || path.basename(file, '.json');
+    fixtures.set(lower(address), fixture);
+  }
+
+  return fixtures;
+}
+
+/**
+ * Whether every recorded param equals the call's param
+ * @param {Object} recorded - Params stored with the recording
+ * @param {Object} actual - Params of the call
+ * @returns {Boolean}
+ */
+function paramsMatch(recorded, actual) {
+  return Object.entries(recorded || {}).every(([key, value]) =>
+    JSON.stringify(value) === JSON.stringify(actual[key]));
+}
+
+/**
+ * Block number of a transfer or log as a Number
+ * @param {Object} entry - Transfer or log
+ * @returns {Number}
+ */
+function blockNumber(entry) {
+  const value = entry.blockNum !== undefined ? entry.blockNum : entry.blockNumber;
+  return typeof value === 'string' ? parseInt(value, 16) : (value || 0);
+}
+
+/**
+ * Whether a log matches one position of an eth_getLogs topic filter
+ * @param {String} topic - Log topic
+ * @param {String|Array|null} filter - Topic, alternatives, or null for any
+ * @returns {Boolean}
+ */
+function topicMatches(topic, filter) {
+  if (filter === null || filter === undefined) return true;
+  const alternatives = Array.isArray(filter) ? filter : [filter];
+  return alternatives.some((candidate) => lower(candidate) === lower(topic));
+}
+
+/**
+ * Create a provider that replays recorded chain data
+ * @param {String} network - Kernel network name
+ * @param {Object} settings - { dir }
+ * @returns {Object} - Chain data provider
+ */
+function createFixtureProvider(network, settings) {
+  if (!settings || !settings.dir) {
+    throw new Error(`No fixture directory configured for ${network}`);
+  }
+
+  const fixtures = loadFixtures(settings.dir);
+
+  const networkData = (address) => {
+    const fixture = fixtures.get(lower(address));
+    return (fixture && fixture.networks && fixture.networks[network]) || {};
+  };
+
+  // Replay a recorded call if there is one, otherwise answer from the wallet's data
+  const replay = async (address, method, params, answer) => {
+    const data = networkData(address);
+    const recording = (data.calls || []).find((call) =>
+      call.method === method && paramsMatch(call.params, params));
+
+    if (recording && recording.delayMs) {
+      await new Promise((resolve) => setTimeout(resolve, recording.delayMs));
+    }
+    if (recording && recording.error) {
+      throw new Error(recording.error);
+    }
+    return recording && recording.response !== undefined ? recording.response : answer(data);
+  };
+
+  return {
+    name: 'fixture',
+    network,
+    capabilities: { transfers: true, nfts: true, logs: true, firstTx: true },
+
+    getTransactionCount(address) {
+      return replay(address, 'getTransactionCount', {}, (data) => data.transactionCount || 0);
+    },
+
+    getAssetTransfers(params) {
+      const address = params.fromAddress || params.toAddress;
+
+      return replay(address, 'getAssetTransfers', params, (data) => {
+        const categories = params.category || null;
+        const matching = (data.transfers || [])
+          .filter((transfer) => !params.fromAddress || lower(transfer.from) === lower(params.fromAddress))
+          .filter((transfer) => !params.toAddress || lower(transfer.to) === lower(params.toAddress))
+          .filter((transfer) => !categories || categories.includes(transfer.category))
+          .sort((a, b) => blockNumber(a) - blockNumber(b));
+        if (params.order === 'desc') matching.reverse();
+
+        // pageKey is the offset of the next page
+        const offset = params.pageKey ? parseInt(params.pageKey, 10) : 0;
+        const maxCount = params.maxCount || 1000;
+        const next = offset + maxCount;
+
+        return {
+          transfers: matching.slice(offset, next),
+          pageKey: next < matching.length ? String(next) : undefined
+        };
+      });
+    },
+
+    getFirstTransactionTimestamp(address) {
+      return replay(address, 'getFirstTransactionTimestamp', {}, (data) =>
+        (data.firstTransactionAt ? new Date(data.firstTransactionAt).getTime() : null));
+    },
+
+    getNftsForOwner(address, options = {}) {
+      return replay(address, 'getNftsForOwner', options, (data) => ({
+        ownedNfts: (data.nfts || []).slice(0, options.pageSize || 100)
+      }));
+    },
+
+    // Logs aren't tied to one wallet in the filter, so every fixture's logs are searched
+    async getLogs(filter) {
+      const addresses = filter.address ? [].concat(filter.address).map(lower) : null;
+      const topics = filter.topics || [];
+
+      return Array.from(fixtures.values())
+        .flatMap((fixture) => (fixture.networks && fixture.networks[network] && fixture.networks[network].logs) || [])
+        .filter((log) => !addresses || addresses.includes(lower(log.address)))
+        .filter((log) => topics.every((topic, i) => topicMatches(log.topics[i], topic)));
+    }
+  };
+}
+
+module.exports = { createFixtureProvider, loadFixtures };
@@ -0,0 +1,124 @@
+// Chain data providers
+// Every provider exposes the same calls the scoring pipeline needs:
+//   getTransactionCount(address)          -> Number
+//   getAssetTransfers(params)             -> { transfers, pageKey }
+//   getNftsForOwner(address, options)     -> { ownedNfts }
+//   getLogs(filter)                       -> [log] (eth_getLogs filter and log shape)
+// plus a `capabilities` object ({ transfers, nfts, logs, firstTx }) describing what it can answer.
+// Providers for non-EVM chains, which have no transfer index to search, also expose
+//   getFirstTransactionTimestamp(address) -> Number (ms) or null   (capability `firstTx`)
+// Networks pick an ordered list of providers; later entries are used as fallbacks.
+
+const { createAlchemyProvider } = require('./alchemy');
+const { createJsonRpcProvider } = require('./jsonRpc');
+const { createExplorerProvider } = require('./explorer');
+const { createFixtureProvider } = require('./fixture');
+const { createSolanaProvider } = require('./solana');
+const { createEsploraProvider } = require('./esplora');
+const { logger } = require('../lib/logger');
+
+const PROVIDER_FACTORIES = {
+  alchemy: (network, config) => createAlchemyProvider(network, config.config),
+  jsonrpc: (network, config) => createJsonRpcProvider(network, config.rpc),
+  explorer: (network, config) => createExplorerProvider(network, config.explorer),
+  fixture: (network, config) => createFixtureProvider(network, config.fixture),
+  solana: (network, config) => createSolanaProvider(network, config.rpc),
+  esplora: (network, config) => createEsploraProvider(network, config.esplora)
+};
+
+// What a call returns when no provider supports it
+const EMPTY_RESULTS = {
+  getAssetTransfers: { transfers: [] },
+  getNftsForOwner: { ownedNfts: [] },
+  getLogs: [],
+  getFirstTransactionTimestamp: null
+};
+
+/**
+ * Wrap several providers so each call falls through to the next one on failure
+ * @param {String} network - Kernel network name
+ * @param {Array} providers - Providers in order of preference
+ * @returns {Object} - Chain data provider
+ */
+function createFallbackProvider(network, providers) {
+  const call = (method, capability) => async (...args) => {
+    let lastError = null;
+    for (const provider of providers) {
+      if (capability && !provider.capabilities[capability]) continue;
+      try {
+        return await provider[method](...args);
+      } catch (error) {
+        lastError = error;
+        logger.warn('Provider call failed; trying the next provider', { provider: provider.name, method, network, error: error.message });
+      }
+    }
+    if (lastError) throw lastError;
+    // No provider can answer this call; behave like an empty result
+    return EMPTY_RESULTS[method];
+  };
+
+  return {
+    name: providers.map((p) => p.name).join('+'),
+    network,
+    capabilities: {
+      transfers: providers.some((p) => p.capabilities.transfers),
+      nfts: providers.some((p) => p.capabilities.nfts),
+      logs: providers.some((p) => p.capabilities.logs),
+      firstTx: providers.some((p) => p.capabilities.firstTx)
+    },
+    getTransactionCount: call('getTransactionCount'),
+    getAssetTransfers: call('getAssetTransfers', 'transfers'),
+    getNftsForOwner: call('getNftsForOwner', 'nfts'),
+    getLogs: call('getLogs', 'logs'),
+    getFirstTransactionTimestamp: call('getFirstTransactionTimestamp', 'firstTx')
+  };
+}
+
+/**
+ * Create the provider for one network from its configuration
+ * @param {String} network - Kernel network name
+ * @param {Object} config - Network configuration (see `networks` in index.js)
+ * @param {Array} skipped - Receives { provider, reason } for every configured provider that couldn't be created
+ * @returns {Object|null} - Chain data provider, or null if none could be created
+ */
+function createProvider(network, config, skipped = []) {
+  const names = Array.isArray(config.providers) ? config.providers : [config.providers || 'alchemy'];
+  const providers = [];
+
+  for (const name of names) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      logger.error('Unknown provider configured', { provider: name, network });
+      skipped.push({ provider: name, reason: 'Unknown provider' });
+      continue;
+    }
+    try {
+      providers.push(factory(network, config));
+    } catch (error) {
+      logger.warn('Skipping provider', { provider: name, network, reason: error.message });
+      skipped.push({ provider: name, reason: error.message });
+    }
+  }
+
+  if (providers.length === 0) return null;
+  if (providers.length === 1) return providers[0];
+  return createFallbackProvider(network, providers);
+}
+
+/**
+ * Parse a comma separated provider list (e.g. "alchemy,explorer")
+ * @param {String} value - Raw list, usually from the environment
+ * @param {Array} defaults - Used when value is empty
+ * @returns {Array} - Provider names
+ */
+function parseProviderList(value, defaults) {
+  if (!value) return defaults;
+  return value.split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+}
+
+module.exports = {
+  createProvider,
+  createFallbackProvider,
+  parseProviderList,
+  PROVIDER_FACTORIES
+};
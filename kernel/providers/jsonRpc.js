@@ -0,0 +1,66 @@
+// Plain JSON-RPC chain data provider
+// Works against any EVM node. Standard RPC has no transfer-history or NFT
+// index, so only the transaction count and event logs are available from this provider.
+
+/**
+ * Send a single JSON-RPC request
+ * @param {String} url - RPC endpoint
+ * @param {String} method - RPC method name
+ * @param {Array} params - RPC params
+ * @returns {Promise<any>} - The `result` field of the response
+ */
+async function rpcRequest(url, method, params) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+  });
+
+  if (!response.ok) {
+    throw new Error(`RPC ${method} failed with HTTP ${response.status}`);
+  }
+
+  const body = await response.json();
+  if (body.error) {
+    throw new Error(`RPC ${method} failed: ${body.error.message || JSON.stringify(body.error)}`);
+  }
+
+  return body.result;
+}
+
+/**
+ * Create a JSON-RPC-backed provider
+ * @param {String} network - Kernel network name
+ * @param {Object} settings - { url }
+ * @returns {Object} - Chain data provider
+ */
+function createJsonRpcProvider(network, settings) {
+  if (!settings || !settings.url) {
+    throw new Error(`No RPC URL configured for ${network}`);
+  }
+
+  return {
+    name: 'jsonrpc',
+    network,
+    capabilities: { transfers: false, nfts: false, logs: true },
+
+    async getTransactionCount(address) {
+      const result = await rpcRequest(settings.url, 'eth_getTransactionCount', [address, 'latest']);
+      return parseInt(result, 16);
+    },
+
+    async getAssetTransfers() {
+      return { transfers: [] };
+    },
+
+    async getNftsForOwner() {
+      return { ownedNfts: [] };
+    },
+
+    async getLogs(filter) {
+      return rpcRequest(settings.url, 'eth_getLogs', [filter]);
+    }
+  };
+}
+
+module.exports = { createJsonRpcProvider, rpcRequest };
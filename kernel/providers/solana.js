@@ -0,0 +1,93 @@
+// Solana JSON-RPC chain data provider
+// Solana has no transaction counter like an EVM nonce, so the count and the first
+// transaction come from paging through getSignaturesForAddress (newest first). This
+// counts every transaction the address took part in, sent or received. Wallets with more
+// signatures than `maxPages` pages hold are counted up to the cap, and their oldest
+// signature seen is used as the first transaction (a lower bound on the account age).
+
+const { rpcRequest } = require('./jsonRpc');
+
+// getSignaturesForAddress returns at most this many signatures per call
+const SIGNATURES_PAGE_SIZE = 1000;
+
+// Count and first transaction come from the same scan; keep it briefly so the
+// second lookup of a scoring request doesn't page through everything again
+const SCAN_TTL_MS = 60 * 1000;
+
+/**
+ * Create a Solana JSON-RPC-backed provider
+ * @param {String} network - Kernel network name
+ * @param {Object} settings - { url, maxPages }
+ * @returns {Object} - Chain data provider
+ */
+function createSolanaProvider(network, settings) {
+  if (!settings || !settings.url) {
+    throw new Error(`No RPC URL configured for ${network}`);
+  }
+
+  const maxPages = settings.maxPages || 5;
+  const scans = new Map();
+
+  // Page through the address's signatures, newest first
+  const scanSignatures = (address) => {
+    if (scans.has(address)) return scans.get(address);
+
+    const scan = (async () => {
+      let count = 0;
+      let oldestBlockTime = null;
+      let before;
+
+      for (let page = 0; page < maxPages; page++) {
+        const options = { limit: SIGNATURES_PAGE_SIZE };
+        if (before) options.before = before;
+
+        const signatures = await rpcRequest(settings.url, 'getSignaturesForAddress', [address, options]);
+        count += signatures.length;
+        for (const entry of signatures) {
+          if (entry.blockTime) oldestBlockTime = entry.blockTime;
+        }
+
+        if (signatures.length < SIGNATURES_PAGE_SIZE) break;
+        before = signatures[signatures.length - 1].signature;
+      }
+
+      return { count, oldestBlockTime };
+    })();
+
+    scans.set(address, scan);
+    scan.then(
+      () => setTimeout(() => scans.delete(address), SCAN_TTL_MS).unref(),
+      () => scans.delete(address)
+    );
+    return scan;
+  };
+
+  return {
+    name: 'solana',
+    network,
+    capabilities: { transfers: false, nfts: false, logs: false, firstTx: true },
+
+    async getTransactionCount(address) {
+      return (await scanSignatures(address)).count;
+    },
+
+    async getFirstTransactionTimestamp(address) {
+      const { oldestBlockTime } = await scanSignatures(address);
+      return oldestBlockTime ? oldestBlockTime * 1000 : null;
+    },
+
+    async getAssetTransfers() {
+      return { transfers: [] };
+    },
+
+    async getNftsForOwner() {
+      return { ownedNfts: [] };
+    },
+
+    async getLogs() {
+      return [];
+    }
+  };
+}
+
+module.exports = { createSolanaProvider };
@@ -0,0 +1,251 @@
+// Score calculation
+// Turns the per-network transaction data and the optional analytics (transfer history,
+// risk flags, lending) into component values and a 300-850 score under a scoring model.
+
+const { serializeHistory } = require('../analytics/transfers');
+const { logger } = require('../lib/logger');
+
+/**
+ * Log-scale a value against a threshold, capped at 1
+ * @param {Number} value - Raw value
+ * @param {Number} max - Value that earns the full component
+ * @returns {Number} - Component between 0 and 1
+ */
+function logScale(value, max) {
+  return value > 0 ? Math.min(Math.log(value + 1) / Math.log(max + 1), 1) : 0;
+}
+
+/**
+ * Calculate the transfer-history components (0-1 each)
+ * @param {Object} history - Aggregate history metrics from aggregateHistory
+ * @param {Object} model - Scoring model
+ * @returns {Object} - { volume, counterparties, consistency, recency, dormancy }
+ */
+function calculateHistoryComponents(history, model) {
+  const { thresholds } = model;
+  
+  if (!history || history.transferCount === 0) {
+    return { volume: 0, counterparties: 0, consistency: 0, recency: 0, dormancy: 0 };
+  }
+  
+  // Native units differ per chain, so volume is weighted like transaction counts
+  let weightedVolume = 0;
+  for (const [network, volume] of Object.entries(history.nativeVolumeByNetwork)) {
+    weightedVolume += volume * (model.networkWeights[network] ?? model.defaultNetworkWeight);
+  }
+  
+  return {
+    volume: logScale(weightedVolume, thresholds.maxNativeVolume),
+    counterparties: logScale(history.uniqueCounterparties, thresholds.maxCounterparties),
+    // Rewards steady activity spread over many months rather than one burst
+    consistency: Math.min(history.activeMonths / thresholds.maxActiveMonths, 1),
+    recency: history.daysSinceLastActivity === null ? 0 :
+      1 - Math.min(history.daysSinceLastActivity / thresholds.maxInactiveDays, 1),
+    // Only one month of activity has no gaps to judge, so it earns no dormancy credit
+    dormancy: history.activeMonths < 2 ? 0 :
+      1 - Math.min(history.longestDormancyDays / thresholds.maxDormancyDays, 1)
+  };
+}
+
+/**
+ * Calculate the DeFi lending component (0-1)
+ * Wallets without lending history get the model's neutral score; repaying moves
+ * it towards 1 and every liquidation pulls it down.
+ * @param {Object} lending - Output of analyzeLending, or null if unavailable
+ * @param {Object} model - Scoring model
+ * @returns {Number} - Component between 0 and 1
+ */
+function calculateLendingComponent(lending, model) {
+  const { noHistoryScore, liquidationPenalty } = model.lending;
+  
+  if (!lending || (lending.borrowCount === 0 && lending.liquidationCount === 0)) {
+    return noHistoryScore;
+  }
+  
+  const repayRatio = lending.repayRatio === null ? 0 : lending.repayRatio;
+  const component = noHistoryScore + (1 - noHistoryScore) * repayRatio -
+    lending.liquidationCount * liquidationPenalty;
+  
+  return Math.min(Math.max(component, 0), 1);
+}
+
+/**
+ * Calculate credit score based on transaction data
+ * @param {Object} txData - Transaction data from multiple chains
+ * @param {Number} accountAgeInDays - Age of the wallet in days
+ * @param {Object} model - Scoring model supplying weights and thresholds
+ * @param {Object} analytics - Optional extra signals ({ history, riskFlags, lending, primaryName })
+ * @returns {Number} - Credit score between 300-850
+ */
+function calculateCreditScore(txData, accountAgeInDays, model, analytics = {}) {
+  // Credit score calculation parameters
+  const MAX_SCORE = parseInt(process.env.MAX_SCORE || '850');
+  const MIN_SCORE = parseInt(process.env.MIN_SCORE || '300');
+  
+  // Component weights and thresholds come from the scoring model
+  const { weights, thresholds } = model;
+  
+  // Calculate weighted transaction count
+  let totalWeightedTxCount = 0;
+  let totalTransactions = 0;
+  let activeNetworks = 0;
+  
+  for (const [network, data] of Object.entries(txData)) {
+    // Get the network weight or the model's default if not found
+    const networkWeight = model.networkWeights[network] ?? model.defaultNetworkWeight;
+    
+    // Add the weighted transaction count
+    totalWeightedTxCount += data.count * networkWeight;
+    totalTransactions += data.count;
+    
+    // Count active networks (with at least activeNetworkMinTx transactions)
+    if (data.count >= thresholds.activeNetworkMinTx) {
+      activeNetworks++;
+    }
+  }
+  
+  // Calculate transaction component (0-1)
+  // Using a logarithmic scale to reward early transactions more heavily
+  const txComponent = totalWeightedTxCount > 0 ? 
+    Math.min(Math.log(totalWeightedTxCount + 1) / Math.log(thresholds.maxTxCount + 1), 1) : 0;
+  
+  // Calculate age component (0-1) - again with diminishing returns
+  // Add a small bonus for new wallets with transactions to avoid penalizing them too heavily
+  const ageBonus = totalTransactions > 0 && accountAgeInDays < model.newWalletBonus.maxAgeDays ?
+    model.newWalletBonus.bonus : 0;
+  const ageComponent = Math.min(
+    Math.sqrt(accountAgeInDays / thresholds.maxAccountAgeDays) + ageBonus,
+    1
+  );
+  
+  // Calculate activity component (0-1) - rewards using multiple chains
+  const activityComponent = Math.min(activeNetworks / thresholds.maxNetworks, 1);
+  
+  // Transfer-history components, only weighted by models that use them
+  const historyComponents = calculateHistoryComponents(analytics.history, model);
+  
+  // Calculate final score with all components
+  let weightedScore = 
+    (txComponent * (weights.transactions || 0)) + 
+    (ageComponent * (weights.age || 0)) + 
+    (activityComponent * (weights.activity || 0));
+  
+  for (const [component, value] of Object.entries(historyComponents)) {
+    if (weights[component]) {
+      weightedScore += value * weights[component];
+    }
+  }
+  
+  // DeFi lending component, only weighted by models that use it
+  const lendingComponent = calculateLendingComponent(analytics.lending, model);
+  if (weights.lending) {
+    weightedScore += lendingComponent * weights.lending;
+  }
+  
+  // Sybil / wash-activity flags subtract their configured penalties, never below MIN_SCORE
+  const riskFlags = analytics.riskFlags || [];
+  const riskPenalty = riskFlags.reduce((sum, flag) => sum + flag.penalty, 0);
+  
+  // A verified primary name (e.g. ENS) adds the model's bonus points, never past MAX_SCORE
+  const primaryName = analytics.primaryName || null;
+  const primaryNameBonus = primaryName && model.primaryName ? model.primaryName.bonus : 0;
+  
+  const finalScore = Math.min(
+    Math.max(MIN_SCORE + weightedScore * (MAX_SCORE - MIN_SCORE) - riskPenalty + primaryNameBonus, MIN_SCORE),
+    MAX_SCORE
+  );
+  
+  logger.debug('Credit score components', {
+    modelVersion: model.id,
+    components: {
+      transactions: txComponent,
+      age: ageComponent,
+      activity: activityComponent,
+      ...Object.fromEntries(Object.entries(historyComponents).filter(([component]) => weights[component])),
+      ...(weights.lending ? { lending: lendingComponent } : {})
+    },
+    weightedScore,
+    riskFlags: riskFlags.map((flag) => ({ code: flag.code, penalty: flag.penalty })),
+    primaryNameBonus,
+    score: Math.round(finalScore)
+  });
+  
+  return {
+    score: Math.round(finalScore),
+    txCount: totalTransactions,
+    weightedTxCount: totalWeightedTxCount,
+    txComponent,
+    ageComponent,
+    activityComponent,
+    historyComponents,
+    lendingComponent,
+    history: serializeHistory(analytics.history),
+    lending: analytics.lending || null,
+    riskFlags,
+    riskPenalty,
+    primaryName,
+    primaryNameBonus,
+    activeNetworks,
+    details: txData,
+    accountAgeInDays,
+    modelVersion: model.id,
+    status: Math.round(finalScore) >= (parseInt(process.env.PASS_THRESHOLD || '600')) ? "pass" : "fail"
+  };
+}
+
+/**
+ * Work out the account age from the per-network first-transaction timestamps
+ * @param {Object} txData - Transaction data from multiple chains
+ * @returns {Object} - { days, source, method, firstTxTimestamp, network }
+ */
+function resolveAccountAge(txData) {
+  // Calculate account age (using the oldest first transaction across chains)
+  let oldestTxTimestamp = null;
+  let oldestNetwork = null;
+  let hasTxButNoTimestamp = false;
+
+  for (const [network, data] of Object.entries(txData)) {
+    // Track if we have transactions but no timestamp
+    if (data.count > 0 && !data.firstTxTimestamp) {
+      hasTxButNoTimestamp = true;
+    }
+
+    if (data.firstTxTimestamp && (!oldestTxTimestamp || data.firstTxTimestamp < oldestTxTimestamp)) {
+      oldestTxTimestamp = data.firstTxTimestamp;
+      oldestNetwork = network;
+    }
+  }
+
+  if (oldestTxTimestamp) {
+    const days = Math.floor((Date.now() - oldestTxTimestamp) / (1000 * 60 * 60 * 24));
+    logger.debug('Account age from first transaction', { days, network: oldestNetwork });
+    return {
+      days,
+      source: 'observed',
+      method: txData[oldestNetwork].timestampSource,
+      firstTxTimestamp: oldestTxTimestamp,
+      network: oldestNetwork
+    };
+  }
+
+  // If we have transactions but couldn't find any timestamp, use a conservative estimate
+  if (hasTxButNoTimestamp) {
+    // Estimate based on total transaction count across all chains
+    const totalTxCount = Object.values(txData).reduce((sum, data) => sum + data.count, 0);
+
+    // Rough estimate: 5 days per transaction, capped at 365 days
+    const days = Math.min(totalTxCount * 5, 365);
+    logger.debug('No first transaction date; account age estimated', { days, totalTxCount });
+    return { days, source: 'estimated', method: 'tx-count', firstTxTimestamp: null, network: null };
+  }
+
+  return { days: 0, source: 'none', method: null, firstTxTimestamp: null, network: null };
+}
+
+module.exports = {
+  calculateCreditScore,
+  calculateHistoryComponents,
+  calculateLendingComponent,
+  resolveAccountAge,
+  logScale
+};
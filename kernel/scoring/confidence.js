@@ -0,0 +1,139 @@
+// Score confidence
+// Says how much of the data behind a score was actually observed. A network that failed,
+// timed out or was skipped by its circuit breaker scores like a wallet with no activity
+// there, so every result lists the inputs that were missing or estimated and gets a
+// confidence level. The degraded-data policy decides what happens when networks are missing:
+//   provisional - score what arrived and mark the score provisional (default)
+//   refuse      - don't score; answer 503 so the caller can retry later
+//   exclude     - score what arrived, leaving the missing networks out of the
+//                 network-based denominators so they don't drag the score down
+
+// Network statuses that mean the network's data is missing
+const UNAVAILABLE_STATUSES = ['failed', 'timeout', 'circuit-open'];
+
+const DEGRADED_POLICIES = ['provisional', 'refuse', 'exclude'];
+
+// Share of the requested network weight that may be missing before confidence is low
+const LOW_CONFIDENCE_MISSING_SHARE = 0.5;
+
+/**
+ * Networks whose data could not be fetched
+ * @param {Object} networkStatus - Network name -> { status }
+ * @returns {Array} - Network names
+ */
+function unavailableNetworks(networkStatus) {
+  return Object.keys(networkStatus)
+    .filter((network) => UNAVAILABLE_STATUSES.includes(networkStatus[network].status));
+}
+
+/**
+ * Networks that were requested and had a provider, whether or not they answered
+ * @param {Object} networkStatus - Network name -> { status }
+ * @returns {Array} - Network names
+ */
+function requestedNetworks(networkStatus) {
+  return Object.keys(networkStatus)
+    .filter((network) => !['skipped', 'disabled'].includes(networkStatus[network].status));
+}
+
+/**
+ * Share of the requested networks' model weight that is missing
+ * @param {Object} networkStatus - Network name -> { status }
+ * @param {Object} model - Scoring model
+ * @returns {Number} - Between 0 and 1
+ */
+function missingWeightShare(networkStatus, model) {
+  const weightOf = (network) => model.networkWeights[network] ?? model.defaultNetworkWeight;
+  const total = requestedNetworks(networkStatus).reduce((sum, network) => sum + weightOf(network), 0);
+  const missing = unavailableNetworks(networkStatus).reduce((sum, network) => sum + weightOf(network), 0);
+  return total > 0 ? missing / total : 0;
+}
+
+/**
+ * List the inputs of a score that were missing or estimated
+ * @param {Object} result - Score computation result (networkStatus, accountAge, primaryNameError)
+ * @returns {Array} - [{ input, kind: 'missing' | 'estimated', network, reason }]
+ */
+function collectDataGaps(result) {
+  const gaps = [];
+  const unavailable = unavailableNetworks(result.networkStatus);
+
+  for (const network of unavailable) {
+    const status = result.networkStatus[network];
+    gaps.push({ input: 'network', kind: 'missing', network, reason: status.error || status.status });
+  }
+
+  // History and lending lookups of networks that answered the transaction count
+  for (const [network, status] of Object.entries(result.networkStatus)) {
+    if (unavailable.includes(network)) continue;
+    if (status.historyError) {
+      gaps.push({ input: 'transferHistory', kind: 'missing', network, reason: status.historyError });
+    }
+    if (status.lendingError) {
+      gaps.push({ input: 'lendingEvents', kind: 'missing', network, reason: status.lendingError });
+    }
+  }
+
+  if (result.primaryNameError) {
+    gaps.push({ input: 'primaryName', kind: 'missing', network: 'ethereum', reason: result.primaryNameError });
+  }
+
+  if (result.accountAge && result.accountAge.source === 'estimated') {
+    gaps.push({
+      input: 'accountAge',
+      kind: 'estimated',
+      network: null,
+      reason: 'No first-transaction timestamp found; age estimated from the transaction count'
+    });
+  }
+
+  return gaps;
+}
+
+/**
+ * Confidence level of a score
+ * high: every input observed; medium: some inputs missing or estimated;
+ * low: at least half of the requested network weight is missing
+ * @param {Array} gaps - Output of collectDataGaps
+ * @param {Object} networkStatus - Network name -> { status }
+ * @param {Object} model - Scoring model
+ * @returns {String} - 'high', 'medium' or 'low'
+ */
+function assessConfidence(gaps, networkStatus, model) {
+  if (missingWeightShare(networkStatus, model) >= LOW_CONFIDENCE_MISSING_SHARE) return 'low';
+  return gaps.length > 0 ? 'medium' : 'high';
+}
+
+/**
+ * Copy of a model whose network-based thresholds leave out the missing networks:
+ * fewer networks to be active on, and a transaction target scaled to the network
+ * weight that was actually observed
+ * @param {Object} model - Scoring model
+ * @param {Object} networkStatus - Network name -> { status }
+ * @returns {Object} - Scoring model
+ */
+function excludeMissingNetworks(model, networkStatus) {
+  const missing = unavailableNetworks(networkStatus);
+  if (missing.length === 0) return model;
+
+  const { thresholds } = model;
+  const observedShare = 1 - missingWeightShare(networkStatus, model);
+
+  return {
+    ...model,
+    thresholds: {
+      ...thresholds,
+      maxNetworks: Math.max(thresholds.maxNetworks - missing.length, 1),
+      maxTxCount: Math.max(thresholds.maxTxCount * observedShare, 1)
+    }
+  };
+}
+
+module.exports = {
+  collectDataGaps,
+  assessConfidence,
+  excludeMissingNetworks,
+  unavailableNetworks,
+  UNAVAILABLE_STATUSES,
+  DEGRADED_POLICIES
+};
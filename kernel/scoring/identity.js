@@ -0,0 +1,152 @@
+// Identity scoring
+// Merges the data collected for several linked wallets so the identity is scored once:
+//   - transaction counts are summed per network. They are nonces (sent transactions), so a
+//     transfer between two linked wallets is only counted by the wallet that sent it;
+//   - the first transaction is the oldest one of any linked wallet;
+//   - transfer histories list a transfer between linked wallets on both sides, so linked
+//     addresses are relabelled as the identity and the copies dropped. Such transfers are
+//     marked `linked` and kept out of wash-activity detection;
+//   - a network's status is the worst of its wallets: if one wallet's data is missing,
+//     so is part of the identity's;
+//   - the primary name is the first linked wallet's that has one.
+
+const { analyzeTransfers, serializeHistory, transferKey } = require('../analytics/transfers');
+const { UNAVAILABLE_STATUSES } = require('./confidence');
+
+/**
+ * Join per-wallet error messages, naming the wallet each came from
+ * @param {Array} entries - [{ address, message }]
+ * @returns {String|undefined}
+ */
+function joinErrors(entries) {
+  const messages = entries.filter((entry) => entry.message).map((entry) => `${entry.address}: ${entry.message}`);
+  return messages.length > 0 ? messages.join('; ') : undefined;
+}
+
+/**
+ * Merge one network's status across the linked wallets
+ * @param {Array} wallets - [{ address, status }] for the network
+ * @returns {Object} - Network status
+ */
+function mergeNetworkStatus(wallets) {
+  const failed = wallets.find((wallet) => UNAVAILABLE_STATUSES.includes(wallet.status.status));
+  const merged = { ...(failed || wallets[0]).status };
+
+  if (failed) {
+    merged.error = joinErrors([{ address: failed.address, message: failed.status.error }]);
+  }
+
+  const historyError = joinErrors(wallets.map((wallet) => ({ address: wallet.address, message: wallet.status.historyError })));
+  const lendingError = joinErrors(wallets.map((wallet) => ({ address: wallet.address, message: wallet.status.lendingError })));
+  const fallbackErrors = wallets.flatMap((wallet) =>
+    (wallet.status.fallbackErrors || []).map((message) => `${wallet.address}: ${message}`));
+
+  delete merged.historyError;
+  delete merged.lendingError;
+  delete merged.fallbackErrors;
+  if (historyError) merged.historyError = historyError;
+  if (lendingError) merged.lendingError = lendingError;
+  if (fallbackErrors.length > 0) merged.fallbackErrors = fallbackErrors;
+
+  return merged;
+}
+
+/**
+ * Relabel a transfer so every linked address reads as the identity
+ * @param {Object} transfer - Alchemy-style transfer
+ * @param {Set} linked - Lower-cased linked addresses
+ * @param {String} label - Address the identity is reported under
+ * @returns {Object} - Transfer
+ */
+function relabelTransfer(transfer, linked, label) {
+  const from = linked.has((transfer.from || '').toLowerCase());
+  const to = linked.has((transfer.to || '').toLowerCase());
+  if (!from && !to) return transfer;
+
+  return {
+    ...transfer,
+    from: from ? label : transfer.from,
+    to: to ? label : transfer.to,
+    ...(from && to ? { linked: true } : {})
+  };
+}
+
+/**
+ * Merge the data collected for each linked wallet into one identity
+ * @param {Array} wallets - [{ address, data }] where data is collectWalletData output
+ * @returns {Object} - { txData, networkStatus, historyByNetwork, lendingEvents, primaryName,
+ *   primaryNameError, identity }
+ */
+function mergeWalletData(wallets) {
+  const label = wallets[0].address.toLowerCase();
+  const linked = new Set(wallets.map((wallet) => wallet.address.toLowerCase()));
+  const txData = {};
+  const networkStatus = {};
+  const historyByNetwork = {};
+  let linkedTransfers = 0;
+
+  for (const network of Object.keys(wallets[0].data.txData)) {
+    const perWallet = wallets.map((wallet) => ({ address: wallet.address, ...wallet.data.txData[network] }));
+
+    const oldest = perWallet
+      .filter((entry) => entry.firstTxTimestamp)
+      .sort((a, b) => a.firstTxTimestamp - b.firstTxTimestamp)[0];
+    txData[network] = {
+      count: perWallet.reduce((sum, entry) => sum + entry.count, 0),
+      firstTxTimestamp: oldest ? oldest.firstTxTimestamp : null,
+      timestampSource: oldest ? oldest.timestampSource : null
+    };
+
+    networkStatus[network] = mergeNetworkStatus(wallets.map((wallet) => ({
+      address: wallet.address,
+      status: wallet.data.networkStatus[network]
+    })));
+
+    const histories = wallets.map((wallet) => wallet.data.historyByNetwork[network]).filter(Boolean);
+    if (histories.length > 0) {
+      const seen = new Set();
+      const transfers = [];
+      for (const transfer of histories.flatMap((history) => history.transfers)) {
+        const relabelled = relabelTransfer(transfer, linked, label);
+        const key = transferKey(relabelled);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (relabelled.linked) linkedTransfers++;
+        transfers.push(relabelled);
+      }
+
+      const metrics = analyzeTransfers(transfers, label);
+      historyByNetwork[network] = { transfers, metrics };
+      txData[network].history = {
+        ...serializeHistory(metrics),
+        truncated: perWallet.some((entry) => Boolean(entry.history && entry.history.truncated))
+      };
+    }
+  }
+
+  // The same lending event can turn up for two linked wallets (e.g. a repayment on behalf of another)
+  const seenEvents = new Set();
+  const lendingEvents = wallets.flatMap((wallet) => wallet.data.lendingEvents).filter((event) => {
+    const key = `${event.network}:${event.transactionHash}:${event.protocol}:${event.type}:${event.asset}:${event.amount}`;
+    if (seenEvents.has(key)) return false;
+    seenEvents.add(key);
+    return true;
+  });
+
+  const named = wallets.find((wallet) => wallet.data.primaryName);
+
+  return {
+    txData,
+    networkStatus,
+    historyByNetwork,
+    lendingEvents,
+    primaryName: named ? named.data.primaryName : null,
+    primaryNameError: named ? null : joinErrors(wallets.map((wallet) => ({
+      address: wallet.address,
+      message: wallet.data.primaryNameError
+    }))) || null,
+    identity: { wallets: wallets.map((wallet) => wallet.address), linkedTransfers }
+  };
+}
+
+module.exports = { mergeWalletData, relabelTransfer };
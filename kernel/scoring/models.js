@@ -0,0 +1,215 @@
+// Scoring model registry
+// Scoring models are JSON or YAML files (one model per file) holding the component
+// weights, normalisation thresholds and per-network weights. Each model has an id
+// that is reported with every score so stored scores can be traced to their model.
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { RISK_FLAG_CODES } = require('../analytics/sybil');
+const { logger } = require('../lib/logger');
+
+const REQUIRED_THRESHOLDS = ['maxTxCount', 'maxAccountAgeDays', 'maxNetworks', 'activeNetworkMinTx'];
+
+// Transfer-history components and the threshold each one is normalised against
+const HISTORY_COMPONENTS = {
+  volume: 'maxNativeVolume',
+  counterparties: 'maxCounterparties',
+  consistency: 'maxActiveMonths',
+  recency: 'maxInactiveDays',
+  dormancy: 'maxDormancyDays'
+};
+
+/**
+ * Check a parsed model and fill in optional fields
+ * @param {Object} model - Parsed model file
+ * @param {String} file - Source file, for error messages
+ * @returns {Object} - Validated model
+ */
+function validateModel(model, file) {
+  if (!model || typeof model !== 'object') {
+    throw new Error(`${file}: model must be an object`);
+  }
+  if (!model.id || typeof model.id !== 'string') {
+    throw new Error(`${file}: model needs a string "id"`);
+  }
+  if (!model.weights || typeof model.weights !== 'object') {
+    throw new Error(`${file}: model needs a "weights" object`);
+  }
+
+  let weightSum = 0;
+  for (const [component, weight] of Object.entries(model.weights)) {
+    if (typeof weight !== 'number' || weight < 0) {
+      throw new Error(`${file}: weight for "${component}" must be a non-negative number`);
+    }
+    weightSum += weight;
+  }
+  // Weights may leave headroom but must not push the score past MAX_SCORE
+  if (weightSum > 1.0001) {
+    throw new Error(`${file}: component weights add up to ${weightSum}, more than 1`);
+  }
+
+  for (const key of REQUIRED_THRESHOLDS) {
+    if (!model.thresholds || typeof model.thresholds[key] !== 'number' || model.thresholds[key] <= 0) {
+      throw new Error(`${file}: thresholds.${key} must be a positive number`);
+    }
+  }
+
+  for (const [component, threshold] of Object.entries(HISTORY_COMPONENTS)) {
+    if (model.weights[component] > 0 &&
+        (typeof model.thresholds[threshold] !== 'number' || model.thresholds[threshold] <= 0)) {
+      throw new Error(`${file}: thresholds.${threshold} is required by the "${component}" weight`);
+    }
+  }
+
+  for (const [code, rule] of Object.entries(model.riskFlags || {})) {
+    if (!RISK_FLAG_CODES.includes(code)) {
+      throw new Error(`${file}: unknown risk flag "${code}" (expected one of ${RISK_FLAG_CODES.join(', ')})`);
+    }
+    if (rule.penalty !== undefined && (typeof rule.penalty !== 'number' || rule.penalty < 0)) {
+      throw new Error(`${file}: riskFlags.${code}.penalty must be a non-negative number`);
+    }
+  }
+
+  if (model.primaryName !== undefined &&
+      (!model.primaryName || typeof model.primaryName.bonus !== 'number' || model.primaryName.bonus < 0)) {
+    throw new Error(`${file}: primaryName.bonus must be a non-negative number`);
+  }
+
+  for (const [key, value] of Object.entries(model.lending || {})) {
+    if (typeof value !== 'number' || value < 0 || value > 1) {
+      throw new Error(`${file}: lending.${key} must be a number between 0 and 1`);
+    }
+  }
+
+  return {
+    description: '',
+    newWalletBonus: { maxAgeDays: 0, bonus: 0 },
+    networkWeights: {},
+    defaultNetworkWeight: 0.5,
+    riskFlags: {},
+    ...model,
+    lending: { noHistoryScore: 0.5, liquidationPenalty: 0.25, ...model.lending },
+    source: path.basename(file)
+  };
+}
+
+/**
+ * Whether a model needs the full transfer history (history components or risk flags)
+ * @param {Object} model - Scoring model
+ * @returns {Boolean}
+ */
+function usesHistory(model) {
+  return Object.keys(HISTORY_COMPONENTS).some((component) => model.weights[component] > 0) ||
+    Object.keys(model.riskFlags).length > 0;
+}
+
+/**
+ * Whether a model weights the DeFi lending component, which needs lending event logs
+ * @param {Object} model - Scoring model
+ * @returns {Boolean}
+ */
+function usesLending(model) {
+  return model.weights.lending > 0;
+}
+
+/**
+ * Whether a model rewards a verified primary name, which needs a reverse name lookup
+ * @param {Object} model - Scoring model
+ * @returns {Boolean}
+ */
+function usesPrimaryName(model) {
+  return Boolean(model.primaryName && model.primaryName.bonus > 0);
+}
+
+/**
+ * Read every model file in a directory
+ * @param {String} dir - Models directory
+ * @returns {Map} - Model id -> model
+ */
+function loadModels(dir) {
+  const models = new Map();
+  const files = fs.readdirSync(dir)
+    .filter((file) => /\.(json|ya?ml)$/i.test(file))
+    .sort();
+
+  for (const file of files) {
+    const fullPath = path.join(dir, file);
+    const raw = fs.readFileSync(fullPath, 'utf8');
+    const parsed = /\.json$/i.test(file) ? JSON.parse(raw) : yaml.load(raw);
+    const model = validateModel(parsed, file);
+
+    if (models.has(model.id)) {
+      throw new Error(`${file}: duplicate model id "${model.id}" (also in ${models.get(model.id).source})`);
+    }
+    models.set(model.id, model);
+  }
+
+  return models;
+}
+
+/**
+ * Create a registry over a models directory
+ * @param {Object} options - { dir, defaultModelId }
+ * @returns {Object} - Model registry
+ */
+function createModelRegistry(options) {
+  let models = loadModels(options.dir);
+  const defaultModelId = options.defaultModelId;
+
+  if (!models.has(defaultModelId)) {
+    throw new Error(`Default scoring model "${defaultModelId}" not found in ${options.dir}`);
+  }
+
+  return {
+    /**
+     * Look up a model by id, or the default model when no id is given
+     * @param {String} id - Model id
+     * @returns {Object|null} - Model, or null if unknown
+     */
+    get(id) {
+      return models.get(id || defaultModelId) || null;
+    },
+
+    getDefault() {
+      return models.get(defaultModelId);
+    },
+
+    list() {
+      return Array.from(models.values()).map((model) => ({
+        id: model.id,
+        description: model.description,
+        default: model.id === defaultModelId
+      }));
+    },
+
+    /**
+     * Re-read the models directory; keeps the current models if the new set is invalid
+     * @returns {Boolean} - True if the reload succeeded
+     */
+    reload() {
+      try {
+        const next = loadModels(options.dir);
+        if (!next.has(defaultModelId)) {
+          throw new Error(`default model "${defaultModelId}" is missing`);
+        }
+        models = next;
+        logger.info('Reloaded scoring models', { count: models.size });
+        return true;
+      } catch (error) {
+        logger.error('Failed to reload scoring models, keeping the previous set', { error });
+        return false;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createModelRegistry,
+  loadModels,
+  validateModel,
+  usesHistory,
+  usesLending,
+  usesPrimaryName,
+  HISTORY_COMPONENTS
+};
@@ -0,0 +1,97 @@
+// Score reason codes
+// Explains a score with machine-readable codes, in the spirit of FICO adverse-action
+// codes. Component codes are ranked by how many points the weak component cost;
+// risk-flag codes by their penalty; a missing primary name by the bonus it would earn.
+// Data-quality codes follow as caveats.
+
+const { unavailableNetworks } = require('./confidence');
+
+// A component below this value (0-1) produces a reason code
+const WEAK_COMPONENT_THRESHOLD = 0.6;
+
+// Components that only mean something once there is data behind them:
+// no dormancy without transfers, no repayment history without borrows
+const NEEDS_DATA = {
+  dormancy: (result) => Boolean(result.history && result.history.transferCount > 0),
+  lending: (result) => Boolean(result.lending && result.lending.borrowCount > 0)
+};
+
+// Component -> reason code raised when it is weak
+const COMPONENT_REASONS = {
+  transactions: 'LOW_TRANSACTION_COUNT',
+  age: 'SHORT_HISTORY',
+  activity: 'LOW_CROSS_CHAIN_ACTIVITY',
+  volume: 'LOW_TRANSFER_VOLUME',
+  counterparties: 'FEW_COUNTERPARTIES',
+  consistency: 'IRREGULAR_ACTIVITY',
+  recency: 'NO_RECENT_ACTIVITY',
+  dormancy: 'LONG_DORMANCY',
+  lending: 'WEAK_REPAYMENT_HISTORY'
+};
+
+/**
+ * Derive ranked reason codes from a scoreWallet result
+ * @param {Object} result - scoreWallet result (calculateCreditScore output plus accountAge and networkStatus)
+ * @param {Object} model - Scoring model that produced the result
+ * @returns {Array} - [{ code, type, pointsLost }] most important first
+ */
+function deriveReasonCodes(result, model) {
+  const MAX_SCORE = parseInt(process.env.MAX_SCORE || '850');
+  const MIN_SCORE = parseInt(process.env.MIN_SCORE || '300');
+  const range = MAX_SCORE - MIN_SCORE;
+
+  const components = {
+    transactions: result.txComponent,
+    age: result.ageComponent,
+    activity: result.activityComponent,
+    ...result.historyComponents,
+    lending: result.lendingComponent
+  };
+
+  const ranked = [];
+
+  for (const [component, code] of Object.entries(COMPONENT_REASONS)) {
+    const weight = model.weights[component] || 0;
+    const value = components[component];
+    if (weight === 0 || typeof value !== 'number' || value >= WEAK_COMPONENT_THRESHOLD) continue;
+    if (NEEDS_DATA[component] && !NEEDS_DATA[component](result)) continue;
+
+    ranked.push({ code, type: 'component', pointsLost: Math.round((1 - value) * weight * range) });
+  }
+
+  if (result.lending && result.lending.liquidationCount > 0) {
+    ranked.push({
+      code: 'LIQUIDATION_HISTORY',
+      type: 'component',
+      pointsLost: Math.round(Math.min(result.lending.liquidationCount * model.lending.liquidationPenalty, 1) *
+        (model.weights.lending || 0) * range)
+    });
+  }
+
+  for (const flag of result.riskFlags || []) {
+    ranked.push({ code: `RISK_${flag.code}`, type: 'risk', pointsLost: flag.penalty });
+  }
+
+  // Only when the reverse lookup answered; a failed lookup is a data gap, not a missing name
+  if (model.primaryName && model.primaryName.bonus > 0 && !result.primaryName && !result.primaryNameError) {
+    ranked.push({ code: 'NO_PRIMARY_NAME', type: 'identity', pointsLost: model.primaryName.bonus });
+  }
+
+  ranked.sort((a, b) => b.pointsLost - a.pointsLost);
+
+  // Caveats about the data behind the score; they don't cost points directly
+  const caveats = [];
+  if (result.txCount === 0 && !(result.history && result.history.transferCount > 0)) {
+    caveats.push({ code: 'NO_ONCHAIN_ACTIVITY', type: 'data', pointsLost: null });
+  }
+  if (result.accountAge && result.accountAge.source === 'estimated') {
+    caveats.push({ code: 'AGE_ESTIMATED_NOT_OBSERVED', type: 'data', pointsLost: null });
+  }
+  if (unavailableNetworks(result.networkStatus || {}).length > 0) {
+    caveats.push({ code: 'NETWORK_DATA_UNAVAILABLE', type: 'data', pointsLost: null });
+  }
+
+  return [...ranked, ...caveats];
+}
+
+module.exports = { deriveReasonCodes, COMPONENT_REASONS };
@@ -0,0 +1,1030 @@
+// Wallet scoring service
+// The one entry point for scoring a wallet: fetches data from every selected network
+// through its chain data providers, runs the analytics the model needs, calculates
+// the score and shapes the result. HTTP routes, batch scoring and the CLI all go
+// through createScoringService().scoreWallet.
+
+const { createProvider } = require('../providers');
+const { usesHistory, usesLending, usesPrimaryName } = require('./models');
+const { calculateCreditScore, resolveAccountAge } = require('./calculate');
+const { deriveReasonCodes } = require('./reasons');
+const { addressChain, isValidAddress, normalizeAddress, CHAINS } = require('../lib/addresses');
+const { linkMessage, isFreshIssuedAt, verifyWalletProof, createContractWalletChecker } = require('../lib/walletProofs');
+const { isWalletName } = require('../lib/names');
+const { logger } = require('../lib/logger');
+const { mergeWalletData } = require('./identity');
+const {
+  collectDataGaps,
+  assessConfidence,
+  excludeMissingNetworks,
+  unavailableNetworks,
+  DEGRADED_POLICIES
+} = require('./confidence');
+const {
+  createResilience,
+  createDeadline,
+  TIMEOUT,
+  CIRCUIT_OPEN,
+  DEADLINE_EXCEEDED
+} = require('../lib/resilience');
+const {
+  fetchTransferHistory,
+  analyzeTransfers,
+  aggregateHistory,
+  serializeHistory
+} = require('../analytics/transfers');
+const { detectRiskFlags } = require('../analytics/sybil');
+const {
+  fetchLendingEvents,
+  findLendingInteractions,
+  analyzeLending
+} = require('../analytics/lending');
+
+// How much of the report scoreWallet returns
+const DETAIL_FIELDS = {
+  score: ['walletAddress', 'name', 'score', 'status', 'confidence', 'provisional', 'modelVersion', 'cache', 'generatedAt'],
+  summary: [
+    'walletAddress', 'name', 'identity', 'score', 'status', 'confidence', 'provisional', 'dataGaps', 'passThreshold',
+    'components', 'reasonCodes', 'riskPenalty', 'primaryName', 'txCount', 'activeNetworks', 'accountAge',
+    'failedNetworks', 'timedOutNetworks', 'modelVersion', 'cache', 'generatedAt'
+  ],
+  full: null
+};
+const DETAIL_LEVELS = Object.keys(DETAIL_FIELDS);
+
+// How a linked wallet proves control: a personal_sign signature, or ERC-1271 for contract wallets
+const PROOF_TYPES = ['eoa', 'erc1271'];
+
+/**
+ * Error for a scoring request that can't be served as asked (bad address, unknown model,
+ * invalid wallet signature, deadline exceeded under the 'fail' policy, networks missing
+ * under the 'refuse' policy)
+ * @param {String} message - Error message
+ * @param {Object} details - Extra fields for the error response
+ * @param {Number} statusCode - HTTP status to answer with
+ * @returns {Error} - Error with statusCode and details
+ */
+function requestError(message, details = {}, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Network status for an error raised while fetching a network's data
+ * @param {Error} error - Fetch error
+ * @returns {String} - 'timeout', 'circuit-open' or 'failed'
+ */
+function failureStatus(error) {
+  if (error.code === TIMEOUT || error.code === DEADLINE_EXCEEDED) return 'timeout';
+  if (error.code === CIRCUIT_OPEN) return 'circuit-open';
+  return 'failed';
+}
+
+/**
+ * Pass/fail status of a score
+ * @param {Number} score - Credit score
+ * @param {Number} threshold - Lowest passing score
+ * @returns {String} - 'pass' or 'fail'
+ */
+function passStatus(score, threshold) {
+  return score >= threshold ? 'pass' : 'fail';
+}
+
+/**
+ * Whether a score was computed from every requested network's data
+ * Partial and provisional scores are served, but neither cached nor recorded in score history.
+ * @param {Object} result - Score computation result
+ * @returns {Boolean}
+ */
+function isCompleteResult(result) {
+  return !result.deadlineExceeded && !result.provisional && unavailableNetworks(result.networkStatus).length === 0;
+}
+
+/**
+ * Check that a wallet address is valid on one of the supported chain families
+ * (EVM, Solana or Bitcoin; see lib/addresses.js)
+ * @param {String} walletAddress - Raw address from the request
+ * @returns {Boolean}
+ */
+function isValidWalletAddress(walletAddress) {
+  return addressChain(walletAddress) !== null;
+}
+
+/**
+ * Addresses to look a wallet up with, one per chain family
+ * @param {String} walletAddress - Scored wallet address, on any chain family
+ * @param {Object} linked - The wallet's addresses on other chain families, e.g. { solana, bitcoin }
+ * @returns {Object} - Chain family -> address
+ */
+function resolveAddresses(walletAddress, linked) {
+  const chain = addressChain(walletAddress);
+  if (!chain) {
+    throw requestError('Invalid wallet address');
+  }
+  if (linked !== undefined && (!linked || typeof linked !== 'object' || Array.isArray(linked))) {
+    throw requestError('Invalid addresses', { expected: 'Object of chain -> address', chains: CHAINS });
+  }
+
+  const addresses = { [chain]: walletAddress };
+  for (const [linkedChain, address] of Object.entries(linked || {})) {
+    if (!CHAINS.includes(linkedChain)) {
+      throw requestError('Unknown chain', { chain: linkedChain, chains: CHAINS });
+    }
+    if (!isValidAddress(linkedChain, address)) {
+      throw requestError(`Invalid ${linkedChain} address`, { address });
+    }
+    if (linkedChain === chain && normalizeAddress(chain, address) !== normalizeAddress(chain, walletAddress)) {
+      throw requestError(`Conflicting ${chain} address`, { address });
+    }
+    addresses[linkedChain] = address;
+  }
+  return addresses;
+}
+
+/**
+ * Key a wallet's scores are cached and recorded under: its normalized addresses, one per chain family
+ * @param {Object} addresses - Chain family -> address
+ * @returns {String}
+ */
+function walletKey(addresses) {
+  return Object.keys(addresses).sort()
+    .map((chain) => normalizeAddress(chain, addresses[chain])).join('+');
+}
+
+/**
+ * Chain family of a network
+ * @param {Object} networkConfig - Network configuration
+ * @returns {String} - 'evm', 'solana' or 'bitcoin'
+ */
+function networkChain(networkConfig) {
+  return networkConfig.chain || 'evm';
+}
+
+/**
+ * Transfer categories to request for a network
+ * Some networks don't support all categories - FIX FOR THE ERROR
+ * @param {Object} networkConfig - Network configuration
+ * @returns {Array} - Alchemy transfer categories
+ */
+function transferCategories(networkConfig) {
+  const categories = ["external", "erc20", "erc721", "erc1155"];
+  
+  // Only add "internal" category for networks that support it
+  if (networkConfig.supportsInternalTx) {
+    categories.push("internal");
+  }
+  return categories;
+}
+
+/**
+ * Fetch the transaction count and first-transaction timestamp for one network
+ * @param {String} network - Network name
+ * @param {Object} provider - Chain data provider for the network
+ * @param {String} walletAddress - Wallet address to look up
+ * @param {Object} networkConfig - Network configuration
+ * @param {Object} metrics - Kernel metrics (lib/metrics.js), counting each timestamp path taken; optional
+ * @returns {Object} - { count, firstTxTimestamp, timestampSource, fallbackErrors }
+ */
+async function fetchNetworkData(network, provider, walletAddress, networkConfig, metrics = null) {
+  logger.debug('Fetching network data', { network });
+  
+  // Get transaction count (timeouts and retries are applied by the guarded provider)
+  const txCount = await provider.getTransactionCount(walletAddress);
+  
+  logger.debug('Transaction count', { network, txCount });
+  
+  // Get first transaction (to estimate account age)
+  let firstTxTimestamp = null;
+  let timestampSource = null;
+  const fallbackErrors = [];
+  // Each timestamp path tried and how it ended: found, empty or error
+  const trackPath = (path, outcome) => {
+    if (metrics) metrics.timestampLookups.inc({ network, path, outcome });
+  };
+  const pathFailed = (path, error) => {
+    trackPath(path, 'error');
+    logger.warn('First transaction lookup failed', { network, path, error });
+    fallbackErrors.push(error.message);
+  };
+  
+  // Non-EVM chains have no transfer index to search; their providers look the first transaction up directly
+  if (txCount > 0 && networkChain(networkConfig) !== 'evm') {
+    try {
+      firstTxTimestamp = await provider.getFirstTransactionTimestamp(walletAddress);
+      timestampSource = firstTxTimestamp ? 'first-transaction' : null;
+      trackPath('first-transaction', firstTxTimestamp ? 'found' : 'empty');
+    } catch (firstTxError) {
+      pathFailed('first-transaction', firstTxError);
+    }
+
+  // If we have transactions, try to get the timestamp of the first one
+  } else if (txCount > 0) {
+    logger.debug('Fetching first transaction', { network });
+    
+    try {
+      // First try getting transfer history
+      const categories = transferCategories(networkConfig);
+      
+      const history = await provider.getAssetTransfers({
+        fromAddress: walletAddress,
+        category: categories,
+        maxCount: 1,
+        order: "asc"
+      });
+      
+      if (history.transfers && history.transfers.length > 0 && 
+          history.transfers[0].metadata && 
+          history.transfers[0].metadata.blockTimestamp) {
+        firstTxTimestamp = new Date(history.transfers[0].metadata.blockTimestamp).getTime();
+        timestampSource = 'transfers';
+        trackPath('transfers', 'found');
+        logger.debug('First transaction found', { network, path: timestampSource, firstTx: new Date(firstTxTimestamp).toISOString() });
+      } else {
+        trackPath('transfers', 'empty');
+        logger.debug('No valid transaction history found', { network });
+      }
+      
+      // If we couldn't get the timestamp from transfer history, try a different approach
+      if (!firstTxTimestamp && txCount > 0) {
+        try {
+          logger.debug('Trying timestamp fallback', { network, path: 'transfers-extended' });
+          
+          // Since getHistory isn't available, we'll use another approach
+          // Try to get more transfers to find one with a timestamp
+          const moreTransfers = await provider.getAssetTransfers({
+            fromAddress: walletAddress,
+            category: categories,
+            maxCount: 10, // Try getting more transfers
+            order: "asc"
+          });
+          
+          // Look through all transfers for a valid timestamp
+          if (moreTransfers && moreTransfers.transfers) {
+            for (const transfer of moreTransfers.transfers) {
+              if (transfer.metadata && transfer.metadata.blockTimestamp) {
+                firstTxTimestamp = new Date(transfer.metadata.blockTimestamp).getTime();
+                timestampSource = 'transfers-extended';
+                logger.debug('First transaction found', { network, path: timestampSource, firstTx: new Date(firstTxTimestamp).toISOString() });
+                break;
+              }
+            }
+          }
+          trackPath('transfers-extended', firstTxTimestamp ? 'found' : 'empty');
+        } catch (alternateError) {
+          pathFailed('transfers-extended', alternateError);
+          // Continue with null firstTxTimestamp
+        }
+        
+        // If we still don't have a timestamp, try just ERC20 transfers
+        if (!firstTxTimestamp) {
+          try {
+            logger.debug('Trying timestamp fallback', { network, path: 'erc20-transfers' });
+            
+            const erc20Transfers = await provider.getAssetTransfers({
+              fromAddress: walletAddress,
+              category: ["erc20"], // Only ERC20 transfers
+              maxCount: 5,
+              order: "asc"
+            });
+            
+            if (erc20Transfers && erc20Transfers.transfers && erc20Transfers.transfers.length > 0) {
+              const transfer = erc20Transfers.transfers[0];
+              if (transfer.metadata && transfer.metadata.blockTimestamp) {
+                firstTxTimestamp = new Date(transfer.metadata.blockTimestamp).getTime();
+                timestampSource = 'erc20-transfers';
+                logger.debug('First transaction found', { network, path: timestampSource, firstTx: new Date(firstTxTimestamp).toISOString() });
+              }
+            }
+            trackPath('erc20-transfers', firstTxTimestamp ? 'found' : 'empty');
+          } catch (erc20Error) {
+            pathFailed('erc20-transfers', erc20Error);
+          }
+        }
+        
+        // If we still don't have a timestamp, try NFT ownership as a last resort
+        // FIX for NFT query error - Remove excludeFilters parameter
+        if (!firstTxTimestamp && network === "ethereum") { // Only try this on Ethereum for now
+          try {
+            logger.debug('Trying timestamp fallback', { network, path: 'nft-acquired' });
+            
+            // Get NFTs owned by the address - REMOVED excludeFilters parameter
+            const nfts = await provider.getNftsForOwner(walletAddress, {
+              pageSize: 5
+              // Removed excludeFilters parameter which requires a paid plan
+            });
+            
+            if (nfts && nfts.ownedNfts && nfts.ownedNfts.length > 0) {
+              logger.debug('Owned NFTs found', { network, nfts: nfts.ownedNfts.length });
+              
+              // Check mint dates if available
+              for (const nft of nfts.ownedNfts) {
+                if (nft.acquiredAt) {
+                  const mintTimestamp = new Date(nft.acquiredAt).getTime();
+                  logger.debug('NFT acquisition date found', { network, acquiredAt: new Date(mintTimestamp).toISOString() });
+                  
+                  // Only use this if we don't have a better timestamp
+                  if (!firstTxTimestamp || mintTimestamp < firstTxTimestamp) {
+                    firstTxTimestamp = mintTimestamp;
+                    timestampSource = 'nft-acquired';
+                  }
+                  break;
+                }
+              }
+            }
+            trackPath('nft-acquired', timestampSource === 'nft-acquired' ? 'found' : 'empty');
+          } catch (nftError) {
+            pathFailed('nft-acquired', nftError);
+          }
+        }
+      }
+    } catch (historyError) {
+      pathFailed('transfers', historyError);
+      // Continue with null firstTxTimestamp
+    }
+  }
+
+  return {
+    count: txCount,
+    firstTxTimestamp,
+    timestampSource,
+    fallbackErrors
+  };
+}
+
+/**
+ * Shape a scoreWallet result into the detailed report returned by the API
+ * @param {String} walletAddress - Scored wallet address
+ * @param {Object} result - Score computation result (addresses, networkStatus, ...)
+ * @param {Object} cached - Score cache metadata ({ cache, storedAt })
+ * @param {String} name - Name the wallet was requested by, if any
+ * @param {Number} passThreshold - The API client's own pass threshold, if it has one
+ * @returns {Object} - Score report
+ */
+function buildScoreReport(walletAddress, result, cached, name = null, passThreshold = null) {
+  const networksWithStatus = (status) => Object.keys(result.networkStatus)
+    .filter((network) => result.networkStatus[network].status === status);
+  // Cached results carry the status under PASS_THRESHOLD; a client threshold re-decides it
+  const threshold = passThreshold ?? parseInt(process.env.PASS_THRESHOLD || '600');
+  const status = passThreshold === null ? result.status : passStatus(result.score, threshold);
+
+  return {
+    walletAddress,
+    name,
+    addresses: result.addresses,
+    identity: result.identity,
+    score: result.score,
+    status,
+    confidence: result.confidence,
+    provisional: result.provisional,
+    degradedPolicy: result.degradedPolicy,
+    dataGaps: result.dataGaps,
+    passThreshold: threshold,
+    components: {
+      transactions: result.txComponent,
+      age: result.ageComponent,
+      activity: result.activityComponent,
+      ...result.historyComponents,
+      lending: result.lendingComponent
+    },
+    history: result.history,
+    lending: result.lending,
+    riskFlags: result.riskFlags,
+    riskPenalty: result.riskPenalty,
+    primaryName: result.primaryName,
+    primaryNameBonus: result.primaryNameBonus,
+    reasonCodes: result.reasonCodes,
+    txCount: result.txCount,
+    weightedTxCount: result.weightedTxCount,
+    activeNetworks: result.activeNetworks,
+    accountAge: result.accountAge,
+    networks: Object.fromEntries(Object.keys(result.details).map((network) => [
+      network,
+      { ...result.details[network], ...result.networkStatus[network] }
+    ])),
+    failedNetworks: networksWithStatus('failed'),
+    timedOutNetworks: networksWithStatus('timeout'),
+    circuitOpenNetworks: networksWithStatus('circuit-open'),
+    deadlineExceeded: Boolean(result.deadlineExceeded),
+    modelVersion: result.modelVersion,
+    cache: cached ? cached.cache : 'bypass',
+    generatedAt: new Date(cached ? cached.storedAt : Date.now()).toISOString()
+  };
+}
+
+/**
+ * Create the scoring service
+ * @param {Object} options - { networks, modelRegistry, scoreCache, lendingRegistry,
+ *   history: { maxPages, pageSize }, resilience (from createResilience),
+ *   deadlineMs (per request, 0 for none), deadlinePolicy ('partial' | 'fail'),
+ *   degradedPolicy ('provisional' | 'refuse' | 'exclude', see confidence.js),
+ *   identity: { maxWallets, proofMaxAgeMs } (linked-wallet scoring limits),
+ *   nameResolver (from lib/names.js; without one, names are rejected as invalid addresses),
+ *   attester (from lib/attestations.js; without one, attestations are not offered),
+ *   scoreHistory (from history/index.js; records every computed full score),
+ *   metrics (from lib/metrics.js; score distribution and timestamp path counters) }
+ * @returns {Object} - Scoring service
+ */
+function createScoringService(options) {
+  const { networks, modelRegistry, scoreCache, lendingRegistry, nameResolver, attester, scoreHistory } = options;
+  const metrics = options.metrics || null;
+  const historyOptions = options.history;
+  const resilience = options.resilience || createResilience({
+    timeoutMs: 10000,
+    retries: 0,
+    baseDelayMs: 0,
+    maxDelayMs: 0,
+    failureThreshold: Infinity,
+    resetTimeoutMs: 0
+  });
+  const deadlineMs = options.deadlineMs || 0;
+  const deadlinePolicy = options.deadlinePolicy || 'partial';
+  const degradedPolicy = options.degradedPolicy || 'provisional';
+  const identityOptions = { maxWallets: 10, proofMaxAgeMs: 10 * 60 * 1000, ...options.identity };
+  if (!DEGRADED_POLICIES.includes(degradedPolicy)) {
+    throw new Error(`Unknown degraded-data policy "${degradedPolicy}"; expected one of ${DEGRADED_POLICIES.join(', ')}`);
+  }
+  let providerInstances = null;
+  // Network -> providers that couldn't be created, and why
+  const skippedProviders = {};
+
+  /**
+   * Chain data providers for the enabled networks, created on first use
+   * @returns {Object} - Network name -> provider
+   */
+  function getProviders() {
+    if (providerInstances) return providerInstances;
+
+    providerInstances = {};
+    for (const [network, config] of Object.entries(networks)) {
+      if (config.enabled) {
+        logger.info('Initializing providers', { network, providers: config.providers });
+        skippedProviders[network] = [];
+        const provider = createProvider(network, config, skippedProviders[network]);
+        
+        if (provider) {
+          providerInstances[network] = provider;
+        } else {
+          logger.warn('No usable provider; the network will be skipped', { network });
+        }
+      } else {
+        logger.info('Network disabled in configuration', { network });
+      }
+    }
+    return providerInstances;
+  }
+
+  /**
+   * Fetch one wallet's data from the selected networks
+   * @param {Object} addresses - Chain family -> address looked up on that family's networks
+   * @param {Object} model - Scoring model to apply
+   * @param {Array} selected - Network names to fetch
+   * @param {Object} deadline - Request deadline shared by every upstream call
+   * @returns {Promise<Object>} - { txData, networkStatus, historyByNetwork, lendingEvents,
+   *   primaryName, primaryNameError }
+   */
+  async function collectWalletData(addresses, model, selected, deadline) {
+    // Fetch transaction counts from multiple chains
+    const txData = {};
+    const networkStatus = {};
+    const historyByNetwork = {};
+    const lendingEvents = [];
+    const withHistory = usesHistory(model);
+    const withLending = usesLending(model);
+
+    // Initialize txData for all networks (even disabled ones) to ensure consistent response structure
+    // Networks left out of the request are reported as skipped
+    for (const network of Object.keys(networks)) {
+      txData[network] = { count: 0, firstTxTimestamp: null };
+      networkStatus[network] = { status: selected.includes(network) ? 'disabled' : 'skipped', provider: null, error: null };
+    }
+
+    // Reverse name lookup for models that reward a verified primary name, alongside the networks
+    const primaryNamePromise = usesPrimaryName(model) && addresses.evm && nameResolver ?
+      resilience.guard(nameResolver, deadline).lookupAddress(addresses.evm)
+        .then((value) => ({ value }), (error) => ({ error })) : null;
+
+    // Only fetch data for enabled, selected networks
+    const providers = Object.entries(getProviders()).filter(([network]) => selected.includes(network));
+    const fetchPromises = providers.map(async ([network, unguarded]) => {
+      const provider = resilience.guard(unguarded, deadline);
+      const address = addresses[networkChain(networks[network])];
+      networkStatus[network] = { status: 'ok', provider: provider.name, error: null };
+
+      // Full transfer history runs alongside the count lookup; its failure doesn't fail the network
+      // (settled into { value } / { error } straight away so a rejection is never left unhandled)
+      const historyPromise = withHistory && provider.capabilities.transfers ?
+        fetchTransferHistory(provider, network, address, {
+          categories: transferCategories(networks[network]),
+          maxPages: historyOptions.maxPages,
+          pageSize: historyOptions.pageSize
+        }).then((value) => ({ value }), (error) => ({ error })) : null;
+
+      // Lending event logs, also fetched alongside and settled the same way
+      const lendingPromise = withLending && provider.capabilities.logs ?
+        fetchLendingEvents(provider, network, address, lendingRegistry)
+          .then((value) => ({ value }), (error) => ({ error })) : null;
+
+      try {
+        const data = await fetchNetworkData(network, provider, address, networks[network], metrics);
+        txData[network] = {
+          count: data.count,
+          firstTxTimestamp: data.firstTxTimestamp,
+          timestampSource: data.timestampSource
+        };
+        if (data.fallbackErrors.length > 0) {
+          networkStatus[network].fallbackErrors = data.fallbackErrors;
+        }
+      } catch (error) {
+        logger.error('Network data fetch failed', { network, error });
+        // txData[network] already initialized with zeros
+        networkStatus[network].status = failureStatus(error);
+        networkStatus[network].error = error.message;
+      }
+
+      if (historyPromise) {
+        const { value, error } = await historyPromise;
+        if (error) {
+          logger.warn('Transfer history fetch failed', { network, error });
+          networkStatus[network].historyError = error.message;
+        } else {
+          const metrics = analyzeTransfers(value.transfers, address);
+          historyByNetwork[network] = { transfers: value.transfers, metrics };
+          txData[network].history = { ...serializeHistory(metrics), truncated: value.truncated };
+        }
+      }
+
+      if (lendingPromise) {
+        const { value, error } = await lendingPromise;
+        if (error) {
+          logger.warn('Lending events fetch failed', { network, error });
+          networkStatus[network].lendingError = error.message;
+        } else {
+          lendingEvents.push(...value);
+        }
+      }
+    });
+
+    logger.debug('Waiting for all blockchain queries to complete', { networks: providers.map(([network]) => network) });
+    await Promise.allSettled(fetchPromises); // Changed to Promise.allSettled to continue even if some fail
+
+    let primaryName = null;
+    let primaryNameError = null;
+    if (primaryNamePromise) {
+      const { value, error } = await primaryNamePromise;
+      if (error) {
+        logger.warn('Primary name lookup failed', { address: addresses.evm, error });
+        primaryNameError = error.message;
+      } else {
+        primaryName = value || null;
+      }
+    }
+
+    return { txData, networkStatus, historyByNetwork, lendingEvents, primaryName, primaryNameError };
+  }
+
+  /**
+   * Score collected wallet data
+   * @param {String} walletAddress - Address the score is reported under
+   * @param {Object} addresses - Chain family -> address
+   * @param {Object} model - Scoring model to apply
+   * @param {Object} collected - Output of collectWalletData, or of mergeWalletData for an identity
+   * @param {Object} deadline - Request deadline the data was collected under
+   * @returns {Object} - calculateCreditScore result plus accountAge, networkStatus, reasonCodes,
+   *   confidence, provisional and dataGaps
+   */
+  function scoreWalletData(walletAddress, addresses, model, collected, deadline) {
+    const { txData, networkStatus, historyByNetwork, lendingEvents } = collected;
+    const withHistory = usesHistory(model);
+    const withLending = usesLending(model);
+
+    // Partial-result policy: score what arrived before the deadline, or refuse
+    if (deadline.exceeded) {
+      logger.warn('Request deadline exceeded', { walletAddress, deadlineMs, deadlinePolicy });
+      if (deadlinePolicy === 'fail') {
+        throw requestError('Scoring deadline exceeded', { deadlineMs }, 503);
+      }
+    }
+
+    // Degraded-data policy: missing networks would otherwise score like inactive ones
+    const missing = unavailableNetworks(networkStatus);
+    if (missing.length > 0) {
+      logger.warn('Network data unavailable', { walletAddress, networks: missing, degradedPolicy });
+      if (degradedPolicy === 'refuse') {
+        throw requestError('Network data unavailable', { networks: missing, degradedPolicy }, 503);
+      }
+    }
+    const scoringModel = degradedPolicy === 'exclude' ? excludeMissingNetworks(model, networkStatus) : model;
+
+    const accountAge = resolveAccountAge(txData);
+
+    // Calculate credit score
+    // Transfer history only comes from EVM networks
+    const evmAddress = addresses.evm || walletAddress;
+    const history = withHistory ? aggregateHistory(historyByNetwork, evmAddress) : null;
+    // Transfers between the linked wallets of an identity aren't wash activity
+    const allTransfers = Object.values(historyByNetwork).flatMap((entry) => entry.transfers)
+      .filter((transfer) => !transfer.linked);
+    const riskFlags = detectRiskFlags(allTransfers, evmAddress, model.riskFlags);
+  
+    let lending = null;
+    if (withLending) {
+      const interactions = {};
+      for (const [network, entry] of Object.entries(historyByNetwork)) {
+        const found = findLendingInteractions(entry.transfers, network, lendingRegistry);
+        if (Object.keys(found).length > 0) interactions[network] = found;
+      }
+      lending = analyzeLending(lendingEvents, interactions);
+    }
+  
+    const scoreResult = calculateCreditScore(txData, accountAge.days, scoringModel, {
+      history,
+      riskFlags,
+      lending,
+      primaryName: collected.primaryName
+    });
+
+    logger.info('Score calculated', {
+      walletAddress,
+      score: scoreResult.score,
+      status: scoreResult.status,
+      modelVersion: model.id
+    });
+    if (metrics) metrics.scoreDistribution.observe({ model: model.id }, scoreResult.score);
+
+    const result = {
+      ...scoreResult,
+      addresses,
+      identity: collected.identity || null,
+      primaryNameError: collected.primaryNameError || null,
+      accountAge,
+      networkStatus,
+      deadlineExceeded: deadline.exceeded
+    };
+    const dataGaps = collectDataGaps(result);
+    return {
+      ...result,
+      reasonCodes: deriveReasonCodes(result, scoringModel),
+      confidence: assessConfidence(dataGaps, networkStatus, model),
+      provisional: degradedPolicy === 'provisional' && missing.length > 0,
+      degradedPolicy,
+      dataGaps
+    };
+  }
+
+  /**
+   * Fetch data from the selected networks and score the wallet
+   * @param {String} walletAddress - Wallet address to score
+   * @param {Object} addresses - Chain family -> address looked up on that family's networks
+   * @param {Object} model - Scoring model to apply
+   * @param {Array} selected - Network names to fetch
+   * @returns {Object} - scoreWalletData result
+   */
+  async function computeScore(walletAddress, addresses, model, selected) {
+    // Every upstream call for this request shares one deadline
+    const deadline = createDeadline(deadlineMs);
+    const collected = await collectWalletData(addresses, model, selected, deadline);
+    return scoreWalletData(walletAddress, addresses, model, collected, deadline);
+  }
+
+  /**
+   * Resolve the model, detail level and networks of a scoring request
+   * @param {Object} addresses - Chain family -> address
+   * @param {Object} options - scoreWallet options
+   * @returns {Object} - { model, detail, selected, subset (cache key part for a network subset) }
+   */
+  function resolveRequest(addresses, options) {
+    // Only registered models score: a model object from a request body would share their cache keys
+    if (options.model !== undefined && options.model !== null && typeof options.model !== 'string') {
+      throw requestError('"model" must be a model id');
+    }
+    const model = modelRegistry.get(options.model);
+    if (!model) {
+      throw requestError('Unknown scoring model', { model: options.model });
+    }
+
+    const detail = options.detail || 'full';
+    if (!DETAIL_LEVELS.includes(detail)) {
+      throw requestError('Unknown detail level', { detail, detailLevels: DETAIL_LEVELS });
+    }
+
+    const allNetworks = Object.keys(networks);
+    // Networks can only be looked up on chain families the wallet has an address for
+    const reachable = allNetworks.filter((network) => addresses[networkChain(networks[network])]);
+    // API clients limited to some networks score on those by default
+    const allowed = options.allowedNetworks || null;
+    const requested = options.networks && options.networks.length > 0 ? options.networks : null;
+    const selected = requested || (allowed ? reachable.filter((network) => allowed.includes(network)) : reachable);
+    const unknown = selected.filter((network) => !allNetworks.includes(network));
+    if (unknown.length > 0) {
+      throw requestError('Unknown networks', { networks: unknown, available: allNetworks });
+    }
+    const forbidden = allowed ? selected.filter((network) => !allowed.includes(network)) : [];
+    if (forbidden.length > 0) {
+      throw requestError('Networks not allowed for this API key', { networks: forbidden, allowed }, 403);
+    }
+    if (allowed && selected.length === 0) {
+      throw requestError('None of the networks allowed for this API key can score this wallet', {
+        allowed,
+        chains: Object.keys(addresses)
+      }, 403);
+    }
+    const unreachable = selected.filter((network) => !reachable.includes(network));
+    if (unreachable.length > 0) {
+      throw requestError('No address for networks', { networks: unreachable, chains: Object.keys(addresses) });
+    }
+
+    // Scores for a network subset are cached separately from full scores
+    const subset = selected.length < reachable.length ? `${[...selected].sort().join(',')}:` : '';
+
+    // Checked up front so an unattestable request doesn't fetch anything
+    if (options.attest && !attester) {
+      throw requestError('Attestations are not enabled on this kernel', {}, 501);
+    }
+    if (options.attest && !addresses.evm) {
+      throw requestError('Attestations are only issued for EVM wallets');
+    }
+    return { model, detail, selected, subset };
+  }
+
+  /**
+   * Serve a score from the cache or compute it, and shape it into a report
+   * @param {String} key - Cache key
+   * @param {String} walletAddress - Address the score is reported under
+   * @param {Function} compute - Async function computing a fresh score result
+   * @param {Object} options - { detail, fresh, name (name the wallet was requested by),
+   *   attest (add a signed attestation of the score), passThreshold (the API client's own) }
+   * @returns {Promise<Object>} - Score report at the requested detail level
+   */
+  async function cachedReport(key, walletAddress, compute, { detail, fresh, name, attest, passThreshold = null }) {
+    // Partial results are served but not kept, so the next request tries the full set again
+    // (and a partial refresh never replaces a complete entry)
+    const cached = await scoreCache.getOrCompute(key, compute, {
+      bypass: Boolean(fresh),
+      shouldStore: isCompleteResult
+    });
+
+    const report = buildScoreReport(walletAddress, cached.value, cached, name, passThreshold);
+    const fields = DETAIL_FIELDS[detail];
+    const shaped = fields ? Object.fromEntries(fields.map((field) => [field, report[field]])) : report;
+    // Signed per response, never cached: each attestation carries its own issue time
+    return attest ? { ...shaped, attestation: await attester.attest(report) } : shaped;
+  }
+
+  /**
+   * Resolve a name (e.g. ENS) to the address it points at
+   * @param {String} name - Name to resolve
+   * @returns {Promise<Object>} - { name, address }
+   */
+  async function resolveName(name) {
+    if (!nameResolver || !isWalletName(name)) {
+      throw requestError('Invalid name', { name });
+    }
+
+    let address;
+    try {
+      address = await resilience.guard(nameResolver, createDeadline(deadlineMs)).resolveName(name);
+    } catch (error) {
+      logger.warn('Name resolution failed', { name, error });
+      throw requestError('Name resolution failed', { name, reason: error.message }, 502);
+    }
+    if (!address) {
+      throw requestError('Name does not resolve to an address', { name }, 404);
+    }
+    return { name, address };
+  }
+
+  /**
+   * Score a wallet
+   * @param {String} input - Wallet address to score, or a name resolving to one (e.g. an ENS name)
+   * @param {Object} options - { model (id, default model if omitted),
+   *   networks (subset of network names), addresses (the wallet's addresses on other chain
+   *   families, e.g. { solana, bitcoin }), detail ('score' | 'summary' | 'full'), fresh (skip the cache),
+   *   attest (add an EIP-712 attestation of the score; EVM wallets only), and the API client's
+   *   policy: passThreshold (instead of PASS_THRESHOLD), allowedNetworks (networks it may score on) }
+   * @returns {Promise<Object>} - Score report at the requested detail level
+   */
+  async function scoreWallet(input, options = {}) {
+    const { address: walletAddress, name } = isWalletName(input) && nameResolver ?
+      await resolveName(input) : { address: input, name: null };
+    const addresses = resolveAddresses(walletAddress, options.addresses);
+    const { model, detail, selected, subset } = resolveRequest(addresses, options);
+
+    const identity = walletKey(addresses);
+    const key = `${model.id}:${subset}${identity}`;
+    const compute = async () => {
+      const result = await computeScore(walletAddress, addresses, model, selected);
+      // Scores over a network subset, or from degraded data, aren't comparable with full
+      // scores, so only full ones are kept
+      if (scoreHistory && !subset && isCompleteResult(result)) await scoreHistory.record(identity, result);
+      return result;
+    };
+    return cachedReport(key, walletAddress, compute, {
+      detail,
+      fresh: options.fresh,
+      name,
+      attest: options.attest,
+      passThreshold: options.passThreshold ?? null
+    });
+  }
+
+  /**
+   * Check the proofs of an identity request
+   * @param {Array} proofs - [{ address, signature, type, network }]
+   * @param {String} issuedAt - ISO timestamp of the signed link message
+   * @returns {Promise<Array>} - Linked addresses, in request order
+   */
+  async function verifyIdentityProofs(proofs, issuedAt) {
+    if (!Array.isArray(proofs) || proofs.length < 2 || proofs.length > identityOptions.maxWallets) {
+      throw requestError(`An identity links between 2 and ${identityOptions.maxWallets} wallets`);
+    }
+
+    for (const proof of proofs) {
+      if (!proof || !isValidAddress('evm', proof.address)) {
+        throw requestError('Invalid wallet address', { address: proof ? proof.address : null });
+      }
+      if (proof.type !== undefined && !PROOF_TYPES.includes(proof.type)) {
+        throw requestError('Unknown proof type', { type: proof.type, proofTypes: PROOF_TYPES });
+      }
+      const network = proof.network || 'ethereum';
+      if (proof.type === 'erc1271' && (!networks[network] || networkChain(networks[network]) !== 'evm')) {
+        throw requestError('Unknown network', { network });
+      }
+    }
+
+    const addresses = proofs.map((proof) => proof.address);
+    if (new Set(addresses.map((address) => address.toLowerCase())).size < addresses.length) {
+      throw requestError('Duplicate wallet addresses');
+    }
+    if (!isFreshIssuedAt(issuedAt, identityOptions.proofMaxAgeMs)) {
+      throw requestError('Link message expired or issuedAt invalid', {
+        issuedAt,
+        maxAgeSeconds: identityOptions.proofMaxAgeMs / 1000
+      });
+    }
+
+    const message = linkMessage(addresses, issuedAt);
+    // Contract wallet checks are upstream calls: timed out, retried and circuit-broken,
+    // all within one deadline
+    const deadline = createDeadline(deadlineMs);
+    const verified = await Promise.all(proofs.map((proof) => {
+      const name = proof.network || 'ethereum';
+      const network = networks[name];
+      const checker = proof.type === 'erc1271' && network && network.rpc && network.rpc.url
+        ? resilience.guard(createContractWalletChecker(name, network.rpc.url), deadline)
+        : null;
+      return verifyWalletProof(proof, message, checker).catch((error) => {
+        logger.warn('Wallet signature check failed', { address: proof.address, error });
+        return false;
+      });
+    }));
+
+    const unverified = addresses.filter((address, i) => !verified[i]);
+    if (unverified.length > 0) {
+      throw requestError('Invalid wallet signatures', { wallets: unverified }, 401);
+    }
+    return addresses;
+  }
+
+  /**
+   * Score several linked wallets as one identity
+   * Every wallet proves control by signing linkMessage(addresses, issuedAt) (lib/walletProofs.js);
+   * their data is merged (scoring/identity.js) and scored once.
+   * @param {Array} proofs - [{ address, signature, type ('eoa' | 'erc1271'), network (erc1271 only,
+   *   default ethereum) }]; the first wallet is the one the identity is reported under
+   * @param {Object} options - { issuedAt, model, networks, detail, fresh, attest, passThreshold, allowedNetworks }
+   * @returns {Promise<Object>} - Score report at the requested detail level
+   */
+  async function scoreIdentity(proofs, options = {}) {
+    const addresses = await verifyIdentityProofs(proofs, options.issuedAt);
+    const primary = addresses[0];
+    const { model, detail, selected, subset } = resolveRequest({ evm: primary }, options);
+
+    const compute = async () => {
+      // Every upstream call for every linked wallet shares one deadline
+      const deadline = createDeadline(deadlineMs);
+      const collected = await Promise.all(addresses.map((address) =>
+        collectWalletData({ evm: address }, model, selected, deadline)));
+
+      const merged = mergeWalletData(addresses.map((address, i) => ({ address, data: collected[i] })));
+      merged.identity.wallets = proofs.map((proof) => ({ address: proof.address, proof: proof.type || 'eoa' }));
+      // Not recorded in score history: it is kept per wallet, and an identity's score isn't
+      // any one wallet's
+      return scoreWalletData(primary, { evm: primary }, model, merged, deadline);
+    };
+
+    const identity = addresses.map((address) => address.toLowerCase()).sort().join('+');
+    return cachedReport(`${model.id}:${subset}identity:${identity}`, primary, compute,
+      { detail, fresh: options.fresh, attest: options.attest, passThreshold: options.passThreshold ?? null });
+  }
+
+  /**
+   * Circuit breaker state of every enabled network
+   * @returns {Object} - Network name -> breaker snapshot
+   */
+  function circuitState() {
+    return resilience.snapshot(Object.keys(getProviders()));
+  }
+
+  /**
+   * Provider status of every network, for readiness checks
+   * A network is usable when it is enabled, has a provider and its circuit isn't open.
+   * The Alchemy fields are null for networks not configured to use Alchemy.
+   * @returns {Object} - Network name -> { enabled, initialized, usable, provider, providers,
+   *   skippedProviders, sdkNetworkSupported, apiKeyPresent, circuit, lastSuccess, lastFailure }
+   */
+  function providerStatus() {
+    const providers = getProviders();
+    const circuits = resilience.snapshot(Object.keys(networks));
+
+    return Object.fromEntries(Object.entries(networks).map(([network, config]) => {
+      const provider = providers[network] || null;
+      const circuit = circuits[network];
+      const usesAlchemy = (config.providers || []).includes('alchemy');
+      return [network, {
+        enabled: Boolean(config.enabled),
+        initialized: Boolean(provider),
+        usable: Boolean(provider) && circuit.state !== 'open',
+        provider: provider ? provider.name : null,
+        providers: config.providers || [],
+        skippedProviders: skippedProviders[network] || [],
+        sdkNetworkSupported: usesAlchemy ? Boolean(config.config && config.config.network !== undefined) : null,
+        apiKeyPresent: usesAlchemy ? Boolean(config.config && config.config.apiKey) : null,
+        circuit: circuit.state,
+        lastSuccess: circuit.lastSuccess,
+        lastFailure: circuit.lastFailure
+      }];
+    }));
+  }
+
+  /**
+   * Score history of a wallet: its recorded full scores under one model, with deltas
+   * @param {String} input - Wallet address, or a name resolving to one
+   * @param {Object} options - { addresses (as for scoreWallet), model (id, default model if
+   *   omitted), since (ISO timestamp), limit (most recent scores to return, up to 1000),
+   *   passThreshold (the API client's own, re-deciding each point's status) }
+   * @returns {Promise<Object>} - { walletAddress, name, modelVersion, points, summary }
+   */
+  async function getScoreHistory(input, options = {}) {
+    if (!scoreHistory || !scoreHistory.enabled) {
+      throw requestError('Score history is not enabled on this kernel', {}, 501);
+    }
+
+    const { address: walletAddress, name } = isWalletName(input) && nameResolver ?
+      await resolveName(input) : { address: input, name: null };
+    const addresses = resolveAddresses(walletAddress, options.addresses);
+
+    const model = modelRegistry.get(options.model);
+    if (!model) {
+      throw requestError('Unknown scoring model', { model: options.model });
+    }
+
+    const since = options.since !== undefined ? Date.parse(options.since) : 0;
+    if (Number.isNaN(since)) {
+      throw requestError('Invalid since', { since: options.since, expected: 'ISO timestamp' });
+    }
+    const limit = options.limit !== undefined ? Number(options.limit) : 100;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      throw requestError('Invalid limit', { limit: options.limit, expected: 'Integer between 1 and 1000' });
+    }
+
+    const timeline = await scoreHistory.timeline(walletKey(addresses), { modelVersion: model.id, since, limit });
+    if (options.passThreshold != null) {
+      timeline.points = timeline.points.map((point) => ({ ...point, status: passStatus(point.score, options.passThreshold) }));
+    }
+    return { walletAddress, name, modelVersion: model.id, ...timeline };
+  }
+
+  /**
+   * Check a score attestation against this kernel's attestation key
+   * @param {Object} attestation - { domain, message, signature }
+   * @returns {Object} - { valid, signer, expired, reason }
+   */
+  function verifyAttestation(attestation) {
+    if (!attester) {
+      throw requestError('Attestations are not enabled on this kernel', {}, 501);
+    }
+    return attester.verify(attestation);
+  }
+
+  return {
+    scoreWallet,
+    scoreIdentity,
+    resolveName,
+    getScoreHistory,
+    verifyAttestation,
+    getProviders,
+    circuitState,
+    providerStatus
+  };
+}
+
+module.exports = {
+  createScoringService,
+  buildScoreReport,
+  isValidWalletAddress,
+  fetchNetworkData,
+  DETAIL_LEVELS,
+  PROOF_TYPES
+};
@@ -0,0 +1,473 @@
+// HTTP API end to end, against recorded chain data (providers/fixture.js)
+
+const path = require('path');
+
+// Configure the kernel before it is loaded: fixture data for every network, short timeouts
+process.env.DEFAULT_PROVIDERS = 'fixture';
+process.env.PROVIDERS_SOLANA = 'fixture';
+process.env.PROVIDERS_BITCOIN = 'fixture';
+process.env.FIXTURE_DIR = path.join(__dirname, 'fixtures', 'wallets');
+process.env.NETWORK_TIMEOUT_MS = '100';
+process.env.RETRY_BASE_DELAY_MS = '5';
+process.env.CACHE_BACKEND = 'memory';
+process.env.SCORE_HISTORY_BACKEND = 'memory';
+process.env.WEBHOOK_BACKEND = 'memory';
+process.env.SCORING_MODEL = 'v4';
+
+const request = require('supertest');
+const { app, scoringService, nameResolver } = require('../index');
+const { isWalletName } = require('../lib/names');
+const { decodeScoreResponse, SCORE_TUPLE } = require('../lib/scoreAbi');
+
+const SEASONED = '0x1111111111111111111111111111111111111111';
+const EXTENDED_FALLBACK = '0x2222222222222222222222222222222222222222';
+const ERC20_FALLBACK = '0x3333333333333333333333333333333333333333';
+const NFT_FALLBACK = '0x4444444444444444444444444444444444444444';
+const ESTIMATED_AGE = '0x5555555555555555555555555555555555555555';
+const UNRELIABLE = '0x6666666666666666666666666666666666666666';
+const FRESH = '0x7777777777777777777777777777777777777777';
+const SOLANA_WALLET = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+const BITCOIN_WALLET = 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq';
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /wallet-score/:wallet_address', () => {
+  test('returns the bare score with cache and model headers', async () => {
+    const first = await request(app).get(`/wallet-score/${SEASONED}`).expect(200);
+
+    expect(typeof first.body).toBe('number');
+    expect(first.body).toBeGreaterThan(300);
+    expect(first.headers['x-score-model']).toBe('v4');
+    expect(first.headers['x-cache']).toBe('MISS');
+    // Browser clients can read every score header
+    const exposed = first.headers['access-control-expose-headers'].split(', ');
+    expect(exposed).toEqual(expect.arrayContaining(['X-Cache', 'X-Score-Model', 'X-Score-Confidence', 'X-Score-Provisional']));
+
+    const second = await request(app).get(`/wallet-score/${SEASONED}`).expect(200);
+    expect(second.body).toBe(first.body);
+    expect(second.headers['x-cache']).toBe('HIT');
+
+    await request(app).get(`/wallet-score/${SEASONED}?fresh=true`).expect('X-Cache', 'BYPASS');
+  });
+
+  test('gives a wallet without any activity the minimum score', async () => {
+    const response = await request(app).get(`/wallet-score/${FRESH}?model=v1`).expect(200);
+
+    expect(response.body).toBe(300);
+    expect(response.headers['x-score-model']).toBe('v1');
+  });
+
+  test('rejects invalid addresses, unknown models and unknown networks', async () => {
+    await request(app).get('/wallet-score/0x1234').expect(400, { error: 'Invalid wallet address' });
+    await request(app).get(`/wallet-score/${SEASONED}?model=v99`)
+      .expect(400, { error: 'Unknown scoring model', model: 'v99' });
+
+    const response = await request(app).get(`/wallet-score/${SEASONED}?networks=ethereum,tron`).expect(400);
+    expect(response.body).toMatchObject({ error: 'Unknown networks', networks: ['tron'] });
+  });
+
+  test('answers 500 when scoring fails unexpectedly', async () => {
+    jest.spyOn(scoringService, 'scoreWallet').mockRejectedValueOnce(new Error('store unavailable'));
+
+    const response = await request(app).get(`/wallet-score/${SEASONED}`).expect(500);
+    expect(response.body).toMatchObject({ error: 'Internal server error', message: 'store unavailable' });
+  });
+});
+
+describe('GET /wallet-score/:wallet_address/report', () => {
+  test('reports components, history and per-network data', async () => {
+    const { body } = await request(app).get(`/wallet-score/${SEASONED}/report`).expect(200);
+
+    expect(body.walletAddress).toBe(SEASONED);
+    expect(body.txCount).toBe(155);
+    expect(body).toMatchObject({ confidence: 'high', provisional: false, dataGaps: [] });
+    expect(body.activeNetworks).toBe(3);
+    expect(body.history).toMatchObject({ transferCount: 7, uniqueCounterparties: 5 });
+    expect(body.networks.ethereum).toMatchObject({ count: 120, status: 'ok', provider: 'fixture' });
+    expect(body.networks.base.firstTxTimestamp).toBeNull();
+    expect(body.failedNetworks).toEqual([]);
+    expect(body.timedOutNetworks).toEqual([]);
+    expect(Object.keys(body.components)).toEqual(expect.arrayContaining(['transactions', 'age', 'activity', 'lending']));
+  });
+
+  test('can be limited to a subset of networks and a detail level', async () => {
+    const { body } = await request(app)
+      .get(`/wallet-score/${SEASONED}/report?networks=polygon&detail=summary`)
+      .expect(200);
+
+    expect(body.txCount).toBe(30);
+    expect(body.networks).toBeUndefined();
+    expect(body.reasonCodes.length).toBeGreaterThan(0);
+  });
+
+  test('rejects unknown detail levels', async () => {
+    await request(app).get(`/wallet-score/${SEASONED}/report?detail=everything`).expect(400);
+  });
+});
+
+describe('account age timestamp fallback chain', () => {
+  const accountAge = async (address) => {
+    const { body } = await request(app).get(`/wallet-score/${address}/report?fresh=true`).expect(200);
+    return body;
+  };
+
+  test('uses the oldest outgoing transfer', async () => {
+    const report = await accountAge(SEASONED);
+
+    expect(report.accountAge).toMatchObject({
+      source: 'observed',
+      method: 'transfers',
+      network: 'ethereum',
+      firstTxTimestamp: Date.parse('2021-03-01T10:00:00.000Z')
+    });
+  });
+
+  test('looks further when the first transfer has no timestamp', async () => {
+    const report = await accountAge(EXTENDED_FALLBACK);
+
+    expect(report.accountAge).toMatchObject({
+      method: 'transfers-extended',
+      firstTxTimestamp: Date.parse('2022-04-01T00:00:00.000Z')
+    });
+  });
+
+  test('falls back to ERC20 transfers and records the failed lookup', async () => {
+    const report = await accountAge(ERC20_FALLBACK);
+
+    expect(report.accountAge).toMatchObject({
+      method: 'erc20-transfers',
+      firstTxTimestamp: Date.parse('2023-01-10T00:00:00.000Z')
+    });
+    expect(report.networks.ethereum.fallbackErrors).toEqual(['upstream 503']);
+  });
+
+  test('falls back to the NFT acquisition date', async () => {
+    const report = await accountAge(NFT_FALLBACK);
+
+    expect(report.accountAge).toMatchObject({
+      method: 'nft-acquired',
+      firstTxTimestamp: Date.parse('2020-12-24T00:00:00.000Z')
+    });
+  });
+
+  test('estimates the age from the transaction count as a last resort', async () => {
+    const report = await accountAge(ESTIMATED_AGE);
+
+    expect(report.accountAge).toMatchObject({ days: 50, source: 'estimated', method: 'tx-count' });
+    expect(report.reasonCodes.map((reason) => reason.code)).toContain('AGE_ESTIMATED_NOT_OBSERVED');
+  });
+});
+
+describe('Solana and Bitcoin', () => {
+  test('score a Solana address together with the same wallet\'s Bitcoin address', async () => {
+    const { body } = await request(app)
+      .get(`/wallet-score/${SOLANA_WALLET}/report?addresses[bitcoin]=${BITCOIN_WALLET}`)
+      .expect(200);
+
+    expect(body.addresses).toEqual({ solana: SOLANA_WALLET, bitcoin: BITCOIN_WALLET });
+    expect(body.networks.solana).toMatchObject({ count: 40, status: 'ok', timestampSource: 'first-transaction' });
+    expect(body.networks.bitcoin).toMatchObject({ count: 12, status: 'ok' });
+    expect(body.networks.ethereum.status).toBe('skipped');
+    expect(body.activeNetworks).toBe(2);
+    expect(body.accountAge).toMatchObject({
+      source: 'observed',
+      network: 'bitcoin',
+      firstTxTimestamp: Date.parse('2019-05-01T00:00:00.000Z')
+    });
+  });
+
+  test('count a linked Solana address towards cross-chain activity', async () => {
+    const evmOnly = await request(app).get(`/wallet-score/${SEASONED}/report`).expect(200);
+    const linked = await request(app)
+      .post('/wallet-score')
+      .send({ wallet_address: SEASONED, addresses: { solana: SOLANA_WALLET }, detail: 'full' })
+      .expect(200);
+
+    expect(linked.body.activeNetworks).toBe(evmOnly.body.activeNetworks + 1);
+    expect(linked.body.txCount).toBe(evmOnly.body.txCount + 40);
+    expect(linked.body.score).toBeGreaterThan(evmOnly.body.score);
+  });
+
+  test('weight Solana and Bitcoin activity from model v4.1 on, leaving v4 scores as they were', async () => {
+    const url = `/wallet-score/${SOLANA_WALLET}/report?addresses[bitcoin]=${BITCOIN_WALLET}`;
+    const v4 = await request(app).get(`${url}&model=v4`).expect(200);
+    const v41 = await request(app).get(`${url}&model=v4.1`).expect(200);
+
+    expect(v41.body.modelVersion).toBe('v4.1');
+    expect(v41.body.score).toBeGreaterThan(v4.body.score);
+  });
+
+  test('validate each address against its own chain', async () => {
+    await request(app).get(`/wallet-score/${SOLANA_WALLET}?addresses[bitcoin]=${SOLANA_WALLET}`)
+      .expect(400, { error: 'Invalid bitcoin address', address: SOLANA_WALLET });
+    await request(app).get(`/wallet-score/${SEASONED}?addresses[tron]=${SOLANA_WALLET}`).expect(400);
+
+    const response = await request(app).get(`/wallet-score/${SEASONED}?networks=solana`).expect(400);
+    expect(response.body).toMatchObject({ error: 'No address for networks', networks: ['solana'] });
+  });
+});
+
+describe('ENS names', () => {
+  const names = { 'seasoned.eth': SEASONED, 'Seasoned.xyz': SEASONED };
+
+  beforeEach(() => {
+    jest.spyOn(nameResolver, 'resolveName').mockImplementation(async (name) => names[name] || null);
+    jest.spyOn(nameResolver, 'lookupAddress').mockImplementation(async (address) =>
+      address.toLowerCase() === SEASONED ? 'seasoned.eth' : null);
+  });
+
+  afterEach(() => {
+    nameResolver.resolveName.mockRestore();
+    nameResolver.lookupAddress.mockRestore();
+  });
+
+  test('tell names from addresses', () => {
+    expect(isWalletName('vitalik.eth')).toBe(true);
+    expect(isWalletName('nick.xyz')).toBe(true);
+    expect(isWalletName(SEASONED)).toBe(false);
+    expect(isWalletName('not-an-address')).toBe(false);
+    expect(isWalletName('bad..eth')).toBe(false);
+  });
+
+  test('score the address a name resolves to and say which it was', async () => {
+    const byAddress = await request(app).get(`/wallet-score/${SEASONED}`).expect(200);
+    const byName = await request(app).get('/wallet-score/seasoned.eth').expect(200);
+
+    expect(byName.body).toBe(byAddress.body);
+    expect(byName.headers['x-resolved-name']).toBe('seasoned.eth');
+    expect(byName.headers['x-resolved-address']).toBe(SEASONED);
+
+    const { body } = await request(app).get('/wallet-score/seasoned.eth/report?detail=summary').expect(200);
+    expect(body).toMatchObject({ walletAddress: SEASONED, name: 'seasoned.eth' });
+
+    await request(app).get('/resolve/seasoned.eth').expect(200, { name: 'seasoned.eth', address: SEASONED });
+  });
+
+  test('answer 404 for names without an address and 502 when resolution fails', async () => {
+    await request(app).get('/wallet-score/nobody.eth').expect(404);
+    await request(app).get('/resolve/nobody.eth').expect(404);
+
+    nameResolver.resolveName.mockRejectedValue(new Error('RPC unavailable'));
+    const response = await request(app).get('/wallet-score/seasoned.eth').expect(502);
+    expect(response.body).toMatchObject({ error: 'Name resolution failed', name: 'seasoned.eth' });
+  });
+
+  test('add the primary-name bonus for models that reward it', async () => {
+    const v4 = await request(app).get(`/wallet-score/${SEASONED}/report?model=v4`).expect(200);
+    const v5 = await request(app).get(`/wallet-score/${SEASONED}/report?model=v5`).expect(200);
+
+    expect(v5.body).toMatchObject({ primaryName: 'seasoned.eth', primaryNameBonus: 15 });
+    expect(v5.body.score).toBe(Math.min(v4.body.score + 15, 850));
+    expect(v4.body.primaryNameBonus).toBe(0);
+
+    const unnamed = await request(app).get(`/wallet-score/${ESTIMATED_AGE}/report?model=v5`).expect(200);
+    expect(unnamed.body.primaryName).toBeNull();
+    expect(unnamed.body.reasonCodes.map((reason) => reason.code)).toContain('NO_PRIMARY_NAME');
+  });
+});
+
+describe('upstream timeouts and failures', () => {
+  test('score the remaining networks and report the unavailable ones', async () => {
+    const { body } = await request(app).get(`/wallet-score/${UNRELIABLE}/report`).expect(200);
+
+    expect(body.timedOutNetworks).toEqual(['ethereum']);
+    expect(body.failedNetworks).toEqual(['polygon']);
+    expect(body.networks.ethereum.error).toMatch(/^Timeout fetching transaction count/);
+    expect(body.networks.polygon.error).toBe('upstream 500');
+    expect(body.networks.arbitrum).toMatchObject({ count: 7, status: 'ok' });
+    expect(body.txCount).toBe(7);
+    expect(body.reasonCodes.map((reason) => reason.code)).toContain('NETWORK_DATA_UNAVAILABLE');
+    expect(body).toMatchObject({ confidence: 'medium', provisional: true, degradedPolicy: 'provisional' });
+    expect(body.dataGaps.filter((gap) => gap.input === 'network').map((gap) => gap.network))
+      .toEqual(['ethereum', 'polygon']);
+  });
+
+  test('flag the bare score as provisional in the response headers', async () => {
+    await request(app).get(`/wallet-score/${UNRELIABLE}`)
+      .expect('X-Score-Provisional', 'true')
+      .expect('X-Score-Confidence', 'medium')
+      .expect(200);
+    await request(app).get(`/wallet-score/${SEASONED}`)
+      .expect('X-Score-Provisional', 'false')
+      .expect('X-Score-Confidence', 'high');
+  });
+});
+
+describe('attestations', () => {
+  test('are refused when no attestation key is configured', async () => {
+    await request(app).get(`/wallet-score/${SEASONED}/report?attest=true`).expect(501);
+    await request(app).get('/attestation/signer').expect(501);
+    await request(app).post('/attestation/verify').send({}).expect(501);
+  });
+});
+
+describe('GET /health', () => {
+  test('reports the circuit breaker of every enabled network', async () => {
+    const { body } = await request(app).get('/health').expect(200);
+
+    expect(body.status).toBe('ok');
+    expect(body.openCircuits).toEqual([]);
+    expect(Object.keys(body.networks)).toEqual(expect.arrayContaining(['ethereum', 'polygon', 'zksync']));
+    expect(body.networks.polygon).toMatchObject({ state: 'closed' });
+  });
+});
+
+describe('GET /healthz and /readyz', () => {
+  test('report liveness and per-network provider readiness', async () => {
+    await request(app).get('/healthz').expect(200);
+    await request(app).get(`/wallet-score/${SEASONED}?fresh=true`).expect(200);
+
+    const { body } = await request(app).get('/readyz').expect(200);
+    expect(body).toMatchObject({ status: 'ready', shuttingDown: false, minUsableNetworks: 1 });
+    expect(body.usableNetworks).toEqual(expect.arrayContaining(['ethereum', 'solana', 'bitcoin']));
+    expect(body.networks.ethereum).toMatchObject({
+      enabled: true,
+      initialized: true,
+      usable: true,
+      provider: 'fixture',
+      sdkNetworkSupported: null,
+      apiKeyPresent: null,
+      circuit: 'closed'
+    });
+    expect(body.networks.ethereum.lastSuccess.latencyMs).toEqual(expect.any(Number));
+  });
+});
+
+describe('POST /wallet-score', () => {
+  test('returns the same score as the GET endpoint', async () => {
+    const get = await request(app).get(`/wallet-score/${SEASONED}`).expect(200);
+    const post = await request(app).post('/wallet-score').send({ wallet_address: SEASONED }).expect(200);
+
+    expect(post.body).toBe(get.body);
+  });
+
+  test('accepts a model, network subset and detail level', async () => {
+    const { body } = await request(app)
+      .post('/wallet-score')
+      .send({ wallet_address: SEASONED, model: 'v1', networks: ['ethereum'], detail: 'full' })
+      .expect(200);
+
+    expect(body.modelVersion).toBe('v1');
+    expect(body.txCount).toBe(120);
+    expect(body.networks.polygon.status).toBe('skipped');
+  });
+
+  test('rejects invalid bodies', async () => {
+    await request(app).post('/wallet-score').send({}).expect(400, { error: 'Invalid wallet address' });
+    await request(app).post('/wallet-score').send({ wallet_address: SEASONED, networks: 'ethereum' }).expect(400);
+  });
+
+  test('scores only with registered models, never a model from the body', async () => {
+    const { body: honest } = await request(app).get(`/wallet-score/${FRESH}?fresh=true`).expect(200);
+    const forged = { id: 'v4', weights: { age: 1 }, passThreshold: 0 };
+
+    await request(app)
+      .post('/wallet-score')
+      .send({ wallet_address: FRESH, model: forged, attest: true })
+      .expect(400, { error: '"model" must be a model id' });
+    await request(app).post('/wallet-scores/batch').send({ addresses: [FRESH], model: forged }).expect(400);
+
+    const { body: cached } = await request(app).get(`/wallet-score/${FRESH}`).expect(200);
+    expect(cached).toBe(honest);
+  });
+});
+
+describe('ABI response format', () => {
+  // ABI responses are hex text under a vendor media type, which supertest doesn't buffer by default
+  const text = (res, callback) => {
+    let data = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => { data += chunk; });
+    res.on('end', () => callback(null, data));
+  };
+
+  test('encodes the score tuple for ?format=abi', async () => {
+    const response = await request(app).get(`/wallet-score/${SEASONED}?format=abi`).buffer(true).parse(text).expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/vnd\.credit-score\.abi/);
+    expect(response.headers['x-score-abi-type']).toBe(SCORE_TUPLE);
+    expect(response.headers['x-score-decimals']).toBe('0');
+    expect(response.headers.vary).toMatch(/Accept/);
+    expect(response.body).toMatch(/^0x[0-9a-f]+$/);
+
+    const score = await request(app).get(`/wallet-score/${SEASONED}`).expect(200);
+    const decoded = decodeScoreResponse(response.body);
+    expect(decoded).toMatchObject({
+      score: String(score.body),
+      minScore: '300',
+      maxScore: '850',
+      decimals: 0,
+      status: 'pass',
+      modelVersion: 'v4',
+      activeNetworks: 3
+    });
+    expect(Math.abs(decoded.timestamp - Date.now() / 1000)).toBeLessThan(600);
+  });
+
+  test('negotiates the format from the Accept header and scales by ?decimals=', async () => {
+    const { body } = await request(app)
+      .get(`/wallet-score/${FRESH}?model=v1&decimals=18`)
+      .set('Accept', 'application/vnd.credit-score.abi')
+      .buffer(true).parse(text)
+      .expect(200);
+
+    expect(decodeScoreResponse(body)).toMatchObject({
+      score: '300000000000000000000',
+      maxScore: '850000000000000000000',
+      decimals: 18,
+      status: 'fail'
+    });
+
+    const json = await request(app).get(`/wallet-score/${FRESH}?model=v1`).set('Accept', 'application/json, */*').expect(200);
+    expect(json.body).toBe(300);
+  });
+
+  test('encodes POST /wallet-score responses', async () => {
+    const { body } = await request(app)
+      .post('/wallet-score')
+      .send({ wallet_address: SEASONED, format: 'abi', model: 'v1', detail: 'full' })
+      .buffer(true).parse(text)
+      .expect(200);
+
+    expect(decodeScoreResponse(body).modelVersion).toBe('v1');
+  });
+
+  test('rejects unknown formats, bad decimals and attestations', async () => {
+    await request(app).get(`/wallet-score/${SEASONED}?format=xml`)
+      .expect(400, { error: 'Unknown response format', formats: ['json', 'abi'] });
+    await request(app).get(`/wallet-score/${SEASONED}?format=abi&decimals=19`).expect(400);
+    await request(app).post('/wallet-score').send({ wallet_address: SEASONED, format: 'abi', attest: true })
+      .expect(400, { error: 'Attestations are not part of the ABI response format' });
+  });
+});
+
+describe('POST /wallet-scores/batch', () => {
+  test('scores each address and reports failures per address', async () => {
+    const { body } = await request(app)
+      .post('/wallet-scores/batch')
+      .send({ addresses: [SEASONED, FRESH, 'not-an-address'], model: 'v1' })
+      .expect(200);
+
+    expect(body).toMatchObject({ total: 3, succeeded: 2, failed: 1 });
+    expect(body.results[1]).toMatchObject({ address: FRESH, score: 300, status: 'fail' });
+    expect(body.results[2]).toEqual({ address: 'not-an-address', error: 'Invalid wallet address' });
+  });
+
+  test('streams NDJSON on request', async () => {
+    const response = await request(app)
+      .post('/wallet-scores/batch?stream=ndjson')
+      .send({ addresses: [SEASONED, FRESH] })
+      .expect('Content-Type', /application\/x-ndjson/)
+      .expect(200);
+
+    const lines = response.text.trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines.map((line) => line.address).sort()).toEqual([SEASONED, FRESH]);
+  });
+});
@@ -0,0 +1,143 @@
+// Signed score attestations: issuing them with a score and verifying them
+
+const path = require('path');
+
+process.env.DEFAULT_PROVIDERS = 'fixture';
+process.env.PROVIDERS_SOLANA = 'fixture';
+process.env.PROVIDERS_BITCOIN = 'fixture';
+process.env.FIXTURE_DIR = path.join(__dirname, 'fixtures', 'wallets');
+process.env.NETWORK_TIMEOUT_MS = '100';
+process.env.RETRY_BASE_DELAY_MS = '5';
+process.env.CACHE_BACKEND = 'memory';
+process.env.SCORE_HISTORY_BACKEND = 'memory';
+process.env.WEBHOOK_BACKEND = 'memory';
+process.env.SCORING_MODEL = 'v4';
+process.env.ATTESTATION_PRIVATE_KEY = '0x000000000000000000000000000000000000000000000000000000000000a77e';
+process.env.ATTESTATION_CHAIN_ID = '11155111';
+process.env.ATTESTATION_VERIFYING_CONTRACT = '0x00000000000000000000000000000000000000a7';
+
+const request = require('supertest');
+const { Wallet, verifyTypedData } = require('ethers');
+const { app } = require('../index');
+const { createAttester } = require('../lib/attestations');
+
+const SEASONED = '0x1111111111111111111111111111111111111111';
+const SOLANA_WALLET = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+const KERNEL_SIGNER = new Wallet(process.env.ATTESTATION_PRIVATE_KEY).address;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createAttester', () => {
+  const attester = createAttester({ privateKey: process.env.ATTESTATION_PRIVATE_KEY, ttlMs: 60000 });
+  const report = { walletAddress: SEASONED, score: 712, modelVersion: 'v4', confidence: 'high', provisional: false };
+
+  test('signs EIP-712 typed data that recovers to the kernel key', async () => {
+    const attestation = await attester.attest(report, Date.parse('2024-01-01T00:00:00.000Z'));
+
+    expect(attestation.primaryType).toBe('ScoreAttestation');
+    expect(attestation.message).toEqual({
+      wallet: SEASONED,
+      score: 712,
+      modelVersion: 'v4',
+      confidence: 'high',
+      provisional: false,
+      issuedAt: 1704067200,
+      expiresAt: 1704067260
+    });
+    expect(verifyTypedData(attestation.domain, attestation.types, attestation.message, attestation.signature))
+      .toBe(KERNEL_SIGNER);
+  });
+
+  test('sign provisional scores as provisional', async () => {
+    const now = Date.now();
+    const attestation = await attester.attest({ ...report, confidence: 'low', provisional: true }, now);
+
+    expect(attestation.message).toMatchObject({ confidence: 'low', provisional: true });
+    expect(attester.verify(attestation, now).valid).toBe(true);
+
+    const upgraded = { ...attestation, message: { ...attestation.message, confidence: 'high', provisional: false } };
+    expect(attester.verify(upgraded, now)).toMatchObject({ valid: false, reason: 'Not signed by this kernel' });
+  });
+
+  test('sign identity scores with every linked wallet, apart from single-wallet scores', async () => {
+    const now = Date.now();
+    const wallets = [SEASONED, '0x2222222222222222222222222222222222222222'];
+    const attestation = await attester.attest({
+      ...report,
+      identity: { wallets: wallets.map((address) => ({ address, proof: 'eoa' })) }
+    }, now);
+
+    expect(attestation.primaryType).toBe('IdentityScoreAttestation');
+    expect(attestation.message.wallets).toEqual(wallets);
+    expect(attestation.message.wallet).toBeUndefined();
+    expect(attester.verify(attestation, now).valid).toBe(true);
+
+    // The same signature can't be passed off as the first wallet's own score
+    const { wallets: _, ...rest } = attestation.message;
+    const single = { ...attestation, primaryType: 'ScoreAttestation', message: { ...rest, wallet: SEASONED } };
+    expect(attester.verify(single, now).valid).toBe(false);
+  });
+
+  test('rejects expired, altered and foreign attestations', async () => {
+    const now = Date.now();
+    const attestation = await attester.attest(report, now);
+
+    expect(attester.verify(attestation, now).valid).toBe(true);
+    expect(attester.verify(attestation, now + 60000)).toMatchObject({ valid: false, expired: true });
+
+    const altered = { ...attestation, message: { ...attestation.message, score: 850 } };
+    expect(attester.verify(altered, now)).toMatchObject({ valid: false, reason: 'Not signed by this kernel' });
+
+    const foreign = await createAttester({ privateKey: Wallet.createRandom().privateKey }).attest(report, now);
+    expect(attester.verify(foreign, now).valid).toBe(false);
+    expect(attester.verify({ message: attestation.message }, now).valid).toBe(false);
+  });
+});
+
+describe('attestation routes', () => {
+  test('publish the signer and its EIP-712 domain', async () => {
+    const { body } = await request(app).get('/attestation/signer').expect(200);
+
+    expect(body.address).toBe(KERNEL_SIGNER);
+    expect(body.publicKey).toMatch(/^0x0[23][0-9a-f]{64}$/);
+    expect(body.domain).toEqual({
+      name: 'Credit Score Kernel',
+      version: '2',
+      chainId: 11155111,
+      verifyingContract: '0x00000000000000000000000000000000000000A7'
+    });
+  });
+
+  test('attach an attestation to the report and verify it', async () => {
+    const { body } = await request(app).get(`/wallet-score/${SEASONED}/report?attest=true`).expect(200);
+
+    expect(body.attestation.message).toMatchObject({ wallet: SEASONED, score: body.score, modelVersion: 'v4' });
+    expect(body.attestation.signer).toBe(KERNEL_SIGNER);
+
+    const verified = await request(app).post('/attestation/verify').send(body.attestation).expect(200);
+    expect(verified.body).toEqual({ valid: true, signer: KERNEL_SIGNER, expired: false, reason: null });
+
+    const tampered = { ...body.attestation, message: { ...body.attestation.message, score: 850 } };
+    const rejected = await request(app).post('/attestation/verify').send(tampered).expect(200);
+    expect(rejected.body.valid).toBe(false);
+  });
+
+  test('return the report instead of the bare score when POST asks for an attestation', async () => {
+    const { body } = await request(app).post('/wallet-score').send({ wallet_address: SEASONED, attest: true }).expect(200);
+
+    expect(body).toMatchObject({ walletAddress: SEASONED });
+    expect(body.attestation.message.score).toBe(body.score);
+  });
+
+  test('only attest EVM wallets', async () => {
+    await request(app).get(`/wallet-score/${SOLANA_WALLET}/report?attest=true`)
+      .expect(400, { error: 'Attestations are only issued for EVM wallets' });
+  });
+});
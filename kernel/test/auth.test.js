@@ -0,0 +1,163 @@
+// API keys: authentication, per-key rate limits, daily quotas, pass thresholds, networks and CORS origins
+
+const path = require('path');
+
+process.env.DEFAULT_PROVIDERS = 'fixture';
+process.env.PROVIDERS_SOLANA = 'fixture';
+process.env.PROVIDERS_BITCOIN = 'fixture';
+process.env.FIXTURE_DIR = path.join(__dirname, 'fixtures', 'wallets');
+process.env.NETWORK_TIMEOUT_MS = '100';
+process.env.RETRY_BASE_DELAY_MS = '5';
+process.env.CACHE_BACKEND = 'memory';
+process.env.SCORE_HISTORY_BACKEND = 'memory';
+process.env.WEBHOOK_BACKEND = 'memory';
+process.env.SCORING_MODEL = 'v4';
+process.env.API_KEYS_FILE = path.join(__dirname, 'fixtures', 'api-keys.yaml');
+
+const fs = require('fs');
+const os = require('os');
+const request = require('supertest');
+const { app } = require('../index');
+const { createKeyStore, createUsageLimiter } = require('../auth');
+
+const SEASONED = '0x1111111111111111111111111111111111111111';
+const FRESH = '0x7777777777777777777777777777777777777777';
+const NETWORKS = ['ethereum', 'polygon', 'arbitrum', 'solana'];
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('key store', () => {
+  test('rejects invalid key files', () => {
+    const file = path.join(os.tmpdir(), `api-keys-${process.pid}.yaml`);
+    const load = (content) => {
+      fs.writeFileSync(file, content);
+      return () => createKeyStore({ file, networks: NETWORKS });
+    };
+
+    try {
+      expect(load('keys:\n  - id: a\n')).toThrow('needs a "key" or a SHA-256 "keyHash"');
+      expect(load('keys:\n  - { id: a, key: x, networks: [tron] }\n')).toThrow('unknown networks tron');
+      expect(load('keys:\n  - { id: a, key: x }\n  - { id: a, key: y }\n')).toThrow('duplicate key id');
+      expect(load('keys:\n  - { id: a, key: x, dailyQuota: 0 }\n')).toThrow('dailyQuota');
+      expect(load('keys:\n  - { id: a, keyless: true }\n')).toThrow('needs the "corsOrigins" it serves');
+      expect(load('keys:\n  - { id: a, key: x, keyless: true, corsOrigins: [https://a.example] }\n'))
+        .toThrow('can\'t have a "key"');
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  test('finds enabled clients by id', () => {
+    const store = createKeyStore({ file: process.env.API_KEYS_FILE, networks: NETWORKS });
+
+    expect(store.client('strict')).toMatchObject({ id: 'strict', passThreshold: 840 });
+    expect(store.client('retired')).toBeNull();
+    expect(store.client('unknown')).toBeNull();
+  });
+});
+
+describe('usage limiter', () => {
+  test('resets the rate limit each window and the quota each UTC day', () => {
+    let time = Date.parse('2024-01-01T23:58:00.000Z');
+    const limiter = createUsageLimiter({ now: () => time });
+    const client = { id: 'a', rateLimit: { requests: 2, windowSeconds: 60 }, dailyQuota: 5 };
+
+    expect(limiter.consume(client, 2).allowed).toBe(true);
+    expect(limiter.consume(client, 2).quota.remaining).toBe(1);
+    expect(limiter.consume(client)).toMatchObject({ allowed: false, reason: 'rate-limit', retryAfterSeconds: 60 });
+
+    time += 60 * 1000;
+    // Refused requests are not counted
+    expect(limiter.consume(client, 2)).toMatchObject({ allowed: false, reason: 'daily-quota', retryAfterSeconds: 60 });
+    expect(limiter.consume(client)).toMatchObject({ allowed: true, quota: { remaining: 0 } });
+
+    time += 60 * 1000;
+    expect(limiter.consume(client, 5)).toMatchObject({ allowed: true, rateLimit: { remaining: 1 }, quota: { remaining: 0 } });
+  });
+});
+
+describe('API keys', () => {
+  test('are required on scoring routes but not on probes', async () => {
+    await request(app).get(`/wallet-score/${SEASONED}`).expect(401, { error: 'API key required' });
+    await request(app).get(`/wallet-score/${SEASONED}`).set('X-API-Key', 'nope').expect(401, { error: 'Invalid API key' });
+    await request(app).get(`/wallet-score/${SEASONED}`).set('X-API-Key', 'retired-key').expect(401);
+    await request(app).get('/healthz').expect(200);
+    await request(app).get('/models').expect(200);
+  });
+
+  test('accept hashed keys as bearer tokens and count batches against the daily quota', async () => {
+    const auth = { Authorization: 'Bearer partner-b-key' };
+    const first = await request(app).get(`/wallet-score/${SEASONED}`).set(auth).expect(200);
+    expect(first.headers['x-quota-remaining']).toBe('3');
+
+    await request(app).post('/wallet-scores/batch').set(auth).send({ addresses: [SEASONED, FRESH] }).expect(200);
+
+    const refused = await request(app).post('/wallet-scores/batch').set(auth)
+      .send({ addresses: [SEASONED, FRESH] })
+      .expect(429);
+    expect(refused.body.error).toBe('Daily quota exceeded');
+    expect(refused.headers['x-quota-remaining']).toBe('1');
+    expect(Number(refused.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('count each wallet of an identity against the daily quota', async () => {
+    const auth = { 'X-API-Key': 'identity-key' };
+    const wallets = [{ address: SEASONED, signature: '0x00' }, { address: FRESH, signature: '0x00' }];
+
+    const first = await request(app).post('/identity-score').set(auth).send({ wallets });
+    expect(first.headers['x-quota-remaining']).toBe('1');
+
+    const refused = await request(app).post('/identity-score').set(auth).send({ wallets }).expect(429);
+    expect(refused.body.error).toBe('Daily quota exceeded');
+  });
+
+  test('apply the key\'s pass threshold, networks, CORS origins and rate limit', async () => {
+    const strict = { 'X-API-Key': 'strict-key', Origin: 'https://strict.example' };
+
+    const report = await request(app).get(`/wallet-score/${SEASONED}/report`).set(strict).expect(200);
+    expect(report.headers['access-control-allow-origin']).toBe('https://strict.example');
+    expect(report.headers['x-ratelimit-remaining']).toBe('2');
+    expect(report.body).toMatchObject({ passThreshold: 840, status: 'fail' });
+    expect(report.body.networks.ethereum.status).toBe('ok');
+    expect(report.body.networks.arbitrum.status).toBe('skipped');
+
+    const forbidden = await request(app).get(`/wallet-score/${SEASONED}?networks=arbitrum`).set(strict).expect(403);
+    expect(forbidden.body).toMatchObject({ error: 'Networks not allowed for this API key', networks: ['arbitrum'] });
+
+    await request(app).get(`/wallet-score/${SEASONED}`).set(strict).expect(200);
+    const limited = await request(app).get(`/wallet-score/${SEASONED}`).set(strict).expect(429);
+    expect(limited.body.error).toBe('Rate limit exceeded');
+    expect(limited.headers['x-ratelimit-remaining']).toBe('0');
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+    // Other keys' origins are not allowed
+    const other = await request(app).get(`/wallet-score/${SEASONED}`)
+      .set({ Authorization: 'Bearer partner-b-key', Origin: 'https://strict.example' });
+    expect(other.headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  test('serve key-less requests from a keyless entry\'s origins under its limits', async () => {
+    const site = { Origin: 'https://site.example' };
+    const first = await request(app).get(`/wallet-score/${SEASONED}`).set(site).expect(200);
+    expect(first.headers['access-control-allow-origin']).toBe('https://site.example');
+    expect(first.headers['x-quota-remaining']).toBe('1');
+
+    await request(app).get(`/wallet-score/${SEASONED}`).set({ Origin: 'https://other.example' })
+      .expect(401, { error: 'API key required' });
+    await request(app).post('/webhooks').set(site).send({ url: 'https://site.example/hook', wallets: [SEASONED] })
+      .expect(401, { error: 'Webhooks need an API key' });
+  });
+
+  test('let preflight requests through for any key\'s origin', async () => {
+    const response = await request(app).options(`/wallet-score/${SEASONED}`).set('Origin', 'https://strict.example').expect(200);
+    expect(response.headers['access-control-allow-origin']).toBe('https://strict.example');
+    expect(response.headers['access-control-allow-headers']).toContain('x-api-key');
+  });
+});
@@ -0,0 +1,59 @@
+// Score cache: TTL, stale-while-revalidate, bypass, values that must not be kept and store selection
+
+const { createScoreCache, createMemoryStore } = require('../cache');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const complete = { score: 700, partial: false };
+const partial = { score: 500, partial: true };
+const shouldStore = (value) => !value.partial;
+
+describe('createScoreCache', () => {
+  test('a value shouldStore rejects is returned but not cached', async () => {
+    const cache = createScoreCache({ store: createMemoryStore(), ttlMs: 1000 });
+
+    expect(await cache.getOrCompute('k', async () => partial, { shouldStore }))
+      .toMatchObject({ value: partial, cache: 'miss' });
+    expect(await cache.getOrCompute('k', async () => complete, { shouldStore }))
+      .toMatchObject({ value: complete, cache: 'miss' });
+    expect(await cache.getOrCompute('k', async () => partial, { shouldStore }))
+      .toMatchObject({ value: complete, cache: 'hit' });
+  });
+
+  test('a partial bypass result leaves the cached entry in place', async () => {
+    const cache = createScoreCache({ store: createMemoryStore(), ttlMs: 1000 });
+    await cache.getOrCompute('k', async () => complete, { shouldStore });
+
+    expect(await cache.getOrCompute('k', async () => partial, { bypass: true, shouldStore }))
+      .toMatchObject({ value: partial, cache: 'bypass' });
+    expect(await cache.getOrCompute('k', async () => partial, { shouldStore }))
+      .toMatchObject({ value: complete, cache: 'hit' });
+  });
+
+  test('a partial background refresh is not served as a hit', async () => {
+    const cache = createScoreCache({ store: createMemoryStore(), ttlMs: 20, staleMs: 1000 });
+    await cache.getOrCompute('k', async () => complete, { shouldStore });
+    await sleep(30);
+
+    expect(await cache.getOrCompute('k', async () => partial, { shouldStore }))
+      .toMatchObject({ value: complete, cache: 'stale' });
+    await sleep(5);
+    // The refresh was not stored, so the old entry is still stale rather than a fresh hit
+    expect(await cache.getOrCompute('k', async () => partial, { shouldStore }))
+      .toMatchObject({ value: complete, cache: 'stale' });
+  });
+});
+
+describe('createStoreFromEnv', () => {
+  test('explains how to get ioredis when the redis backend is picked without it', () => {
+    jest.isolateModules(() => {
+      jest.doMock('ioredis', () => {
+        throw Object.assign(new Error("Cannot find module 'ioredis'"), { code: 'MODULE_NOT_FOUND' });
+      }, { virtual: true });
+      const { createStoreFromEnv } = require('../cache');
+
+      expect(() => createStoreFromEnv({ CACHE_BACKEND: 'redis', CACHE_REDIS_URL: 'redis://localhost:6379' }))
+        .toThrow('CACHE_BACKEND=redis needs the ioredis package: run `npm install ioredis`');
+    });
+  });
+});
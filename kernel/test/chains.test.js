@@ -0,0 +1,94 @@
+// Non-EVM chains: address formats and the Solana and Esplora providers
+
+const { addressChain, isValidAddress, normalizeAddress } = require('../lib/addresses');
+const { createSolanaProvider } = require('../providers/solana');
+const { createEsploraProvider } = require('../providers/esplora');
+
+const jsonResponse = (body) => ({ ok: true, status: 200, json: async () => body });
+
+describe('address formats', () => {
+  test('recognize the chain family of an address', () => {
+    expect(addressChain('0x1111111111111111111111111111111111111111')).toBe('evm');
+    expect(addressChain('9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM')).toBe('solana');
+    expect(addressChain('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa')).toBe('bitcoin');
+    expect(addressChain('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy')).toBe('bitcoin');
+    expect(addressChain('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq')).toBe('bitcoin');
+    expect(addressChain('bc1p5d7rjq7g6rdk2yhzks9smlaqtedr4dekq08ge8ztwac72sfr9rusxg3297')).toBe('bitcoin');
+    expect(addressChain('0x1234')).toBeNull();
+  });
+
+  test('reject bad checksums and mixed-case segwit addresses', () => {
+    expect(isValidAddress('bitcoin', '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb')).toBe(false);
+    expect(isValidAddress('bitcoin', 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdr')).toBe(false);
+    expect(isValidAddress('bitcoin', 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5MDQ')).toBe(false);
+    expect(isValidAddress('solana', '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa')).toBe(false);
+    expect(isValidAddress('evm', '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM')).toBe(false);
+  });
+
+  test('normalize only case-insensitive formats', () => {
+    expect(normalizeAddress('bitcoin', 'BC1QAR0SRRR7XFKVY5L643LYDNW9RE59GTZZWF5MDQ'))
+      .toBe('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq');
+    expect(normalizeAddress('solana', '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM'))
+      .toBe('9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM');
+  });
+});
+
+describe('createSolanaProvider', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts signatures across pages and reports the oldest block time', async () => {
+    const fullPage = Array.from({ length: 1000 }, (_, i) => ({ signature: `sig${i}`, blockTime: 1700000000 - i }));
+    const lastPage = [{ signature: 'first', blockTime: 1600000000 }, { signature: 'unknown', blockTime: null }];
+    const fetchMock = jest.spyOn(global, 'fetch')
+      .mockResolvedValueOnce(jsonResponse({ jsonrpc: '2.0', id: 1, result: fullPage }))
+      .mockResolvedValueOnce(jsonResponse({ jsonrpc: '2.0', id: 1, result: lastPage }));
+
+    const provider = createSolanaProvider('solana', { url: 'https://solana.test' });
+    const address = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+
+    expect(await provider.getTransactionCount(address)).toBe(1002);
+    expect(await provider.getFirstTransactionTimestamp(address)).toBe(1600000000 * 1000);
+
+    // One scan serves both lookups
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    const secondCall = JSON.parse(fetchMock.mock.calls[1][1].body);
+    expect(secondCall).toMatchObject({
+      method: 'getSignaturesForAddress',
+      params: [address, { limit: 1000, before: 'sig999' }]
+    });
+  });
+});
+
+describe('createEsploraProvider', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads the confirmed count and pages back to the first transaction', async () => {
+    const address = 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq';
+    const newest = Array.from({ length: 25 }, (_, i) => ({ txid: `tx${i}`, status: { block_time: 1700000000 - i } }));
+    const oldest = [{ txid: 'first', status: { block_time: 1556668800 } }];
+    const fetchMock = jest.spyOn(global, 'fetch').mockImplementation(async (url) => {
+      if (url.endsWith(`/address/${address}`)) return jsonResponse({ chain_stats: { tx_count: 26 } });
+      if (url.endsWith('/txs/chain')) return jsonResponse(newest);
+      if (url.endsWith('/txs/chain/tx24')) return jsonResponse(oldest);
+      return { ok: false, status: 404 };
+    });
+
+    const provider = createEsploraProvider('bitcoin', { url: 'https://esplora.test/api/' });
+
+    expect(await provider.getTransactionCount(address)).toBe(26);
+    expect(await provider.getFirstTransactionTimestamp(address)).toBe(1556668800 * 1000);
+    expect(fetchMock.mock.calls.map(([url]) => url)).toContain(`https://esplora.test/api/address/${address}/txs/chain/tx24`);
+  });
+
+  test('fails on HTTP errors', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 429 });
+    const provider = createEsploraProvider('bitcoin', { url: 'https://esplora.test/api' });
+
+    await expect(provider.getTransactionCount('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa'))
+      .rejects.toThrow('Esplora /address/1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa failed with HTTP 429');
+  });
+});
@@ -0,0 +1,140 @@
+// credit-score CLI: address lists, options, single-wallet output and resumable list runs
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, parseAddressList, parseCommandLine, COLUMNS } = require('../cli');
+
+const SEASONED = '0x1111111111111111111111111111111111111111';
+const FRESH = '0x7777777777777777777777777777777777777777';
+const FLAKY = '0x6666666666666666666666666666666666666666';
+
+const env = {
+  DEFAULT_PROVIDERS: 'fixture',
+  PROVIDERS_SOLANA: 'fixture',
+  PROVIDERS_BITCOIN: 'fixture',
+  FIXTURE_DIR: path.join(__dirname, 'fixtures', 'wallets'),
+  NETWORK_TIMEOUT_MS: '100',
+  RETRY_BASE_DELAY_MS: '5',
+  CACHE_BACKEND: 'memory',
+  SCORE_HISTORY_BACKEND: 'off',
+  SCORING_MODEL: 'v4'
+};
+
+// Captures what the CLI writes
+const output = () => {
+  const stream = { text: '', write(chunk) { stream.text += chunk; return true; } };
+  return stream;
+};
+
+let dir;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'credit-score-cli-'));
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('address lists', () => {
+  test('reads the address column of a CSV file', () => {
+    const csv = `label,"Wallet"\nalice,${SEASONED}\n"bob, jr",${FRESH}\ncarol,${SEASONED}\n`;
+    expect(parseAddressList(csv)).toEqual([SEASONED, FRESH]);
+  });
+
+  test('reads one address per line, skipping blanks, comments and an unknown header', () => {
+    expect(parseAddressList(`# watchlist\n${SEASONED}\n\r\n${FRESH}\nvitalik.eth\n`)).toEqual([SEASONED, FRESH, 'vitalik.eth']);
+    expect(parseAddressList(`addr,label\n${SEASONED},a\n`)).toEqual([SEASONED]);
+  });
+});
+
+describe('options', () => {
+  test('picks the output format from the mode and the output file', () => {
+    expect(parseCommandLine([SEASONED]).format).toBe('pretty');
+    expect(parseCommandLine([SEASONED, '--json']).format).toBe('json');
+    expect(parseCommandLine(['-i', 'in.csv']).format).toBe('csv');
+    expect(parseCommandLine(['-i', 'in.csv', '-o', 'out.jsonl'])).toMatchObject({
+      format: 'jsonl',
+      checkpoint: 'out.jsonl.checkpoint',
+      concurrency: 5
+    });
+  });
+
+  test('rejects bad usage with exit code 2', async () => {
+    for (const argv of [[], [SEASONED, FRESH], [SEASONED, '-f', 'csv'], ['-i', 'in.csv', '-c', '0'], ['-i', 'in.csv', '--resume'], ['--bogus']]) {
+      const stderr = output();
+      expect(await run({ argv, env, stdout: output(), stderr })).toBe(2);
+      expect(stderr.text).toContain('Usage:');
+    }
+  });
+
+  test('exits with code 2 when the input file cannot be read', async () => {
+    const stderr = output();
+    expect(await run({ argv: ['-i', path.join(dir, 'missing.csv')], env, stdout: output(), stderr })).toBe(2);
+    expect(stderr.text).toContain('Cannot read');
+  });
+});
+
+describe('single wallet', () => {
+  test('prints the breakdown', async () => {
+    const stdout = output();
+    expect(await run({ argv: [SEASONED], env, stdout, stderr: output() })).toBe(0);
+
+    expect(stdout.text).toMatch(/^Score\s+632 pass \(pass threshold 600\)$/m);
+    expect(stdout.text).toMatch(/^ {2}ethereum\s+ok\s+120 tx\s+fixture$/m);
+  });
+
+  test('prints the full report as JSON', async () => {
+    const stdout = output();
+    expect(await run({ argv: [SEASONED, '--json', '--networks', 'ethereum'], env, stdout, stderr: output() })).toBe(0);
+
+    const report = JSON.parse(stdout.text);
+    expect(report).toMatchObject({ walletAddress: SEASONED, modelVersion: 'v4' });
+    expect(report.networks.ethereum.status).toBe('ok');
+    expect(report.networks.polygon.status).toBe('skipped');
+  });
+
+  test('fails with exit code 1 when the wallet cannot be scored', async () => {
+    const stderr = output();
+    expect(await run({ argv: ['0x12'], env, stdout: output(), stderr })).toBe(1);
+    expect(stderr.text).toContain('Invalid wallet address');
+  });
+});
+
+describe('lists', () => {
+  test('writes JSONL to stdout', async () => {
+    const input = path.join(dir, 'wallets.txt');
+    fs.writeFileSync(input, `${SEASONED}\n${FRESH}\nnope\n`);
+    const stdout = output();
+    expect(await run({ argv: ['-i', input, '-f', 'jsonl', '-c', '2'], env, stdout, stderr: output() })).toBe(0);
+
+    const rows = stdout.text.trim().split('\n').map((line) => JSON.parse(line));
+    expect(rows.map((row) => row.address).sort()).toEqual([SEASONED, FRESH, 'nope'].sort());
+    expect(rows.find((row) => row.address === SEASONED)).toMatchObject({ score: 632, status: 'pass', error: null });
+    expect(rows.find((row) => row.address === 'nope')).toMatchObject({ score: null, error: 'Invalid wallet address' });
+  });
+
+  test('checkpoints written rows and resumes with the wallets that failed', async () => {
+    const input = path.join(dir, 'wallets.csv');
+    const out = path.join(dir, 'scores.csv');
+    fs.writeFileSync(input, `address\n${SEASONED}\n${FLAKY}\n${FRESH}\n`);
+
+    // Refusing degraded scores makes the wallet whose polygon data fails a retryable error
+    const stderr = output();
+    expect(await run({ argv: ['-i', input, '-o', out], env: { ...env, DEGRADED_POLICY: 'refuse' }, stdout: output(), stderr })).toBe(1);
+    expect(stderr.text).toContain('1 wallets can be retried with --resume');
+    expect(fs.readFileSync(`${out}.checkpoint`, 'utf8').trim().split('\n').sort()).toEqual([SEASONED, FRESH].sort());
+
+    expect(await run({ argv: ['-i', input, '-o', out, '--resume'], env, stdout: output(), stderr: output() })).toBe(0);
+
+    const lines = fs.readFileSync(out, 'utf8').trim().split('\n');
+    expect(lines[0]).toBe(COLUMNS.join(','));
+    expect(lines.slice(1).map((line) => line.split(',')[0]).sort()).toEqual([SEASONED, FLAKY, FRESH].sort());
+    expect(lines.find((line) => line.startsWith(FLAKY))).toContain(',true,v4,');
+    expect(fs.existsSync(`${out}.checkpoint`)).toBe(false);
+  });
+});
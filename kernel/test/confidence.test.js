@@ -0,0 +1,119 @@
+// Score confidence, data gaps and the degraded-data policy
+
+const path = require('path');
+const { createModelRegistry } = require('../scoring/models');
+const { collectDataGaps, assessConfidence, excludeMissingNetworks } = require('../scoring/confidence');
+const { createScoringService } = require('../scoring/service');
+const { createScoreCache } = require('../cache');
+const { loadLendingRegistry } = require('../analytics/lending');
+
+const registry = createModelRegistry({ dir: path.join(__dirname, '..', 'models'), defaultModelId: 'v1' });
+const v1 = registry.get('v1');
+
+const ok = { status: 'ok', provider: 'fixture', error: null };
+
+describe('collectDataGaps and assessConfidence', () => {
+  test('a fully observed score has high confidence', () => {
+    const networkStatus = { ethereum: ok, polygon: ok, base: { ...ok, status: 'skipped' } };
+    const gaps = collectDataGaps({ networkStatus, accountAge: { source: 'observed' } });
+
+    expect(gaps).toEqual([]);
+    expect(assessConfidence(gaps, networkStatus, v1)).toBe('high');
+  });
+
+  test('lists missing networks, failed lookups and an estimated age', () => {
+    const networkStatus = {
+      ethereum: ok,
+      polygon: { ...ok, historyError: 'upstream 429' },
+      arbitrum: { ...ok, status: 'timeout', error: 'Timeout fetching transaction count for arbitrum' },
+      optimism: { ...ok, status: 'circuit-open', error: 'Circuit open for optimism; skipped transaction count' }
+    };
+    const gaps = collectDataGaps({ networkStatus, accountAge: { source: 'estimated' } });
+
+    expect(gaps.map((gap) => [gap.input, gap.kind, gap.network])).toEqual([
+      ['network', 'missing', 'arbitrum'],
+      ['network', 'missing', 'optimism'],
+      ['transferHistory', 'missing', 'polygon'],
+      ['accountAge', 'estimated', null]
+    ]);
+    // 1.4 of 3.2 network weight missing
+    expect(assessConfidence(gaps, networkStatus, v1)).toBe('medium');
+  });
+
+  test('is low when at least half of the network weight is missing', () => {
+    const networkStatus = { ethereum: { ...ok, status: 'failed', error: 'upstream 500' }, polygon: ok };
+    const gaps = collectDataGaps({ networkStatus, accountAge: { source: 'observed' } });
+
+    expect(assessConfidence(gaps, networkStatus, v1)).toBe('low');
+  });
+});
+
+describe('excludeMissingNetworks', () => {
+  test('scales the network-based thresholds to the observed networks', () => {
+    const networkStatus = { ethereum: ok, polygon: { ...ok, status: 'failed' } };
+    const model = excludeMissingNetworks(v1, networkStatus);
+
+    expect(model.thresholds.maxNetworks).toBe(4);
+    expect(model.thresholds.maxTxCount).toBeCloseTo(500 / 1.8);
+    expect(v1.thresholds.maxNetworks).toBe(5);
+    expect(excludeMissingNetworks(v1, { ethereum: ok })).toBe(v1);
+  });
+});
+
+describe('degraded-data policy', () => {
+  const UNRELIABLE = '0x6666666666666666666666666666666666666666';
+  const fixtureNetwork = {
+    enabled: true,
+    providers: ['fixture'],
+    fixture: { dir: path.join(__dirname, 'fixtures', 'wallets') }
+  };
+
+  const scoreUnreliable = (degradedPolicy) => createScoringService({
+    networks: { ethereum: fixtureNetwork, polygon: fixtureNetwork, arbitrum: fixtureNetwork },
+    modelRegistry: registry,
+    scoreCache: createScoreCache({ store: null }),
+    lendingRegistry: loadLendingRegistry(),
+    history: { maxPages: 1, pageSize: 100 },
+    degradedPolicy
+  }).scoreWallet(UNRELIABLE, { detail: 'summary' });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('provisional: scores the networks that answered and marks the score provisional', async () => {
+    const report = await scoreUnreliable('provisional');
+
+    expect(report).toMatchObject({ provisional: true, confidence: 'medium' });
+    expect(report.dataGaps.map((gap) => [gap.input, gap.network])).toEqual([
+      ['network', 'polygon'],
+      ['accountAge', null]
+    ]);
+  });
+
+  test('refuse: answers 503 naming the missing networks', async () => {
+    await expect(scoreUnreliable('refuse')).rejects.toMatchObject({
+      statusCode: 503,
+      message: 'Network data unavailable',
+      details: { networks: ['polygon'] }
+    });
+  });
+
+  test('exclude: missing networks do not lower the score', async () => {
+    const provisional = await scoreUnreliable('provisional');
+    const excluded = await scoreUnreliable('exclude');
+
+    expect(excluded.provisional).toBe(false);
+    expect(excluded.confidence).toBe('medium');
+    expect(excluded.score).toBeGreaterThan(provisional.score);
+  });
+
+  test('rejects unknown policies', () => {
+    expect(() => scoreUnreliable('ignore')).toThrow('Unknown degraded-data policy');
+  });
+});
@@ -0,0 +1,64 @@
+// Readiness with unusable networks: unsupported Alchemy SDK networks, missing API keys, unknown providers
+
+const path = require('path');
+
+process.env.DEFAULT_PROVIDERS = 'fixture';
+process.env.PROVIDERS_ETHEREUM = 'alchemy';
+process.env.PROVIDERS_AVALANCHE = 'alchemy';
+process.env.PROVIDERS_BSC = 'nosuch';
+process.env.PROVIDERS_SOLANA = 'fixture';
+process.env.PROVIDERS_BITCOIN = 'fixture';
+process.env.FIXTURE_DIR = path.join(__dirname, 'fixtures', 'wallets');
+process.env.CACHE_BACKEND = 'memory';
+process.env.SCORE_HISTORY_BACKEND = 'memory';
+process.env.WEBHOOK_BACKEND = 'memory';
+process.env.MIN_USABLE_NETWORKS = '11';
+delete process.env.ALCHEMY_API_KEY;
+
+const request = require('supertest');
+const { app } = require('../index');
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /readyz', () => {
+  test('fails while fewer networks than MIN_USABLE_NETWORKS are usable', async () => {
+    const { body } = await request(app).get('/readyz').expect(503);
+
+    expect(body.status).toBe('not-ready');
+    expect(body.usableNetworks).toHaveLength(9);
+    expect(body.usableNetworks).not.toContain('avalanche');
+    expect(body.usableNetworks).not.toContain('bsc');
+  });
+
+  test('reports why a network is not usable', async () => {
+    const { body } = await request(app).get('/readyz').expect(503);
+
+    // The Alchemy SDK has no Avalanche network
+    expect(body.networks.avalanche).toMatchObject({
+      initialized: false,
+      usable: false,
+      sdkNetworkSupported: false,
+      skippedProviders: [{ provider: 'alchemy', reason: 'Network avalanche is not supported in your Alchemy SDK version' }]
+    });
+    expect(body.networks.ethereum).toMatchObject({
+      initialized: true,
+      provider: 'alchemy',
+      sdkNetworkSupported: true,
+      apiKeyPresent: false,
+      lastSuccess: null
+    });
+    expect(body.networks.bsc.skippedProviders).toEqual([{ provider: 'nosuch', reason: 'Unknown provider' }]);
+  });
+
+  test('liveness does not depend on the networks', async () => {
+    const { body } = await request(app).get('/healthz').expect(200);
+    expect(body.status).toBe('ok');
+  });
+});
@@ -0,0 +1,116 @@
+// Score history: stores, time series with deltas and GET /wallet-score/:wallet_address/history
+
+const path = require('path');
+
+process.env.DEFAULT_PROVIDERS = 'fixture';
+process.env.PROVIDERS_SOLANA = 'fixture';
+process.env.PROVIDERS_BITCOIN = 'fixture';
+process.env.FIXTURE_DIR = path.join(__dirname, 'fixtures', 'wallets');
+process.env.NETWORK_TIMEOUT_MS = '100';
+process.env.RETRY_BASE_DELAY_MS = '5';
+process.env.CACHE_BACKEND = 'memory';
+process.env.SCORE_HISTORY_BACKEND = 'memory';
+process.env.WEBHOOK_BACKEND = 'memory';
+process.env.SCORING_MODEL = 'v4';
+
+const request = require('supertest');
+const { app } = require('../index');
+const { createScoreHistory, createSqliteHistoryStore, createMemoryHistoryStore } = require('../history');
+
+const SEASONED = '0x1111111111111111111111111111111111111111';
+const FRESH = '0x7777777777777777777777777777777777777777';
+const UNRELIABLE = '0x6666666666666666666666666666666666666666';
+
+const result = (score, modelVersion = 'v4') => ({
+  score,
+  modelVersion,
+  status: score >= 600 ? 'pass' : 'fail',
+  confidence: 'high',
+  provisional: false,
+  txComponent: 0.5,
+  ageComponent: 0.4,
+  activityComponent: 0.2,
+  historyComponents: { volume: 0.1 },
+  lendingComponent: 0.5
+});
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe.each([
+  ['sqlite', () => createSqliteHistoryStore(':memory:')],
+  ['memory', () => createMemoryHistoryStore()]
+])('%s history store', (name, createStore) => {
+  test('returns the most recent scores of one model, oldest first, with deltas', async () => {
+    const history = createScoreHistory({ store: createStore() });
+    const day = 24 * 60 * 60 * 1000;
+    const start = Date.parse('2024-01-01T00:00:00.000Z');
+
+    await history.record(SEASONED, result(610), start);
+    await history.record(SEASONED, result(500, 'v1'), start + day);
+    await history.record(SEASONED, result(640), start + 2 * day);
+    await history.record(SEASONED, result(632), start + 3 * day);
+    await history.record(FRESH, result(300), start + 3 * day);
+
+    const timeline = await history.timeline(SEASONED, { modelVersion: 'v4' });
+    expect(timeline.points.map((point) => [point.score, point.delta])).toEqual([[610, null], [640, 30], [632, -8]]);
+    expect(timeline.points[0]).toMatchObject({
+      recordedAt: '2024-01-01T00:00:00.000Z',
+      status: 'pass',
+      components: { transactions: 0.5, age: 0.4, activity: 0.2, volume: 0.1, lending: 0.5 }
+    });
+    expect(timeline.summary).toMatchObject({ count: 3, firstScore: 610, latestScore: 632, change: 22, trend: 'improving' });
+
+    const recent = await history.timeline(SEASONED, { modelVersion: 'v4', limit: 2 });
+    expect(recent.points.map((point) => point.score)).toEqual([640, 632]);
+    expect(recent.summary.trend).toBe('declining');
+
+    const since = await history.timeline(SEASONED, { modelVersion: 'v4', since: start + 3 * day });
+    expect(since.summary).toMatchObject({ count: 1, change: null, trend: 'insufficient-data' });
+  });
+});
+
+describe('GET /wallet-score/:wallet_address/history', () => {
+  test('lists every freshly computed score, not cache hits', async () => {
+    await request(app).get(`/wallet-score/${SEASONED}`).expect(200);
+    await request(app).get(`/wallet-score/${SEASONED}`).expect('X-Cache', 'HIT');
+    await request(app).get(`/wallet-score/${SEASONED}?fresh=true`).expect(200);
+    // Network subsets are not recorded
+    await request(app).get(`/wallet-score/${SEASONED}?networks=ethereum&fresh=true`).expect(200);
+
+    const { body } = await request(app).get(`/wallet-score/${SEASONED}/history`).expect(200);
+    expect(body).toMatchObject({ walletAddress: SEASONED, modelVersion: 'v4' });
+    expect(body.points).toHaveLength(2);
+    expect(body.points[1].delta).toBe(0);
+    expect(body.summary).toMatchObject({ count: 2, change: 0, trend: 'stable' });
+  });
+
+  test('leaves out provisional scores', async () => {
+    const { body: report } = await request(app).get(`/wallet-score/${UNRELIABLE}/report`).expect(200);
+    expect(report.provisional).toBe(true);
+
+    const { body } = await request(app).get(`/wallet-score/${UNRELIABLE}/history`).expect(200);
+    expect(body.points).toEqual([]);
+  });
+
+  test('keeps each model in its own series', async () => {
+    await request(app).get(`/wallet-score/${SEASONED}?model=v1`).expect(200);
+
+    const { body } = await request(app).get(`/wallet-score/${SEASONED}/history?model=v1`).expect(200);
+    expect(body.points).toHaveLength(1);
+    expect(body.points[0].modelVersion).toBe('v1');
+  });
+
+  test('rejects bad addresses and query parameters', async () => {
+    await request(app).get('/wallet-score/0x1234/history').expect(400);
+    await request(app).get(`/wallet-score/${SEASONED}/history?model=v9`).expect(400);
+    await request(app).get(`/wallet-score/${SEASONED}/history?since=yesterday`).expect(400);
+    await request(app).get(`/wallet-score/${SEASONED}/history?limit=0`).expect(400);
+  });
+});
@@ -0,0 +1,192 @@
+// Linked-wallet identities: signature proofs, merging per-wallet data and POST /identity-score
+
+const path = require('path');
+
+process.env.DEFAULT_PROVIDERS = 'fixture';
+process.env.PROVIDERS_SOLANA = 'fixture';
+process.env.PROVIDERS_BITCOIN = 'fixture';
+process.env.FIXTURE_DIR = path.join(__dirname, 'fixtures', 'wallets');
+process.env.NETWORK_TIMEOUT_MS = '100';
+process.env.RETRY_BASE_DELAY_MS = '5';
+process.env.CACHE_BACKEND = 'memory';
+process.env.SCORE_HISTORY_BACKEND = 'memory';
+process.env.WEBHOOK_BACKEND = 'memory';
+process.env.SCORING_MODEL = 'v4';
+
+const request = require('supertest');
+const { Wallet } = require('ethers');
+const { app } = require('../index');
+const { linkMessage, isFreshIssuedAt, verifyWalletProof, createContractWalletChecker, ERC1271_MAGIC_VALUE } =
+  require('../lib/walletProofs');
+const { createResilience, createDeadline } = require('../lib/resilience');
+const { mergeWalletData } = require('../scoring/identity');
+
+// Fixture wallets 0x7E5F...5Bdf and 0x2B5A...D6cF, one transfer apart
+const HOT = new Wallet('0x0000000000000000000000000000000000000000000000000000000000000001');
+const COLD = new Wallet('0x0000000000000000000000000000000000000000000000000000000000000002');
+const STRANGER = new Wallet('0x0000000000000000000000000000000000000000000000000000000000000003');
+
+/**
+ * Sign the link message with every wallet
+ * @param {Array} wallets - ethers Wallets
+ * @param {String} issuedAt - ISO timestamp
+ * @returns {Promise<Array>} - Proofs for POST /identity-score
+ */
+async function signProofs(wallets, issuedAt) {
+  const message = linkMessage(wallets.map((wallet) => wallet.address), issuedAt);
+  return Promise.all(wallets.map(async (wallet) => ({
+    address: wallet.address,
+    signature: await wallet.signMessage(message)
+  })));
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('wallet proofs', () => {
+  test('link messages do not depend on address order or case', () => {
+    const issuedAt = '2024-01-01T00:00:00.000Z';
+    expect(linkMessage([HOT.address, COLD.address], issuedAt))
+      .toBe(linkMessage([COLD.address.toLowerCase(), HOT.address], issuedAt));
+  });
+
+  test('accept recent messages only', () => {
+    const now = Date.parse('2024-01-01T00:10:00.000Z');
+    expect(isFreshIssuedAt('2024-01-01T00:05:00.000Z', 600000, now)).toBe(true);
+    expect(isFreshIssuedAt('2023-12-31T23:59:00.000Z', 600000, now)).toBe(false);
+    expect(isFreshIssuedAt('2024-01-01T01:00:00.000Z', 600000, now)).toBe(false);
+    expect(isFreshIssuedAt('yesterday', 600000, now)).toBe(false);
+  });
+
+  test('verify EOA signatures by recovering the signer', async () => {
+    const message = linkMessage([HOT.address, COLD.address], new Date().toISOString());
+    const signature = await HOT.signMessage(message);
+
+    expect(await verifyWalletProof({ address: HOT.address, signature }, message)).toBe(true);
+    expect(await verifyWalletProof({ address: COLD.address, signature }, message)).toBe(false);
+    expect(await verifyWalletProof({ address: HOT.address, signature: '0x1234' }, message)).toBe(false);
+  });
+
+  test('ask contract wallets through a guarded ERC-1271 call with a timeout', async () => {
+    const resilience = createResilience({
+      timeoutMs: 50, retries: 1, baseDelayMs: 1, maxDelayMs: 5, failureThreshold: 5, resetTimeoutMs: 1000
+    });
+    const checker = () => resilience.guard(createContractWalletChecker('ethereum', 'https://rpc.test'), createDeadline(1000));
+    const proof = { address: HOT.address, signature: '0x1234', type: 'erc1271' };
+    const message = linkMessage([HOT.address, COLD.address], new Date().toISOString());
+
+    const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: async () => ({ jsonrpc: '2.0', id: 1, result: ERC1271_MAGIC_VALUE + '0'.repeat(56) })
+    });
+    expect(await verifyWalletProof(proof, message, checker())).toBe(true);
+
+    // A node that never answers is given up on instead of holding the request
+    fetchMock.mockImplementation(() => new Promise(() => {}));
+    await expect(verifyWalletProof(proof, message, checker()))
+      .rejects.toThrow('Timeout fetching contract wallet signature for erc1271:ethereum');
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    fetchMock.mockRestore();
+  });
+});
+
+describe('mergeWalletData', () => {
+  test('sums counts, keeps the oldest first transaction and drops linked copies', () => {
+    const a = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+    const b = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+    const between = { hash: '0x01', uniqueId: '0x01:external', from: a, to: b, value: 1, asset: 'ETH', category: 'external',
+      metadata: { blockTimestamp: '2023-01-01T00:00:00.000Z' } };
+    const walletData = (count, firstTxTimestamp, transfers) => ({
+      txData: { ethereum: { count, firstTxTimestamp, timestampSource: 'transfer-history' } },
+      networkStatus: { ethereum: { status: 'ok' } },
+      historyByNetwork: { ethereum: { transfers } },
+      lendingEvents: []
+    });
+
+    const merged = mergeWalletData([
+      { address: a, data: walletData(10, Date.parse('2022-01-01'), [between]) },
+      { address: b, data: walletData(4, Date.parse('2020-01-01'), [between]) }
+    ]);
+
+    expect(merged.txData.ethereum.count).toBe(14);
+    expect(merged.txData.ethereum.firstTxTimestamp).toBe(Date.parse('2020-01-01'));
+    expect(merged.historyByNetwork.ethereum.transfers).toHaveLength(1);
+    expect(merged.historyByNetwork.ethereum.transfers[0]).toMatchObject({ from: a, to: a, linked: true });
+    expect(merged.identity).toEqual({ wallets: [a, b], linkedTransfers: 1 });
+  });
+
+  test('reports a network as failed when any linked wallet failed on it', () => {
+    const walletData = (status) => ({
+      txData: { ethereum: { count: 1, firstTxTimestamp: null, timestampSource: null } },
+      networkStatus: { ethereum: status },
+      historyByNetwork: {},
+      lendingEvents: []
+    });
+
+    const merged = mergeWalletData([
+      { address: '0xaa', data: walletData({ status: 'ok' }) },
+      { address: '0xbb', data: walletData({ status: 'timeout', error: 'Timed out' }) }
+    ]);
+
+    expect(merged.networkStatus.ethereum).toEqual({ status: 'timeout', error: '0xbb: Timed out' });
+  });
+});
+
+describe('POST /identity-score', () => {
+  test('scores the linked wallets once, higher than either alone', async () => {
+    const issuedAt = new Date().toISOString();
+    const wallets = await signProofs([HOT, COLD], issuedAt);
+
+    const response = await request(app).post('/identity-score').send({ wallets, issuedAt }).expect(200);
+    const hot = await request(app).get(`/wallet-score/${HOT.address}`).expect(200);
+    const cold = await request(app).get(`/wallet-score/${COLD.address}`).expect(200);
+
+    expect(response.body.walletAddress).toBe(HOT.address);
+    expect(response.body.identity).toEqual({
+      wallets: [{ address: HOT.address, proof: 'eoa' }, { address: COLD.address, proof: 'eoa' }],
+      linkedTransfers: 1
+    });
+    expect(response.body.networks.ethereum.count).toBe(48);
+    expect(response.body.networks.ethereum.history.transferCount).toBe(4);
+    expect(new Date(response.body.networks.ethereum.firstTxTimestamp).toISOString()).toBe('2020-04-15T08:00:00.000Z');
+    expect(response.body.score).toBeGreaterThan(Math.max(hot.body, cold.body));
+    expect(response.headers['x-score-model']).toBe('v4');
+  });
+
+  test('hands out the message to sign', async () => {
+    const response = await request(app)
+      .get(`/identity-score/message?addresses=${HOT.address},${COLD.address}`)
+      .expect(200);
+
+    expect(response.body.message).toBe(linkMessage([HOT.address, COLD.address], response.body.issuedAt));
+    expect(Date.parse(response.body.expiresAt) - Date.parse(response.body.issuedAt)).toBe(600000);
+  });
+
+  test('rejects signatures from the wrong wallet', async () => {
+    const issuedAt = new Date().toISOString();
+    const [hot] = await signProofs([HOT, COLD], issuedAt);
+    const forged = { address: COLD.address, signature: await STRANGER.signMessage(linkMessage([HOT.address, COLD.address], issuedAt)) };
+
+    const response = await request(app).post('/identity-score').send({ wallets: [hot, forged], issuedAt }).expect(401);
+    expect(response.body).toEqual({ error: 'Invalid wallet signatures', wallets: [COLD.address] });
+  });
+
+  test('rejects expired messages, single wallets and duplicates', async () => {
+    const expired = new Date(Date.now() - 3600 * 1000).toISOString();
+    await request(app).post('/identity-score')
+      .send({ wallets: await signProofs([HOT, COLD], expired), issuedAt: expired })
+      .expect(400);
+
+    const issuedAt = new Date().toISOString();
+    const [hot] = await signProofs([HOT, COLD], issuedAt);
+    await request(app).post('/identity-score').send({ wallets: [hot], issuedAt }).expect(400);
+    await request(app).post('/identity-score').send({ wallets: [hot, hot], issuedAt }).expect(400);
+  });
+});
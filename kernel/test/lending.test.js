@@ -0,0 +1,69 @@
+// DeFi lending history: matching registry events and summarising positions
+
+const { Utils } = require('alchemy-sdk');
+const { loadLendingRegistry, fetchLendingEvents, analyzeLending, addressTopic } = require('../analytics/lending');
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const COMET = '0xc3d688b66703497daa19211eedff47f25384cdc3';
+const ZERO = '0x0000000000000000000000000000000000000000';
+
+const registry = loadLendingRegistry();
+
+const word = (amount) => BigInt(amount).toString(16).padStart(64, '0');
+
+// Comet logs: Supply(from, dst, amount), Withdraw(src, to, amount), Transfer(from, to, amount)
+const log = (signature, indexed, amount, transactionHash) => ({
+  address: COMET,
+  topics: [Utils.id(signature), ...indexed.map(addressTopic)],
+  data: '0x' + word(amount),
+  blockNumber: 100,
+  transactionHash
+});
+const supply = (amount, tx) => log('Supply(address,address,uint256)', [WALLET, WALLET], amount, tx);
+const withdraw = (amount, tx) => log('Withdraw(address,address,uint256)', [WALLET, WALLET], amount, tx);
+const mint = (amount, tx) => log('Transfer(address,address,uint256)', [ZERO, WALLET], amount, tx);
+const burn = (amount, tx) => log('Transfer(address,address,uint256)', [WALLET, ZERO], amount, tx);
+
+// Answers getLogs the way a node would: topic alternatives at 0, null as a wildcard
+const logProvider = (logs) => ({
+  async getLogs(filter) {
+    const addresses = filter.address.map((address) => address.toLowerCase());
+    return logs.filter((entry) => addresses.includes(entry.address) && filter.topics.every((topic, i) =>
+      topic === null || (Array.isArray(topic) ? topic.includes(entry.topics[i]) : topic === entry.topics[i])));
+  }
+});
+
+describe('Compound V3', () => {
+  test('a supplier-only wallet has no borrows or repayments', async () => {
+    const provider = logProvider([
+      supply(1000, '0xa1'), mint(1000, '0xa1'),
+      // Withdrawing supplied funds plus accrued interest
+      withdraw(1020, '0xa2'), burn(1020, '0xa2')
+    ]);
+
+    const events = await fetchLendingEvents(provider, 'ethereum', WALLET, registry);
+    const lending = analyzeLending(events);
+
+    expect(events).toEqual([]);
+    expect(lending).toMatchObject({ borrowCount: 0, repayCount: 0, repayRatio: null, openPositions: 0 });
+  });
+
+  test('only the part of a withdrawal past the supplied balance is a borrow', async () => {
+    const provider = logProvider([
+      supply(500, '0xb1'), mint(500, '0xb1'),
+      // Draws the 500 supplied down to zero, then borrows 300
+      withdraw(800, '0xb2'), burn(500, '0xb2'),
+      // Repays the 300 and supplies 100 again
+      supply(400, '0xb3'), mint(100, '0xb3')
+    ]);
+
+    const events = await fetchLendingEvents(provider, 'ethereum', WALLET, registry);
+
+    expect(events.map(({ type, amount }) => ({ type, amount }))).toEqual(expect.arrayContaining([
+      { type: 'borrow', amount: 300n },
+      { type: 'repay', amount: 300n }
+    ]));
+    expect(events).toHaveLength(2);
+    expect(analyzeLending(events)).toMatchObject({ borrowCount: 1, repayCount: 1, repayRatio: 1, openPositions: 0 });
+  });
+});
@@ -0,0 +1,58 @@
+// Name resolution: memoized ENS answers
+
+const { JsonRpcProvider } = require('ethers');
+const { createNameResolver } = require('../lib/names');
+
+const SEASONED = '0x1111111111111111111111111111111111111111';
+
+describe('createNameResolver', () => {
+  let time;
+  let resolveName;
+
+  beforeEach(() => {
+    time = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => time);
+    resolveName = jest.spyOn(JsonRpcProvider.prototype, 'resolveName').mockImplementation(async () => SEASONED);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('remembers answers until they expire', async () => {
+    const resolver = createNameResolver({ rpcUrl: 'https://ens.test', ttlMs: 100 });
+
+    expect(await resolver.resolveName('seasoned.eth')).toBe(SEASONED);
+    expect(await resolver.resolveName('seasoned.eth')).toBe(SEASONED);
+    expect(resolveName).toHaveBeenCalledTimes(1);
+
+    time += 100;
+    await resolver.resolveName('seasoned.eth');
+    expect(resolveName).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps at most maxEntries answers, dropping the least recently used', async () => {
+    const resolver = createNameResolver({ rpcUrl: 'https://ens.test', maxEntries: 2 });
+
+    await resolver.resolveName('a.eth');
+    await resolver.resolveName('b.eth');
+    await resolver.resolveName('a.eth');
+    await resolver.resolveName('c.eth');
+    expect(resolveName).toHaveBeenCalledTimes(3);
+
+    // b.eth was dropped for c.eth; a.eth was used more recently and stays
+    await resolver.resolveName('a.eth');
+    expect(resolveName).toHaveBeenCalledTimes(3);
+    await resolver.resolveName('b.eth');
+    expect(resolveName).toHaveBeenCalledTimes(4);
+  });
+
+  test('does not remember failed lookups', async () => {
+    const resolver = createNameResolver({ rpcUrl: 'https://ens.test' });
+    resolveName.mockRejectedValueOnce(new Error('rpc down'));
+
+    await expect(resolver.resolveName('seasoned.eth')).rejects.toThrow('rpc down');
+    expect(await resolver.resolveName('seasoned.eth')).toBe(SEASONED);
+    expect(resolveName).toHaveBeenCalledTimes(2);
+  });
+});
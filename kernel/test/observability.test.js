@@ -0,0 +1,136 @@
+// Structured logs with request ids and the Prometheus metrics served at GET /metrics
+
+const path = require('path');
+
+process.env.DEFAULT_PROVIDERS = 'fixture';
+process.env.PROVIDERS_SOLANA = 'fixture';
+process.env.PROVIDERS_BITCOIN = 'fixture';
+process.env.FIXTURE_DIR = path.join(__dirname, 'fixtures', 'wallets');
+process.env.NETWORK_TIMEOUT_MS = '100';
+process.env.RETRY_BASE_DELAY_MS = '5';
+process.env.CACHE_BACKEND = 'memory';
+process.env.SCORE_HISTORY_BACKEND = 'memory';
+process.env.WEBHOOK_BACKEND = 'memory';
+process.env.SCORING_MODEL = 'v4';
+process.env.LOG_LEVEL = 'debug';
+
+const request = require('supertest');
+const { app } = require('../index');
+const { createLogger, runWithRequestId, levelFromEnv } = require('../lib/logger');
+const { createRegistry } = require('../lib/metrics');
+
+const SEASONED = '0x1111111111111111111111111111111111111111';
+const NO_TIMESTAMPS = '0x5555555555555555555555555555555555555555';
+const FAILING = '0x6666666666666666666666666666666666666666';
+
+let logLines;
+
+beforeAll(() => {
+  logLines = [];
+  const capture = (line) => logLines.push(line);
+  jest.spyOn(console, 'log').mockImplementation(capture);
+  jest.spyOn(console, 'error').mockImplementation(capture);
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Metric samples from a /metrics body matching a name and a set of labels
+ * @param {String} text - Prometheus text format
+ * @param {String} name - Sample name (e.g. credit_score_score_count)
+ * @param {Object} labels - Labels every returned sample must have
+ * @returns {Array} - Sample values
+ */
+function samples(text, name, labels = {}) {
+  return text.split('\n')
+    .filter((line) => line.startsWith(`${name}{`) || line.startsWith(`${name} `))
+    .filter((line) => Object.entries(labels).every(([label, value]) => line.includes(`${label}="${value}"`)))
+    .map((line) => Number(line.split(' ').pop()));
+}
+
+describe('logger', () => {
+  test('writes one JSON object per line with the request id in context', () => {
+    const lines = [];
+    const logger = createLogger({ level: 'info', write: (level, line) => lines.push(JSON.parse(line)) });
+
+    logger.debug('hidden');
+    runWithRequestId('req-1', () => logger.child({ component: 'cache' }).warn('Slow', { error: new Error('boom') }));
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({ level: 'warn', msg: 'Slow', requestId: 'req-1', component: 'cache' });
+    expect(lines[0].error.message).toBe('boom');
+  });
+
+  test('takes the level from LOG_LEVEL, or DEBUG=true', () => {
+    expect(levelFromEnv({ LOG_LEVEL: 'WARN' })).toBe('warn');
+    expect(levelFromEnv({ DEBUG: 'true' })).toBe('debug');
+    expect(levelFromEnv({})).toBe('info');
+  });
+});
+
+describe('metrics registry', () => {
+  test('renders counters and cumulative histogram buckets', () => {
+    const registry = createRegistry();
+    registry.counter('jobs_total', 'Jobs', ['queue']).inc({ queue: 'a"b' }, 2);
+    const latency = registry.histogram('latency_seconds', 'Latency', [], [0.1, 1]);
+    latency.observe({}, 0.05);
+    latency.observe({}, 0.5);
+
+    const text = registry.render();
+    expect(text).toContain('# TYPE jobs_total counter\njobs_total{queue="a\\"b"} 2');
+    expect(text).toContain('latency_seconds_bucket{le="0.1"} 1\nlatency_seconds_bucket{le="1"} 2');
+    expect(text).toContain('latency_seconds_bucket{le="+Inf"} 2\nlatency_seconds_sum 0.55\nlatency_seconds_count 2');
+  });
+});
+
+describe('request ids', () => {
+  test('are echoed back and carried by every log line of the request, down to upstream calls', async () => {
+    const response = await request(app)
+      .get(`/wallet-score/${SEASONED}?fresh=true`)
+      .set('X-Request-Id', 'trace-abc')
+      .expect(200);
+    expect(response.headers['x-request-id']).toBe('trace-abc');
+
+    const entries = logLines.map((line) => JSON.parse(line)).filter((entry) => entry.requestId === 'trace-abc');
+    const upstream = entries.filter((entry) => entry.msg === 'Upstream call');
+    expect(upstream.find((entry) => entry.network === 'ethereum' && entry.method === 'getTransactionCount'))
+      .toMatchObject({ outcome: 'success', provider: 'fixture' });
+    expect(entries.find((entry) => entry.msg === 'Score calculated').score).toBe(response.body);
+    expect(entries.find((entry) => entry.msg === 'Request completed')).toMatchObject({
+      route: '/wallet-score/:wallet_address',
+      status: 200
+    });
+  });
+
+  test('are generated when the caller sends none or an unusable one', async () => {
+    const response = await request(app).get('/models').set('X-Request-Id', 'bad id\twith spaces').expect(200);
+    expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
+
+describe('GET /metrics', () => {
+  test('exposes request latency, upstream calls, scores and timestamp paths', async () => {
+    await request(app).get(`/wallet-score/${SEASONED}`).expect(200);
+    await request(app).get(`/wallet-score/${NO_TIMESTAMPS}`).expect(200);
+    await request(app).get(`/wallet-score/${FAILING}`).expect(200);
+
+    const response = await request(app).get('/metrics').expect(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    const text = response.text;
+
+    expect(samples(text, 'credit_score_http_request_duration_seconds_count',
+      { route: '/wallet-score/:wallet_address', status: '200' })[0]).toBeGreaterThanOrEqual(3);
+    expect(samples(text, 'credit_score_upstream_request_duration_seconds_count',
+      { network: 'ethereum', method: 'getTransactionCount', outcome: 'success' })[0]).toBeGreaterThan(0);
+    expect(samples(text, 'credit_score_upstream_errors_total', { network: 'ethereum', reason: 'timeout' })[0]).toBeGreaterThan(0);
+    expect(samples(text, 'credit_score_upstream_errors_total', { network: 'polygon', reason: 'error' })[0]).toBeGreaterThan(0);
+    expect(samples(text, 'credit_score_score_count', { model: 'v4' })[0]).toBeGreaterThanOrEqual(3);
+    expect(samples(text, 'credit_score_score_bucket', { model: 'v4', le: '+Inf' })[0]).toBeGreaterThanOrEqual(3);
+    expect(samples(text, 'credit_score_timestamp_lookups_total',
+      { network: 'ethereum', path: 'transfers', outcome: 'found' })[0]).toBeGreaterThan(0);
+    expect(samples(text, 'credit_score_timestamp_lookups_total',
+      { network: 'polygon', path: 'erc20-transfers', outcome: 'empty' })[0]).toBeGreaterThan(0);
+  });
+});
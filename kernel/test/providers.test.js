@@ -0,0 +1,50 @@
+// EVM chain data providers: the Etherscan-style explorer adapter
+
+const { createExplorerProvider } = require('../providers/explorer');
+const { fetchTransferHistory } = require('../analytics/transfers');
+
+const jsonResponse = (body) => ({ ok: true, status: 200, json: async () => body });
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+
+const row = (i, extra = {}) => ({
+  blockNumber: String(100 + i),
+  hash: `0x${i.toString(16).padStart(64, '0')}`,
+  from: WALLET,
+  to: '0x2222222222222222222222222222222222222222',
+  value: '1000000000000000000',
+  timeStamp: String(1700000000 + i),
+  ...extra
+});
+
+describe('createExplorerProvider', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('pages each transfer category on its own without dropping rows', async () => {
+    // 150 external transfers (two pages of 100) and 30 token transfers (one page)
+    const external = Array.from({ length: 150 }, (_, i) => row(i));
+    const tokens = Array.from({ length: 30 }, (_, i) => row(1000 + i, { tokenSymbol: 'USDC', tokenDecimal: '6' }));
+    const fetchMock = jest.spyOn(global, 'fetch').mockImplementation(async (url) => {
+      const query = new URL(url).searchParams;
+      const rows = query.get('action') === 'txlist' ? external : tokens;
+      const page = parseInt(query.get('page'));
+      const offset = parseInt(query.get('offset'));
+      return jsonResponse({ status: '1', result: rows.slice((page - 1) * offset, page * offset) });
+    });
+
+    const provider = createExplorerProvider('ethereum', { url: 'https://explorer.test/api' });
+    const { transfers, truncated } = await fetchTransferHistory(provider, 'ethereum', WALLET, {
+      categories: ['external', 'erc20'],
+      maxPages: 5,
+      pageSize: 100
+    });
+
+    expect(transfers).toHaveLength(180);
+    expect(truncated).toBe(false);
+    // The token category is exhausted after its first page and not asked for again
+    const tokenCalls = fetchMock.mock.calls.filter(([url]) => url.includes('action=tokentx'));
+    expect(tokenCalls).toHaveLength(2); // one per direction
+  });
+});
@@ -0,0 +1,163 @@
+// Retries, circuit breakers and the request deadline
+
+const path = require('path');
+const {
+  createResilience,
+  createCircuitBreaker,
+  createDeadline,
+  retry,
+  withTimeout,
+  CIRCUIT_OPEN,
+  DEADLINE_EXCEEDED
+} = require('../lib/resilience');
+const { createScoringService } = require('../scoring/service');
+const { createModelRegistry } = require('../scoring/models');
+const { createScoreCache } = require('../cache');
+const { loadLendingRegistry } = require('../analytics/lending');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Fails `failures` times, then resolves with `value`
+const flaky = (failures, value = 'ok') => jest.fn(async () => {
+  if (failures-- > 0) throw new Error('upstream 502');
+  return value;
+});
+
+describe('retry', () => {
+  const options = { retries: 2, baseDelayMs: 1, maxDelayMs: 5 };
+
+  test('retries until the call succeeds', async () => {
+    const fn = flaky(2);
+
+    await expect(retry(fn, options)).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('gives up after the configured retries', async () => {
+    const fn = flaky(5);
+
+    await expect(retry(fn, options)).rejects.toThrow('upstream 502');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry an open circuit', async () => {
+    const error = Object.assign(new Error('Circuit open'), { code: CIRCUIT_OPEN });
+    const fn = jest.fn().mockRejectedValue(error);
+
+    await expect(retry(fn, options)).rejects.toBe(error);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('withTimeout', () => {
+  test('rejects with the timeout error when the call is too slow', async () => {
+    await expect(withTimeout(sleep(100), 10, () => new Error('too slow'))).rejects.toThrow('too slow');
+    await expect(withTimeout(Promise.resolve(1), 10, () => new Error('too slow'))).resolves.toBe(1);
+  });
+});
+
+describe('createCircuitBreaker', () => {
+  test('opens after repeated failures and recovers through a trial call', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 30 });
+    const failing = () => Promise.reject(new Error('upstream 500'));
+
+    await expect(breaker.call(failing)).rejects.toThrow('upstream 500');
+    expect(breaker.snapshot().state).toBe('closed');
+    await expect(breaker.call(failing)).rejects.toThrow('upstream 500');
+    expect(breaker.snapshot()).toMatchObject({ state: 'open', failures: 2 });
+
+    const skipped = jest.fn();
+    await expect(breaker.call(skipped)).rejects.toMatchObject({ code: CIRCUIT_OPEN });
+    expect(skipped).not.toHaveBeenCalled();
+
+    await sleep(40);
+    await expect(breaker.call(async () => 'recovered')).resolves.toBe('recovered');
+    expect(breaker.snapshot()).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  test('re-opens when the trial call fails', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 10 });
+
+    await expect(breaker.call(() => Promise.reject(new Error('down')))).rejects.toThrow('down');
+    await sleep(20);
+    await expect(breaker.call(() => Promise.reject(new Error('still down')))).rejects.toThrow('still down');
+    expect(breaker.snapshot().state).toBe('open');
+  });
+});
+
+describe('guarded providers', () => {
+  const slowProvider = {
+    name: 'slow',
+    network: 'ethereum',
+    capabilities: { transfers: true, nfts: true, logs: true },
+    getTransactionCount: jest.fn(() => sleep(200).then(() => 1))
+  };
+
+  test('cut calls short at the request deadline without tripping the breaker', async () => {
+    const resilience = createResilience({
+      timeoutMs: 1000, retries: 2, baseDelayMs: 1, maxDelayMs: 5, failureThreshold: 1, resetTimeoutMs: 1000
+    });
+    const deadline = createDeadline(50);
+    const provider = resilience.guard(slowProvider, deadline);
+
+    await expect(provider.getTransactionCount('0x')).rejects.toMatchObject({ code: DEADLINE_EXCEEDED });
+    expect(deadline.exceeded).toBe(true);
+    expect(resilience.snapshot().ethereum.state).toBe('closed');
+  });
+
+  test('open the circuit after timeouts', async () => {
+    const resilience = createResilience({
+      timeoutMs: 20, retries: 0, baseDelayMs: 1, maxDelayMs: 5, failureThreshold: 1, resetTimeoutMs: 1000
+    });
+    const provider = resilience.guard(slowProvider, createDeadline(0));
+
+    await expect(provider.getTransactionCount('0x')).rejects.toThrow('Timeout fetching transaction count for ethereum');
+    await expect(provider.getTransactionCount('0x')).rejects.toMatchObject({ code: CIRCUIT_OPEN });
+    expect(resilience.snapshot().ethereum).toMatchObject({ state: 'open', failures: 1 });
+  });
+});
+
+describe('request deadline policy', () => {
+  const UNRELIABLE = '0x6666666666666666666666666666666666666666';
+  const fixtureNetwork = {
+    enabled: true,
+    providers: ['fixture'],
+    fixture: { dir: path.join(__dirname, 'fixtures', 'wallets') }
+  };
+
+  const createService = (deadlinePolicy) => createScoringService({
+    networks: { ethereum: fixtureNetwork, arbitrum: fixtureNetwork },
+    modelRegistry: createModelRegistry({ dir: path.join(__dirname, '..', 'models'), defaultModelId: 'v1' }),
+    scoreCache: createScoreCache({ store: null }),
+    lendingRegistry: loadLendingRegistry(),
+    history: { maxPages: 1, pageSize: 100 },
+    resilience: createResilience({
+      timeoutMs: 1000, retries: 0, baseDelayMs: 1, maxDelayMs: 5, failureThreshold: 5, resetTimeoutMs: 1000
+    }),
+    deadlineMs: 150,
+    deadlinePolicy
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('partial: scores the networks that answered in time', async () => {
+    const report = await createService('partial').scoreWallet(UNRELIABLE);
+
+    expect(report.deadlineExceeded).toBe(true);
+    expect(report.timedOutNetworks).toEqual(['ethereum']);
+    expect(report.networks.ethereum.error).toBe('Request deadline exceeded');
+    expect(report.networks.arbitrum).toMatchObject({ status: 'ok', count: 7 });
+  });
+
+  test('fail: refuses to score with a 503 error', async () => {
+    await expect(createService('fail').scoreWallet(UNRELIABLE))
+      .rejects.toMatchObject({ statusCode: 503, message: 'Scoring deadline exceeded' });
+  });
+});
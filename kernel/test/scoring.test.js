@@ -0,0 +1,124 @@
+// Scoring math: calculateCreditScore, resolveAccountAge and reason codes
+
+const path = require('path');
+const { createModelRegistry } = require('../scoring/models');
+const { calculateCreditScore, resolveAccountAge } = require('../scoring/calculate');
+const { deriveReasonCodes } = require('../scoring/reasons');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const registry = createModelRegistry({ dir: path.join(__dirname, '..', 'models'), defaultModelId: 'v1' });
+const v1 = registry.get('v1');
+const v4 = registry.get('v4');
+
+describe('calculateCreditScore', () => {
+  test('a wallet without activity gets the minimum score', () => {
+    const result = calculateCreditScore({ ethereum: { count: 0 } }, 0, v1);
+
+    expect(result.score).toBe(300);
+    expect(result.status).toBe('fail');
+    expect(result.txComponent).toBe(0);
+    expect(result.ageComponent).toBe(0);
+    expect(result.activityComponent).toBe(0);
+  });
+
+  test('weights transactions, age and active networks', () => {
+    // Full transaction and age components, one of five networks active
+    const result = calculateCreditScore({ ethereum: { count: 500 }, polygon: { count: 2 } }, 730, v1);
+
+    expect(result.txComponent).toBeCloseTo(1);
+    expect(result.ageComponent).toBe(1);
+    expect(result.activityComponent).toBeCloseTo(0.2);
+    expect(result.activeNetworks).toBe(1);
+    expect(result.score).toBe(762);
+    expect(result.status).toBe('pass');
+  });
+
+  test('applies network weights to the transaction count', () => {
+    const result = calculateCreditScore({ ethereum: { count: 10 }, bsc: { count: 10 }, unknown: { count: 10 } }, 0, v1);
+
+    // ethereum 1.0, bsc 0.6, unlisted networks use defaultNetworkWeight (0.5)
+    expect(result.weightedTxCount).toBeCloseTo(21);
+    expect(result.txCount).toBe(30);
+  });
+
+  test('caps the score at the maximum', () => {
+    const txData = {};
+    for (const network of ['ethereum', 'polygon', 'arbitrum', 'optimism', 'base', 'zksync']) {
+      txData[network] = { count: 10000 };
+    }
+
+    expect(calculateCreditScore(txData, 5000, v1).score).toBe(850);
+  });
+
+  test('gives new wallets with transactions an age bonus', () => {
+    const result = calculateCreditScore({ ethereum: { count: 10 } }, 10, v1);
+
+    expect(result.ageComponent).toBeCloseTo(Math.sqrt(10 / 730) + 0.1);
+    expect(result.score).toBe(464);
+  });
+
+  test('subtracts risk flag penalties without going below the minimum', () => {
+    const flag = { code: 'TX_BURST', description: '', penalty: 40, evidence: {} };
+
+    expect(calculateCreditScore({ ethereum: { count: 500 } }, 730, v1, { riskFlags: [flag] }).score).toBe(722);
+    expect(calculateCreditScore({ ethereum: { count: 1 } }, 0, v1, { riskFlags: [flag, { ...flag, penalty: 200 }] }).score)
+      .toBe(300);
+  });
+
+  test('scores lending history only for models that weight it', () => {
+    const lending = { borrowCount: 2, repayCount: 2, liquidationCount: 0, repayRatio: 1 };
+
+    const withoutLending = calculateCreditScore({ ethereum: { count: 50 } }, 365, v4);
+    const withLending = calculateCreditScore({ ethereum: { count: 50 } }, 365, v4, { lending });
+
+    expect(withoutLending.lendingComponent).toBe(0.5);
+    expect(withLending.lendingComponent).toBe(1);
+    // Half of the 0.1 lending weight more, on a 550 point range (give or take rounding)
+    expect(Math.abs(withLending.score - withoutLending.score - 27.5)).toBeLessThanOrEqual(1);
+    expect(calculateCreditScore({ ethereum: { count: 50 } }, 365, v1, { lending }).score)
+      .toBe(calculateCreditScore({ ethereum: { count: 50 } }, 365, v1).score);
+  });
+});
+
+describe('resolveAccountAge', () => {
+  test('uses the oldest observed first transaction', () => {
+    const now = Date.now();
+    const age = resolveAccountAge({
+      ethereum: { count: 5, firstTxTimestamp: now - 100 * DAY_MS, timestampSource: 'transfers' },
+      polygon: { count: 5, firstTxTimestamp: now - 400 * DAY_MS, timestampSource: 'erc20-transfers' },
+      base: { count: 5, firstTxTimestamp: null }
+    });
+
+    expect(age).toMatchObject({ days: 400, source: 'observed', method: 'erc20-transfers', network: 'polygon' });
+  });
+
+  test('estimates five days per transaction when no timestamp is known', () => {
+    expect(resolveAccountAge({ ethereum: { count: 12, firstTxTimestamp: null } }))
+      .toMatchObject({ days: 60, source: 'estimated', method: 'tx-count' });
+    expect(resolveAccountAge({ ethereum: { count: 500, firstTxTimestamp: null } }).days).toBe(365);
+  });
+
+  test('reports no age for wallets without transactions', () => {
+    expect(resolveAccountAge({ ethereum: { count: 0, firstTxTimestamp: null } }))
+      .toMatchObject({ days: 0, source: 'none' });
+  });
+});
+
+describe('deriveReasonCodes', () => {
+  test('ranks weak components by points lost and appends data caveats', () => {
+    const result = {
+      ...calculateCreditScore({ ethereum: { count: 3 } }, 400, v1),
+      accountAge: { source: 'estimated' },
+      networkStatus: { ethereum: { status: 'ok' }, polygon: { status: 'timeout' } }
+    };
+    const codes = deriveReasonCodes(result, v1).map((reason) => reason.code);
+
+    expect(codes).toEqual([
+      'LOW_TRANSACTION_COUNT',
+      'LOW_CROSS_CHAIN_ACTIVITY',
+      'AGE_ESTIMATED_NOT_OBSERVED',
+      'NETWORK_DATA_UNAVAILABLE'
+    ]);
+  });
+});
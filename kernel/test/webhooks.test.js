@@ -0,0 +1,400 @@
+// Webhooks: stores, change and threshold detection, signed deliveries with retries, and /webhooks
+
+const path = require('path');
+const http = require('http');
+
+process.env.DEFAULT_PROVIDERS = 'fixture';
+process.env.PROVIDERS_SOLANA = 'fixture';
+process.env.PROVIDERS_BITCOIN = 'fixture';
+process.env.FIXTURE_DIR = path.join(__dirname, 'fixtures', 'wallets');
+process.env.NETWORK_TIMEOUT_MS = '100';
+process.env.RETRY_BASE_DELAY_MS = '5';
+process.env.CACHE_BACKEND = 'memory';
+process.env.SCORE_HISTORY_BACKEND = 'memory';
+process.env.WEBHOOK_BACKEND = 'memory';
+process.env.WEBHOOK_ALLOW_INSECURE_URLS = 'true';
+// The test receiver listens on 127.0.0.1
+process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+process.env.SCORING_MODEL = 'v4';
+process.env.API_KEYS_FILE = path.join(__dirname, 'fixtures', 'webhook-keys.yaml');
+
+const request = require('supertest');
+const { app, scoringService, webhooks } = require('../index');
+const {
+  createWebhookService,
+  createMemoryWebhookStore,
+  createSqliteWebhookStore,
+  signPayload
+} = require('../webhooks');
+
+const SEASONED = '0x1111111111111111111111111111111111111111';
+const FRESH = '0x7777777777777777777777777777777777777777';
+const HOUR = 60 * 60 * 1000;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe.each([
+  ['sqlite', () => createSqliteWebhookStore(':memory:')],
+  ['memory', () => createMemoryWebhookStore()]
+])('%s webhook store', (name, createStore) => {
+  const delivery = (id, subscriptionId, createdAt, status = 'pending') => ({
+    id, subscriptionId, event: 'score.changed', walletAddress: SEASONED, status,
+    attempts: 0, nextAttemptAt: createdAt, createdAt, payload: { id }
+  });
+
+  test('keeps subscriptions per client and cascades deletes', async () => {
+    const store = createStore();
+    await store.createSubscription({ id: 'a', client: 'partner', wallets: [SEASONED], createdAt: 1 });
+    await store.createSubscription({ id: 'b', client: null, wallets: [FRESH], createdAt: 2 });
+    await store.setWalletState('a', SEASONED, { score: 700, status: 'pass' });
+    await store.addDelivery(delivery('d1', 'a', 10));
+
+    expect((await store.listSubscriptions()).map((s) => s.id)).toEqual(['a', 'b']);
+    expect((await store.listSubscriptions({ client: 'partner' })).map((s) => s.id)).toEqual(['a']);
+    expect((await store.listSubscriptions({ client: null })).map((s) => s.id)).toEqual(['b']);
+    expect(await store.getWalletState('a', SEASONED)).toEqual({ score: 700, status: 'pass' });
+
+    expect(await store.deleteSubscription('a')).toBe(true);
+    expect(await store.deleteSubscription('a')).toBe(false);
+    expect(await store.getSubscription('a')).toBeNull();
+    expect(await store.getWalletState('a', SEASONED)).toBeNull();
+    expect(await store.listDeliveries('a')).toEqual([]);
+  });
+
+  test('returns due pending deliveries and the log newest first', async () => {
+    const store = createStore();
+    await store.addDelivery(delivery('d1', 'a', 10));
+    await store.addDelivery(delivery('d2', 'a', 20));
+    await store.addDelivery(delivery('d3', 'a', 30));
+    await store.updateDelivery('d1', { status: 'delivered', attempts: 1 });
+
+    expect((await store.dueDeliveries(25)).map((d) => d.id)).toEqual(['d2']);
+    expect((await store.listDeliveries('a')).map((d) => d.id)).toEqual(['d3', 'd2', 'd1']);
+    expect((await store.listDeliveries('a', 1)).map((d) => d.id)).toEqual(['d3']);
+    expect((await store.listDeliveries('a'))[2]).toMatchObject({ status: 'delivered', attempts: 1 });
+  });
+});
+
+describe('webhook service', () => {
+  // Scoring service returning whatever score is set for a wallet
+  const scores = {};
+  const fakeScoring = {
+    scoreWallet: jest.fn(async (wallet, options) => {
+      const threshold = options.passThreshold ?? 600;
+      return {
+        walletAddress: wallet,
+        score: scores[wallet],
+        status: scores[wallet] >= threshold ? 'pass' : 'fail',
+        confidence: 'high',
+        provisional: false,
+        passThreshold: threshold,
+        modelVersion: 'v4'
+      };
+    })
+  };
+
+  // Resolver with one host on a private network; everything else is public
+  const hosts = { 'internal.example.com': '10.0.0.7' };
+  const lookup = jest.fn(async (hostname) => [{ address: hosts[hostname] || '93.184.216.34', family: 4 }]);
+
+  const createService = (fetch, options = {}) => createWebhookService({
+    store: createMemoryWebhookStore(),
+    scoringService: fakeScoring,
+    fetch,
+    lookup,
+    allowInsecureUrls: true,
+    baseDelayMs: 1000,
+    maxDelayMs: 2000,
+    ...options
+  });
+  const ok = () => Promise.resolve({ ok: true, status: 200 });
+  const client = { id: 'partner', passThreshold: null, networks: null };
+
+  test('validates subscriptions', async () => {
+    const service = createWebhookService({ store: createMemoryWebhookStore(), scoringService: fakeScoring, lookup });
+
+    await expect(service.subscribe({ url: 'https://example.com/hook', wallets: [SEASONED] }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Webhooks need an API key' });
+    await expect(service.subscribe({ url: 'http://example.com/hook', wallets: [SEASONED] }, client))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Webhook URLs must use https' });
+    await expect(service.subscribe({ url: 'not a url', wallets: [SEASONED] }, client))
+      .rejects.toMatchObject({ message: 'Invalid webhook URL' });
+    await expect(service.subscribe({ url: 'https://example.com/hook', wallets: ['0x12'] }, client))
+      .rejects.toMatchObject({ message: 'Invalid wallet address' });
+    await expect(service.subscribe({ url: 'https://example.com/hook', wallets: [] }, client))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.subscribe({ url: 'https://example.com/hook', wallets: [SEASONED], thresholdCrossing: false }, client))
+      .rejects.toMatchObject({ message: 'Set "minChange", "thresholdCrossing" or both' });
+
+    const privateUrls = [
+      'https://localhost/hook', 'https://127.0.0.1/hook', 'https://169.254.169.254/latest/meta-data',
+      'https://10.1.2.3/hook', 'https://172.16.0.1/hook', 'https://192.168.1.1/hook', 'https://[::1]/hook',
+      'https://[::ffff:127.0.0.1]/hook', 'https://[fd00::1]/hook', 'https://internal.example.com/hook'
+    ];
+    for (const url of privateUrls) {
+      await expect(service.subscribe({ url, wallets: [SEASONED] }, client))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Webhook URLs must point at a public host' });
+    }
+  });
+
+  test('records a baseline, then notifies changes beyond minChange against the last notified score', async () => {
+    const fetch = jest.fn(ok);
+    const service = createService(fetch);
+    const subscription = await service.subscribe({
+      url: 'https://example.com/hook', wallets: [SEASONED], minChange: 20, thresholdCrossing: false
+    }, client);
+
+    scores[SEASONED] = 700;
+    expect(await service.rescoreAll(0)).toMatchObject({ wallets: 1, queued: 0 });
+
+    // 15 points, then 30 points from the 700 baseline
+    scores[SEASONED] = 715;
+    expect((await service.rescoreAll(HOUR)).queued).toBe(0);
+    scores[SEASONED] = 730;
+    expect((await service.rescoreAll(2 * HOUR)).queued).toBe(1);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://example.com/hook');
+    expect(init.redirect).toBe('manual');
+    const payload = JSON.parse(init.body);
+    expect(payload).toMatchObject({
+      event: 'score.changed',
+      subscriptionId: subscription.id,
+      walletAddress: SEASONED,
+      previous: { score: 700, status: 'pass' },
+      current: { score: 730, status: 'pass' },
+      change: 30
+    });
+    expect(init.headers['X-Webhook-Signature'])
+      .toBe(signPayload(subscription.secret, init.headers['X-Webhook-Timestamp'], init.body));
+
+    // The baseline moved to 730
+    scores[SEASONED] = 740;
+    expect((await service.rescoreAll(3 * HOUR)).queued).toBe(0);
+  });
+
+  test('notifies threshold crossings under the client pass threshold', async () => {
+    const fetch = jest.fn(ok);
+    const service = createService(fetch);
+    const strict = { id: 'strict', passThreshold: 750, networks: null };
+    await service.subscribe({ url: 'https://example.com/hook', wallets: [FRESH] }, strict);
+
+    scores[FRESH] = 740;
+    await service.rescoreAll(0);
+    scores[FRESH] = 755;
+    await service.rescoreAll(HOUR);
+
+    expect(fakeScoring.scoreWallet).toHaveBeenLastCalledWith(FRESH, expect.objectContaining({ passThreshold: 750, fresh: true }));
+    const payload = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(payload).toMatchObject({
+      event: 'score.threshold_crossed',
+      previous: { status: 'fail' },
+      current: { status: 'pass' },
+      passThreshold: 750
+    });
+    // Other clients don't see the subscription
+    expect(await service.list(client)).toEqual([]);
+    expect(await service.list(strict)).toHaveLength(1);
+  });
+
+  test('charges each rescore to the owner and caps webhooks per client', async () => {
+    const chargeUsage = jest.fn((clientId) => clientId === 'partner');
+    const service = createService(jest.fn(ok), { maxSubscriptions: 1, chargeUsage });
+    await service.subscribe({ url: 'https://example.com/hook', wallets: [SEASONED, FRESH] }, client);
+    await expect(service.subscribe({ url: 'https://example.com/other', wallets: [SEASONED] }, client))
+      .rejects.toMatchObject({ statusCode: 409, message: 'An API key can have at most 1 webhooks' });
+    await service.subscribe({ url: 'https://example.com/hook', wallets: [FRESH] }, { ...client, id: 'exhausted' });
+
+    fakeScoring.scoreWallet.mockClear();
+    expect(await service.rescoreAll(0)).toMatchObject({ wallets: 2, skipped: 1 });
+    expect(chargeUsage.mock.calls).toEqual([['partner', 2], ['exhausted', 1]]);
+    expect(fakeScoring.scoreWallet).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not deliver once the host resolves to a private address', async () => {
+    const fetch = jest.fn(ok);
+    const service = createService(fetch);
+    const subscription = await service.subscribe({ url: 'https://moving.example.com/hook', wallets: [SEASONED], minChange: 0 }, client);
+
+    scores[SEASONED] = 700;
+    await service.rescoreAll(0);
+    hosts['moving.example.com'] = '169.254.169.254';
+    scores[SEASONED] = 690;
+    await service.rescoreAll(HOUR);
+
+    expect(fetch).not.toHaveBeenCalled();
+    const [entry] = await service.deliveries(subscription.id, client);
+    expect(entry).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Webhook host resolves to a private address' });
+  });
+
+  test('retries failed deliveries with backoff and gives up after maxAttempts', async () => {
+    const fetch = jest.fn(() => Promise.reject(new Error('connect ECONNREFUSED')));
+    const service = createService(fetch, { maxAttempts: 3 });
+    const subscription = await service.subscribe({ url: 'https://example.com/hook', wallets: [SEASONED], minChange: 0 }, client);
+
+    scores[SEASONED] = 700;
+    await service.rescoreAll(0);
+    scores[SEASONED] = 690;
+    await service.rescoreAll(HOUR);
+
+    // Not due again before the backoff
+    expect(await service.dispatchDue(HOUR + 500)).toBe(0);
+    let [entry] = await service.deliveries(subscription.id, client);
+    expect(entry).toMatchObject({ status: 'pending', attempts: 1, lastError: 'connect ECONNREFUSED' });
+
+    expect(await service.dispatchDue(HOUR + 10000)).toBe(1);
+    expect(await service.dispatchDue(HOUR + 20000)).toBe(1);
+    [entry] = await service.deliveries(subscription.id, client);
+    expect(entry).toMatchObject({ status: 'failed', attempts: 3, nextAttemptAt: null });
+    expect(await service.dispatchDue(HOUR + 30000)).toBe(0);
+  });
+});
+
+describe('/webhooks', () => {
+  let server;
+  let receiverUrl;
+  const received = [];
+  // Status codes the receiver answers with, in order; 200 once they run out
+  const answers = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = answers.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test('registers, lists, shows and removes webhooks', async () => {
+    const { body: created } = await request(app)
+      .post('/webhooks')
+      .set('X-API-Key', 'watcher-key')
+      .send({ url: receiverUrl, wallet_address: SEASONED, minChange: 25 })
+      .expect(201);
+
+    expect(created).toMatchObject({
+      url: receiverUrl,
+      wallets: [SEASONED],
+      minChange: 25,
+      thresholdCrossing: true,
+      events: ['score.changed', 'score.threshold_crossed']
+    });
+    expect(created.secret).toMatch(/^[0-9a-f]{64}$/);
+
+    const { body: listed } = await request(app).get('/webhooks').set('X-API-Key', 'watcher-key').expect(200);
+    expect(listed.map((webhook) => webhook.id)).toContain(created.id);
+    const { body: shown } = await request(app).get(`/webhooks/${created.id}`).set('X-API-Key', 'watcher-key').expect(200);
+    expect(shown.secret).toBeUndefined();
+
+    await request(app).delete(`/webhooks/${created.id}`).set('X-API-Key', 'watcher-key').expect(204);
+    await request(app).get(`/webhooks/${created.id}`).set('X-API-Key', 'watcher-key').expect(404);
+    await request(app).get(`/webhooks/${created.id}/deliveries`).set('X-API-Key', 'watcher-key').expect(404);
+  });
+
+  test('shows webhooks only to the API key that registered them', async () => {
+    await request(app).post('/webhooks').send({ url: receiverUrl, wallets: [SEASONED] }).expect(401);
+
+    const { body: created } = await request(app)
+      .post('/webhooks')
+      .set('X-API-Key', 'watcher-key')
+      .send({ url: receiverUrl, wallets: [SEASONED] })
+      .expect(201);
+
+    const { body: listed } = await request(app).get('/webhooks').set('X-API-Key', 'other-key').expect(200);
+    expect(listed).toEqual([]);
+    await request(app).get(`/webhooks/${created.id}`).set('X-API-Key', 'other-key').expect(404);
+    await request(app).get(`/webhooks/${created.id}/deliveries`).set('X-API-Key', 'other-key').expect(404);
+    await request(app).delete(`/webhooks/${created.id}`).set('X-API-Key', 'other-key').expect(404);
+
+    await request(app).delete(`/webhooks/${created.id}`).set('X-API-Key', 'watcher-key').expect(204);
+  });
+
+  test('rejects invalid subscriptions', async () => {
+    const { body } = await request(app)
+      .post('/webhooks')
+      .set('X-API-Key', 'watcher-key')
+      .send({ url: receiverUrl, wallets: [SEASONED, 'nope'] })
+      .expect(400);
+
+    expect(body).toEqual({ error: 'Invalid wallet address', wallets: ['nope'] });
+  });
+
+  test('delivers signed threshold crossings, retrying a failed delivery', async () => {
+    const { body: webhook } = await request(app)
+      .post('/webhooks')
+      .set('X-API-Key', 'watcher-key')
+      .send({ url: receiverUrl, wallets: [SEASONED] })
+      .expect(201);
+
+    const start = Date.now();
+    await webhooks.rescoreAll(start);
+    expect(received).toHaveLength(0);
+
+    // The wallet drops under the pass threshold
+    const scoreWallet = scoringService.scoreWallet;
+    const spy = jest.spyOn(scoringService, 'scoreWallet')
+      .mockImplementation(async (...args) => ({ ...await scoreWallet(...args), score: 320, status: 'fail' }));
+    answers.push(500);
+    try {
+      await webhooks.rescoreAll(start + HOUR);
+    } finally {
+      spy.mockRestore();
+    }
+
+    let { body: log } = await request(app).get(`/webhooks/${webhook.id}/deliveries`).set('X-API-Key', 'watcher-key').expect(200);
+    expect(log).toHaveLength(1);
+    expect(log[0]).toMatchObject({ event: 'score.threshold_crossed', status: 'pending', attempts: 1, responseStatus: 500 });
+
+    await webhooks.dispatchDue(start + 3 * HOUR);
+    ({ body: log } = await request(app).get(`/webhooks/${webhook.id}/deliveries`).set('X-API-Key', 'watcher-key').expect(200));
+    expect(log[0]).toMatchObject({ status: 'delivered', attempts: 2, responseStatus: 200, lastError: null });
+
+    expect(received).toHaveLength(2);
+    const { headers, body } = received[1];
+    expect(headers['x-webhook-event']).toBe('score.threshold_crossed');
+    expect(headers['x-webhook-id']).toBe(log[0].id);
+    expect(headers['x-webhook-signature']).toBe(signPayload(webhook.secret, headers['x-webhook-timestamp'], body));
+    expect(JSON.parse(body)).toMatchObject({
+      walletAddress: SEASONED,
+      previous: { status: 'pass' },
+      current: { score: 320, status: 'fail' }
+    });
+  });
+
+  test('charges new webhooks and their rescores to the daily quota', async () => {
+    const wallets = [SEASONED, FRESH];
+    const created = await request(app)
+      .post('/webhooks')
+      .set('X-API-Key', 'metered-key')
+      .send({ url: receiverUrl, wallets })
+      .expect(201);
+    expect(created.headers['x-quota-remaining']).toBe('3');
+
+    // The rescore uses the other two wallets of the quota
+    await webhooks.rescoreAll(Date.now());
+    const { body } = await request(app)
+      .post('/webhooks')
+      .set('X-API-Key', 'metered-key')
+      .send({ url: receiverUrl, wallets })
+      .expect(429);
+    expect(body.error).toBe('Daily quota exceeded');
+  });
+});
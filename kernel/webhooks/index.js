@@ -0,0 +1,510 @@
+// Score webhooks
+// Clients subscribe a URL to one or more wallets and are notified when a wallet's score moves
+// by more than `minChange` points from the last score they were sent, or when it crosses the
+// pass/fail threshold (the status calculateCreditScore reports, under the client's own pass
+// threshold if its API key has one). A scheduler rescores the watched wallets every
+// WEBHOOK_RESCORE_INTERVAL_SECONDS; the first check of a wallet only records its baseline.
+// Webhooks need API keys: a subscription belongs to the key that registered it, and only that
+// key can see it, read its delivery log or remove it. A key has at most `maxSubscriptions`
+// webhooks, and each rescore of a webhook is charged to the key's usage for its wallets; a
+// webhook whose key is out of allowance (or gone) is skipped until the next run.
+//
+// Each notification is a delivery in the store: POSTed as JSON with an HMAC-SHA256 signature
+// of `${timestamp}.${body}` under the subscription's secret (X-Webhook-Signature:
+// sha256=<hex>), retried with exponential backoff on errors and non-2xx answers until it
+// succeeds or runs out of attempts. The deliveries double as the subscription's delivery log.
+// Callback hosts must resolve to public addresses only, checked when a webhook is registered and
+// again before every delivery (DNS can change in between), and redirects are not followed, so
+// a webhook can't be pointed at the kernel's own network or a cloud metadata endpoint.
+
+const path = require('path');
+const crypto = require('crypto');
+const { createMemoryWebhookStore } = require('./memory');
+const { createSqliteWebhookStore } = require('./sqlite');
+const { addressChain, normalizeAddress } = require('../lib/addresses');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { backoffDelay } = require('../lib/resilience');
+const { isPublicHost } = require('../lib/publicHosts');
+const { logger } = require('../lib/logger');
+
+const log = logger.child({ component: 'webhooks' });
+
+const EVENTS = ['score.changed', 'score.threshold_crossed'];
+
+/**
+ * Error for a webhook request that can't be served as asked
+ * @param {String} message - Error message
+ * @param {Object} details - Extra fields for the error response
+ * @param {Number} statusCode - HTTP status to answer with
+ * @returns {Error} - Error with statusCode and details
+ */
+function webhookError(message, details = {}, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Signature of a webhook body, as sent in X-Webhook-Signature
+ * @param {String} secret - Subscription secret
+ * @param {Number} timestamp - Unix time in seconds, as sent in X-Webhook-Timestamp
+ * @param {String} body - Raw request body
+ * @returns {String} - 'sha256=<hex>'
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Subscription as returned by the API (the secret is only returned when it is created)
+ * @param {Object} subscription - Stored subscription
+ * @returns {Object}
+ */
+function publicSubscription(subscription) {
+  const { secret, client, ...rest } = subscription;
+  return { ...rest, createdAt: new Date(subscription.createdAt).toISOString() };
+}
+
+/**
+ * Delivery log entry as returned by the API
+ * @param {Object} delivery - Stored delivery
+ * @returns {Object}
+ */
+function publicDelivery(delivery) {
+  const iso = (time) => (time ? new Date(time).toISOString() : null);
+  return {
+    id: delivery.id,
+    event: delivery.event,
+    walletAddress: delivery.walletAddress,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    responseStatus: delivery.responseStatus,
+    lastError: delivery.lastError,
+    createdAt: iso(delivery.createdAt),
+    lastAttemptAt: iso(delivery.lastAttemptAt),
+    nextAttemptAt: delivery.status === 'pending' ? iso(delivery.nextAttemptAt) : null,
+    deliveredAt: iso(delivery.deliveredAt),
+    payload: delivery.payload
+  };
+}
+
+/**
+ * Create the webhook service
+ * @param {Object} options - { store, scoringService, modelRegistry (to check subscription models),
+ *   fetch (default global fetch), metrics, rescoreIntervalMs, retryPollMs, concurrency (wallets
+ *   rescored at once), maxAttempts, baseDelayMs, maxDelayMs (retry backoff), timeoutMs (per
+ *   delivery), maxWallets (per subscription), maxSubscriptions (per client), chargeUsage
+ *   (`(clientId, wallets) => allowed`, charges a rescore to the client's usage),
+ *   allowInsecureUrls (accept http:// URLs), allowPrivateHosts (accept hosts on private networks,
+ *   for local development), lookup (dns.promises.lookup compatible resolver) }
+ * @returns {Object} - Webhook service
+ */
+function createWebhookService(options) {
+  const store = options.store;
+  const scoringService = options.scoringService;
+  const fetchFn = options.fetch || ((...args) => fetch(...args));
+  const metrics = options.metrics || null;
+  const rescoreIntervalMs = options.rescoreIntervalMs ?? 60 * 60 * 1000;
+  const retryPollMs = options.retryPollMs ?? 15 * 1000;
+  const concurrency = options.concurrency || 5;
+  const maxAttempts = options.maxAttempts || 6;
+  const backoff = { baseDelayMs: options.baseDelayMs ?? 30 * 1000, maxDelayMs: options.maxDelayMs ?? 60 * 60 * 1000 };
+  const timeoutMs = options.timeoutMs || 10 * 1000;
+  const maxWallets = options.maxWallets || 100;
+  const maxSubscriptions = options.maxSubscriptions || 20;
+  const chargeUsage = options.chargeUsage || (() => true);
+  const allowInsecureUrls = Boolean(options.allowInsecureUrls);
+  const allowPrivateHosts = Boolean(options.allowPrivateHosts);
+  const lookup = options.lookup;
+
+  const timers = [];
+  // Runs in progress, so a slow run isn't overlapped by the next tick
+  let rescoring = null;
+  let dispatching = null;
+
+  /**
+   * Check and normalize a subscription request
+   * @param {Object} body - { url, wallets | wallet_address, minChange, thresholdCrossing, model }
+   * @returns {Object} - { url, wallets, minChange, thresholdCrossing, model }
+   */
+  function validateSubscription(body) {
+    const { url, wallet_address, model = null } = body;
+    const wallets = body.wallets !== undefined ? body.wallets : (wallet_address !== undefined ? [wallet_address] : []);
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw webhookError('Invalid webhook URL', { url });
+    }
+    if (parsed.protocol !== 'https:' && !(allowInsecureUrls && parsed.protocol === 'http:')) {
+      throw webhookError('Webhook URLs must use https', { url });
+    }
+
+    if (!Array.isArray(wallets) || wallets.length === 0 || wallets.length > maxWallets) {
+      throw webhookError(`"wallets" must list between 1 and ${maxWallets} wallet addresses`);
+    }
+    const invalid = wallets.filter((wallet) => !addressChain(wallet));
+    if (invalid.length > 0) {
+      throw webhookError('Invalid wallet address', { wallets: invalid });
+    }
+
+    const minChange = body.minChange ?? null;
+    if (minChange !== null && (typeof minChange !== 'number' || !Number.isFinite(minChange) || minChange < 0)) {
+      throw webhookError('"minChange" must be a non-negative number of points');
+    }
+    const thresholdCrossing = body.thresholdCrossing ?? true;
+    if (typeof thresholdCrossing !== 'boolean') {
+      throw webhookError('"thresholdCrossing" must be a boolean');
+    }
+    if (minChange === null && !thresholdCrossing) {
+      throw webhookError('Set "minChange", "thresholdCrossing" or both');
+    }
+    if (model !== null && options.modelRegistry && !options.modelRegistry.get(model)) {
+      throw webhookError('Unknown scoring model', { model });
+    }
+
+    return {
+      url: parsed.toString(),
+      wallets: Array.from(new Set(wallets.map((wallet) => normalizeAddress(addressChain(wallet), wallet)))),
+      minChange,
+      thresholdCrossing,
+      model
+    };
+  }
+
+  /**
+   * Whether a webhook URL may be called: its host must resolve to public addresses only
+   * @param {String} url - Webhook URL
+   * @returns {Promise<Boolean>} - Rejects if the host doesn't resolve
+   */
+  async function allowedHost(url) {
+    return allowPrivateHosts || isPublicHost(new URL(url).hostname, lookup);
+  }
+
+  /**
+   * A subscription owned by the client, or a 404
+   * @param {String} id - Subscription id
+   * @param {Object} client - API client
+   * @returns {Promise<Object>}
+   */
+  async function ownSubscription(id, client) {
+    const subscription = client ? await store.getSubscription(id) : null;
+    if (!subscription || subscription.client !== client.id) {
+      throw webhookError('Webhook not found', { id }, 404);
+    }
+    return subscription;
+  }
+
+  /**
+   * Compare a wallet's new score with the last one the subscription was sent and queue a
+   * delivery if it moved enough
+   * @param {Object} subscription - Subscription
+   * @param {String} wallet - Wallet address
+   * @param {Object} report - Score report (summary detail)
+   * @param {Number} now - Time of the check in milliseconds
+   * @returns {Promise<Boolean>} - Whether a delivery was queued
+   */
+  async function checkWallet(subscription, wallet, report, now) {
+    const current = { score: report.score, status: report.status };
+    const previous = await store.getWalletState(subscription.id, wallet);
+    if (!previous) {
+      await store.setWalletState(subscription.id, wallet, { ...current, updatedAt: now });
+      return false;
+    }
+
+    const change = current.score - previous.score;
+    const crossed = subscription.thresholdCrossing && current.status !== previous.status;
+    const moved = subscription.minChange !== null && Math.abs(change) > subscription.minChange;
+    if (!crossed && !moved) return false;
+
+    const id = crypto.randomUUID();
+    const event = crossed ? 'score.threshold_crossed' : 'score.changed';
+    await store.addDelivery({
+      id,
+      subscriptionId: subscription.id,
+      event,
+      walletAddress: wallet,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now,
+      lastAttemptAt: null,
+      responseStatus: null,
+      lastError: null,
+      deliveredAt: null,
+      payload: {
+        id,
+        event,
+        subscriptionId: subscription.id,
+        walletAddress: wallet,
+        modelVersion: report.modelVersion,
+        previous: { score: previous.score, status: previous.status },
+        current: { ...current, confidence: report.confidence },
+        change,
+        passThreshold: report.passThreshold,
+        occurredAt: new Date(now).toISOString()
+      }
+    });
+    await store.setWalletState(subscription.id, wallet, { ...current, updatedAt: now });
+    log.info('Webhook event queued', { subscriptionId: subscription.id, wallet, event, change });
+    return true;
+  }
+
+  /**
+   * POST one delivery and record the outcome
+   * @param {Object} delivery - Pending delivery
+   * @param {Number} now - Time of the attempt in milliseconds
+   */
+  async function attemptDelivery(delivery, now) {
+    const subscription = await store.getSubscription(delivery.subscriptionId);
+    if (!subscription) return;
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(now / 1000);
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let lastError = null;
+    try {
+      if (!(await allowedHost(subscription.url))) {
+        throw new Error('Webhook host resolves to a private address');
+      }
+      const response = await fetchFn(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'credit-score-kernel-webhooks',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      responseStatus = response.status;
+      if (!response.ok) lastError = `HTTP ${response.status}`;
+    } catch (error) {
+      lastError = error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : error.message;
+    }
+
+    let changes;
+    if (!lastError) {
+      changes = { status: 'delivered', deliveredAt: now };
+    } else if (attempts >= maxAttempts) {
+      changes = { status: 'failed' };
+      log.warn('Webhook delivery failed', { subscriptionId: subscription.id, deliveryId: delivery.id, attempts, error: lastError });
+    } else {
+      changes = { nextAttemptAt: now + backoff.baseDelayMs + backoffDelay(attempts - 1, backoff) };
+      log.debug('Webhook delivery will be retried', { deliveryId: delivery.id, attempts, error: lastError });
+    }
+    if (metrics) {
+      metrics.webhookDeliveries.inc({ event: delivery.event, outcome: changes.status || 'retry' });
+    }
+    await store.updateDelivery(delivery.id, { ...changes, attempts, lastAttemptAt: now, responseStatus, lastError });
+  }
+
+  /**
+   * Rescore every watched wallet and queue deliveries for the ones that moved
+   * @param {Number} now - Time of the run in milliseconds
+   * @returns {Promise<Object>} - { wallets, failed, queued, skipped (subscriptions out of allowance) }
+   */
+  async function rescoreAll(now = Date.now()) {
+    const subscriptions = [];
+    let skipped = 0;
+    for (const subscription of await store.listSubscriptions()) {
+      if (chargeUsage(subscription.client, subscription.wallets.length)) {
+        subscriptions.push(subscription);
+      } else {
+        skipped++;
+        log.warn('Webhook rescore skipped, client out of allowance', { subscriptionId: subscription.id, client: subscription.client });
+      }
+    }
+
+    // Wallets watched under the same model and client policy are scored once per run
+    const jobs = new Map();
+    for (const subscription of subscriptions) {
+      for (const wallet of subscription.wallets) {
+        const key = JSON.stringify([wallet, subscription.model, subscription.passThreshold, subscription.allowedNetworks]);
+        if (!jobs.has(key)) jobs.set(key, { wallet, source: subscription, subscriptions: [] });
+        jobs.get(key).subscriptions.push(subscription);
+      }
+    }
+
+    let failed = 0;
+    let queued = 0;
+    await mapWithConcurrency(Array.from(jobs.values()), concurrency, async (job) => {
+      let report;
+      try {
+        report = await scoringService.scoreWallet(job.wallet, {
+          model: job.source.model || undefined,
+          detail: 'summary',
+          fresh: true,
+          passThreshold: job.source.passThreshold,
+          allowedNetworks: job.source.allowedNetworks
+        });
+      } catch (error) {
+        failed++;
+        log.warn('Webhook rescore failed', { wallet: job.wallet, error: error.message });
+        return;
+      }
+      // A provisional score (networks missing) could flip back on the next run
+      if (report.provisional) return;
+      for (const subscription of job.subscriptions) {
+        if (await checkWallet(subscription, job.wallet, report, now)) queued++;
+      }
+    });
+
+    log.info('Webhook rescore complete', { wallets: jobs.size, failed, queued, skipped });
+    await dispatchDue(now);
+    return { wallets: jobs.size, failed, queued, skipped };
+  }
+
+  /**
+   * Attempt every delivery due by now
+   * @param {Number} now - Time in milliseconds
+   * @returns {Promise<Number>} - Deliveries attempted
+   */
+  async function dispatchDue(now = Date.now()) {
+    const due = await store.dueDeliveries(now, 100);
+    await mapWithConcurrency(due, concurrency, (delivery) => attemptDelivery(delivery, now));
+    return due.length;
+  }
+
+  /**
+   * Run a task unless its previous run is still going; errors are logged
+   * @param {Function} task - Async task
+   * @param {Function} getRunning - Current run
+   * @param {Function} setRunning - Record the run
+   */
+  function runExclusive(task, getRunning, setRunning) {
+    if (getRunning()) return getRunning();
+    const run = task()
+      .catch((error) => log.error('Webhook scheduler run failed', { error }))
+      .finally(() => setRunning(null));
+    setRunning(run);
+    return run;
+  }
+
+  return {
+    enabled: true,
+
+    /**
+     * Register a webhook
+     * @param {Object} body - { url, wallets (or wallet_address), minChange, thresholdCrossing, model }
+     * @param {Object} client - API client owning the webhook; its pass threshold and networks apply
+     * @returns {Promise<Object>} - Subscription, with its signing secret (only ever returned here)
+     */
+    async subscribe(body, client) {
+      // A keyless client is every visitor of a site, so it can't own webhooks
+      if (!client || client.keyless) throw webhookError('Webhooks need an API key', {}, 401);
+      if (!body || typeof body !== 'object') throw webhookError('Invalid webhook request');
+      const fields = validateSubscription(body);
+      if ((await store.listSubscriptions({ client: client.id })).length >= maxSubscriptions) {
+        throw webhookError(`An API key can have at most ${maxSubscriptions} webhooks`, { maxSubscriptions }, 409);
+      }
+      let publicHost;
+      try {
+        publicHost = await allowedHost(fields.url);
+      } catch (error) {
+        throw webhookError('Webhook host does not resolve', { url: fields.url });
+      }
+      if (!publicHost) {
+        throw webhookError('Webhook URLs must point at a public host', { url: fields.url });
+      }
+      const subscription = {
+        id: crypto.randomUUID(),
+        client: client.id,
+        ...fields,
+        events: EVENTS,
+        passThreshold: client.passThreshold,
+        allowedNetworks: client.networks,
+        secret: crypto.randomBytes(32).toString('hex'),
+        createdAt: Date.now()
+      };
+      await store.createSubscription(subscription);
+      log.info('Webhook registered', { subscriptionId: subscription.id, wallets: subscription.wallets.length });
+      return { ...publicSubscription(subscription), secret: subscription.secret };
+    },
+
+    async list(client) {
+      if (!client) return [];
+      return (await store.listSubscriptions({ client: client.id })).map(publicSubscription);
+    },
+
+    async get(id, client) {
+      return publicSubscription(await ownSubscription(id, client));
+    },
+
+    async remove(id, client) {
+      await ownSubscription(id, client);
+      await store.deleteSubscription(id);
+      log.info('Webhook removed', { subscriptionId: id });
+    },
+
+    /**
+     * Delivery log of a webhook, newest first
+     * @param {String} id - Subscription id
+     * @param {Object} client - API client
+     * @param {Number} limit - Entries to return
+     * @returns {Promise<Array>}
+     */
+    async deliveries(id, client, limit = 100) {
+      await ownSubscription(id, client);
+      return (await store.listDeliveries(id, limit)).map(publicDelivery);
+    },
+
+    rescoreAll,
+    dispatchDue,
+
+    /**
+     * Start rescoring watched wallets and retrying deliveries in the background
+     */
+    start() {
+      if (timers.length > 0) return;
+      timers.push(setInterval(() => runExclusive(rescoreAll, () => rescoring, (run) => { rescoring = run; }),
+        rescoreIntervalMs).unref());
+      timers.push(setInterval(() => runExclusive(dispatchDue, () => dispatching, (run) => { dispatching = run; }),
+        retryPollMs).unref());
+      log.info('Webhook scheduler started', { rescoreIntervalMs, retryPollMs });
+    },
+
+    /**
+     * Stop the scheduler and close the store, on shutdown
+     */
+    stop() {
+      timers.splice(0).forEach(clearInterval);
+      if (typeof store.close === 'function') store.close();
+    }
+  };
+}
+
+/**
+ * Create the webhook store selected by WEBHOOK_BACKEND (sqlite, memory or off)
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - Webhook store, or null when webhooks are off
+ */
+function createWebhookStoreFromEnv(env) {
+  const backend = (env.WEBHOOK_BACKEND || 'sqlite').toLowerCase();
+
+  if (backend === 'off' || backend === 'none') {
+    return null;
+  }
+
+  if (backend === 'memory') {
+    return createMemoryWebhookStore();
+  }
+
+  return createSqliteWebhookStore(env.WEBHOOK_DB_PATH || path.join(__dirname, '..', 'data', 'webhooks.db'));
+}
+
+module.exports = {
+  createWebhookService,
+  createWebhookStoreFromEnv,
+  createMemoryWebhookStore,
+  createSqliteWebhookStore,
+  signPayload,
+  EVENTS
+};
@@ -0,0 +1,90 @@
+// In-memory webhook store
+// Keeps subscriptions, their last notified scores and the delivery log of the running
+// instance only; for tests and local runs.
+
+/**
+ * Create an in-memory webhook store
+ * @param {Object} options - { maxDeliveriesPerSubscription }
+ * @returns {Object} - Webhook store
+ */
+function createMemoryWebhookStore(options = {}) {
+  const maxDeliveries = options.maxDeliveriesPerSubscription || 1000;
+  const subscriptions = new Map();
+  // `${subscriptionId} ${wallet}` -> { score, status, updatedAt }
+  const walletStates = new Map();
+  const deliveries = new Map();
+
+  return {
+    name: 'memory',
+
+    async createSubscription(subscription) {
+      subscriptions.set(subscription.id, { ...subscription });
+    },
+
+    async getSubscription(id) {
+      return subscriptions.has(id) ? { ...subscriptions.get(id) } : null;
+    },
+
+    async listSubscriptions({ client } = {}) {
+      return Array.from(subscriptions.values())
+        .filter((subscription) => client === undefined || subscription.client === client)
+        .map((subscription) => ({ ...subscription }));
+    },
+
+    async deleteSubscription(id) {
+      if (!subscriptions.delete(id)) return false;
+      for (const key of walletStates.keys()) {
+        if (key.startsWith(`${id} `)) walletStates.delete(key);
+      }
+      for (const [deliveryId, delivery] of deliveries) {
+        if (delivery.subscriptionId === id) deliveries.delete(deliveryId);
+      }
+      return true;
+    },
+
+    async getWalletState(subscriptionId, wallet) {
+      return walletStates.get(`${subscriptionId} ${wallet}`) || null;
+    },
+
+    async setWalletState(subscriptionId, wallet, state) {
+      walletStates.set(`${subscriptionId} ${wallet}`, { ...state });
+    },
+
+    async addDelivery(delivery) {
+      deliveries.set(delivery.id, { ...delivery });
+      // Drop the oldest entries of the subscription's log past the limit
+      const own = Array.from(deliveries.values()).filter((entry) => entry.subscriptionId === delivery.subscriptionId);
+      for (const entry of own.slice(0, Math.max(own.length - maxDeliveries, 0))) {
+        deliveries.delete(entry.id);
+      }
+    },
+
+    async updateDelivery(id, changes) {
+      if (deliveries.has(id)) Object.assign(deliveries.get(id), changes);
+    },
+
+    async dueDeliveries(now, limit = 100) {
+      return Array.from(deliveries.values())
+        .filter((delivery) => delivery.status === 'pending' && delivery.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+        .slice(0, limit)
+        .map((delivery) => ({ ...delivery }));
+    },
+
+    async listDeliveries(subscriptionId, limit = 100) {
+      return Array.from(deliveries.values())
+        .filter((delivery) => delivery.subscriptionId === subscriptionId)
+        .reverse()
+        .slice(0, limit)
+        .map((delivery) => ({ ...delivery }));
+    },
+
+    async clear() {
+      subscriptions.clear();
+      walletStates.clear();
+      deliveries.clear();
+    }
+  };
+}
+
+module.exports = { createMemoryWebhookStore };
@@ -0,0 +1,151 @@
+// SQLite webhook store
+// Default store: subscriptions, last notified scores and the delivery log (which doubles as
+// the retry queue) in a local database file, so pending retries survive restarts.
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id TEXT PRIMARY KEY,
+    client TEXT,
+    data TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS webhook_wallet_states (
+    subscription_id TEXT NOT NULL,
+    wallet TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (subscription_id, wallet)
+  );
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    subscription_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    next_attempt_at INTEGER,
+    created_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_log ON webhook_deliveries (subscription_id, created_at);
+`;
+
+/**
+ * Create a webhook store in a SQLite database
+ * @param {String|Object} database - Database file path (':memory:' for a throwaway database),
+ *   or an open better-sqlite3 database
+ * @returns {Object} - Webhook store
+ */
+function createSqliteWebhookStore(database) {
+  let db = database;
+  if (typeof database === 'string') {
+    if (database !== ':memory:') {
+      fs.mkdirSync(path.dirname(database), { recursive: true });
+    }
+    // better-sqlite3 is only loaded when this store is used
+    const Database = require('better-sqlite3');
+    db = new Database(database);
+    db.pragma('journal_mode = WAL');
+  }
+  db.exec(SCHEMA);
+
+  const statements = {
+    insertSubscription: db.prepare('INSERT INTO webhook_subscriptions (id, client, data, created_at) VALUES (?, ?, ?, ?)'),
+    getSubscription: db.prepare('SELECT data FROM webhook_subscriptions WHERE id = ?'),
+    listSubscriptions: db.prepare('SELECT data FROM webhook_subscriptions ORDER BY created_at, id'),
+    listClientSubscriptions: db.prepare('SELECT data FROM webhook_subscriptions WHERE client IS ? ORDER BY created_at, id'),
+    deleteSubscription: db.prepare('DELETE FROM webhook_subscriptions WHERE id = ?'),
+    deleteWalletStates: db.prepare('DELETE FROM webhook_wallet_states WHERE subscription_id = ?'),
+    deleteDeliveries: db.prepare('DELETE FROM webhook_deliveries WHERE subscription_id = ?'),
+    getWalletState: db.prepare('SELECT data FROM webhook_wallet_states WHERE subscription_id = ? AND wallet = ?'),
+    setWalletState: db.prepare(`
+      INSERT INTO webhook_wallet_states (subscription_id, wallet, data) VALUES (?, ?, ?)
+      ON CONFLICT (subscription_id, wallet) DO UPDATE SET data = excluded.data
+    `),
+    insertDelivery: db.prepare(`
+      INSERT INTO webhook_deliveries (id, subscription_id, status, next_attempt_at, created_at, data)
+      VALUES (@id, @subscriptionId, @status, @nextAttemptAt, @createdAt, @data)
+    `),
+    getDelivery: db.prepare('SELECT data FROM webhook_deliveries WHERE id = ?'),
+    updateDelivery: db.prepare('UPDATE webhook_deliveries SET status = @status, next_attempt_at = @nextAttemptAt, data = @data WHERE id = @id'),
+    dueDeliveries: db.prepare(`
+      SELECT data FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= ?
+      ORDER BY next_attempt_at
+      LIMIT ?
+    `),
+    listDeliveries: db.prepare(`
+      SELECT data FROM webhook_deliveries WHERE subscription_id = ?
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT ?
+    `)
+  };
+  const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+  const deleteSubscription = db.transaction((id) => {
+    const { changes } = statements.deleteSubscription.run(id);
+    statements.deleteWalletStates.run(id);
+    statements.deleteDeliveries.run(id);
+    return changes > 0;
+  });
+
+  return {
+    name: 'sqlite',
+
+    async createSubscription(subscription) {
+      statements.insertSubscription.run(subscription.id, subscription.client ?? null,
+        JSON.stringify(subscription), subscription.createdAt);
+    },
+
+    async getSubscription(id) {
+      return parse(statements.getSubscription.get(id));
+    },
+
+    async listSubscriptions({ client } = {}) {
+      const rows = client === undefined ?
+        statements.listSubscriptions.all() : statements.listClientSubscriptions.all(client ?? null);
+      return rows.map(parse);
+    },
+
+    async deleteSubscription(id) {
+      return deleteSubscription(id);
+    },
+
+    async getWalletState(subscriptionId, wallet) {
+      return parse(statements.getWalletState.get(subscriptionId, wallet));
+    },
+
+    async setWalletState(subscriptionId, wallet, state) {
+      statements.setWalletState.run(subscriptionId, wallet, JSON.stringify(state));
+    },
+
+    async addDelivery(delivery) {
+      statements.insertDelivery.run({ ...delivery, data: JSON.stringify(delivery) });
+    },
+
+    async updateDelivery(id, changes) {
+      const delivery = parse(statements.getDelivery.get(id));
+      if (!delivery) return;
+      const updated = { ...delivery, ...changes };
+      statements.updateDelivery.run({ ...updated, data: JSON.stringify(updated) });
+    },
+
+    async dueDeliveries(now, limit = 100) {
+      return statements.dueDeliveries.all(now, limit).map(parse);
+    },
+
+    async listDeliveries(subscriptionId, limit = 100) {
+      return statements.listDeliveries.all(subscriptionId, limit).map(parse);
+    },
+
+    async clear() {
+      db.exec('DELETE FROM webhook_subscriptions; DELETE FROM webhook_wallet_states; DELETE FROM webhook_deliveries;');
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteWebhookStore };